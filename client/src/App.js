@@ -1,36 +1,63 @@
 import React, { useState, useEffect } from 'react';
 import styled from 'styled-components';
 import MainMenu from './components/MainMenu';
+import ProfileSelect from './components/ProfileSelect';
+import MistakeNotebook from './components/MistakeNotebook';
 import LevelSelect from './components/LevelSelect';
 import GameBoard from './components/GameBoard';
+import OnlineRoom from './components/OnlineRoom';
+import HomeworkList from './components/HomeworkList';
+import TeacherDashboard from './components/TeacherDashboard';
+import WordListEditor from './components/WordListEditor';
+import WordSearch from './components/WordSearch';
+import WordPreview from './components/WordPreview';
 import SettingsModal from './components/SettingsModal';
 import PauseMenu from './components/PauseMenu';
 import DiagnosticsPanel from './components/DiagnosticsPanel';
 import useDiagnosticsTrigger from './hooks/useDiagnosticsTrigger';
 import { loadVocabularyData } from './utils/dataLoader';
 import SpeechManager from './utils/speechManager';
+import ReviewScheduler from './utils/reviewScheduler';
+import MistakeStore from './utils/mistakeStore';
+import StarredWords from './utils/starredWords';
+import SyncQueue from './utils/syncQueue';
+import ProfileManager, { DEFAULT_SETTINGS, PROFILE_ROLES } from './utils/profileManager';
+import API from './utils/api';
+
+// Homework results wait in the sync queue while the device is offline
+SyncQueue.register('submission', ({ assignmentId, ...result }) => API.submitAssignment(assignmentId, result));
 
 const SCREENS = {
   MAIN_MENU: 'MAIN_MENU',
+  PROFILES: 'PROFILES',
+  MISTAKES: 'MISTAKES',
   LEVEL_SELECT: 'LEVEL_SELECT',
   GAME: 'GAME',
+  ONLINE: 'ONLINE',
+  HOMEWORK: 'HOMEWORK',
+  TEACHER: 'TEACHER',
+  WORD_LISTS: 'WORD_LISTS',
+  SEARCH: 'SEARCH',
+  PREVIEW: 'PREVIEW',
 };
 
 function App() {
   // Game state
   const [currentScreen, setCurrentScreen] = useState(SCREENS.MAIN_MENU);
   const [selectedLevel, setSelectedLevel] = useState(null);
-  const [gameSettings, setGameSettings] = useState({
-    volume: 0.7,
-    voiceSpeed: 1,
-    difficulty: 'normal',
-    bgMusic: true,
-    speechEnabled: true,
-  });
+  // Level select is also used by hosts to pick the words of an online room
+  const [isHostingRoom, setIsHostingRoom] = useState(false);
+  const [gameSettings, setGameSettings] = useState({ ...DEFAULT_SETTINGS });
+  const [activeProfile, setActiveProfile] = useState(null);
   const [isPaused, setIsPaused] = useState(false);
   const [showSettings, setShowSettings] = useState(false);
   const [vocabularyData, setVocabularyData] = useState({});
   const [librariesLoaded, setLibrariesLoaded] = useState(false);
+  const [reviewDueCount, setReviewDueCount] = useState(0);
+  const [mistakeCount, setMistakeCount] = useState(0);
+  const [starredCount, setStarredCount] = useState(0);
+  // Level shown on the preview screen
+  const [previewLevel, setPreviewLevel] = useState(null);
   
   // Diagnostics panel trigger (triple-click detection)
   const { isDiagnosticsPanelOpen, closeDiagnosticsPanel } = useDiagnosticsTrigger();
@@ -57,6 +84,34 @@ function App() {
     initializeSpeechManager();
   }, []);
 
+  // Switch to a learner profile and apply its saved settings
+  const applyProfile = (profile) => {
+    if (!profile) return;
+    setActiveProfile(profile);
+    setGameSettings({ ...DEFAULT_SETTINGS, ...profile.settings });
+  };
+
+  // Load the learner profile stored on this device, then sync with the server
+  useEffect(() => {
+    const loadProfile = async () => {
+      try {
+        const profile = await ProfileManager.init();
+        await ReviewScheduler.claimUnassignedRecords(profile.id);
+        applyProfile(profile);
+        
+        const syncedProfile = await ProfileManager.sync();
+        applyProfile(syncedProfile);
+      } catch (error) {
+        console.error('Error loading learner profile:', error);
+      }
+    };
+    
+    loadProfile();
+  }, []);
+
+  // Send progress saved while offline, now and whenever the connection returns
+  useEffect(() => SyncQueue.start(), []);
+
   // Audio handling
   useEffect(() => {
     // In a real app, we would initialize the actual sound here
@@ -79,11 +134,70 @@ function App() {
     }
   }, [gameSettings.voiceSpeed]);
 
+  // Say everything through the voice source chosen in settings
+  useEffect(() => {
+    SpeechManager.setBackend(gameSettings.speechBackend);
+  }, [gameSettings.speechBackend]);
+
+  // Accent, voice, rate and pitch of English and Chinese
+  useEffect(() => {
+    SpeechManager.setVoiceSettings(gameSettings.voices);
+  }, [gameSettings.voices]);
+
+  // Spell words by letters, syllables, or both
+  useEffect(() => {
+    SpeechManager.setSpellingStrategy(gameSettings.spellingStrategy);
+  }, [gameSettings.spellingStrategy]);
+
+  // Refresh review, notebook and starred counts whenever the main menu is shown
+  useEffect(() => {
+    if (currentScreen !== SCREENS.MAIN_MENU) return;
+    
+    ReviewScheduler.getDueCount()
+      .then(setReviewDueCount)
+      .catch(error => {
+        console.error('Error loading review schedule:', error);
+        setReviewDueCount(0);
+      });
+    
+    MistakeStore.getWordCount()
+      .then(setMistakeCount)
+      .catch(error => {
+        console.error('Error loading mistakes:', error);
+        setMistakeCount(0);
+      });
+    
+    StarredWords.getWordCount()
+      .then(setStarredCount)
+      .catch(error => {
+        console.error('Error loading starred words:', error);
+        setStarredCount(0);
+      });
+  }, [currentScreen, activeProfile]);
+
   const handleStartGame = () => {
+    setIsHostingRoom(false);
+    setCurrentScreen(SCREENS.LEVEL_SELECT);
+  };
+
+  const handleShowOnline = () => {
+    setSelectedLevel(null);
+    setCurrentScreen(SCREENS.ONLINE);
+  };
+
+  const handleCreateRoom = () => {
+    setIsHostingRoom(true);
     setCurrentScreen(SCREENS.LEVEL_SELECT);
   };
 
   const handleLevelSelect = async (level) => {
+    // Online rooms get their words from the game server
+    if (isHostingRoom) {
+      setSelectedLevel(level);
+      setCurrentScreen(SCREENS.ONLINE);
+      return;
+    }
+    
     // Load vocabulary structure (without content) before entering the game
     if (Object.keys(vocabularyData).length === 0) {
       try {
@@ -98,9 +212,133 @@ function App() {
     setCurrentScreen(SCREENS.GAME);
   };
 
+  const handleShowProfiles = () => {
+    setCurrentScreen(SCREENS.PROFILES);
+  };
+
+  const handleGameComplete = (result) => {
+    const { missedWords, assignmentId, ...historyEntry } = result;
+
+    ProfileManager.recordGameResult(historyEntry)
+      .then(profile => {
+        if (profile) setActiveProfile(profile);
+      })
+      .catch(error => {
+        console.error('Error saving game result:', error);
+      });
+
+    // Homework results also go to the teacher's report
+    if (assignmentId && activeProfile) {
+      SyncQueue.enqueue('submission', `${assignmentId}:${activeProfile.id}:${Date.now()}`, {
+        assignmentId,
+        profileId: activeProfile.id,
+        score: result.score,
+        correctAnswers: result.correctAnswers,
+        totalAnswered: result.totalAnswered,
+        duration: result.duration,
+        missedWords
+      }).catch(error => {
+        console.error('Error queuing homework result:', error);
+      });
+    }
+  };
+
+  const handleShowHomework = () => {
+    setCurrentScreen(SCREENS.HOMEWORK);
+  };
+
+  const handleShowTeacher = () => {
+    setCurrentScreen(SCREENS.TEACHER);
+  };
+
+  const handleShowWordLists = () => {
+    setCurrentScreen(SCREENS.WORD_LISTS);
+  };
+
+  const handlePreview = (level) => {
+    setPreviewLevel(level);
+    setCurrentScreen(SCREENS.PREVIEW);
+  };
+
+  const handleShowStarred = async () => {
+    try {
+      const entries = await StarredWords.getEntries();
+      if (entries.length === 0) return;
+      
+      handlePreview({
+        label: '生词本 Starred',
+        difficulty: gameSettings.difficulty,
+        wordRefs: entries.map(({ volume, unit, word }) => ({ volume, unit, word }))
+      });
+    } catch (error) {
+      console.error('Error loading starred words:', error);
+    }
+  };
+
+  const handleShowSearch = () => {
+    setCurrentScreen(SCREENS.SEARCH);
+  };
+
+  // Practice one word found by search; the rest of its unit supplies the distractors
+  const handlePracticeWord = (result) => {
+    const [{ volume, unit }] = result.locations;
+    handleLevelSelect({
+      label: `查词 ${result.word}`,
+      difficulty: gameSettings.difficulty,
+      wordRefs: [{ volume, unit, word: result.word }]
+    });
+  };
+
+  const handleStartAssignment = (assignment) => {
+    handleLevelSelect({
+      volume: assignment.volume,
+      units: assignment.units,
+      difficulty: assignment.difficulty,
+      mode: assignment.mode,
+      label: assignment.title,
+      assignmentId: assignment.id
+    });
+  };
+
+  const handleStartReview = async () => {
+    try {
+      const dueWords = await ReviewScheduler.getDueWords();
+      if (dueWords.length === 0) return;
+      
+      await handleLevelSelect({
+        label: '复习 Review',
+        difficulty: gameSettings.difficulty,
+        wordRefs: dueWords.map(({ volume, unit, word }) => ({ volume, unit, word }))
+      });
+    } catch (error) {
+      console.error('Error starting review session:', error);
+    }
+  };
+
+  const handleShowMistakes = () => {
+    setCurrentScreen(SCREENS.MISTAKES);
+    setSelectedLevel(null);
+    
+    // Stop any ongoing speech
+    try {
+      SpeechManager.stopSpeech();
+    } catch (error) {
+      console.log('SpeechManager not yet initialized');
+    }
+  };
+
+  const handlePracticeMistakes = (wordRefs) => {
+    handleLevelSelect({
+      label: '错题练习 Mistakes',
+      difficulty: gameSettings.difficulty,
+      wordRefs
+    });
+  };
+
   const handleBackToMenu = () => {
     setCurrentScreen(SCREENS.MAIN_MENU);
     setSelectedLevel(null);
+    setIsHostingRoom(false);
     setIsPaused(false);
     
     // Stop any ongoing speech
@@ -142,10 +380,22 @@ function App() {
   };
 
   const handleUpdateSettings = (newSettings) => {
-    setGameSettings(prev => ({ ...prev, ...newSettings }));
+    const settings = { ...gameSettings, ...newSettings };
+    setGameSettings(settings);
     setShowSettings(false);
+    
+    // Save settings to the active learner profile
+    if (activeProfile) {
+      ProfileManager.updateProfile(activeProfile.id, { settings })
+        .then(setActiveProfile)
+        .catch(error => {
+          console.error('Error saving settings:', error);
+        });
+    }
   };
 
+  const isTeacher = activeProfile?.role === PROFILE_ROLES.TEACHER;
+
   // Render the current screen
   const renderScreen = () => {
     switch (currentScreen) {
@@ -153,15 +403,93 @@ function App() {
         return (
           <MainMenu 
             onStart={handleStartGame} 
+            onOnline={handleShowOnline}
+            onHomework={activeProfile && !isTeacher ? handleShowHomework : null}
+            onTeacher={isTeacher ? handleShowTeacher : null}
+            onWordLists={isTeacher ? handleShowWordLists : null}
+            onSearch={handleShowSearch}
+            onReview={handleStartReview}
+            reviewDueCount={reviewDueCount}
+            onMistakes={handleShowMistakes}
+            mistakeCount={mistakeCount}
+            onStarred={handleShowStarred}
+            starredCount={starredCount}
             onSettings={handleSettings}
+            profile={activeProfile}
+            onProfiles={handleShowProfiles}
+          />
+        );
+      case SCREENS.PROFILES:
+        return (
+          <ProfileSelect 
+            activeProfileId={activeProfile?.id}
+            onProfileChange={applyProfile}
+            onBack={handleBackToMenu}
+          />
+        );
+      case SCREENS.MISTAKES:
+        return (
+          <MistakeNotebook 
+            onPractice={handlePracticeMistakes}
+            onBack={handleBackToMenu}
           />
         );
       case SCREENS.LEVEL_SELECT:
         return (
           <LevelSelect 
             onLevelSelect={handleLevelSelect} 
-            onBack={handleBackToMenu}
+            onPreview={handlePreview}
+            onBack={isHostingRoom ? handleShowOnline : handleBackToMenu}
             vocabularyData={vocabularyData}
+            isOnline={isHostingRoom}
+          />
+        );
+      case SCREENS.ONLINE:
+        return (
+          <OnlineRoom 
+            level={selectedLevel}
+            profile={activeProfile}
+            settings={gameSettings}
+            onCreateRoom={handleCreateRoom}
+            onBack={handleBackToMenu}
+          />
+        );
+      case SCREENS.HOMEWORK:
+        return (
+          <HomeworkList 
+            profile={activeProfile}
+            onStartAssignment={handleStartAssignment}
+            onBack={handleBackToMenu}
+          />
+        );
+      case SCREENS.TEACHER:
+        return (
+          <TeacherDashboard 
+            profile={activeProfile}
+            onBack={handleBackToMenu}
+          />
+        );
+      case SCREENS.WORD_LISTS:
+        return (
+          <WordListEditor 
+            profile={activeProfile}
+            onBack={handleBackToMenu}
+          />
+        );
+      case SCREENS.SEARCH:
+        return (
+          <WordSearch 
+            onPractice={handlePracticeWord}
+            onBack={handleBackToMenu}
+          />
+        );
+      // Starred words are previewed from the main menu, units from level select
+      case SCREENS.PREVIEW:
+        return (
+          <WordPreview 
+            level={previewLevel}
+            onStart={handleLevelSelect}
+            onBack={previewLevel.wordRefs ? handleBackToMenu : handleStartGame}
           />
         );
       case SCREENS.GAME:
@@ -169,8 +497,11 @@ function App() {
           <GameBoard 
             level={selectedLevel}
             settings={gameSettings}
+            isPaused={isPaused || showSettings}
             onPause={handlePause}
             onBackToMenu={handleBackToMenu}
+            onGameComplete={handleGameComplete}
+            onShowMistakes={handleShowMistakes}
             vocabularyData={vocabularyData}
           />
         );
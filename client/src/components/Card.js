@@ -2,28 +2,55 @@ import React from 'react';
 import styled from 'styled-components';
 import { motion } from 'framer-motion';
 
+// Card flip animation: cards are dealt face down and flip away once matched
+const flipVariants = {
+  hidden: { rotateY: 180, opacity: 0 },
+  visible: (index = 0) => ({
+    rotateY: 0,
+    opacity: 1,
+    transition: { delay: index * 0.04, duration: 0.4 }
+  }),
+  matched: {
+    rotateY: 180,
+    opacity: 0,
+    transition: { delay: 0.4, duration: 0.4 }
+  }
+};
+
+/**
+ * A selectable word or meaning card
+ * isCorrect is only applied while the card is selected: true shows it green,
+ * false red, and leaving it undefined shows a plain selection.
+ */
 const Card = ({ 
   id, 
   content, 
   type, 
   isSelected,
   isCorrect,
+  isMatched,
+  index,
   onClick,
   pos
 }) => {
   const handleClick = () => {
-    if (onClick) {
+    if (onClick && !isMatched) {
       onClick(id);
     }
   };
 
   return (
     <CardContainer
-      whileHover={{ scale: 1.05 }}
-      whileTap={{ scale: 0.95 }}
+      variants={flipVariants}
+      custom={index}
+      initial="hidden"
+      animate={isMatched ? 'matched' : 'visible'}
+      whileHover={isMatched ? undefined : { scale: 1.05 }}
+      whileTap={isMatched ? undefined : { scale: 0.95 }}
       $isSelected={isSelected}
-      $isCorrect={isSelected && isCorrect}
-      $isIncorrect={isSelected && !isCorrect}
+      $isCorrect={isSelected && isCorrect === true}
+      $isIncorrect={isSelected && isCorrect === false}
+      $isMatched={isMatched}
       $type={type}
       onClick={handleClick}
     >
@@ -43,11 +70,12 @@ const CardContainer = styled(motion.div)`
   align-items: center;
   padding: 1.5rem;
   user-select: none;
-  cursor: pointer;
+  cursor: ${props => props.$isMatched ? 'default' : 'pointer'};
+  pointer-events: ${props => props.$isMatched ? 'none' : 'auto'};
   box-shadow: 0 4px 8px rgba(0, 0, 0, 0.1);
-  margin: 0.5rem;
   width: 100%;
-  transition: all 0.2s ease;
+  min-height: 90px;
+  transition: background-color 0.2s ease, color 0.2s ease;
   
   /* Card colors based on state */
   background-color: ${props => {
@@ -0,0 +1,123 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { diffSpelling, getSyllables, buildSyllableHint } from '../utils/spelling';
+import {
+  DictationForm,
+  SpellingInput,
+  DictationActions,
+  DictationButton,
+  SyllableHint,
+  SpellingDiff,
+  DiffLetter,
+  CorrectSpelling,
+  AttemptsMessage
+} from './GameBoard.styles';
+
+/**
+ * Component for typing the spelling of the current word (dictation mode)
+ * Remount it with a new key for every word so the attempt state resets.
+ * The answer defaults to the headword; cloze mode passes the inflected form.
+ */
+const DictationPanel = ({
+  word,
+  answer: expected = word.english,
+  showFeedback,
+  maxAttempts,
+  onSubmit,
+  onReplay
+}) => {
+  const [answer, setAnswer] = useState('');
+  const [attempts, setAttempts] = useState(0);
+  const [hintsUsed, setHintsUsed] = useState(0);
+  const [diff, setDiff] = useState(null);
+  const inputRef = useRef(null);
+
+  // Never reveal the final syllable, that would give the whole word away
+  const maxHints = Math.max(getSyllables(word).length - 1, 0);
+  const isFinished = attempts >= maxAttempts || (diff && diff.every(part => part.type === 'match'));
+
+  // Focus the input again once feedback for a wrong attempt is gone
+  useEffect(() => {
+    if (!showFeedback && !isFinished && inputRef.current) {
+      inputRef.current.focus();
+    }
+  }, [showFeedback, isFinished]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (showFeedback || isFinished || !answer.trim()) return;
+
+    const attempt = attempts + 1;
+    setAttempts(attempt);
+    setDiff(diffSpelling(expected, answer));
+    onSubmit(answer, { attempt, hintsUsed });
+  };
+
+  const handleChange = (e) => {
+    setAnswer(e.target.value);
+    setDiff(null);
+  };
+
+  return (
+    <DictationForm onSubmit={handleSubmit}>
+      {hintsUsed > 0 && (
+        <SyllableHint>{buildSyllableHint(word, hintsUsed)}</SyllableHint>
+      )}
+
+      <SpellingInput
+        ref={inputRef}
+        type="text"
+        value={answer}
+        onChange={handleChange}
+        disabled={showFeedback || isFinished}
+        placeholder="输入拼写 Type the word"
+        autoComplete="off"
+        autoCorrect="off"
+        autoCapitalize="off"
+        spellCheck={false}
+        autoFocus
+      />
+
+      {diff && (
+        <SpellingDiff>
+          {diff.map((part, index) => (
+            <DiffLetter key={index} $type={part.type}>
+              {part.char === ' ' ? ' ' : part.char}
+            </DiffLetter>
+          ))}
+        </SpellingDiff>
+      )}
+
+      {attempts >= maxAttempts && !diff?.every(part => part.type === 'match') && (
+        <CorrectSpelling>正确拼写 Answer: {expected}</CorrectSpelling>
+      )}
+
+      <DictationActions>
+        <DictationButton type="button" onClick={onReplay}>
+          🔊 再听一遍 Replay
+        </DictationButton>
+        <DictationButton
+          type="button"
+          onClick={() => setHintsUsed(prev => prev + 1)}
+          disabled={hintsUsed >= maxHints || isFinished}
+        >
+          💡 提示 Hint
+        </DictationButton>
+        <DictationButton
+          type="submit"
+          $primary
+          disabled={showFeedback || isFinished || !answer.trim()}
+        >
+          提交 Check
+        </DictationButton>
+      </DictationActions>
+
+      {attempts > 0 && !isFinished && (
+        <AttemptsMessage>
+          {maxAttempts - attempts} {maxAttempts - attempts === 1 ? 'try' : 'tries'} left
+        </AttemptsMessage>
+      )}
+    </DictationForm>
+  );
+};
+
+export default DictationPanel;
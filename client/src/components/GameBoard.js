@@ -1,36 +1,48 @@
-import React, { useEffect } from 'react';
+import React, { useEffect, useState, useRef } from 'react';
 import { AnimatePresence } from 'framer-motion';
 import GameHeader from './GameHeader';
 import GameOverModal from './GameOverModal';
 import SpeechManager from '../utils/speechManager';
 import Sequencer from '../utils/sequencer';
+import ReviewScheduler from '../utils/reviewScheduler';
+import MistakeStore from '../utils/mistakeStore';
+import { isSpellingCorrect } from '../utils/spelling';
 import { playSoundAsync } from '../hooks/useSounds';
 
 // Custom hooks
-import { useGameState } from '../hooks/useGameState';
+import { useGameState, GAME_MODES, MULTIPLAYER_MODES } from '../hooks/useGameState';
 import { useGameLogic } from '../hooks/useGameLogic';
 import { useSounds } from '../hooks/useSounds';
 import { useGameInitializer } from '../hooks/useGameInitializer';
+import { useChallengeTimer, WORD_TIME_LIMITS_MS, TYPING_TIME_FACTOR } from '../hooks/useChallengeTimer';
 
 // Extracted components
 import WordDisplay from './WordDisplay';
 import OptionsPanel from './OptionsPanel';
+import DictationPanel from './DictationPanel';
+import MatchingBoard from './MatchingBoard';
 import FeedbackDisplay from './FeedbackDisplay';
 import GameStateDisplay from './GameStateDisplay';
+import PlayerTurnBar from './PlayerTurnBar';
+import RaceBoard, { RACE_GAME_MODES } from './RaceBoard';
 
 // Styles
-import { GameBoardContainer, GameContent } from './GameBoard.styles';
+import { GameBoardContainer, GameContent, AnswerModeToggle } from './GameBoard.styles';
 
 // Constants
 const FEEDBACK_DELAY = 1000; // Delay for showing feedback in ms
+const MAX_SPELLING_ATTEMPTS = 3; // Typed attempts per word in dictation mode
+const HINT_PENALTY = 20; // Points deducted per syllable hint
+const MIN_SPELLING_SCORE = 20; // Points still awarded for a correct spelling
 
-const GameBoard = ({ level, settings, onPause, onBackToMenu, vocabularyData }) => {
+const GameBoard = ({ level, settings, isPaused, onPause, onBackToMenu, onGameComplete, onShowMistakes, vocabularyData }) => {
   // Get state and methods from custom hooks
-  const gameState = useGameState();
+  const gameState = useGameState(level?.players || []);
   const { 
     currentWordIndex, setCurrentWordIndex,
     words,
     options, 
+    prompt,
     score, setScore,
     isGameOver, setIsGameOver,
     isLoading, 
@@ -44,12 +56,47 @@ const GameBoard = ({ level, settings, onPause, onBackToMenu, vocabularyData }) =
     setAllCorrectSelected,
     showOptions, setShowOptions,
     gameUnits,
+    distractorPool,
+    typedAnswers, setTypedAnswers,
+    players, setPlayers,
+    currentPlayerIndex, setCurrentPlayerIndex,
     resetGameState
   } = gameState;
   
-  const { gameStartedRef, transitionRef, generateOptions } = useGameLogic(gameState);
+  const mode = level?.mode || GAME_MODES.CLASSIC;
+  const isClassic = mode === GAME_MODES.CLASSIC;
+  const isReverse = mode === GAME_MODES.REVERSE;
+  const isDictation = mode === GAME_MODES.DICTATION;
+  const isCloze = mode === GAME_MODES.CLOZE;
+  const isMatching = mode === GAME_MODES.MATCHING;
+  const isTyping = isDictation || (isCloze && typedAnswers);
+
+  // Local multiplayer (2-4 players on one device): hot-seat turns, or a
+  // split-screen race in the modes a race lane can play
+  const isMultiplayer = players.length > 1;
+  const isRace = isMultiplayer && level?.multiplayer === MULTIPLAYER_MODES.RACE &&
+    RACE_GAME_MODES.includes(mode);
+  const isHotseat = isMultiplayer && !isRace;
+  // Restarting a race deals every lane again
+  const [raceRound, setRaceRound] = useState(0);
+  // Words answered wrong and when play began, reported with a homework submission
+  const missedWordsRef = useRef(new Set());
+  const startTimeRef = useRef(Date.now());
+  const { gameStartedRef, transitionRef, generateOptions } = useGameLogic(gameState, mode);
   const sounds = useSounds(settings);
   
+  // Timed challenge (限时挑战): per-word countdown, session clock and combos
+  // The matching board has no single current word, so it is never timed
+  const isTimed = Boolean(level?.timed) && !isMatching && !isRace;
+  const challenge = useChallengeTimer({
+    enabled: isTimed,
+    isPaused: Boolean(isPaused) || isGameOver,
+    wordTimeLimit: (WORD_TIME_LIMITS_MS[level?.difficulty] || WORD_TIME_LIMITS_MS.normal) *
+      (isTyping ? TYPING_TIME_FACTOR : 1),
+    onWordTimeout: () => handleWordTimeout()
+  });
+  const { startWord } = challenge;
+  
   const sequencer = new Sequencer();
 
   // Initialize game
@@ -57,32 +104,222 @@ const GameBoard = ({ level, settings, onPause, onBackToMenu, vocabularyData }) =
 
   // When a new word is displayed, read it and then show options
   useEffect(() => {
-    if (isLoading || !words.length || words.length <= currentWordIndex) return;
+    if (isLoading || isMatching || isRace || !words.length || words.length <= currentWordIndex) return;
     const currentWord = words[currentWordIndex];
     const speechEnabled = settings?.speechEnabled !== false; // Default to true if not specified
     setShowOptions(false);
     SpeechManager.stopSpeech();
-    // Use sequencer for new word display
-    sequencer.add(async () => {
+    // Each word gets its own sequence, so nothing of the last word runs after it
+    const wordSequence = new Sequencer();
+    wordSequence.add(async () => {
       await new Promise((resolve) => setTimeout(resolve, 150));
       if (speechEnabled && SpeechManager.isAvailable()) {
         const voiceSpeed = settings?.voiceSpeed || 1.0;
         SpeechManager.setVoiceSpeed(voiceSpeed);
-        await SpeechManager.playWordWithSpellingAsync(currentWord);
+        if (isCloze && prompt?.sentence) {
+          // Read the sentence with a pause where the missing word goes
+          await SpeechManager.playSentenceAsync([prompt.before, prompt.after]);
+        } else if (isReverse || isCloze) {
+          // These modes ask for the English word, so only read the Chinese meaning
+          await SpeechManager.playMeaningAsync(prompt);
+        } else if (isDictation) {
+          // Say the word without spelling it out
+          await SpeechManager.playWordAsync(currentWord);
+        } else {
+          await SpeechManager.playWordWithSpellingAsync(currentWord);
+        }
       }
     });
-    sequencer.add(async () => {
+    wordSequence.add(async () => {
       setShowOptions(true);
+      startWord();
     });
     return () => {
       SpeechManager.stopSpeech();
     };
-  }, [currentWordIndex, words, isLoading, settings?.speechEnabled, settings?.voiceSpeed, gameStartedRef, setShowOptions]);
+  }, [currentWordIndex, words, prompt, isReverse, isDictation, isCloze, isMatching, isRace, isLoading, settings?.speechEnabled, settings?.voiceSpeed, setShowOptions, startWord]);
+
+  // Report the finished game so it can be saved to the learner's history
+  // A shared multiplayer game belongs to no single learner, so it is not saved
+  const reportedRef = useRef(false);
+  useEffect(() => {
+    if (!isGameOver) {
+      reportedRef.current = false;
+      return;
+    }
+    // Only report once per finished game
+    if (reportedRef.current || !onGameComplete || isMultiplayer) return;
+    reportedRef.current = true;
+    onGameComplete({
+      volume: level?.volume || null,
+      units: gameUnits,
+      label: level?.label || null,
+      difficulty: level?.difficulty || null,
+      mode,
+      timed: isTimed,
+      duration: isTimed ? challenge.elapsed : Date.now() - startTimeRef.current,
+      score,
+      correctAnswers,
+      totalAnswered,
+      wordCount: words.length,
+      missedWords: [...missedWordsRef.current],
+      assignmentId: level?.assignmentId || null
+    });
+  }, [isGameOver, onGameComplete, isMultiplayer, level, gameUnits, mode, isTimed, challenge.elapsed, score, correctAnswers, totalAnswered, words.length]);
+
+  // Record an answer for spaced repetition without blocking the game flow
+  const recordReviewAnswer = (word, correct) => {
+    if (isMultiplayer) return;
+    ReviewScheduler.recordAnswer(word, correct).catch(error => {
+      console.error('Error recording review answer:', error);
+    });
+  };
+
+  // Save an incorrect pick to the wrong-answer notebook
+  const recordMistake = (word, option) => {
+    if (isMultiplayer) return;
+    missedWordsRef.current.add(word.english);
+    MistakeStore.recordMistake(word, option).catch(error => {
+      console.error('Error recording mistake:', error);
+    });
+  };
+
+  // Credit an answer to the player whose turn it is in a hot-seat game
+  const recordPlayerAnswer = (points, correct) => {
+    if (!isHotseat) return;
+    setPlayers(prev => prev.map((player, index) => index !== currentPlayerIndex ? player : {
+      ...player,
+      score: player.score + points,
+      correct: player.correct + (correct ? 1 : 0),
+      answered: player.answered + 1
+    }));
+  };
+
+  // Hand the device to the next player in a hot-seat game
+  const passTurn = () => {
+    if (!isHotseat) return;
+    setCurrentPlayerIndex(prev => (prev + 1) % players.length);
+  };
+
+  // Move on to the next word after feedback, or end the game after the last one
+  const advanceToNextWord = async () => {
+    await new Promise((resolve) => setTimeout(resolve, FEEDBACK_DELAY));
+    setShowFeedback(false);
+    const nextIndex = currentWordIndex + 1;
+    if (nextIndex < words.length) {
+      setCurrentWordIndex(nextIndex);
+      setSelectedOptions([]);
+      generateOptions(words, nextIndex, distractorPool);
+      passTurn();
+    } else {
+      handleGameOver();
+    }
+    setTimeout(() => {
+      transitionRef.current = false;
+    }, 500);
+  };
+
+  // Read the completed cloze sentence, or say the word in the other modes
+  const playAnswerAsync = (word) => {
+    if (isCloze && prompt?.sentence) {
+      return SpeechManager.playSentenceAsync(prompt.sentence);
+    }
+    return SpeechManager.playWordAsync(word);
+  };
+
+  // The spelling a typed answer must match: the form used in the cloze sentence, or the headword
+  const getExpectedSpelling = (word) => (isCloze && prompt?.answer ? prompt.answer : word.english);
+
+  // Grade a typed spelling (dictation mode, or cloze mode with typed answers)
+  const handleSpellingSubmit = (answer, { attempt, hintsUsed }) => {
+    if (showFeedback || transitionRef.current) return;
+    const currentWord = words[currentWordIndex];
+    const correct = isSpellingCorrect(getExpectedSpelling(currentWord), answer);
+
+    setIsCorrect(correct);
+    setShowFeedback(true);
+    setTotalAnswered(prev => prev + 1);
+    recordReviewAnswer(currentWord, correct);
+
+    if (!correct) {
+      recordMistake(currentWord, { english: answer.trim() });
+      recordPlayerAnswer(0, false);
+      sequencer.add(async () => {
+        await playSoundAsync(sounds.incorrect);
+      });
+      if (attempt < MAX_SPELLING_ATTEMPTS) {
+        challenge.penalize();
+        sequencer.add(async () => {
+          await new Promise((resolve) => setTimeout(resolve, FEEDBACK_DELAY));
+          setShowFeedback(false);
+        });
+        return;
+      }
+      // Out of attempts: leave the answer on screen a little longer, then move on
+      challenge.failWord();
+      transitionRef.current = true;
+      sequencer.add(async () => {
+        await new Promise((resolve) => setTimeout(resolve, FEEDBACK_DELAY));
+      });
+      sequencer.add(advanceToNextWord);
+      return;
+    }
+
+    const points = challenge.completeWord(Math.max(MIN_SPELLING_SCORE, 100 - hintsUsed * HINT_PENALTY));
+    setScore(prev => prev + points);
+    recordPlayerAnswer(points, true);
+    setCorrectAnswers(prev => prev + 1);
+    transitionRef.current = true;
+    if (isCloze && settings?.speechEnabled !== false && SpeechManager.isAvailable()) {
+      sequencer.add(async () => {
+        SpeechManager.setVoiceSpeed(settings?.voiceSpeed || 1.0);
+        await playAnswerAsync(currentWord);
+      });
+    }
+    sequencer.add(async () => {
+      await playSoundAsync(sounds.correct);
+    });
+    sequencer.add(advanceToNextWord);
+  };
+
+  // Say the current word (or cloze sentence) again
+  const handleReplay = () => {
+    if (settings?.speechEnabled === false || !SpeechManager.isAvailable()) return;
+    SpeechManager.stopSpeech();
+    SpeechManager.setVoiceSpeed(settings?.voiceSpeed || 1.0);
+    if (isCloze && prompt?.sentence) {
+      SpeechManager.playSentence([prompt.before, prompt.after]);
+    } else if (isCloze) {
+      SpeechManager.playMeaning(prompt);
+    } else {
+      SpeechManager.playWord(words[currentWordIndex]);
+    }
+  };
+
+  // The word clock ran out: count the word as wrong and move on
+  const handleWordTimeout = () => {
+    if (transitionRef.current || isGameOver) return;
+    recordReviewAnswer(words[currentWordIndex], false);
+    recordPlayerAnswer(0, false);
+    missedWordsRef.current.add(words[currentWordIndex].english);
+    setIsCorrect(false);
+    setShowFeedback(true);
+    setTotalAnswered(prev => prev + 1);
+    transitionRef.current = true;
+    sequencer.add(async () => {
+      await playSoundAsync(sounds.incorrect);
+    });
+    sequencer.add(advanceToNextWord);
+  };
 
   // Refactor incorrect answer feedback to use sequencer
   const handleOptionSelect = (option) => {
     if (showFeedback) return; // Prevent selection during feedback
     if (!option.isCorrect) {
+      challenge.penalize();
+      recordReviewAnswer(words[currentWordIndex], false);
+      recordMistake(words[currentWordIndex], option);
+      recordPlayerAnswer(0, false);
       setSelectedOptions([...selectedOptions, option]);
       setIsCorrect(false);
       setShowFeedback(true);
@@ -122,8 +359,11 @@ const GameBoard = ({ level, settings, onPause, onBackToMenu, vocabularyData }) =
           setIsCorrect(true);
           setShowFeedback(true);
           setTotalAnswered(prev => prev + 1);
-          setScore(prev => prev + 100);
+          const points = challenge.completeWord(100);
+          setScore(prev => prev + points);
+          recordPlayerAnswer(points, true);
           setCorrectAnswers(prev => prev + 1);
+          recordReviewAnswer(words[currentWordIndex], true);
           if (transitionRef.current) return;
           transitionRef.current = true;
           // Use the sequencer for the correct answer sequence
@@ -132,27 +372,17 @@ const GameBoard = ({ level, settings, onPause, onBackToMenu, vocabularyData }) =
               const voiceSpeed = settings?.voiceSpeed || 1.0;
               SpeechManager.setVoiceSpeed(voiceSpeed);
               SpeechManager.stopSpeech();
-              await SpeechManager.playMeaningAsync({ meaning: option.meaning, pos: option.pos });
+              if (isReverse || isCloze) {
+                await playAnswerAsync(words[currentWordIndex]);
+              } else {
+                await SpeechManager.playMeaningAsync({ meaning: option.meaning, pos: option.pos });
+              }
             }
           });
           sequencer.add(async () => {
             await playSoundAsync(sounds.correct);
           });
-          sequencer.add(async () => {
-            await new Promise((resolve) => setTimeout(resolve, FEEDBACK_DELAY));
-            setShowFeedback(false);
-            const nextIndex = currentWordIndex + 1;
-            if (nextIndex < words.length) {
-              setCurrentWordIndex(nextIndex);
-              setSelectedOptions([]);
-              generateOptions(words, nextIndex);
-            } else {
-              handleGameOver();
-            }
-            setTimeout(() => {
-              transitionRef.current = false;
-            }, 500);
-          });
+          sequencer.add(advanceToNextWord);
         } else {
           // For non-last correct options, just play meaning if enabled
           if (speechEnabled && SpeechManager.isAvailable()) {
@@ -168,20 +398,66 @@ const GameBoard = ({ level, settings, onPause, onBackToMenu, vocabularyData }) =
     }
   };
 
+  // A pair was cleared on the matching board
+  const handleCardMatch = (word) => {
+    setTotalAnswered(prev => prev + 1);
+    setScore(prev => prev + 100);
+    setCorrectAnswers(prev => prev + 1);
+    recordReviewAnswer(word, true);
+    recordPlayerAnswer(100, true);
+    playSoundAsync(sounds.correct);
+    if (correctAnswers + 1 >= words.length) {
+      // Let the last pair flip away before the summary appears
+      setTimeout(handleGameOver, FEEDBACK_DELAY);
+    }
+  };
+
+  // A wrong pair was picked on the matching board; in a hot-seat game the
+  // next player takes over, as in a game of pairs
+  const handleCardMismatch = (word, option) => {
+    setTotalAnswered(prev => prev + 1);
+    recordReviewAnswer(word, false);
+    recordMistake(word, option);
+    recordPlayerAnswer(0, false);
+    passTurn();
+    playSoundAsync(sounds.incorrect);
+  };
+
+  // Say an English card's word when it is picked
+  const handleCardWordSelect = (word) => {
+    if (settings?.speechEnabled === false || !SpeechManager.isAvailable()) return;
+    SpeechManager.setVoiceSpeed(settings?.voiceSpeed || 1.0);
+    SpeechManager.playWord(word);
+  };
+
   // Handle game over
   const handleGameOver = () => {
+    challenge.stopSession();
     setIsGameOver(true);
     sounds.victory.play();
   };
 
+  // Every race lane has finished, or the race was stopped early
+  const handleRaceFinish = (results) => {
+    setPlayers(results);
+    setScore(results.reduce((total, player) => total + player.score, 0));
+    setCorrectAnswers(results.reduce((total, player) => total + player.correct, 0));
+    setTotalAnswered(results.reduce((total, player) => total + player.answered, 0));
+    handleGameOver();
+  };
+
   // Handle game restart
   const handleRestart = () => {
     // Reset game state
     resetGameState();
+    challenge.reset();
+    setRaceRound(prev => prev + 1);
+    missedWordsRef.current = new Set();
+    startTimeRef.current = Date.now();
     
     // Re-initialize the game with the same level
     if (words.length > 0) {
-      generateOptions(words, 0);
+      generateOptions(words, 0, distractorPool);
     }
   };
 
@@ -205,22 +481,76 @@ const GameBoard = ({ level, settings, onPause, onBackToMenu, vocabularyData }) =
         score={score}
         matchedPairs={correctAnswers}
         totalPairs={words.length}
+        moves={isMatching ? totalAnswered : null}
         onPause={onPause}
         units={gameUnits}
         volume={level?.volume}
+        label={level?.label}
+        challenge={isTimed ? challenge : null}
       />
+
+      {isHotseat && (
+        <PlayerTurnBar players={players} currentPlayerIndex={currentPlayerIndex} />
+      )}
       
       <GameContent>
-        <WordDisplay word={currentWord} showOptions={showOptions} />
+        {isRace ? (
+          <RaceBoard
+            key={raceRound}
+            players={players}
+            words={words}
+            pool={distractorPool}
+            mode={mode}
+            isPaused={isPaused || isGameOver}
+            onFinish={handleRaceFinish}
+          />
+        ) : isMatching ? (
+          <MatchingBoard
+            cards={options}
+            words={words}
+            onMatch={handleCardMatch}
+            onMismatch={handleCardMismatch}
+            onSelectWord={handleCardWordSelect}
+          />
+        ) : (
+          <WordDisplay 
+            word={currentWord} 
+            prompt={isClassic ? null : prompt} 
+            revealAnswer={showFeedback && isCorrect}
+            showOptions={showOptions} 
+          />
+        )}
 
-        <OptionsPanel 
-          showOptions={showOptions}
-          options={options}
-          selectedOptions={selectedOptions}
-          onOptionSelect={handleOptionSelect}
-          showFeedback={showFeedback}
-          correctOptionsRemaining={correctOptionsRemaining}
-        />
+        {isCloze && !isRace && (
+          <AnswerModeToggle
+            onClick={() => setTypedAnswers(prev => !prev)}
+            disabled={showFeedback}
+          >
+            {typedAnswers ? '🔘 选择答案 Choose' : '✏️ 输入答案 Type'}
+          </AnswerModeToggle>
+        )}
+
+        {isTyping ? (
+          <DictationPanel
+            key={`${currentWordIndex}-${currentWord.id}`}
+            word={currentWord}
+            answer={getExpectedSpelling(currentWord)}
+            showFeedback={showFeedback}
+            maxAttempts={MAX_SPELLING_ATTEMPTS}
+            onSubmit={handleSpellingSubmit}
+            onReplay={handleReplay}
+          />
+        ) : !isMatching && !isRace && (
+          <OptionsPanel 
+            mode={mode}
+            showOptions={showOptions}
+            options={options}
+            selectedOptions={selectedOptions}
+            onOptionSelect={handleOptionSelect}
+            showFeedback={showFeedback}
+            correctOptionsRemaining={correctOptionsRemaining}
+          />
+        )}
 
         <FeedbackDisplay 
           showFeedback={showFeedback}
@@ -236,7 +566,10 @@ const GameBoard = ({ level, settings, onPause, onBackToMenu, vocabularyData }) =
             totalAttempted={totalAnswered}
             onRestart={handleRestart}
             onBackToMenu={onBackToMenu}
+            onShowMistakes={onShowMistakes}
             level={level}
+            challenge={isTimed ? challenge : null}
+            players={isMultiplayer ? players : null}
           />
         )}
       </AnimatePresence>
@@ -39,6 +39,24 @@ export const EnglishWord = styled.h1`
   gap: 0.5rem;
 `;
 
+export const MeaningPrompt = styled.h1`
+  font-size: 2.5rem;
+  margin-bottom: 0.5rem;
+  color: #2c3e50;
+  text-align: center;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  gap: 0.5rem;
+`;
+
+export const PromptPos = styled.div`
+  font-size: 1.1rem;
+  font-weight: bold;
+  color: #7f8c8d;
+  margin-bottom: 0.5rem;
+`;
+
 export const SpeechAnimation = styled.span`
   display: inline-block;
   font-size: 1.5rem;
@@ -60,6 +78,18 @@ export const SpeechAnimation = styled.span`
   }
 `;
 
+// A syllable of the word being spelled aloud, and a letter of it
+export const SpelledSyllable = styled.span`
+  border-radius: 6px;
+  background-color: ${props => props.$active ? '#d6eaf8' : 'transparent'};
+  transition: background-color 0.15s ease;
+`;
+
+export const SpelledLetter = styled.span`
+  color: ${props => props.$active ? '#3498db' : 'inherit'};
+  transition: color 0.15s ease;
+`;
+
 export const PhoneticText = styled.div`
   font-size: 1.2rem;
   color: #7f8c8d;
@@ -137,6 +167,12 @@ export const OptionText = styled.span`
   font-size: 1.2rem;
 `;
 
+export const OptionPhonetic = styled.span`
+  font-size: 0.9rem;
+  margin-top: 0.25rem;
+  opacity: 0.7;
+`;
+
 export const FeedbackMessage = styled(motion.div)`
   position: absolute;
   bottom: 10%;
@@ -197,4 +233,127 @@ export const RetryButton = styled.button`
   font-weight: 500;
   cursor: pointer;
   box-shadow: 0 4px 6px rgba(0,0,0,0.1);
-`; 
\ No newline at end of file
+`; 
+export const DictationForm = styled.form`
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  gap: 1rem;
+  width: 100%;
+  max-width: 600px;
+`;
+
+export const SpellingInput = styled.input`
+  width: 100%;
+  padding: 1rem 1.25rem;
+  font-size: 1.6rem;
+  text-align: center;
+  letter-spacing: 0.1em;
+  border: 2px solid #bdc3c7;
+  border-radius: 12px;
+  outline: none;
+  color: #2c3e50;
+
+  &:focus {
+    border-color: #3498db;
+  }
+
+  &:disabled {
+    background-color: #f8f9fa;
+  }
+`;
+
+export const DictationActions = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  justify-content: center;
+  gap: 0.75rem;
+`;
+
+export const DictationButton = styled.button`
+  padding: 0.75rem 1.25rem;
+  border: none;
+  border-radius: 8px;
+  font-size: 1rem;
+  font-weight: 500;
+  background-color: ${props => props.disabled ? '#bdc3c7' : props.$primary ? '#2ecc71' : '#ecf0f1'};
+  color: ${props => props.$primary || props.disabled ? '#ffffff' : '#2c3e50'};
+  cursor: ${props => props.disabled ? 'not-allowed' : 'pointer'};
+  box-shadow: ${props => props.disabled ? 'none' : '0 2px 4px rgba(0, 0, 0, 0.1)'};
+`;
+
+export const SyllableHint = styled.div`
+  font-size: 1.5rem;
+  letter-spacing: 0.15em;
+  color: #e67e22;
+  font-weight: bold;
+`;
+
+export const SpellingDiff = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  justify-content: center;
+  font-size: 1.6rem;
+  font-family: monospace;
+`;
+
+export const DiffLetter = styled.span`
+  padding: 0 0.1rem;
+  color: ${props => {
+    switch (props.$type) {
+      case 'match': return '#27ae60';
+      case 'missing': return '#95a5a6';
+      default: return '#e74c3c';
+    }
+  }};
+  text-decoration: ${props => props.$type === 'extra' ? 'line-through' : 'none'};
+  border-bottom: ${props => props.$type === 'missing' ? '2px dashed #95a5a6' : 'none'};
+  font-weight: ${props => props.$type === 'match' ? 'normal' : 'bold'};
+`;
+
+export const CorrectSpelling = styled.div`
+  font-size: 1.2rem;
+  color: #2c3e50;
+  font-weight: 500;
+`;
+
+export const AttemptsMessage = styled.div`
+  font-size: 1rem;
+  color: #7f8c8d;
+`;
+
+export const ClozeSentence = styled.p`
+  font-size: 1.8rem;
+  line-height: 1.6;
+  color: #2c3e50;
+  text-align: center;
+  max-width: 800px;
+  margin-bottom: 0.75rem;
+`;
+
+export const ClozeBlank = styled.span`
+  display: inline-block;
+  min-width: 4rem;
+  margin: 0 0.25rem;
+  border-bottom: 3px solid ${props => props.$revealed ? '#2ecc71' : '#3498db'};
+  color: #27ae60;
+  font-weight: bold;
+`;
+
+export const ClozeMeaning = styled.div`
+  font-size: 1.1rem;
+  color: #7f8c8d;
+  margin-bottom: 0.5rem;
+`;
+
+export const AnswerModeToggle = styled.button`
+  margin-bottom: 1rem;
+  padding: 0.5rem 1rem;
+  border: 2px solid #bdc3c7;
+  border-radius: 20px;
+  background-color: #ffffff;
+  color: #2c3e50;
+  font-size: 0.95rem;
+  cursor: ${props => props.disabled ? 'not-allowed' : 'pointer'};
+  opacity: ${props => props.disabled ? 0.6 : 1};
+`;
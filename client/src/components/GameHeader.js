@@ -1,6 +1,8 @@
 import React from 'react';
 import styled from 'styled-components';
 import { motion } from 'framer-motion';
+import { formatClock, getComboMultiplier } from '../hooks/useChallengeTimer';
+import { rankPlayers } from './Podium';
 
 // Helper function to format units for display
 const formatUnitDisplay = (units) => {
@@ -9,9 +11,19 @@ const formatUnitDisplay = (units) => {
   return units.map(unit => unit === 'Welcome_Unit' ? 'W' : unit).join(', ');
 };
 
-const GameHeader = ({ score, matchedPairs, totalPairs, onPause, units, volume }) => {
+/**
+ * @param {Object} countdown - { timeLeft, timeLimit } of the current word, when
+ *   the clock is not kept by a timed challenge (online rooms)
+ * @param {Object} leaderboard - { players, playerId, answeredIds } of an online room
+ */
+const GameHeader = ({ score, matchedPairs, totalPairs, moves, onPause, units, volume, label, challenge, countdown, leaderboard }) => {
   // Calculate progress percentage
   const progressPercentage = totalPairs > 0 ? (matchedPairs / totalPairs) * 100 : 0;
+
+  // Countdown of the current word
+  const wordClock = challenge
+    ? { timeLeft: challenge.wordTimeLeft, timeLimit: challenge.wordTimeLimit }
+    : countdown;
   
   // Format units for display
   const unitsDisplay = formatUnitDisplay(units);
@@ -23,10 +35,32 @@ const GameHeader = ({ score, matchedPairs, totalPairs, onPause, units, volume })
           <StatLabel>分数 Score</StatLabel>
           <StatValue>{score.toLocaleString()}</StatValue>
         </StatBox>
-        {volume && unitsDisplay && (
+        {moves !== null && moves !== undefined && (
+          <StatBox>
+            <StatLabel>步数 Moves</StatLabel>
+            <StatValue>{moves}</StatValue>
+          </StatBox>
+        )}
+        {challenge && (
+          <>
+            <StatBox>
+              <StatLabel>用时 Time</StatLabel>
+              <StatValue>⏱ {formatClock(challenge.elapsed)}</StatValue>
+            </StatBox>
+            <StatBox>
+              <StatLabel>连击 Combo</StatLabel>
+              <ComboValue $active={challenge.combo > 1}>
+                {challenge.combo > 1 ? `🔥 ×${getComboMultiplier(challenge.combo)}` : '-'}
+              </ComboValue>
+            </StatBox>
+          </>
+        )}
+        {volume && unitsDisplay ? (
           <LevelInfo>
             V{volume} - {unitsDisplay}
           </LevelInfo>
+        ) : label && (
+          <LevelInfo>{label}</LevelInfo>
         )}
       </StatsContainer>
 
@@ -40,21 +74,49 @@ const GameHeader = ({ score, matchedPairs, totalPairs, onPause, units, volume })
             $percentage={progressPercentage}
           />
         </ProgressBarOuter>
+        {wordClock && (
+          <CountdownBar>
+            <CountdownBarInner
+              style={{ width: `${(wordClock.timeLeft / wordClock.timeLimit) * 100}%` }}
+              $urgent={wordClock.timeLeft < wordClock.timeLimit * 0.3}
+            />
+            <CountdownText>{Math.ceil(wordClock.timeLeft / 1000)}s</CountdownText>
+          </CountdownBar>
+        )}
       </ProgressContainer>
 
-      <Controls>
-        <ControlButton 
-          onClick={onPause}
-          whileHover={{ scale: 1.1 }}
-          whileTap={{ scale: 0.9 }}
-          aria-label="Pause Game"
-        >
-          <svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-            <rect x="6" y="4" width="4" height="16" rx="1" fill="currentColor" />
-            <rect x="14" y="4" width="4" height="16" rx="1" fill="currentColor" />
-          </svg>
-        </ControlButton>
-      </Controls>
+      {onPause && (
+        <Controls>
+          <ControlButton 
+            onClick={onPause}
+            whileHover={{ scale: 1.1 }}
+            whileTap={{ scale: 0.9 }}
+            aria-label="Pause Game"
+          >
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+              <rect x="6" y="4" width="4" height="16" rx="1" fill="currentColor" />
+              <rect x="14" y="4" width="4" height="16" rx="1" fill="currentColor" />
+            </svg>
+          </ControlButton>
+        </Controls>
+      )}
+
+      {leaderboard && (
+        <Leaderboard>
+          {rankPlayers(leaderboard.players).map((player, index) => (
+            <LeaderboardEntry
+              key={player.id}
+              layout
+              $self={player.id === leaderboard.playerId}
+            >
+              <span>{index + 1}.</span>
+              <span>{player.avatar} {player.name}</span>
+              <strong>{player.score.toLocaleString()}</strong>
+              {leaderboard.answeredIds?.includes(player.id) && <span>✓</span>}
+            </LeaderboardEntry>
+          ))}
+        </Leaderboard>
+      )}
     </HeaderContainer>
   );
 };
@@ -141,6 +203,55 @@ const ProgressBarInner = styled.div`
   transition: width 0.3s ease;
 `;
 
+const ComboValue = styled.div`
+  font-size: 1.25rem;
+  font-weight: 600;
+  color: ${props => props.$active ? '#e67e22' : '#bdc3c7'};
+`;
+
+const CountdownBar = styled.div`
+  position: relative;
+  width: 100%;
+  height: 16px;
+  background-color: #ecf0f1;
+  border-radius: 8px;
+  overflow: hidden;
+`;
+
+const CountdownBarInner = styled.div`
+  height: 100%;
+  background-color: ${props => props.$urgent ? '#e74c3c' : '#3498db'};
+  transition: width 0.1s linear;
+`;
+
+const CountdownText = styled.span`
+  position: absolute;
+  top: 0;
+  right: 0.5rem;
+  font-size: 0.75rem;
+  line-height: 16px;
+  font-weight: 600;
+  color: #2c3e50;
+`;
+
+const Leaderboard = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 0.5rem;
+  width: 100%;
+`;
+
+const LeaderboardEntry = styled(motion.div)`
+  display: flex;
+  align-items: center;
+  gap: 0.35rem;
+  padding: 0.25rem 0.75rem;
+  border-radius: 16px;
+  font-size: 0.9rem;
+  background-color: ${props => props.$self ? '#3498db' : '#edf2f7'};
+  color: ${props => props.$self ? '#ffffff' : '#2c3e50'};
+`;
+
 const Controls = styled.div`
   display: flex;
   gap: 0.75rem;
@@ -1,6 +1,8 @@
 import React from 'react';
 import styled from 'styled-components';
 import { motion } from 'framer-motion';
+import { formatClock } from '../hooks/useChallengeTimer';
+import Podium from './Podium';
 
 // Helper function to format units for display
 const formatUnitsDisplay = (units) => {
@@ -9,13 +11,15 @@ const formatUnitsDisplay = (units) => {
   return units.map(unit => unit === 'Welcome_Unit' ? 'W' : unit).join(', ');
 };
 
-const GameOverModal = ({ score, correctAnswers, totalAttempted, onRestart, onBackToMenu, level }) => {
-  // Calculate star rating based on correct answers ratio
+const GameOverModal = ({ score, correctAnswers, totalAttempted, onRestart, onBackToMenu, onShowMistakes, level, challenge, players }) => {
+  // Calculate star rating based on correct answers ratio, and on speed in the timed challenge
   const calculateStars = () => {
     const accuracy = totalAttempted > 0 ? (correctAnswers / totalAttempted) : 0;
+    // Share of the word clock used on average (0 = instant, 1 = ran out)
+    const timeUsed = challenge ? challenge.averageAnswerTime / challenge.wordTimeLimit : 0;
     
-    if (accuracy >= 0.9 && correctAnswers >= 10) return 3; // Excellent performance
-    if (accuracy >= 0.7 && correctAnswers >= 5) return 2; // Good performance
+    if (accuracy >= 0.9 && correctAnswers >= 10 && timeUsed <= 0.5) return 3; // Excellent performance
+    if (accuracy >= 0.7 && correctAnswers >= 5 && timeUsed <= 0.75) return 2; // Good performance
     return 1; // Average performance
   };
 
@@ -45,6 +49,12 @@ const GameOverModal = ({ score, correctAnswers, totalAttempted, onRestart, onBac
           <VictorySubtitle>来看看你的表现如何</VictorySubtitle>
         </ModalHeader>
 
+        {level?.label && !volume && (
+          <LevelInfo>
+            {level.label}
+          </LevelInfo>
+        )}
+
         {volume && unitsDisplay && (
           <LevelInfo>
             Volume {volume} - Unit {unitsDisplay}
@@ -55,52 +65,77 @@ const GameOverModal = ({ score, correctAnswers, totalAttempted, onRestart, onBac
           </LevelInfo>
         )}
 
-        <StarsContainer>
-          {[1, 2, 3].map((i) => (
-            <Star 
-              key={i} 
-              $active={i <= stars}
-              initial={{ scale: 0.5, opacity: 0 }}
-              animate={{ 
-                scale: 1, 
-                opacity: 1,
-                rotate: i <= stars ? [0, 15, -15, 0] : 0 
-              }}
-              transition={{ 
-                delay: 0.3 + (i * 0.2), 
-                duration: 0.5,
-                type: 'spring' 
-              }}
-            >
-              ★
-            </Star>
-          ))}
-        </StarsContainer>
+        {players && players.length > 1 ? (
+          <Podium players={players} />
+        ) : (
+          <>
+            <StarsContainer>
+              {[1, 2, 3].map((i) => (
+                <Star 
+                  key={i} 
+                  $active={i <= stars}
+                  initial={{ scale: 0.5, opacity: 0 }}
+                  animate={{ 
+                    scale: 1, 
+                    opacity: 1,
+                    rotate: i <= stars ? [0, 15, -15, 0] : 0 
+                  }}
+                  transition={{ 
+                    delay: 0.3 + (i * 0.2), 
+                    duration: 0.5,
+                    type: 'spring' 
+                  }}
+                >
+                  ★
+                </Star>
+              ))}
+            </StarsContainer>
+
+            <StatsContainer>
+              <StatItem>
+                <StatLabel>得分</StatLabel>
+                <StatValue>{score.toLocaleString()}</StatValue>
+              </StatItem>
+              <StatItem>
+                <StatLabel>正确词汇</StatLabel>
+                <StatValue>{correctAnswers}</StatValue>
+              </StatItem>
+              <StatItem>
+                <StatLabel>准确率</StatLabel>
+                <StatValue>{accuracy}%</StatValue>
+              </StatItem>
+            </StatsContainer>
 
-        <StatsContainer>
-          <StatItem>
-            <StatLabel>得分</StatLabel>
-            <StatValue>{score.toLocaleString()}</StatValue>
-          </StatItem>
-          <StatItem>
-            <StatLabel>正确词汇</StatLabel>
-            <StatValue>{correctAnswers}</StatValue>
-          </StatItem>
-          <StatItem>
-            <StatLabel>准确率</StatLabel>
-            <StatValue>{accuracy}%</StatValue>
-          </StatItem>
-        </StatsContainer>
+            {challenge && (
+              <StatsContainer>
+                <StatItem>
+                  <StatLabel>总用时</StatLabel>
+                  <StatValue>{formatClock(challenge.elapsed)}</StatValue>
+                </StatItem>
+                <StatItem>
+                  <StatLabel>平均每词</StatLabel>
+                  <StatValue>{(challenge.averageAnswerTime / 1000).toFixed(1)}s</StatValue>
+                </StatItem>
+                <StatItem>
+                  <StatLabel>最高连击</StatLabel>
+                  <StatValue>{challenge.maxCombo}</StatValue>
+                </StatItem>
+              </StatsContainer>
+            )}
+          </>
+        )}
 
         <ButtonsContainer>
-          <ActionButton 
-            $variant="primary"
-            onClick={onRestart}
-            whileHover={{ scale: 1.05 }}
-            whileTap={{ scale: 0.95 }}
-          >
-            再玩一次 Play Again
-          </ActionButton>
+          {onRestart && (
+            <ActionButton 
+              $variant="primary"
+              onClick={onRestart}
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+            >
+              再玩一次 Play Again
+            </ActionButton>
+          )}
           <ActionButton 
             $variant="secondary"
             onClick={onBackToMenu}
@@ -109,6 +144,16 @@ const GameOverModal = ({ score, correctAnswers, totalAttempted, onRestart, onBac
           >
             返回菜单 Back to Menu
           </ActionButton>
+          {onShowMistakes && (
+            <ActionButton 
+              $variant="secondary"
+              onClick={onShowMistakes}
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+            >
+              错题本 Mistakes
+            </ActionButton>
+          )}
         </ButtonsContainer>
 
         <MotivationalText>
@@ -229,6 +274,8 @@ const StatValue = styled.p`
 
 const ButtonsContainer = styled.div`
   display: flex;
+  flex-wrap: wrap;
+  justify-content: center;
   gap: 1rem;
   margin-bottom: 1.5rem;
 `;
@@ -0,0 +1,301 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import styled from 'styled-components';
+import { motion } from 'framer-motion';
+import API from '../utils/api';
+import { MODE_OPTIONS, DIFFICULTY_OPTIONS } from './LevelSelect';
+
+// Describe an assignment's words, e.g. "V1 · 单元 W, 1 · 普通 Normal · 英→中 Classic"
+export const describeAssignment = (assignment) => [
+  `V${assignment.volume}`,
+  `单元 ${assignment.units.map(unit => unit === 'welcome' ? 'W' : unit).join(', ')}`,
+  DIFFICULTY_OPTIONS.find(option => option.id === assignment.difficulty)?.label,
+  MODE_OPTIONS.find(option => option.id === assignment.mode)?.label
+].filter(Boolean).join(' · ');
+
+export const formatDueDate = (dueDate) => new Date(dueDate).toLocaleDateString();
+
+/**
+ * "我的作业": homework set by the student's teachers
+ */
+const HomeworkList = ({ profile, onStartAssignment, onBack }) => {
+  const [assignments, setAssignments] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [classCode, setClassCode] = useState('');
+  const [joinMessage, setJoinMessage] = useState(null);
+
+  const profileId = profile?.id;
+
+  const loadAssignments = useCallback(async () => {
+    try {
+      setAssignments(await API.getAssignments(profileId));
+      setError(null);
+    } catch (err) {
+      console.error('Error loading assignments:', err);
+      setError('作业加载失败 Failed to load homework');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [profileId]);
+
+  useEffect(() => {
+    if (profileId) {
+      loadAssignments();
+    }
+  }, [profileId, loadAssignments]);
+
+  const handleJoinClass = async (e) => {
+    e.preventDefault();
+    if (!classCode.trim()) return;
+
+    try {
+      const joined = await API.joinClass(classCode.trim(), profile.id);
+      setClassCode('');
+      setJoinMessage(`已加入 ${joined.name}`);
+      await loadAssignments();
+    } catch (err) {
+      console.error('Error joining class:', err);
+      setJoinMessage(`加入失败 Could not join: ${err.message}`);
+    }
+  };
+
+  const now = Date.now();
+
+  return (
+    <Container
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+    >
+      <Header>
+        <BackButton
+          onClick={onBack}
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.9 }}
+        >
+          ← 返回
+        </BackButton>
+        <Title>我的作业</Title>
+      </Header>
+
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+
+      {isLoading ? (
+        <LoadingMessage>Loading homework...</LoadingMessage>
+      ) : assignments.length === 0 ? (
+        <EmptyMessage>还没有作业。输入老师给的班级码加入班级吧！</EmptyMessage>
+      ) : (
+        <AssignmentList>
+          {assignments.map(assignment => {
+            const isOverdue = !assignment.completed && assignment.dueDate < now;
+            return (
+              <AssignmentCard key={assignment.id} $completed={assignment.completed}>
+                <AssignmentInfo>
+                  <AssignmentTitle>{assignment.title}</AssignmentTitle>
+                  <AssignmentMeta>{assignment.className} · {describeAssignment(assignment)}</AssignmentMeta>
+                  <DueDate $overdue={isOverdue}>
+                    截止 Due {formatDueDate(assignment.dueDate)}
+                    {isOverdue && ' · 已逾期 Overdue'}
+                  </DueDate>
+                </AssignmentInfo>
+                {assignment.completed && (
+                  <CompletedBadge>
+                    ✓ {Math.round(assignment.bestAccuracy * 100)}%
+                  </CompletedBadge>
+                )}
+                <StartButton
+                  onClick={() => onStartAssignment(assignment)}
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                >
+                  {assignment.completed ? '再练 Again' : '开始 Start'}
+                </StartButton>
+              </AssignmentCard>
+            );
+          })}
+        </AssignmentList>
+      )}
+
+      <JoinForm onSubmit={handleJoinClass}>
+        <SectionLabel>加入班级 Join a Class</SectionLabel>
+        <JoinRow>
+          <CodeInput
+            type="text"
+            value={classCode}
+            maxLength={6}
+            placeholder="班级码 Class code"
+            onChange={(e) => setClassCode(e.target.value.toUpperCase())}
+          />
+          <StartButton
+            type="submit"
+            disabled={!classCode.trim()}
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+          >
+            加入 Join
+          </StartButton>
+        </JoinRow>
+        {joinMessage && <JoinMessage>{joinMessage}</JoinMessage>}
+      </JoinForm>
+    </Container>
+  );
+};
+
+const Container = styled(motion.div)`
+  display: flex;
+  flex-direction: column;
+  padding: 2rem;
+  height: 100%;
+  width: 100%;
+  max-width: 800px;
+  margin: 0 auto;
+`;
+
+const Header = styled.div`
+  display: flex;
+  align-items: center;
+  margin-bottom: 2rem;
+  position: relative;
+`;
+
+const BackButton = styled(motion.button)`
+  background: none;
+  border: none;
+  font-size: 1.2rem;
+  color: #2c3e50;
+  cursor: pointer;
+  position: absolute;
+  left: 0;
+  padding: 0.5rem 1rem;
+`;
+
+const Title = styled.h2`
+  font-size: 2rem;
+  font-weight: 600;
+  text-align: center;
+  width: 100%;
+  color: #2c3e50;
+`;
+
+const LoadingMessage = styled.div`
+  text-align: center;
+  font-size: 1.2rem;
+  color: #3498db;
+  margin: 2rem 0;
+`;
+
+const ErrorMessage = styled.div`
+  text-align: center;
+  font-size: 1.2rem;
+  color: #e74c3c;
+  margin-bottom: 1rem;
+  padding: 1rem;
+  background-color: #ffeaea;
+  border-radius: 8px;
+`;
+
+const EmptyMessage = styled.div`
+  text-align: center;
+  font-size: 1.1rem;
+  color: #7f8c8d;
+  margin: 2rem 0;
+`;
+
+const AssignmentList = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 1rem;
+  margin-bottom: 2rem;
+`;
+
+const AssignmentCard = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 1rem;
+  padding: 1rem 1.25rem;
+  border-radius: 12px;
+  background-color: ${props => props.$completed ? '#eafaf1' : '#ffffff'};
+  box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+`;
+
+const AssignmentInfo = styled.div`
+  flex: 1;
+  min-width: 0;
+`;
+
+const AssignmentTitle = styled.div`
+  font-size: 1.2rem;
+  font-weight: 600;
+  color: #2c3e50;
+`;
+
+const AssignmentMeta = styled.div`
+  font-size: 0.9rem;
+  color: #7f8c8d;
+  margin: 0.25rem 0;
+`;
+
+const DueDate = styled.div`
+  font-size: 0.85rem;
+  color: ${props => props.$overdue ? '#e74c3c' : '#34495e'};
+`;
+
+const CompletedBadge = styled.div`
+  font-weight: 600;
+  color: #27ae60;
+`;
+
+const StartButton = styled(motion.button)`
+  padding: 0.6rem 1.2rem;
+  border: none;
+  border-radius: 8px;
+  background-color: #3498db;
+  color: white;
+  font-size: 1rem;
+  cursor: pointer;
+
+  &:disabled {
+    background-color: #bdc3c7;
+    cursor: not-allowed;
+  }
+`;
+
+const JoinForm = styled.form`
+  display: flex;
+  flex-direction: column;
+  gap: 0.75rem;
+  padding: 1.5rem;
+  border-radius: 12px;
+  background-color: rgba(255, 255, 255, 0.7);
+`;
+
+const SectionLabel = styled.h3`
+  font-size: 1.1rem;
+  color: #2c3e50;
+  margin: 0;
+`;
+
+const JoinRow = styled.div`
+  display: flex;
+  gap: 0.75rem;
+`;
+
+const CodeInput = styled.input`
+  flex: 1;
+  padding: 0.75rem 1rem;
+  border: 2px solid #bdc3c7;
+  border-radius: 8px;
+  font-size: 1.1rem;
+  letter-spacing: 0.2rem;
+
+  &:focus {
+    outline: none;
+    border-color: #3498db;
+  }
+`;
+
+const JoinMessage = styled.div`
+  color: #34495e;
+`;
+
+export default HomeworkList;
@@ -2,25 +2,76 @@ import React, { useState, useEffect } from 'react';
 import styled from 'styled-components';
 import { motion } from 'framer-motion';
 import API from '../utils/api';
+import { GAME_MODES, MULTIPLAYER_MODES } from '../hooks/useGameState';
+import { RACE_GAME_MODES } from './RaceBoard';
+import { AVATARS } from '../utils/profileManager';
+import { CUSTOM_LIST_VOLUME, downloadVolume, removeDownloadedVolume, getDownloadedUnits } from '../utils/dataLoader';
+import { openExport } from '../utils/exportFiles';
 
-const LevelSelect = ({ onLevelSelect, onBack, vocabularyData }) => {
+// Difficulty levels, which decide how many words a game has
+export const DIFFICULTY_OPTIONS = [
+  { id: 'easy', label: '简单 Easy' },
+  { id: 'normal', label: '普通 Normal' },
+  { id: 'hard', label: '困难 Hard' }
+];
+
+// Game modes a level can be played in
+export const MODE_OPTIONS = [
+  { id: GAME_MODES.CLASSIC, label: '英→中 Classic' },
+  { id: GAME_MODES.REVERSE, label: '中→英 Reverse' },
+  { id: GAME_MODES.DICTATION, label: '听写 Dictation' },
+  { id: GAME_MODES.CLOZE, label: '例句填空 Cloze' },
+  { id: GAME_MODES.MATCHING, label: '消消乐 Match Pairs' }
+];
+
+// How a local multiplayer game shares the device
+const MULTIPLAYER_OPTIONS = [
+  { id: MULTIPLAYER_MODES.HOTSEAT, label: '轮流 Hot-seat' },
+  { id: MULTIPLAYER_MODES.RACE, label: '分屏 Split Race' }
+];
+
+// Players sharing the device, named by seat
+const createPlayers = (count) =>
+  Array.from({ length: count }, (_, index) => ({
+    id: `p${index + 1}`,
+    name: `玩家 ${index + 1}`,
+    avatar: AVATARS[index % AVATARS.length]
+  }));
+
+const LevelSelect = ({ onLevelSelect, onPreview, onBack, vocabularyData, isOnline }) => {
   const [selectedVolume, setSelectedVolume] = useState(1);
   const [selectedUnits, setSelectedUnits] = useState([]);
   const [selectedDifficulty, setSelectedDifficulty] = useState('normal');
+  const [selectedMode, setSelectedMode] = useState(GAME_MODES.CLASSIC);
+  const [isTimed, setIsTimed] = useState(false);
+  const [playerCount, setPlayerCount] = useState(1);
+  const [multiplayerMode, setMultiplayerMode] = useState(MULTIPLAYER_MODES.HOTSEAT);
   const [availableUnits, setAvailableUnits] = useState([]);
   const [availableVolumes, setAvailableVolumes] = useState([1, 2, 3, 4, 5, 6, 7]);
   const [serverUnitsData, setServerUnitsData] = useState(null);
+  const [wordLists, setWordLists] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  // Units downloaded for offline play, by volume
+  const [offlineUnits, setOfflineUnits] = useState({});
+  // Progress of a volume download: { done, total }
+  const [download, setDownload] = useState(null);
+  const [downloadError, setDownloadError] = useState(null);
   
   // Fetch available units from server when LevelSelect component is opened
   useEffect(() => {
     const fetchUnitsFromServer = async () => {
       try {
         setIsLoading(true);
-        const unitsData = await API.getAllUnits();
-        console.log("Server units data:", unitsData);
+        const [serverUnits, downloaded] = await Promise.all([
+          API.getAllUnits(),
+          getDownloadedUnits().catch(() => ({}))
+        ]);
+        console.log("Server units data:", serverUnits);
+        setOfflineUnits(downloaded);
         
+        // Without a connection, offer the units downloaded for offline play
+        const unitsData = Object.keys(serverUnits).length > 0 ? serverUnits : downloaded;
         if (Object.keys(unitsData).length > 0) {
           setServerUnitsData(unitsData);
           
@@ -42,6 +93,11 @@ const LevelSelect = ({ onLevelSelect, onBack, vocabularyData }) => {
     
     // Call fetchUnitsFromServer only when component mounts, as this is when the "选择关卡" page is opened
     fetchUnitsFromServer();
+    
+    // Teachers' custom word lists
+    API.getWordLists()
+      .then(setWordLists)
+      .catch(err => console.error("Error fetching word lists:", err));
   }, []);
   
   useEffect(() => {
@@ -52,7 +108,10 @@ const LevelSelect = ({ onLevelSelect, onBack, vocabularyData }) => {
   useEffect(() => {
     setSelectedUnits([]);
     
-    if (serverUnitsData && serverUnitsData[selectedVolume]) {
+    if (selectedVolume === CUSTOM_LIST_VOLUME) {
+      // Each custom word list is played like a unit
+      setAvailableUnits(wordLists.map(list => list.id));
+    } else if (serverUnitsData && serverUnitsData[selectedVolume]) {
       // Server data is available, use it
       const units = [...serverUnitsData[selectedVolume]]
         .sort((a, b) => {
@@ -85,7 +144,7 @@ const LevelSelect = ({ onLevelSelect, onBack, vocabularyData }) => {
     } else {
       setAvailableUnits([]);
     }
-  }, [selectedVolume, vocabularyData, serverUnitsData]);
+  }, [selectedVolume, vocabularyData, serverUnitsData, wordLists]);
 
   const handleUnitToggle = (unit) => {
     setSelectedUnits(prevSelected => {
@@ -102,22 +161,81 @@ const LevelSelect = ({ onLevelSelect, onBack, vocabularyData }) => {
     });
   };
 
+  // Race lanes only play modes with four options per word
+  const canRace = RACE_GAME_MODES.includes(selectedMode);
+  const isRace = playerCount > 1 && canRace && multiplayerMode === MULTIPLAYER_MODES.RACE;
+
+  // The level as chosen so far, for starting or previewing it
+  const buildLevel = () => {
+    const isCustom = selectedVolume === CUSTOM_LIST_VOLUME;
+    return {
+      ...(isCustom ? {
+        listIds: selectedUnits,
+        label: selectedUnits.map(formatUnitDisplay).join(' + ')
+      } : {
+        volume: selectedVolume,
+        units: selectedUnits
+      }),
+      difficulty: selectedDifficulty,
+      mode: selectedMode,
+      // The matching board has no per-word clock, and race lanes keep their own pace
+      timed: isTimed && selectedMode !== GAME_MODES.MATCHING && !isRace,
+      players: playerCount > 1 ? createPlayers(playerCount) : [],
+      multiplayer: playerCount > 1 ? (isRace ? MULTIPLAYER_MODES.RACE : MULTIPLAYER_MODES.HOTSEAT) : null
+    };
+  };
+
   const handleStartGame = () => {
     // Don't start if no units are selected
     if (selectedUnits.length === 0) {
       return;
     }
     
-    onLevelSelect({
-      volume: selectedVolume,
-      units: selectedUnits,
-      difficulty: selectedDifficulty
-    });
+    onLevelSelect(buildLevel());
+  };
+
+  const handlePreview = () => {
+    if (selectedUnits.length === 0) {
+      return;
+    }
+    
+    onPreview(buildLevel());
+  };
+
+  const isUnitOffline = (unit) => (offlineUnits[selectedVolume] || []).includes(String(unit));
+  const isVolumeOffline = availableUnits.length > 0 && availableUnits.every(isUnitOffline);
+
+  const handleDownloadVolume = async () => {
+    setDownloadError(null);
+    setDownload({ done: 0, total: availableUnits.length });
+    try {
+      await downloadVolume(selectedVolume, (done, total) => setDownload({ done, total }));
+    } catch (err) {
+      console.error("Error downloading volume:", err);
+      setDownloadError(navigator.onLine
+        ? `下载失败 Download failed: ${err.message}`
+        : '没有网络，无法下载 No connection, try again when you are online');
+    }
+    setOfflineUnits(await getDownloadedUnits().catch(() => ({})));
+    setDownload(null);
+  };
+
+  const handleRemoveDownload = async () => {
+    try {
+      await removeDownloadedVolume(selectedVolume);
+    } catch (err) {
+      console.error("Error removing downloaded volume:", err);
+    }
+    setOfflineUnits(await getDownloadedUnits().catch(() => ({})));
   };
 
   // Convert server format "welcome" to client format "Welcome_Unit"
   const formatUnitDisplay = (unit) => {
     if (unit === "welcome" || unit === "Welcome_Unit") return 'Welcome';
+    if (selectedVolume === CUSTOM_LIST_VOLUME) {
+      const list = wordLists.find(item => item.id === unit);
+      return list ? list.title : unit;
+    }
     return unit;
   };
   
@@ -158,6 +276,17 @@ const LevelSelect = ({ onLevelSelect, onBack, vocabularyData }) => {
                   {volume}
                 </SelectButton>
               ))}
+              {/* Online rooms only deal textbook units */}
+              {!isOnline && wordLists.length > 0 && (
+                <SelectButton 
+                  selected={selectedVolume === CUSTOM_LIST_VOLUME}
+                  onClick={() => setSelectedVolume(CUSTOM_LIST_VOLUME)}
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                >
+                  自定义 Custom
+                </SelectButton>
+              )}
             </ButtonGroup>
           </SelectionGroup>
 
@@ -174,22 +303,49 @@ const LevelSelect = ({ onLevelSelect, onBack, vocabularyData }) => {
                     whileTap={{ scale: 0.95 }}
                   >
                     {formatUnitDisplay(unit)}
+                    {isUnitOffline(unit) && (
+                      <OfflineMark title="已下载，可离线使用 Available offline">✓</OfflineMark>
+                    )}
                   </SelectButton>
                 ))
               ) : (
                 <NoUnitsMessage>No units available for this volume</NoUnitsMessage>
               )}
             </ButtonGroup>
+            {!isOnline && selectedUnits.length === 1 && (
+              <ExportRow>
+                导出 Export:
+                <LinkButton onClick={() => openExport(API.getExportUrl(selectedVolume, selectedUnits[0], 'anki'))}>
+                  Anki 卡组
+                </LinkButton>
+                <LinkButton onClick={() => openExport(API.getExportUrl(selectedVolume, selectedUnits[0], 'worksheet'))}>
+                  打印练习单 Worksheet
+                </LinkButton>
+              </ExportRow>
+            )}
+            {!isOnline && selectedVolume !== CUSTOM_LIST_VOLUME && availableUnits.length > 0 && (
+              <ExportRow>
+                离线 Offline:
+                {download ? (
+                  <span>下载中 Downloading {download.done}/{download.total}</span>
+                ) : isVolumeOffline ? (
+                  <>
+                    <span>本册已下载 Volume downloaded</span>
+                    <LinkButton onClick={handleDownloadVolume}>更新 Update</LinkButton>
+                    <LinkButton onClick={handleRemoveDownload}>删除 Remove</LinkButton>
+                  </>
+                ) : (
+                  <LinkButton onClick={handleDownloadVolume}>下载本册 Download volume</LinkButton>
+                )}
+              </ExportRow>
+            )}
+            {downloadError && <DownloadError>{downloadError}</DownloadError>}
           </SelectionGroup>
 
           <SelectionGroup>
             <SelectionLabel>选择难度 Difficulty</SelectionLabel>
             <ButtonGroup>
-              {[
-                { id: 'easy', label: '简单 Easy' },
-                { id: 'normal', label: '普通 Normal' },
-                { id: 'hard', label: '困难 Hard' }
-              ].map(diff => (
+              {DIFFICULTY_OPTIONS.map(diff => (
                 <DifficultyButton 
                   key={diff.id}
                   selected={selectedDifficulty === diff.id}
@@ -203,17 +359,110 @@ const LevelSelect = ({ onLevelSelect, onBack, vocabularyData }) => {
               ))}
             </ButtonGroup>
           </SelectionGroup>
+
+          {/* Online rooms always play classic, with one player per device */}
+          {!isOnline && (
+            <>
+              <SelectionGroup>
+                <SelectionLabel>选择模式 Mode</SelectionLabel>
+                <ButtonGroup>
+                  {MODE_OPTIONS.map(mode => (
+                    <SelectButton 
+                      key={mode.id}
+                      selected={selectedMode === mode.id}
+                      onClick={() => setSelectedMode(mode.id)}
+                      whileHover={{ scale: 1.05 }}
+                      whileTap={{ scale: 0.95 }}
+                    >
+                      {mode.label}
+                    </SelectButton>
+                  ))}
+                </ButtonGroup>
+              </SelectionGroup>
+
+              <SelectionGroup>
+                <SelectionLabel>玩家人数 Players</SelectionLabel>
+                <ButtonGroup>
+                  {[1, 2, 3, 4].map(count => (
+                    <SelectButton 
+                      key={count}
+                      selected={playerCount === count}
+                      onClick={() => setPlayerCount(count)}
+                      whileHover={{ scale: 1.05 }}
+                      whileTap={{ scale: 0.95 }}
+                    >
+                      {count === 1 ? '单人 Solo' : `${count} 人`}
+                    </SelectButton>
+                  ))}
+                </ButtonGroup>
+              </SelectionGroup>
+
+              {playerCount > 1 && (
+                <SelectionGroup>
+                  <SelectionLabel>对战方式 Play Style</SelectionLabel>
+                  <ButtonGroup>
+                    {MULTIPLAYER_OPTIONS.map(option => (
+                      <SelectButton 
+                        key={option.id}
+                        selected={(option.id === MULTIPLAYER_MODES.RACE) === isRace}
+                        onClick={() => setMultiplayerMode(option.id)}
+                        disabled={option.id === MULTIPLAYER_MODES.RACE && !canRace}
+                        whileHover={{ scale: 1.05 }}
+                        whileTap={{ scale: 0.95 }}
+                      >
+                        {option.label}
+                      </SelectButton>
+                    ))}
+                  </ButtonGroup>
+                </SelectionGroup>
+              )}
+
+              {selectedMode !== GAME_MODES.MATCHING && !isRace && (
+                <SelectionGroup>
+                  <SelectionLabel>限时挑战 Timed Challenge</SelectionLabel>
+                  <ButtonGroup>
+                    {[
+                      { id: false, label: '关闭 Off' },
+                      { id: true, label: '⏱ 开启 On' }
+                    ].map(option => (
+                      <SelectButton 
+                        key={option.label}
+                        selected={isTimed === option.id}
+                        onClick={() => setIsTimed(option.id)}
+                        whileHover={{ scale: 1.05 }}
+                        whileTap={{ scale: 0.95 }}
+                      >
+                        {option.label}
+                      </SelectButton>
+                    ))}
+                  </ButtonGroup>
+                </SelectionGroup>
+              )}
+            </>
+          )}
         </SelectionArea>
       )}
 
-      <StartButton 
-        onClick={handleStartGame}
-        whileHover={{ scale: 1.05 }}
-        whileTap={{ scale: 0.95 }}
-        disabled={selectedUnits.length === 0}
-      >
-        开始游戏 Start Game
-      </StartButton>
+      <StartRow>
+        {!isOnline && (
+          <PreviewButton 
+            onClick={handlePreview}
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            disabled={selectedUnits.length === 0}
+          >
+            预习 Preview
+          </PreviewButton>
+        )}
+        <StartButton 
+          onClick={handleStartGame}
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          disabled={selectedUnits.length === 0}
+        >
+          {isOnline ? '创建房间 Create Room' : '开始游戏 Start Game'}
+        </StartButton>
+      </StartRow>
 
       <LevelInfo>
         <InfoTitle>关卡信息</InfoTitle>
@@ -228,6 +477,19 @@ const LevelSelect = ({ onLevelSelect, onBack, vocabularyData }) => {
             {selectedDifficulty === 'easy' ? '简单 Easy' : 
              selectedDifficulty === 'normal' ? '普通 Normal' : '困难 Hard'}
           </InfoHighlight><br />
+          {!isOnline && (
+            <>
+              模式: <InfoHighlight>
+                {MODE_OPTIONS.find(mode => mode.id === selectedMode).label}
+                {isTimed && selectedMode !== GAME_MODES.MATCHING && !isRace && ' · 限时挑战'}
+              </InfoHighlight><br />
+              玩家: <InfoHighlight>
+                {playerCount === 1 ? '单人' :
+                  `${playerCount} 人 · ${MULTIPLAYER_OPTIONS.find(option =>
+                    option.id === (isRace ? MULTIPLAYER_MODES.RACE : MULTIPLAYER_MODES.HOTSEAT)).label}`}
+              </InfoHighlight><br />
+            </>
+          )}
           单词数量: <InfoHighlight>
             {selectedUnits.length === 0 ? '0' : 
               `约 ${selectedUnits.length * 
@@ -334,6 +596,43 @@ const SelectButton = styled(motion.button)`
   &:hover {
     border-color: ${props => props.selected ? '#2980b9' : '#95a5a6'};
   }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const ExportRow = styled.div`
+  display: flex;
+  justify-content: center;
+  align-items: center;
+  gap: 1rem;
+  margin-top: 0.75rem;
+  font-size: 0.9rem;
+  color: #7f8c8d;
+`;
+
+const LinkButton = styled.button`
+  background: none;
+  border: none;
+  color: #2980b9;
+  font-size: 0.9rem;
+  text-decoration: underline;
+  cursor: pointer;
+`;
+
+const OfflineMark = styled.span`
+  margin-left: 0.35rem;
+  font-size: 0.8rem;
+  color: #27ae60;
+`;
+
+const DownloadError = styled.div`
+  margin-top: 0.5rem;
+  text-align: center;
+  font-size: 0.9rem;
+  color: #e74c3c;
 `;
 
 const NoUnitsMessage = styled.div`
@@ -363,6 +662,25 @@ const DifficultyButton = styled(SelectButton)`
   }};
 `;
 
+const StartRow = styled.div`
+  display: flex;
+  justify-content: center;
+  gap: 1rem;
+  margin: 1rem auto;
+  width: 100%;
+`;
+
+const PreviewButton = styled(motion.button)`
+  background-color: #ffffff;
+  color: ${props => props.disabled ? '#95a5a6' : '#2980b9'};
+  border: 2px solid ${props => props.disabled ? '#95a5a6' : '#3498db'};
+  border-radius: 12px;
+  padding: 1rem 1.5rem;
+  font-size: 1.2rem;
+  font-weight: 600;
+  cursor: ${props => props.disabled ? 'not-allowed' : 'pointer'};
+`;
+
 const StartButton = styled(motion.button)`
   background-color: ${props => props.disabled ? '#95a5a6' : '#2ecc71'};
   color: white;
@@ -374,7 +692,6 @@ const StartButton = styled(motion.button)`
   cursor: ${props => props.disabled ? 'not-allowed' : 'pointer'};
   width: 100%;
   max-width: 300px;
-  margin: 1rem auto;
   box-shadow: ${props => props.disabled ? 'none' : '0 4px 6px rgba(0, 0, 0, 0.1)'};
   transition: all 0.2s ease;
   
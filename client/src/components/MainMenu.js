@@ -2,9 +2,21 @@ import React from 'react';
 import styled from 'styled-components';
 import { motion } from 'framer-motion';
 
-const MainMenu = ({ onStart, onSettings }) => {
+const MainMenu = ({ onStart, onOnline, onHomework, onTeacher, onWordLists, onSearch, onReview, reviewDueCount, onMistakes, mistakeCount, onStarred, starredCount, onSettings, profile, onProfiles }) => {
   return (
     <MenuContainer>
+      {profile && (
+        <ProfileChip
+          onClick={onProfiles}
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+        >
+          <ProfileAvatar>{profile.avatar}</ProfileAvatar>
+          {profile.name}
+          <ProfileSwitch>切换 Switch</ProfileSwitch>
+        </ProfileChip>
+      )}
+      
       <LogoContainer
         initial={{ y: -50, opacity: 0 }}
         animate={{ y: 0, opacity: 1 }}
@@ -26,6 +38,102 @@ const MainMenu = ({ onStart, onSettings }) => {
           开始游戏 <span>Start Game</span>
         </MenuButton>
         
+        <MenuButton 
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.225 }}
+          onClick={onOnline}
+        >
+          在线对战 <span>Online Room</span>
+        </MenuButton>
+        
+        {onHomework && (
+          <MenuButton 
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.235 }}
+            onClick={onHomework}
+          >
+            我的作业 <span>Homework</span>
+          </MenuButton>
+        )}
+        
+        {onTeacher && (
+          <MenuButton 
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.235 }}
+            onClick={onTeacher}
+          >
+            教师后台 <span>Teacher</span>
+          </MenuButton>
+        )}
+        
+        {onWordLists && (
+          <MenuButton 
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.24 }}
+            onClick={onWordLists}
+          >
+            我的词表 <span>Word Lists</span>
+          </MenuButton>
+        )}
+        
+        <MenuButton 
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.245 }}
+          onClick={onSearch}
+        >
+          查词 <span>Search</span>
+        </MenuButton>
+        
+        <MenuButton 
+          whileHover={reviewDueCount > 0 ? { scale: 1.05 } : {}}
+          whileTap={reviewDueCount > 0 ? { scale: 0.95 } : {}}
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.25 }}
+          onClick={onReview}
+          disabled={!reviewDueCount}
+        >
+          复习 <span>Review · {reviewDueCount > 0 ? `${reviewDueCount} 个单词待复习` : '今日暂无复习'}</span>
+        </MenuButton>
+        
+        <MenuButton 
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.275 }}
+          onClick={onMistakes}
+        >
+          错题本 <span>Mistakes{mistakeCount > 0 ? ` · ${mistakeCount} 个单词` : ''}</span>
+        </MenuButton>
+        
+        <MenuButton 
+          whileHover={starredCount > 0 ? { scale: 1.05 } : {}}
+          whileTap={starredCount > 0 ? { scale: 0.95 } : {}}
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.285 }}
+          onClick={onStarred}
+          disabled={!starredCount}
+        >
+          生词本 <span>Starred · {starredCount > 0 ? `${starredCount} 个单词` : '预习时点 ☆ 收藏'}</span>
+        </MenuButton>
+        
         <MenuButton 
           whileHover={{ scale: 1.05 }}
           whileTap={{ scale: 0.95 }}
@@ -57,6 +165,33 @@ const MenuContainer = styled.div`
   position: relative;
 `;
 
+const ProfileChip = styled(motion.button)`
+  position: absolute;
+  top: 1rem;
+  right: 1rem;
+  display: flex;
+  align-items: center;
+  gap: 0.5rem;
+  padding: 0.5rem 1rem;
+  border: none;
+  border-radius: 999px;
+  background-color: rgba(255, 255, 255, 0.9);
+  color: #2c3e50;
+  font-size: 1rem;
+  font-weight: 500;
+  cursor: pointer;
+  box-shadow: 0 2px 5px rgba(0, 0, 0, 0.1);
+`;
+
+const ProfileAvatar = styled.span`
+  font-size: 1.5rem;
+`;
+
+const ProfileSwitch = styled.span`
+  font-size: 0.8rem;
+  color: #3498db;
+`;
+
 const LogoContainer = styled(motion.div)`
   text-align: center;
   margin-bottom: 3rem;
@@ -103,6 +238,11 @@ const MenuButton = styled(motion.button)`
     opacity: 0.8;
     margin-top: 0.25rem;
   }
+  
+  &:disabled {
+    background: #95a5a6;
+    cursor: not-allowed;
+  }
 `;
 
 const Footer = styled.div`
@@ -0,0 +1,110 @@
+import React, { useState, useEffect } from 'react';
+import styled from 'styled-components';
+import Card from './Card';
+
+// How long a wrong pair stays red before it is turned back
+const MISMATCH_DELAY = 800;
+
+/**
+ * Board for matching mode: pick an English card and its Chinese meaning card
+ * to clear the pair
+ * @param {Array} cards - Deck dealt by useGameLogic
+ * @param {Array} words - Words in the game, to look up the word behind a card
+ * @param {Function} onMatch - Called with the word when a pair is cleared
+ * @param {Function} onMismatch - Called with the word and the picked meaning card
+ * @param {Function} onSelectWord - Called with the word when an English card is picked
+ */
+const MatchingBoard = ({ cards, words, onMatch, onMismatch, onSelectWord }) => {
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [matchedIds, setMatchedIds] = useState([]);
+  const [mismatchIds, setMismatchIds] = useState([]);
+
+  // A new deck (new game or restart) starts with a clean board
+  useEffect(() => {
+    setSelectedIds([]);
+    setMatchedIds([]);
+    setMismatchIds([]);
+  }, [cards]);
+
+  const findWord = (card) => words.find(word => word.id === card.wordId);
+
+  const handleCardClick = (id) => {
+    if (mismatchIds.length > 0 || matchedIds.includes(id)) return;
+
+    const card = cards.find(c => c.id === id);
+    if (card.type === 'english' && onSelectWord) {
+      onSelectWord(findWord(card));
+    }
+
+    if (selectedIds.includes(id)) {
+      setSelectedIds(selectedIds.filter(selectedId => selectedId !== id));
+      return;
+    }
+
+    const otherCard = cards.find(c => selectedIds.includes(c.id));
+
+    // Nothing picked yet, or another card of the same kind: just (re)select
+    if (!otherCard || otherCard.type === card.type) {
+      setSelectedIds([id]);
+      return;
+    }
+
+    const englishCard = card.type === 'english' ? card : otherCard;
+    const meaningCard = card.type === 'english' ? otherCard : card;
+    const word = findWord(englishCard);
+    // Words that share a meaning can be matched with either meaning card
+    const isMatch = englishCard.wordId === meaningCard.wordId ||
+      word.explanation.some(exp => exp.meaning === meaningCard.content);
+
+    if (isMatch) {
+      setSelectedIds([]);
+      setMatchedIds(prev => [...prev, englishCard.id, meaningCard.id]);
+      onMatch(word);
+    } else {
+      setSelectedIds([]);
+      setMismatchIds([englishCard.id, meaningCard.id]);
+      onMismatch(word, { pos: meaningCard.pos, meaning: meaningCard.content });
+      setTimeout(() => setMismatchIds([]), MISMATCH_DELAY);
+    }
+  };
+
+  return (
+    <CardGrid $columns={cards.length > 24 ? 6 : 4}>
+      {cards.map((card, index) => {
+        const isMatched = matchedIds.includes(card.id);
+        const isMismatch = mismatchIds.includes(card.id);
+
+        return (
+          <Card
+            key={card.id}
+            id={card.id}
+            index={index}
+            content={card.content}
+            type={card.type}
+            pos={card.pos}
+            isSelected={selectedIds.includes(card.id) || isMismatch || isMatched}
+            isCorrect={isMatched ? true : isMismatch ? false : undefined}
+            isMatched={isMatched}
+            onClick={handleCardClick}
+          />
+        );
+      })}
+    </CardGrid>
+  );
+};
+
+const CardGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(${props => props.$columns}, 1fr);
+  gap: 1rem;
+  width: 100%;
+  max-width: 1000px;
+  perspective: 1000px;
+
+  @media (max-width: 768px) {
+    grid-template-columns: repeat(3, 1fr);
+    gap: 0.5rem;
+  }
+`;
+
+export default MatchingBoard;
@@ -0,0 +1,366 @@
+import React, { useState, useEffect } from 'react';
+import styled from 'styled-components';
+import { motion } from 'framer-motion';
+import MistakeStore, { MISTAKE_SESSION_LIMIT } from '../utils/mistakeStore';
+import { formatUnitsForDisplay } from '../hooks/useGameLogic';
+import { CUSTOM_LIST_VOLUME } from '../utils/dataLoader';
+import { toCsv, downloadFile } from '../utils/exportFiles';
+
+// Number of wrong picks listed per word
+const MAX_PICKS_SHOWN = 3;
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString();
+
+// The notebook is kept on this device, so its CSV is built here
+const exportMistakesCsv = (entries) => {
+  const rows = entries.map(entry => [
+    entry.word,
+    entry.phonetic,
+    entry.volume === CUSTOM_LIST_VOLUME ? 'Custom' : `V${entry.volume}`,
+    entry.volume === CUSTOM_LIST_VOLUME ? '' : entry.unit,
+    entry.correctMeanings.map(({ pos, meaning }) => `${pos} ${meaning}`).join('; '),
+    entry.mistakes.length,
+    entry.mistakes.map(mistake => mistake.pickedWord || mistake.pickedMeaning).join('; '),
+    new Date(entry.lastMistakeAt).toISOString()
+  ]);
+  downloadFile('mistakes.csv', toCsv(
+    ['Word', 'Phonetic', 'Volume', 'Unit', 'Meanings', 'Times Wrong', 'Wrong Picks', 'Last Mistake'],
+    rows
+  ), 'text/csv;charset=utf-8');
+};
+
+const MistakeNotebook = ({ onPractice, onBack }) => {
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadEntries = async () => {
+    try {
+      setEntries(await MistakeStore.getEntries());
+    } catch (err) {
+      console.error('Error loading mistakes:', err);
+      setError('Failed to load the notebook');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadEntries();
+  }, []);
+
+  const handleRemove = async (wordKey) => {
+    try {
+      await MistakeStore.removeWord(wordKey);
+      setEntries(prev => prev.filter(entry => entry.wordKey !== wordKey));
+    } catch (err) {
+      console.error('Error removing word from notebook:', err);
+      setError('Failed to remove the word');
+    }
+  };
+
+  const handlePractice = () => {
+    if (entries.length === 0) return;
+
+    onPractice(entries
+      .slice(0, MISTAKE_SESSION_LIMIT)
+      .map(({ volume, unit, word }) => ({ volume, unit, word })));
+  };
+
+  return (
+    <Container
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+    >
+      <Header>
+        <BackButton
+          onClick={onBack}
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.9 }}
+        >
+          ← 返回
+        </BackButton>
+        <Title>错题本</Title>
+      </Header>
+
+      <PracticeButton
+        onClick={handlePractice}
+        disabled={entries.length === 0}
+        whileHover={{ scale: 1.05 }}
+        whileTap={{ scale: 0.95 }}
+      >
+        只练这些词 Practice These Words
+        {entries.length > MISTAKE_SESSION_LIMIT && (
+          <PracticeNote>最近 {MISTAKE_SESSION_LIMIT} 个 / most recent {MISTAKE_SESSION_LIMIT}</PracticeNote>
+        )}
+      </PracticeButton>
+
+      {entries.length > 0 && (
+        <ExportButton onClick={() => exportMistakesCsv(entries)}>
+          导出 CSV Export
+        </ExportButton>
+      )}
+
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+
+      {isLoading ? (
+        <LoadingMessage>Loading notebook...</LoadingMessage>
+      ) : entries.length === 0 ? (
+        <EmptyMessage>还没有错题，继续加油！<br />No mistakes recorded yet.</EmptyMessage>
+      ) : (
+        <EntryList>
+          {entries.map(entry => (
+            <EntryCard key={entry.wordKey}>
+              <EntryHeader>
+                <div>
+                  <Word>{entry.word}</Word>
+                  {entry.phonetic && <Phonetic>{entry.phonetic}</Phonetic>}
+                </div>
+                <EntryMeta>
+                  <LevelTag>
+                    {entry.volume === CUSTOM_LIST_VOLUME
+                      ? '自定义 Custom'
+                      : `V${entry.volume} - ${formatUnitsForDisplay(entry.unit)}`}
+                  </LevelTag>
+                  <MistakeCount>错 {entry.mistakes.length} 次</MistakeCount>
+                </EntryMeta>
+              </EntryHeader>
+
+              <MeaningList>
+                {entry.correctMeanings.map((meaning, index) => (
+                  <Meaning key={index}>
+                    <Pos>{meaning.pos}</Pos> {meaning.meaning}
+                  </Meaning>
+                ))}
+              </MeaningList>
+
+              <PickList>
+                {entry.mistakes.slice(0, MAX_PICKS_SHOWN).map(mistake => (
+                  <Pick key={mistake.id}>
+                    ✗ {mistake.pickedWord && <PickedWord>{mistake.pickedWord}</PickedWord>}
+                    <Pos>{mistake.pickedPos}</Pos> {mistake.pickedMeaning}
+                    <PickDate>{formatDate(mistake.timestamp)}</PickDate>
+                  </Pick>
+                ))}
+              </PickList>
+
+              <RemoveButton onClick={() => handleRemove(entry.wordKey)}>
+                已掌握 Mastered ✓
+              </RemoveButton>
+            </EntryCard>
+          ))}
+        </EntryList>
+      )}
+    </Container>
+  );
+};
+
+const Container = styled(motion.div)`
+  display: flex;
+  flex-direction: column;
+  padding: 2rem;
+  height: 100%;
+  width: 100%;
+  max-width: 800px;
+  margin: 0 auto;
+`;
+
+const Header = styled.div`
+  display: flex;
+  align-items: center;
+  margin-bottom: 2rem;
+  position: relative;
+`;
+
+const BackButton = styled(motion.button)`
+  background: none;
+  border: none;
+  font-size: 1.2rem;
+  color: #2c3e50;
+  cursor: pointer;
+  position: absolute;
+  left: 0;
+  padding: 0.5rem 1rem;
+`;
+
+const Title = styled.h2`
+  font-size: 2rem;
+  font-weight: 600;
+  text-align: center;
+  width: 100%;
+  color: #2c3e50;
+`;
+
+const PracticeButton = styled(motion.button)`
+  background-color: ${props => props.disabled ? '#95a5a6' : '#2ecc71'};
+  color: white;
+  border: none;
+  border-radius: 12px;
+  padding: 1rem;
+  font-size: 1.2rem;
+  font-weight: 600;
+  cursor: ${props => props.disabled ? 'not-allowed' : 'pointer'};
+  width: 100%;
+  max-width: 360px;
+  margin: 0 auto 1.5rem;
+  box-shadow: ${props => props.disabled ? 'none' : '0 4px 6px rgba(0, 0, 0, 0.1)'};
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+`;
+
+const ExportButton = styled.button`
+  align-self: center;
+  margin: -0.75rem auto 1.5rem;
+  background: none;
+  border: none;
+  color: #2980b9;
+  font-size: 0.95rem;
+  cursor: pointer;
+  text-decoration: underline;
+`;
+
+const PracticeNote = styled.span`
+  font-size: 0.8rem;
+  font-weight: 400;
+  opacity: 0.85;
+  margin-top: 0.25rem;
+`;
+
+const LoadingMessage = styled.div`
+  text-align: center;
+  font-size: 1.2rem;
+  color: #3498db;
+  margin: 2rem 0;
+`;
+
+const ErrorMessage = styled.div`
+  text-align: center;
+  font-size: 1.2rem;
+  color: #e74c3c;
+  margin-bottom: 1rem;
+  padding: 1rem;
+  background-color: #ffeaea;
+  border-radius: 8px;
+`;
+
+const EmptyMessage = styled.div`
+  text-align: center;
+  font-size: 1.1rem;
+  line-height: 1.6;
+  color: #7f8c8d;
+  margin: 2rem 0;
+`;
+
+const EntryList = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 1rem;
+  padding-bottom: 2rem;
+`;
+
+const EntryCard = styled.div`
+  background-color: #ffffff;
+  border-radius: 12px;
+  padding: 1.25rem 1.5rem;
+  box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+  display: flex;
+  flex-direction: column;
+  gap: 0.75rem;
+`;
+
+const EntryHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: flex-start;
+  gap: 1rem;
+`;
+
+const Word = styled.div`
+  font-size: 1.5rem;
+  font-weight: 600;
+  color: #2c3e50;
+`;
+
+const Phonetic = styled.div`
+  font-size: 1rem;
+  color: #7f8c8d;
+`;
+
+const EntryMeta = styled.div`
+  display: flex;
+  flex-direction: column;
+  align-items: flex-end;
+  gap: 0.25rem;
+`;
+
+const LevelTag = styled.span`
+  font-size: 0.85rem;
+  color: #34495e;
+  padding: 0.2rem 0.6rem;
+  background-color: #edf2f7;
+  border-radius: 4px;
+`;
+
+const MistakeCount = styled.span`
+  font-size: 0.85rem;
+  font-weight: 600;
+  color: #e74c3c;
+`;
+
+const MeaningList = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 0.25rem;
+`;
+
+const Meaning = styled.div`
+  font-size: 1.05rem;
+  color: #27ae60;
+`;
+
+const Pos = styled.span`
+  font-size: 0.85rem;
+  font-weight: bold;
+  opacity: 0.8;
+`;
+
+const PickList = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 0.25rem;
+`;
+
+const Pick = styled.div`
+  font-size: 0.95rem;
+  color: #c0392b;
+`;
+
+const PickedWord = styled.span`
+  font-weight: 600;
+  margin-right: 0.5rem;
+`;
+
+const PickDate = styled.span`
+  font-size: 0.8rem;
+  color: #95a5a6;
+  margin-left: 0.5rem;
+`;
+
+const RemoveButton = styled.button`
+  align-self: flex-end;
+  background-color: #ecf0f1;
+  color: #34495e;
+  border: none;
+  border-radius: 8px;
+  padding: 0.5rem 1rem;
+  font-size: 0.9rem;
+  cursor: pointer;
+
+  &:hover {
+    background-color: #d5f5e3;
+  }
+`;
+
+export default MistakeNotebook;
@@ -0,0 +1,424 @@
+import React, { useState, useEffect } from 'react';
+import styled from 'styled-components';
+import { motion, AnimatePresence } from 'framer-motion';
+import GameHeader from './GameHeader';
+import GameOverModal from './GameOverModal';
+import WordDisplay from './WordDisplay';
+import OptionsPanel from './OptionsPanel';
+import FeedbackDisplay from './FeedbackDisplay';
+import SpeechManager from '../utils/speechManager';
+import { useGameRoom, ROOM_STATUS } from '../hooks/useGameRoom';
+import { useSounds } from '../hooks/useSounds';
+import { GAME_MODES } from '../hooks/useGameState';
+import { GameBoardContainer, GameContent } from './GameBoard.styles';
+
+const COUNTDOWN_TICK = 100;
+
+/**
+ * Online multiplayer room: every player answers the same words, dealt by the
+ * server, and the leaderboard updates as answers come in
+ * @param {Object} level - Settings of a room to create as host ({ volume, units,
+ *   difficulty }), or null to join a room by its code
+ * @param {Object} profile - Active learner profile, used for name and avatar
+ * @param {Function} onCreateRoom - Opens level select to set up a new room
+ */
+const OnlineRoom = ({ level, profile, settings, onCreateRoom, onBack }) => {
+  const room = useGameRoom();
+  const {
+    status, code, playerId, hostId, isHost, players, roomSettings,
+    wordCount, round, myAnswer, answeredIds, error, createRoom
+  } = room;
+  const sounds = useSounds(settings);
+  const [playerName, setPlayerName] = useState(profile?.name || '');
+  const [roomCode, setRoomCode] = useState('');
+  const [timeLeft, setTimeLeft] = useState(0);
+
+  const player = { name: playerName.trim() || profile?.name, avatar: profile?.avatar };
+  const me = players.find(p => p.id === playerId);
+
+  // Create the room as soon as the host has picked the words, before the
+  // name can be edited, so the host plays under the profile's name
+  useEffect(() => {
+    if (level) {
+      createRoom({ name: profile?.name, avatar: profile?.avatar }, {
+        volume: level.volume,
+        units: level.units,
+        difficulty: level.difficulty
+      });
+    }
+  }, [level, createRoom, profile?.name, profile?.avatar]);
+
+  // Say each new word, and run its countdown
+  useEffect(() => {
+    if (!round || status !== ROOM_STATUS.PLAYING) return;
+
+    if (settings?.speechEnabled !== false && SpeechManager.isAvailable()) {
+      SpeechManager.stopSpeech();
+      SpeechManager.setVoiceSpeed(settings?.voiceSpeed || 1.0);
+      SpeechManager.playWord(round.word);
+    }
+
+    const updateTimeLeft = () => {
+      setTimeLeft(Math.max(round.timeLimit - (Date.now() - round.receivedAt), 0));
+    };
+    updateTimeLeft();
+    const timer = setInterval(updateTimeLeft, COUNTDOWN_TICK);
+    return () => clearInterval(timer);
+  }, [round, status, settings?.speechEnabled, settings?.voiceSpeed]);
+
+  // Play the answer sound once the server has graded it
+  useEffect(() => {
+    if (!myAnswer) return;
+    (myAnswer.correct ? sounds.correct : sounds.incorrect).play();
+  }, [myAnswer, sounds]);
+
+  useEffect(() => {
+    if (status === ROOM_STATUS.FINISHED) {
+      sounds.victory.play();
+    }
+  }, [status, sounds]);
+
+  const handleJoin = (e) => {
+    e.preventDefault();
+    if (roomCode.trim().length === 0) return;
+    room.joinRoom(roomCode.trim().toUpperCase(), player);
+  };
+
+  const handleLeave = () => {
+    SpeechManager.stopSpeech();
+    room.leaveRoom();
+    onBack();
+  };
+
+  // Not in a room yet: join by code, or set up a new room
+  if (status === ROOM_STATUS.IDLE || status === ROOM_STATUS.CONNECTING) {
+    return (
+      <Container initial={{ opacity: 0 }} animate={{ opacity: 1 }}>
+        <Header>
+          <BackButton onClick={handleLeave} whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }}>
+            ← 返回
+          </BackButton>
+          <Title>在线对战 Online</Title>
+        </Header>
+
+        {error && <ErrorMessage>{error}</ErrorMessage>}
+
+        {status === ROOM_STATUS.CONNECTING ? (
+          <StatusMessage>正在连接房间... Connecting...</StatusMessage>
+        ) : (
+          <>
+            <Form onSubmit={handleJoin}>
+              <SectionLabel>你的名字 Your Name</SectionLabel>
+              <TextInput
+                value={playerName}
+                onChange={(e) => setPlayerName(e.target.value)}
+                maxLength={20}
+                placeholder="名字 Name"
+              />
+
+              <SectionLabel>加入房间 Join a Room</SectionLabel>
+              <Row>
+                <CodeInput
+                  value={roomCode}
+                  onChange={(e) => setRoomCode(e.target.value.toUpperCase())}
+                  maxLength={4}
+                  placeholder="ABCD"
+                  aria-label="Room code"
+                />
+                <PrimaryButton
+                  type="submit"
+                  disabled={roomCode.trim().length === 0}
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                >
+                  加入 Join
+                </PrimaryButton>
+              </Row>
+            </Form>
+
+            <Divider>或 or</Divider>
+
+            <PrimaryButton
+              onClick={onCreateRoom}
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+            >
+              创建房间 Create Room
+            </PrimaryButton>
+          </>
+        )}
+      </Container>
+    );
+  }
+
+  // Waiting for the host to start
+  if (status === ROOM_STATUS.LOBBY) {
+    return (
+      <Container initial={{ opacity: 0 }} animate={{ opacity: 1 }}>
+        <Header>
+          <BackButton onClick={handleLeave} whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }}>
+            ← 离开
+          </BackButton>
+          <Title>房间 Room</Title>
+        </Header>
+
+        {error && <ErrorMessage>{error}</ErrorMessage>}
+
+        <RoomCode>{code}</RoomCode>
+        <StatusMessage>输入房间号加入 Join with this code</StatusMessage>
+        {roomSettings && (
+          <StatusMessage>
+            Volume {roomSettings.volume} · 单元 {roomSettings.units.map(unit => unit === 'welcome' ? 'W' : unit).join(', ')} · {roomSettings.difficulty}
+          </StatusMessage>
+        )}
+
+        <PlayerList>
+          {players.map(p => (
+            <PlayerCard key={p.id} $self={p.id === playerId}>
+              <PlayerAvatar>{p.avatar}</PlayerAvatar>
+              {p.name}
+              {p.id === hostId && ' 👑'}
+            </PlayerCard>
+          ))}
+        </PlayerList>
+
+        {isHost ? (
+          <PrimaryButton
+            onClick={room.startGame}
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+          >
+            开始游戏 Start ({players.length} 人)
+          </PrimaryButton>
+        ) : (
+          <StatusMessage>等待房主开始... Waiting for the host</StatusMessage>
+        )}
+      </Container>
+    );
+  }
+
+  // A word is being answered, or its answer is shown
+  const isRoundOver = status === ROOM_STATUS.ROUND_OVER || status === ROOM_STATUS.FINISHED;
+  const correctOptionId = round?.correctOptionId || myAnswer?.correctOptionId;
+  const options = (round?.options || []).map(option => ({
+    ...option,
+    isCorrect: option.id === correctOptionId
+  }));
+  const selectedOptions = options.filter(option =>
+    option.id === myAnswer?.optionId || (isRoundOver && option.id === correctOptionId));
+
+  return (
+    <GameBoardContainer>
+      <GameHeader
+        score={me?.score || 0}
+        matchedPairs={round ? round.index + (isRoundOver ? 1 : 0) : 0}
+        totalPairs={wordCount}
+        volume={roomSettings?.volume}
+        units={roomSettings?.units}
+        countdown={status === ROOM_STATUS.PLAYING && round
+          ? { timeLeft, timeLimit: round.timeLimit }
+          : null}
+        leaderboard={{ players, playerId, answeredIds }}
+      />
+
+      <GameContent>
+        {round && (
+          <WordDisplay word={round.word} prompt={null} showOptions />
+        )}
+
+        <OptionsPanel
+          mode={GAME_MODES.CLASSIC}
+          showOptions
+          options={options}
+          selectedOptions={selectedOptions}
+          onOptionSelect={(option) => room.submitAnswer(option.id)}
+          showFeedback={Boolean(myAnswer) || isRoundOver}
+          correctOptionsRemaining={1}
+        />
+
+        <FeedbackDisplay
+          showFeedback={Boolean(myAnswer)}
+          isCorrect={Boolean(myAnswer?.correct)}
+        />
+
+        {isRoundOver && !myAnswer && status !== ROOM_STATUS.FINISHED && (
+          <StatusMessage>⏰ 时间到 Time's up!</StatusMessage>
+        )}
+
+        <SecondaryButton onClick={handleLeave} whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }}>
+          离开房间 Leave Room
+        </SecondaryButton>
+      </GameContent>
+
+      <AnimatePresence>
+        {status === ROOM_STATUS.FINISHED && (
+          <GameOverModal
+            score={me?.score || 0}
+            correctAnswers={me?.correct || 0}
+            totalAttempted={me?.answered || 0}
+            onRestart={isHost ? room.startGame : null}
+            onBackToMenu={handleLeave}
+            level={roomSettings}
+            players={players}
+          />
+        )}
+      </AnimatePresence>
+    </GameBoardContainer>
+  );
+};
+
+const Container = styled(motion.div)`
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  padding: 2rem;
+  width: 100%;
+  max-width: 600px;
+  margin: 0 auto;
+  gap: 1rem;
+`;
+
+const Header = styled.div`
+  display: flex;
+  align-items: center;
+  margin-bottom: 1rem;
+  position: relative;
+  width: 100%;
+`;
+
+const BackButton = styled(motion.button)`
+  background: none;
+  border: none;
+  font-size: 1.2rem;
+  color: #2c3e50;
+  cursor: pointer;
+  position: absolute;
+  left: 0;
+  padding: 0.5rem 1rem;
+`;
+
+const Title = styled.h2`
+  font-size: 2rem;
+  font-weight: 600;
+  text-align: center;
+  width: 100%;
+  color: #2c3e50;
+`;
+
+const ErrorMessage = styled.div`
+  text-align: center;
+  font-size: 1.1rem;
+  color: #e74c3c;
+  padding: 1rem;
+  background-color: #ffeaea;
+  border-radius: 8px;
+  width: 100%;
+`;
+
+const StatusMessage = styled.div`
+  text-align: center;
+  font-size: 1.1rem;
+  color: #7f8c8d;
+`;
+
+const Form = styled.form`
+  display: flex;
+  flex-direction: column;
+  gap: 0.75rem;
+  width: 100%;
+`;
+
+const SectionLabel = styled.h3`
+  font-size: 1.1rem;
+  color: #2c3e50;
+  margin: 0.5rem 0 0;
+`;
+
+const Row = styled.div`
+  display: flex;
+  gap: 0.75rem;
+`;
+
+const TextInput = styled.input`
+  padding: 0.75rem 1rem;
+  border: 2px solid #bdc3c7;
+  border-radius: 8px;
+  font-size: 1.1rem;
+
+  &:focus {
+    outline: none;
+    border-color: #3498db;
+  }
+`;
+
+const CodeInput = styled(TextInput)`
+  flex: 1;
+  font-size: 1.5rem;
+  letter-spacing: 0.5rem;
+  text-align: center;
+  text-transform: uppercase;
+`;
+
+const Divider = styled.div`
+  color: #95a5a6;
+`;
+
+const PrimaryButton = styled(motion.button)`
+  padding: 0.75rem 1.5rem;
+  border: none;
+  border-radius: 8px;
+  background-color: #3498db;
+  color: white;
+  font-size: 1.1rem;
+  font-weight: 600;
+  cursor: pointer;
+
+  &:disabled {
+    background-color: #bdc3c7;
+    cursor: not-allowed;
+  }
+`;
+
+const SecondaryButton = styled(motion.button)`
+  margin-top: 1.5rem;
+  padding: 0.5rem 1.25rem;
+  border: none;
+  border-radius: 8px;
+  background-color: #95a5a6;
+  color: white;
+  font-size: 1rem;
+  cursor: pointer;
+`;
+
+const RoomCode = styled.div`
+  font-size: 3.5rem;
+  font-weight: 700;
+  letter-spacing: 0.75rem;
+  color: #2c3e50;
+`;
+
+const PlayerList = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  justify-content: center;
+  gap: 0.75rem;
+  margin: 1rem 0;
+`;
+
+const PlayerCard = styled.div`
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  padding: 0.75rem 1rem;
+  min-width: 90px;
+  border-radius: 12px;
+  background-color: ${props => props.$self ? '#3498db' : '#ffffff'};
+  color: ${props => props.$self ? '#ffffff' : '#2c3e50'};
+  box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+`;
+
+const PlayerAvatar = styled.div`
+  font-size: 2rem;
+`;
+
+export default OnlineRoom;
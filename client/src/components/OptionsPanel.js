@@ -1,18 +1,30 @@
 import React from 'react';
+import { GAME_MODES } from '../hooks/useGameState';
 import { 
   OptionsContainer, 
   OptionButton, 
   PartOfSpeech, 
   OptionText,
+  OptionPhonetic,
   MultipleSelectMessage,
   RemainingMessage,
   LoadingOptions
 } from './GameBoard.styles';
 
+// Modes whose options are English words rather than Chinese meanings
+const WORD_OPTION_MODES = [GAME_MODES.REVERSE, GAME_MODES.CLOZE];
+
+// What is being read aloud before the options appear
+const READING_MESSAGES = {
+  [GAME_MODES.REVERSE]: 'Reading the meaning...',
+  [GAME_MODES.CLOZE]: 'Reading the sentence...'
+};
+
 /**
  * Component for displaying answer options
  */
 const OptionsPanel = ({ 
+  mode,
   showOptions, 
   options, 
   selectedOptions, 
@@ -23,7 +35,7 @@ const OptionsPanel = ({
   if (!showOptions) {
     return (
       <LoadingOptions>
-        <div>Reading the word...</div>
+        <div>{READING_MESSAGES[mode] || 'Reading the word...'}</div>
       </LoadingOptions>
     );
   }
@@ -55,8 +67,17 @@ const OptionsPanel = ({
                 : {}
             }
           >
-            <PartOfSpeech>{option.pos}</PartOfSpeech>
-            <OptionText>{option.meaning}</OptionText>
+            {WORD_OPTION_MODES.includes(mode) ? (
+              <>
+                <OptionText>{option.english}</OptionText>
+                {option.phonetic && <OptionPhonetic>{option.phonetic}</OptionPhonetic>}
+              </>
+            ) : (
+              <>
+                <PartOfSpeech>{option.pos}</PartOfSpeech>
+                <OptionText>{option.meaning}</OptionText>
+              </>
+            )}
           </OptionButton>
         ))}
       </OptionsContainer>
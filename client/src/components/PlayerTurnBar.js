@@ -0,0 +1,70 @@
+import React from 'react';
+import styled from 'styled-components';
+import { motion } from 'framer-motion';
+
+/**
+ * Scores of a hot-seat game, highlighting whose turn it is
+ */
+const PlayerTurnBar = ({ players, currentPlayerIndex }) => {
+  const currentPlayer = players[currentPlayerIndex];
+
+  return (
+    <BarContainer>
+      <TurnMessage
+        key={currentPlayer?.id}
+        initial={{ y: -10, opacity: 0 }}
+        animate={{ y: 0, opacity: 1 }}
+      >
+        轮到 {currentPlayer?.avatar} {currentPlayer?.name} 了！
+      </TurnMessage>
+      <PlayerList>
+        {players.map((player, index) => (
+          <PlayerChip key={player.id} $active={index === currentPlayerIndex}>
+            <span>{player.avatar}</span>
+            <span>{player.name}</span>
+            <ChipScore>{player.score.toLocaleString()}</ChipScore>
+          </PlayerChip>
+        ))}
+      </PlayerList>
+    </BarContainer>
+  );
+};
+
+const BarContainer = styled.div`
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  gap: 0.5rem;
+  padding: 0.75rem 1rem 0;
+`;
+
+const TurnMessage = styled(motion.div)`
+  font-size: 1.2rem;
+  font-weight: 600;
+  color: #e67e22;
+`;
+
+const PlayerList = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  justify-content: center;
+  gap: 0.5rem;
+`;
+
+const PlayerChip = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 0.4rem;
+  padding: 0.35rem 0.75rem;
+  border-radius: 20px;
+  font-size: 0.95rem;
+  background-color: ${props => props.$active ? '#3498db' : '#ecf0f1'};
+  color: ${props => props.$active ? '#ffffff' : '#2c3e50'};
+  transition: background-color 0.2s ease;
+`;
+
+const ChipScore = styled.span`
+  font-weight: 600;
+`;
+
+export default PlayerTurnBar;
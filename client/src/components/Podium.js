@@ -0,0 +1,124 @@
+import React from 'react';
+import styled from 'styled-components';
+import { motion } from 'framer-motion';
+
+// Podium order on screen: 2nd, 1st, 3rd
+const PODIUM_ORDER = [1, 0, 2];
+const PLACE_HEIGHTS = ['120px', '90px', '65px'];
+const PLACE_COLORS = ['#f1c40f', '#bdc3c7', '#e67e22'];
+const PLACE_MEDALS = ['🥇', '🥈', '🥉'];
+
+/**
+ * Rank players by score; ties go to whoever finished first
+ * @param {Array} players - Players with score and optional finishedAt
+ * @returns {Array} Players, best first
+ */
+export const rankPlayers = (players) =>
+  [...players].sort((a, b) =>
+    b.score - a.score ||
+    (a.finishedAt || Infinity) - (b.finishedAt || Infinity));
+
+/**
+ * Podium for the end of a local multiplayer game
+ */
+const Podium = ({ players }) => {
+  const ranked = rankPlayers(players);
+
+  return (
+    <PodiumContainer>
+      <Steps>
+        {PODIUM_ORDER.filter(place => ranked[place]).map(place => (
+          <Step key={ranked[place].id}>
+            <PlayerAvatar
+              initial={{ y: -20, opacity: 0 }}
+              animate={{ y: 0, opacity: 1 }}
+              transition={{ delay: 0.3 + (2 - place) * 0.2 }}
+            >
+              {ranked[place].avatar}
+            </PlayerAvatar>
+            <PlayerName>{ranked[place].name}</PlayerName>
+            <PlayerScore>{ranked[place].score.toLocaleString()}</PlayerScore>
+            <StepBlock
+              $color={PLACE_COLORS[place]}
+              initial={{ height: 0 }}
+              animate={{ height: PLACE_HEIGHTS[place] }}
+              transition={{ delay: 0.2, duration: 0.5 }}
+            >
+              {PLACE_MEDALS[place]}
+            </StepBlock>
+          </Step>
+        ))}
+      </Steps>
+
+      {ranked.length > 3 && (
+        <RunnersUp>
+          {ranked.slice(3).map((player, index) => (
+            <div key={player.id}>
+              {index + 4}. {player.avatar} {player.name} — {player.score.toLocaleString()}
+            </div>
+          ))}
+        </RunnersUp>
+      )}
+    </PodiumContainer>
+  );
+};
+
+const PodiumContainer = styled.div`
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  width: 100%;
+  margin-bottom: 1.5rem;
+`;
+
+const Steps = styled.div`
+  display: flex;
+  align-items: flex-end;
+  justify-content: center;
+  gap: 0.5rem;
+`;
+
+const Step = styled.div`
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  width: 90px;
+`;
+
+const PlayerAvatar = styled(motion.div)`
+  font-size: 2.25rem;
+`;
+
+const PlayerName = styled.div`
+  font-size: 0.9rem;
+  font-weight: 600;
+  color: #2c3e50;
+  text-align: center;
+  word-break: break-word;
+`;
+
+const PlayerScore = styled.div`
+  font-size: 0.85rem;
+  color: #7f8c8d;
+  margin-bottom: 0.25rem;
+`;
+
+const StepBlock = styled(motion.div)`
+  width: 100%;
+  background-color: ${props => props.$color};
+  border-radius: 8px 8px 0 0;
+  display: flex;
+  justify-content: center;
+  padding-top: 0.5rem;
+  font-size: 1.5rem;
+  overflow: hidden;
+`;
+
+const RunnersUp = styled.div`
+  margin-top: 0.75rem;
+  font-size: 0.95rem;
+  color: #34495e;
+  text-align: center;
+`;
+
+export default Podium;
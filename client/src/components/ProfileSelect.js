@@ -0,0 +1,412 @@
+import React, { useState, useEffect } from 'react';
+import styled from 'styled-components';
+import { motion } from 'framer-motion';
+import ProfileManager, { AVATARS, PROFILE_ROLES } from '../utils/profileManager';
+import API from '../utils/api';
+import { downloadFile } from '../utils/exportFiles';
+
+const ProfileSelect = ({ activeProfileId, onProfileChange, onBack }) => {
+  const [profiles, setProfiles] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [newAvatar, setNewAvatar] = useState(AVATARS[0]);
+  const [newRole, setNewRole] = useState(PROFILE_ROLES.STUDENT);
+  const [teacherCode, setTeacherCode] = useState('');
+
+  const loadProfiles = async () => {
+    try {
+      setProfiles(await ProfileManager.listProfiles());
+    } catch (err) {
+      console.error('Error loading profiles:', err);
+      setError('Failed to load profiles');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadProfiles();
+  }, []);
+
+  const handleSelect = async (id) => {
+    try {
+      const profile = await ProfileManager.setActiveProfile(id);
+      onProfileChange(profile);
+      onBack();
+    } catch (err) {
+      console.error('Error selecting profile:', err);
+      setError('Failed to switch profile');
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+
+    try {
+      const profile = await ProfileManager.createProfile({
+        name: newName,
+        avatar: newAvatar,
+        role: newRole,
+        teacherCode
+      });
+      setNewName('');
+      setNewRole(PROFILE_ROLES.STUDENT);
+      setTeacherCode('');
+      await handleSelect(profile.id);
+    } catch (err) {
+      console.error('Error creating profile:', err);
+      // Server errors (e.g. a wrong teacher code) explain themselves
+      setError(err.code ? err.message : 'Failed to create profile');
+    }
+  };
+
+  const handleExportHistory = async (profile) => {
+    try {
+      const file = await API.getHistoryExport(profile.id);
+      downloadFile(`${profile.name} history.csv`, file, 'text/csv;charset=utf-8');
+    } catch (err) {
+      console.error('Error exporting history:', err);
+      setError('Failed to export history');
+    }
+  };
+
+  const handleDelete = async (profile) => {
+    if (!window.confirm(`删除 ${profile.name} 的所有学习记录？\nDelete ${profile.name} and all progress?`)) {
+      return;
+    }
+
+    try {
+      const active = await ProfileManager.deleteProfile(profile.id);
+      onProfileChange(active);
+      await loadProfiles();
+    } catch (err) {
+      console.error('Error deleting profile:', err);
+      setError('Failed to delete profile');
+    }
+  };
+
+  return (
+    <Container
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+    >
+      <Header>
+        <BackButton
+          onClick={onBack}
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.9 }}
+        >
+          ← 返回
+        </BackButton>
+        <Title>选择学生</Title>
+      </Header>
+
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+
+      {isLoading ? (
+        <LoadingMessage>Loading profiles...</LoadingMessage>
+      ) : (
+        <ProfileGrid>
+          {profiles.map(profile => (
+            <ProfileCard
+              key={profile.id}
+              $active={profile.id === activeProfileId}
+              onClick={() => handleSelect(profile.id)}
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+            >
+              <Avatar>{profile.avatar}</Avatar>
+              <ProfileName>{profile.name}</ProfileName>
+              {profile.role === PROFILE_ROLES.TEACHER && <RoleBadge>老师 Teacher</RoleBadge>}
+              <ProfileStats>已玩 {(profile.history || []).length} 局</ProfileStats>
+              {(profile.history || []).length > 0 && (
+                <ExportLink
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    handleExportHistory(profile);
+                  }}
+                >
+                  导出记录 CSV
+                </ExportLink>
+              )}
+              <DeleteButton
+                onClick={(e) => {
+                  e.stopPropagation();
+                  handleDelete(profile);
+                }}
+                aria-label={`Delete ${profile.name}`}
+              >
+                ✕
+              </DeleteButton>
+            </ProfileCard>
+          ))}
+        </ProfileGrid>
+      )}
+
+      <CreateForm onSubmit={handleCreate}>
+        <SectionLabel>新建学生 New Profile</SectionLabel>
+        <AvatarPicker>
+          {AVATARS.map(avatar => (
+            <AvatarOption
+              key={avatar}
+              type="button"
+              $selected={avatar === newAvatar}
+              onClick={() => setNewAvatar(avatar)}
+            >
+              {avatar}
+            </AvatarOption>
+          ))}
+        </AvatarPicker>
+        <AvatarPicker>
+          {[
+            { id: PROFILE_ROLES.STUDENT, label: '学生 Student' },
+            { id: PROFILE_ROLES.TEACHER, label: '老师 Teacher' }
+          ].map(role => (
+            <RoleOption
+              key={role.id}
+              type="button"
+              $selected={role.id === newRole}
+              onClick={() => setNewRole(role.id)}
+            >
+              {role.label}
+            </RoleOption>
+          ))}
+        </AvatarPicker>
+        {newRole === PROFILE_ROLES.TEACHER && (
+          <NameInput
+            type="password"
+            value={teacherCode}
+            placeholder="老师注册码 Teacher code"
+            autoComplete="off"
+            onChange={(e) => setTeacherCode(e.target.value)}
+          />
+        )}
+        <NameRow>
+          <NameInput
+            type="text"
+            value={newName}
+            maxLength={40}
+            placeholder="名字 Name"
+            onChange={(e) => setNewName(e.target.value)}
+          />
+          <CreateButton
+            type="submit"
+            disabled={!newName.trim() || (newRole === PROFILE_ROLES.TEACHER && !teacherCode)}
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+          >
+            添加 Add
+          </CreateButton>
+        </NameRow>
+      </CreateForm>
+    </Container>
+  );
+};
+
+const Container = styled(motion.div)`
+  display: flex;
+  flex-direction: column;
+  padding: 2rem;
+  height: 100%;
+  width: 100%;
+  max-width: 800px;
+  margin: 0 auto;
+`;
+
+const Header = styled.div`
+  display: flex;
+  align-items: center;
+  margin-bottom: 2rem;
+  position: relative;
+`;
+
+const BackButton = styled(motion.button)`
+  background: none;
+  border: none;
+  font-size: 1.2rem;
+  color: #2c3e50;
+  cursor: pointer;
+  position: absolute;
+  left: 0;
+  padding: 0.5rem 1rem;
+`;
+
+const Title = styled.h2`
+  font-size: 2rem;
+  font-weight: 600;
+  text-align: center;
+  width: 100%;
+  color: #2c3e50;
+`;
+
+const LoadingMessage = styled.div`
+  text-align: center;
+  font-size: 1.2rem;
+  color: #3498db;
+  margin: 2rem 0;
+`;
+
+const ErrorMessage = styled.div`
+  text-align: center;
+  font-size: 1.2rem;
+  color: #e74c3c;
+  margin-bottom: 1rem;
+  padding: 1rem;
+  background-color: #ffeaea;
+  border-radius: 8px;
+`;
+
+const ProfileGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(150px, 1fr));
+  gap: 1rem;
+  margin-bottom: 2rem;
+`;
+
+const ProfileCard = styled(motion.div)`
+  position: relative;
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  padding: 1.25rem 1rem;
+  border-radius: 12px;
+  cursor: pointer;
+  background-color: ${props => props.$active ? '#3498db' : '#ffffff'};
+  color: ${props => props.$active ? '#ffffff' : '#2c3e50'};
+  box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+`;
+
+const Avatar = styled.div`
+  font-size: 3rem;
+  margin-bottom: 0.5rem;
+`;
+
+const ProfileName = styled.div`
+  font-size: 1.1rem;
+  font-weight: 600;
+  text-align: center;
+  word-break: break-word;
+`;
+
+const ProfileStats = styled.div`
+  font-size: 0.85rem;
+  opacity: 0.8;
+  margin-top: 0.25rem;
+`;
+
+const ExportLink = styled.button`
+  margin-top: 0.25rem;
+  background: none;
+  border: none;
+  color: inherit;
+  opacity: 0.7;
+  font-size: 0.8rem;
+  text-decoration: underline;
+  cursor: pointer;
+
+  &:hover {
+    opacity: 1;
+  }
+`;
+
+const DeleteButton = styled.button`
+  position: absolute;
+  top: 0.4rem;
+  right: 0.5rem;
+  background: none;
+  border: none;
+  color: inherit;
+  opacity: 0.5;
+  cursor: pointer;
+  font-size: 0.9rem;
+
+  &:hover {
+    opacity: 1;
+    color: #e74c3c;
+  }
+`;
+
+const CreateForm = styled.form`
+  display: flex;
+  flex-direction: column;
+  gap: 1rem;
+  background-color: #f8f9fa;
+  border-radius: 12px;
+  padding: 1.5rem;
+  border: 1px solid #e9ecef;
+`;
+
+const SectionLabel = styled.h3`
+  font-size: 1.2rem;
+  font-weight: 500;
+  color: #34495e;
+`;
+
+const AvatarPicker = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 0.5rem;
+`;
+
+const AvatarOption = styled.button`
+  font-size: 1.75rem;
+  width: 3rem;
+  height: 3rem;
+  border-radius: 50%;
+  border: 2px solid ${props => props.$selected ? '#3498db' : 'transparent'};
+  background-color: ${props => props.$selected ? '#eaf2f8' : 'transparent'};
+  cursor: pointer;
+`;
+
+const RoleOption = styled.button`
+  padding: 0.5rem 1rem;
+  border-radius: 20px;
+  font-size: 1rem;
+  border: 2px solid ${props => props.$selected ? '#3498db' : '#bdc3c7'};
+  background-color: ${props => props.$selected ? '#eaf2f8' : 'transparent'};
+  color: #2c3e50;
+  cursor: pointer;
+`;
+
+const RoleBadge = styled.div`
+  margin-top: 0.25rem;
+  padding: 0.1rem 0.5rem;
+  border-radius: 10px;
+  font-size: 0.75rem;
+  background-color: #f39c12;
+  color: #ffffff;
+`;
+
+const NameRow = styled.div`
+  display: flex;
+  gap: 0.75rem;
+`;
+
+const NameInput = styled.input`
+  flex: 1;
+  padding: 0.75rem 1rem;
+  font-size: 1rem;
+  border: 2px solid #bdc3c7;
+  border-radius: 8px;
+  outline: none;
+
+  &:focus {
+    border-color: #3498db;
+  }
+`;
+
+const CreateButton = styled(motion.button)`
+  padding: 0.75rem 1.5rem;
+  background-color: ${props => props.disabled ? '#95a5a6' : '#2ecc71'};
+  color: white;
+  border: none;
+  border-radius: 8px;
+  font-size: 1rem;
+  font-weight: 500;
+  cursor: ${props => props.disabled ? 'not-allowed' : 'pointer'};
+`;
+
+export default ProfileSelect;
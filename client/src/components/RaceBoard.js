@@ -0,0 +1,113 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import styled from 'styled-components';
+import { motion } from 'framer-motion';
+import RaceLane from './RaceLane';
+import { GAME_MODES } from '../hooks/useGameState';
+
+// Keys for options 1-4 of each lane, spread over the keyboard so up to four
+// players can share it
+export const RACE_KEY_BINDINGS = [
+  ['1', '2', '3', '4'],
+  ['7', '8', '9', '0'],
+  ['z', 'x', 'c', 'v'],
+  ['m', ',', '.', '/']
+];
+
+// Modes a lane can play: one prompt and four options per word
+export const RACE_GAME_MODES = [GAME_MODES.CLASSIC, GAME_MODES.REVERSE, GAME_MODES.CLOZE];
+
+/**
+ * Split-screen race: every player gets a lane on the same word list
+ * The race ends when every lane has finished, or when it is stopped early.
+ * @param {Array} players - Players from useGameState
+ * @param {Function} onFinish - Called with the players and their results
+ */
+const RaceBoard = ({ players, words, pool, mode, isPaused, onFinish }) => {
+  const [results, setResults] = useState({});
+  const finishedRef = useRef(false);
+
+  const handleProgress = useCallback((playerId, progress) => {
+    setResults(prev => ({ ...prev, [playerId]: progress }));
+  }, []);
+
+  // Report the results once, whether every lane finished or the race was stopped
+  const finishRace = useCallback(() => {
+    if (finishedRef.current) return;
+    finishedRef.current = true;
+    onFinish(players.map(player => ({
+      ...player,
+      score: results[player.id]?.score || 0,
+      correct: results[player.id]?.correct || 0,
+      answered: results[player.id]?.answered || 0,
+      finishedAt: results[player.id]?.finishedAt || null
+    })));
+  }, [onFinish, players, results]);
+
+  const allFinished = players.length > 0 &&
+    players.every(player => results[player.id]?.finishedAt);
+
+  useEffect(() => {
+    if (allFinished) {
+      finishRace();
+    }
+  }, [allFinished, finishRace]);
+
+  return (
+    <RaceContainer>
+      <LaneGrid $count={players.length}>
+        {players.map((player, index) => (
+          <RaceLane
+            key={player.id}
+            player={player}
+            keys={RACE_KEY_BINDINGS[index]}
+            words={words}
+            pool={pool}
+            mode={mode}
+            isPaused={isPaused}
+            onProgress={handleProgress}
+          />
+        ))}
+      </LaneGrid>
+
+      <EndRaceButton
+        onClick={finishRace}
+        whileHover={{ scale: 1.05 }}
+        whileTap={{ scale: 0.95 }}
+      >
+        结束比赛 End Race
+      </EndRaceButton>
+    </RaceContainer>
+  );
+};
+
+const RaceContainer = styled.div`
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  gap: 1rem;
+  width: 100%;
+`;
+
+const LaneGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(${props => Math.min(props.$count, 2)}, 1fr);
+  gap: 1rem;
+  width: 100%;
+  max-width: 1200px;
+
+  @media (max-width: 768px) {
+    grid-template-columns: 1fr;
+  }
+`;
+
+const EndRaceButton = styled(motion.button)`
+  padding: 0.75rem 1.5rem;
+  border: none;
+  border-radius: 8px;
+  background-color: #95a5a6;
+  color: white;
+  font-size: 1rem;
+  cursor: pointer;
+`;
+
+export default RaceBoard;
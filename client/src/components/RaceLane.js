@@ -0,0 +1,238 @@
+import React, { useEffect, useRef, useState } from 'react';
+import styled from 'styled-components';
+import { motion } from 'framer-motion';
+import { useGameState, GAME_MODES } from '../hooks/useGameState';
+import { useGameLogic } from '../hooks/useGameLogic';
+
+const WRONG_ANSWER_LOCK = 1000; // Lane is locked this long after a wrong pick
+const WRONG_ANSWER_PENALTY = 20;
+const CORRECT_ANSWER_POINTS = 100;
+
+/**
+ * One player's lane in split-screen race mode
+ * Every lane keeps its own game state and works through the shared word list
+ * at its own pace, answering with its own keys (or by tapping).
+ * @param {Object} player - { id, name, avatar }
+ * @param {Array} keys - Keys that pick options 1-4, e.g. ['q', 'w', 'e', 'r']
+ * @param {Function} onProgress - Called with the player id and
+ *   { score, correct, answered, finishedAt }
+ */
+const RaceLane = ({ player, keys, words, pool, mode, isPaused, onProgress }) => {
+  const laneState = useGameState();
+  const {
+    currentWordIndex, setCurrentWordIndex,
+    options,
+    prompt,
+    score, setScore,
+    selectedOptions, setSelectedOptions,
+    correctAnswers, setCorrectAnswers,
+    totalAnswered, setTotalAnswered,
+    correctOptionsRemaining, setCorrectOptionsRemaining
+  } = laneState;
+  const { generateOptions } = useGameLogic(laneState, mode);
+  const [isLocked, setIsLocked] = useState(false);
+  const [wrongOptionId, setWrongOptionId] = useState(null);
+  const [finishedAt, setFinishedAt] = useState(null);
+
+  // Deal the first word once the shared list is ready
+  useEffect(() => {
+    if (words.length > 0) {
+      generateOptions(words, 0, pool);
+    }
+  }, [words, pool, generateOptions]);
+
+  // Report progress to the race board
+  useEffect(() => {
+    onProgress(player.id, { score, correct: correctAnswers, answered: totalAnswered, finishedAt });
+  }, [onProgress, player.id, score, correctAnswers, totalAnswered, finishedAt]);
+
+  const isFinished = finishedAt !== null;
+
+  const handleSelect = (option) => {
+    if (isLocked || isFinished || isPaused || !option) return;
+    if (selectedOptions.some(selected => selected.id === option.id)) return;
+
+    if (!option.isCorrect) {
+      setTotalAnswered(prev => prev + 1);
+      setScore(prev => Math.max(prev - WRONG_ANSWER_PENALTY, 0));
+      setWrongOptionId(option.id);
+      setIsLocked(true);
+      setTimeout(() => {
+        setWrongOptionId(null);
+        setIsLocked(false);
+      }, WRONG_ANSWER_LOCK);
+      return;
+    }
+
+    const remaining = correctOptionsRemaining - 1;
+    setSelectedOptions([...selectedOptions, option]);
+    setCorrectOptionsRemaining(remaining);
+    if (remaining > 0) return;
+
+    setTotalAnswered(prev => prev + 1);
+    setCorrectAnswers(prev => prev + 1);
+    setScore(prev => prev + CORRECT_ANSWER_POINTS);
+
+    const nextIndex = currentWordIndex + 1;
+    if (nextIndex < words.length) {
+      setCurrentWordIndex(nextIndex);
+      generateOptions(words, nextIndex, pool);
+    } else {
+      setFinishedAt(Date.now());
+    }
+  };
+
+  // Keep the key handler current without re-subscribing on every render
+  const selectRef = useRef(null);
+  selectRef.current = (index) => handleSelect(options[index]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      const index = keys.indexOf(e.key.toLowerCase());
+      if (index !== -1) {
+        selectRef.current(index);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [keys]);
+
+  const word = words[currentWordIndex] || {};
+  const showsWordOptions = mode !== GAME_MODES.CLASSIC;
+
+  return (
+    <LaneContainer $finished={isFinished}>
+      <LaneHeader>
+        <PlayerName>{player.avatar} {player.name}</PlayerName>
+        <LaneScore>{score}</LaneScore>
+      </LaneHeader>
+      <LaneProgress>
+        <LaneProgressInner style={{ width: `${(correctAnswers / Math.max(words.length, 1)) * 100}%` }} />
+      </LaneProgress>
+
+      {isFinished ? (
+        <FinishedMessage>🏁 完成 Finished!</FinishedMessage>
+      ) : (
+        <>
+          <LanePrompt>
+            {prompt?.sentence
+              ? `${prompt.before}____${prompt.after}`
+              : showsWordOptions ? prompt?.meaning : word.english}
+          </LanePrompt>
+          <LaneOptions>
+            {options.map((option, index) => (
+              <LaneOption
+                key={option.id}
+                onClick={() => handleSelect(option)}
+                $selected={selectedOptions.some(selected => selected.id === option.id)}
+                $wrong={wrongOptionId === option.id}
+                whileTap={{ scale: 0.95 }}
+              >
+                <KeyHint>{keys[index]?.toUpperCase()}</KeyHint>
+                {showsWordOptions ? option.english : option.meaning}
+              </LaneOption>
+            ))}
+          </LaneOptions>
+        </>
+      )}
+    </LaneContainer>
+  );
+};
+
+const LaneContainer = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 0.75rem;
+  padding: 1rem;
+  border-radius: 12px;
+  background-color: ${props => props.$finished ? '#eafaf1' : '#ffffff'};
+  box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+  min-width: 0;
+`;
+
+const LaneHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+`;
+
+const PlayerName = styled.div`
+  font-size: 1.1rem;
+  font-weight: 600;
+  color: #2c3e50;
+`;
+
+const LaneScore = styled.div`
+  font-size: 1.25rem;
+  font-weight: 600;
+  color: #3498db;
+`;
+
+const LaneProgress = styled.div`
+  width: 100%;
+  height: 8px;
+  background-color: #ecf0f1;
+  border-radius: 4px;
+  overflow: hidden;
+`;
+
+const LaneProgressInner = styled.div`
+  height: 100%;
+  background-color: #2ecc71;
+  transition: width 0.3s ease;
+`;
+
+const LanePrompt = styled.div`
+  font-size: 1.4rem;
+  font-weight: 600;
+  color: #2c3e50;
+  text-align: center;
+  min-height: 2.5rem;
+  word-break: break-word;
+`;
+
+const LaneOptions = styled.div`
+  display: grid;
+  grid-template-columns: 1fr 1fr;
+  gap: 0.5rem;
+`;
+
+const LaneOption = styled(motion.button)`
+  display: flex;
+  align-items: center;
+  gap: 0.5rem;
+  padding: 0.75rem;
+  border: none;
+  border-radius: 8px;
+  font-size: 1rem;
+  text-align: left;
+  cursor: pointer;
+  background-color: ${props =>
+    props.$wrong ? '#e74c3c' :
+    props.$selected ? '#2ecc71' : '#f8f9fa'};
+  color: ${props => props.$wrong || props.$selected ? '#ffffff' : '#2c3e50'};
+`;
+
+const KeyHint = styled.span`
+  flex-shrink: 0;
+  width: 1.6rem;
+  height: 1.6rem;
+  border-radius: 4px;
+  background-color: rgba(0, 0, 0, 0.1);
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  font-size: 0.8rem;
+  font-weight: bold;
+`;
+
+const FinishedMessage = styled.div`
+  font-size: 1.5rem;
+  font-weight: 600;
+  color: #27ae60;
+  text-align: center;
+  padding: 2rem 0;
+`;
+
+export default RaceLane;
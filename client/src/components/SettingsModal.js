@@ -1,6 +1,29 @@
 import React, { useState, useEffect } from 'react';
 import styled from 'styled-components';
 import { motion } from 'framer-motion';
+import config from '../utils/config';
+import SpeechManager, { SPEECH_BACKENDS, ENGLISH_ACCENTS, DEFAULT_VOICE_SETTINGS } from '../utils/speechManager';
+import { SPELLING_STRATEGIES } from '../utils/spelling';
+
+// Voice sources; the TTS server is offered only when one is configured
+const VOICE_SOURCES = [
+  { value: SPEECH_BACKENDS.WEB_SPEECH, label: '浏览器 Browser' },
+  { value: SPEECH_BACKENDS.RECORDED, label: '真人录音 Recordings' },
+  ...(config.TTS_URL ? [{ value: SPEECH_BACKENDS.HTTP, label: '语音服务 TTS Server' }] : [])
+];
+
+// How words are spelled aloud after they are said
+const SPELLING_OPTIONS = [
+  { value: SPELLING_STRATEGIES.LETTERS, label: '字母 Letters' },
+  { value: SPELLING_STRATEGIES.SYLLABLES, label: '音节 Syllables' },
+  { value: SPELLING_STRATEGIES.SYLLABLES_THEN_LETTERS, label: '音节+字母 Both' }
+];
+
+// Voice, rate and pitch are chosen for each language
+const VOICE_LANGUAGES = [
+  { language: 'english', label: '英语声音 English Voice' },
+  { language: 'chinese', label: '中文声音 Chinese Voice' }
+];
 
 const SettingsModal = ({ settings, onSave, onClose }) => {
   const [localSettings, setLocalSettings] = useState({
@@ -9,7 +32,11 @@ const SettingsModal = ({ settings, onSave, onClose }) => {
     difficulty: settings.difficulty || 'normal',
     bgMusic: settings.bgMusic !== undefined ? settings.bgMusic : true,
     speechEnabled: settings.speechEnabled !== undefined ? settings.speechEnabled : true,
+    speechBackend: settings.speechBackend || SPEECH_BACKENDS.WEB_SPEECH,
+    voices: settings.voices || DEFAULT_VOICE_SETTINGS,
+    spellingStrategy: settings.spellingStrategy || SPELLING_STRATEGIES.LETTERS,
   });
+  const [voices, setVoices] = useState([]);
 
   useEffect(() => {
     setLocalSettings({
@@ -18,9 +45,15 @@ const SettingsModal = ({ settings, onSave, onClose }) => {
       difficulty: settings.difficulty || 'normal',
       bgMusic: settings.bgMusic !== undefined ? settings.bgMusic : true,
       speechEnabled: settings.speechEnabled !== undefined ? settings.speechEnabled : true,
+      speechBackend: settings.speechBackend || SPEECH_BACKENDS.WEB_SPEECH,
+      voices: settings.voices || DEFAULT_VOICE_SETTINGS,
+      spellingStrategy: settings.spellingStrategy || SPELLING_STRATEGIES.LETTERS,
     });
   }, [settings]);
 
+  // Browsers may list their voices only after the modal has opened
+  useEffect(() => SpeechManager.subscribeToVoices(setVoices), []);
+
   const handleInputChange = (e) => {
     const { name, value, type, checked } = e.target;
     setLocalSettings(prev => ({
@@ -29,6 +62,23 @@ const SettingsModal = ({ settings, onSave, onClose }) => {
     }));
   };
 
+  const handleVoiceChange = (language, field, value) => {
+    setLocalSettings(prev => {
+      const voice = { ...prev.voices[language], [field]: value };
+      // A voice picked for the other accent would override the new accent
+      if (field === 'accent') {
+        voice.voiceURI = null;
+      }
+      return { ...prev, voices: { ...prev.voices, [language]: voice } };
+    });
+  };
+
+  // Voices offered for each language: English ones of the chosen accent
+  const voiceOptions = {
+    english: voices.filter(voice => voice.lang === localSettings.voices.english.accent),
+    chinese: voices.filter(voice => voice.lang.startsWith('zh'))
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
     onSave(localSettings);
@@ -94,6 +144,131 @@ const SettingsModal = ({ settings, onSave, onClose }) => {
             </SliderContainer>
           </SettingGroup>
 
+          <SettingGroup>
+            <SettingLabel>语音来源 Voice Source</SettingLabel>
+            <RadioButtonGroup>
+              {VOICE_SOURCES.map(option => (
+                <RadioOption key={option.value}>
+                  <RadioInput
+                    type="radio"
+                    name="speechBackend"
+                    value={option.value}
+                    checked={localSettings.speechBackend === option.value}
+                    onChange={handleInputChange}
+                    id={`speechBackend-${option.value}`}
+                  />
+                  <RadioLabel
+                    htmlFor={`speechBackend-${option.value}`}
+                    $isActive={localSettings.speechBackend === option.value}
+                  >
+                    {option.label}
+                  </RadioLabel>
+                </RadioOption>
+              ))}
+            </RadioButtonGroup>
+            <SettingHint>
+              没有录音或服务不可用时自动改用浏览器语音 Falls back to the browser voice when a recording or the server is unavailable
+            </SettingHint>
+          </SettingGroup>
+
+          <SettingGroup>
+            <SettingLabel>拼读方式 Spelling</SettingLabel>
+            <RadioButtonGroup>
+              {SPELLING_OPTIONS.map(option => (
+                <RadioOption key={option.value}>
+                  <RadioInput
+                    type="radio"
+                    name="spellingStrategy"
+                    value={option.value}
+                    checked={localSettings.spellingStrategy === option.value}
+                    onChange={handleInputChange}
+                    id={`spellingStrategy-${option.value}`}
+                  />
+                  <RadioLabel
+                    htmlFor={`spellingStrategy-${option.value}`}
+                    $isActive={localSettings.spellingStrategy === option.value}
+                  >
+                    {option.label}
+                  </RadioLabel>
+                </RadioOption>
+              ))}
+            </RadioButtonGroup>
+            <SettingHint>音节按课本的分隔读出，如 teen·age Syllables follow the textbook breaks, e.g. teen·age</SettingHint>
+          </SettingGroup>
+
+          <SettingGroup>
+            <SettingLabel>英语口音 English Accent</SettingLabel>
+            <RadioButtonGroup>
+              {ENGLISH_ACCENTS.map(accent => (
+                <RadioOption key={accent.lang}>
+                  <RadioInput
+                    type="radio"
+                    name="englishAccent"
+                    value={accent.lang}
+                    checked={localSettings.voices.english.accent === accent.lang}
+                    onChange={() => handleVoiceChange('english', 'accent', accent.lang)}
+                    id={`englishAccent-${accent.lang}`}
+                  />
+                  <RadioLabel
+                    htmlFor={`englishAccent-${accent.lang}`}
+                    $isActive={localSettings.voices.english.accent === accent.lang}
+                  >
+                    {accent.label}
+                  </RadioLabel>
+                </RadioOption>
+              ))}
+            </RadioButtonGroup>
+            <SettingHint>课本的音标是英式发音 The textbook phonetics are British English</SettingHint>
+          </SettingGroup>
+
+          {VOICE_LANGUAGES.map(({ language, label }) => {
+            const voice = localSettings.voices[language];
+            return (
+              <SettingGroup key={language}>
+                <SettingLabel htmlFor={`voice-${language}`}>{label}</SettingLabel>
+                <VoiceSelect
+                  id={`voice-${language}`}
+                  value={voice.voiceURI || ''}
+                  onChange={(e) => handleVoiceChange(language, 'voiceURI', e.target.value || null)}
+                >
+                  <option value="">自动 Automatic</option>
+                  {voiceOptions[language].map(option => (
+                    <option key={option.voiceURI} value={option.voiceURI}>
+                      {option.name} ({option.lang})
+                    </option>
+                  ))}
+                </VoiceSelect>
+                {voices.length > 0 && voiceOptions[language].length === 0 && (
+                  <SettingHint>此设备没有这种声音 No such voice on this device</SettingHint>
+                )}
+                <SliderContainer>
+                  <SliderCaption>语速 Rate</SliderCaption>
+                  <StyledRangeInput
+                    type="range"
+                    min="0.5"
+                    max="1.5"
+                    step="0.1"
+                    value={voice.rate}
+                    onChange={(e) => handleVoiceChange(language, 'rate', Number(e.target.value))}
+                  />
+                  <SliderValue>{Number(voice.rate).toFixed(1)}×</SliderValue>
+                </SliderContainer>
+                <SliderContainer>
+                  <SliderCaption>音调 Pitch</SliderCaption>
+                  <StyledRangeInput
+                    type="range"
+                    min="0.5"
+                    max="1.5"
+                    step="0.1"
+                    value={voice.pitch}
+                    onChange={(e) => handleVoiceChange(language, 'pitch', Number(e.target.value))}
+                  />
+                  <SliderValue>{Number(voice.pitch).toFixed(1)}×</SliderValue>
+                </SliderContainer>
+              </SettingGroup>
+            );
+          })}
+
           <SettingGroup>
             <SettingLabel>默认难度 Default Difficulty</SettingLabel>
             <RadioButtonGroup>
@@ -196,6 +371,8 @@ const SettingsContainer = styled(motion.div)`
   border-radius: 20px;
   max-width: 500px;
   width: 90%;
+  max-height: 90vh;
+  overflow-y: auto;
   box-shadow: 0 10px 25px rgba(0, 0, 0, 0.2);
 `;
 
@@ -234,6 +411,12 @@ const SettingLabel = styled.label`
   font-weight: 500;
 `;
 
+const SettingHint = styled.p`
+  font-size: 0.8rem;
+  color: #95a5a6;
+  margin: 0;
+`;
+
 const SliderContainer = styled.div`
   display: flex;
   align-items: center;
@@ -269,6 +452,21 @@ const StyledRangeInput = styled.input`
   }
 `;
 
+const SliderCaption = styled.span`
+  min-width: 80px;
+  font-size: 0.9rem;
+  color: #34495e;
+`;
+
+const VoiceSelect = styled.select`
+  padding: 0.5rem;
+  border: 1px solid #bdc3c7;
+  border-radius: 8px;
+  font-size: 0.9rem;
+  color: #34495e;
+  background-color: white;
+`;
+
 const SliderValue = styled.span`
   min-width: 80px;
   font-size: 0.9rem;
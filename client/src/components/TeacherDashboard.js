@@ -0,0 +1,549 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import styled from 'styled-components';
+import { motion } from 'framer-motion';
+import API from '../utils/api';
+import { MODE_OPTIONS, DIFFICULTY_OPTIONS } from './LevelSelect';
+import { describeAssignment, formatDueDate } from './HomeworkList';
+import { GAME_MODES } from '../hooks/useGameState';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Date input value (yyyy-mm-dd) a week from today
+const defaultDueDate = () => new Date(Date.now() + 7 * DAY_MS).toISOString().slice(0, 10);
+
+const emptyAssignment = () => ({
+  title: '',
+  volume: '1',
+  units: [],
+  difficulty: 'normal',
+  mode: GAME_MODES.CLASSIC,
+  dueDate: defaultDueDate()
+});
+
+const formatPercent = (value) => (value === null || value === undefined ? '-' : `${Math.round(value * 100)}%`);
+
+/**
+ * Teacher view: classes, homework assignments and a report per student
+ */
+const TeacherDashboard = ({ profile, onBack }) => {
+  const [classes, setClasses] = useState([]);
+  const [selectedClassId, setSelectedClassId] = useState(null);
+  const [classDetail, setClassDetail] = useState(null);
+  const [report, setReport] = useState(null);
+  const [unitsData, setUnitsData] = useState({});
+  const [newClassName, setNewClassName] = useState('');
+  const [newAssignment, setNewAssignment] = useState(emptyAssignment);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const profileId = profile.id;
+
+  // Run a request and show its error message if it fails
+  const withErrorMessage = useCallback(async (action, message) => {
+    try {
+      setError(null);
+      return await action();
+    } catch (err) {
+      console.error(`${message}:`, err);
+      setError(`${message}: ${err.message}`);
+      return null;
+    }
+  }, []);
+
+  const loadClasses = useCallback(async () => {
+    const list = await withErrorMessage(() => API.getClasses(profileId), 'Failed to load classes');
+    if (list) {
+      setClasses(list);
+      if (list.length > 0) {
+        setSelectedClassId(selected => selected || list[0].id);
+      }
+    }
+    setIsLoading(false);
+  }, [profileId, withErrorMessage]);
+
+  const loadClass = useCallback(async (classId) => {
+    const [detail, classReport] = await withErrorMessage(() => Promise.all([
+      API.getClass(profileId, classId),
+      API.getClassReport(profileId, classId)
+    ]), 'Failed to load class') || [];
+    setClassDetail(detail || null);
+    setReport(classReport || null);
+  }, [profileId, withErrorMessage]);
+
+  useEffect(() => {
+    loadClasses();
+    API.getAllUnits().then(setUnitsData);
+  }, [loadClasses]);
+
+  useEffect(() => {
+    if (selectedClassId) {
+      loadClass(selectedClassId);
+    } else {
+      setClassDetail(null);
+      setReport(null);
+    }
+  }, [selectedClassId, loadClass]);
+
+  const handleCreateClass = async (e) => {
+    e.preventDefault();
+    if (!newClassName.trim()) return;
+    const created = await withErrorMessage(() => API.createClass(profile.id, newClassName.trim()), 'Failed to create class');
+    if (created) {
+      setNewClassName('');
+      setClasses(prev => [...prev, created]);
+      setSelectedClassId(created.id);
+    }
+  };
+
+  const handleDeleteClass = async () => {
+    if (!classDetail || !window.confirm(`删除班级 ${classDetail.name} 及其所有作业记录？\nDelete ${classDetail.name} and all its homework?`)) {
+      return;
+    }
+    await withErrorMessage(() => API.deleteClass(profile.id, classDetail.id), 'Failed to delete class');
+    setClasses(prev => prev.filter(c => c.id !== classDetail.id));
+    setSelectedClassId(null);
+  };
+
+  const handleRemoveStudent = async (student) => {
+    if (!window.confirm(`把 ${student.name} 移出班级？\nRemove ${student.name} from the class?`)) return;
+    await withErrorMessage(() => API.removeStudent(profile.id, classDetail.id, student.id), 'Failed to remove student');
+    loadClass(classDetail.id);
+  };
+
+  const updateAssignment = (changes) => setNewAssignment(prev => ({ ...prev, ...changes }));
+
+  const toggleUnit = (unit) => updateAssignment({
+    units: newAssignment.units.includes(unit)
+      ? newAssignment.units.filter(u => u !== unit)
+      : [...newAssignment.units, unit]
+  });
+
+  const handleCreateAssignment = async (e) => {
+    e.preventDefault();
+    const created = await withErrorMessage(() => API.createAssignment(profile.id, classDetail.id, {
+      ...newAssignment,
+      volume: Number(newAssignment.volume),
+      // Due at the end of the chosen day
+      dueDate: new Date(`${newAssignment.dueDate}T23:59:59`).getTime()
+    }), 'Failed to create assignment');
+    if (created) {
+      setNewAssignment(emptyAssignment());
+      loadClass(classDetail.id);
+    }
+  };
+
+  const handleDeleteAssignment = async (assignment) => {
+    if (!window.confirm(`删除作业 ${assignment.title}？\nDelete ${assignment.title}?`)) return;
+    await withErrorMessage(() => API.deleteAssignment(profile.id, assignment.id), 'Failed to delete assignment');
+    loadClass(classDetail.id);
+  };
+
+  const volumeUnits = [...(unitsData[newAssignment.volume] || [])].sort((a, b) => {
+    if (a === 'welcome') return -1;
+    if (b === 'welcome') return 1;
+    return parseInt(a) - parseInt(b);
+  });
+  const studentCount = classDetail ? classDetail.students.length : 0;
+  const completedCount = (assignmentId) =>
+    (report?.students || []).filter(student => student.results[assignmentId]).length;
+
+  return (
+    <Container
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+    >
+      <Header>
+        <BackButton
+          onClick={onBack}
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.9 }}
+        >
+          ← 返回
+        </BackButton>
+        <Title>教师后台</Title>
+      </Header>
+
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+
+      {isLoading ? (
+        <LoadingMessage>Loading classes...</LoadingMessage>
+      ) : (
+        <ClassBar>
+          {classes.map(schoolClass => (
+            <ClassChip
+              key={schoolClass.id}
+              $selected={schoolClass.id === selectedClassId}
+              onClick={() => setSelectedClassId(schoolClass.id)}
+            >
+              {schoolClass.name}
+            </ClassChip>
+          ))}
+          <InlineForm onSubmit={handleCreateClass}>
+            <TextInput
+              type="text"
+              value={newClassName}
+              maxLength={60}
+              placeholder="新班级 New class"
+              onChange={(e) => setNewClassName(e.target.value)}
+            />
+            <ActionButton type="submit" disabled={!newClassName.trim()}>
+              创建 Create
+            </ActionButton>
+          </InlineForm>
+        </ClassBar>
+      )}
+
+      {classDetail && (
+        <>
+          <Section>
+            <SectionHeader>
+              <SectionTitle>{classDetail.name}</SectionTitle>
+              <JoinCode>班级码 Class code: <strong>{classDetail.joinCode}</strong></JoinCode>
+              <DangerButton onClick={handleDeleteClass}>删除班级 Delete</DangerButton>
+            </SectionHeader>
+            <Hint>学生在“我的作业”中输入班级码加入班级。Students join with this code under 我的作业.</Hint>
+          </Section>
+
+          <Section>
+            <SectionTitle>作业 Assignments</SectionTitle>
+            {classDetail.assignments.length === 0 ? (
+              <Hint>还没有作业 No homework yet</Hint>
+            ) : (
+              <List>
+                {classDetail.assignments.map(assignment => (
+                  <ListRow key={assignment.id}>
+                    <RowMain>
+                      <strong>{assignment.title}</strong>
+                      <Meta>{describeAssignment(assignment)} · 截止 {formatDueDate(assignment.dueDate)}</Meta>
+                    </RowMain>
+                    <span>{completedCount(assignment.id)}/{studentCount} 完成</span>
+                    <DangerButton onClick={() => handleDeleteAssignment(assignment)}>✕</DangerButton>
+                  </ListRow>
+                ))}
+              </List>
+            )}
+
+            <AssignmentForm onSubmit={handleCreateAssignment}>
+              <TextInput
+                type="text"
+                value={newAssignment.title}
+                maxLength={80}
+                placeholder="作业名称 Title"
+                onChange={(e) => updateAssignment({ title: e.target.value })}
+              />
+              <FormRow>
+                <label>
+                  册 Volume{' '}
+                  <select
+                    value={newAssignment.volume}
+                    onChange={(e) => updateAssignment({ volume: e.target.value, units: [] })}
+                  >
+                    {Object.keys(unitsData).map(volume => (
+                      <option key={volume} value={volume}>{volume}</option>
+                    ))}
+                  </select>
+                </label>
+                <label>
+                  难度{' '}
+                  <select
+                    value={newAssignment.difficulty}
+                    onChange={(e) => updateAssignment({ difficulty: e.target.value })}
+                  >
+                    {DIFFICULTY_OPTIONS.map(option => (
+                      <option key={option.id} value={option.id}>{option.label}</option>
+                    ))}
+                  </select>
+                </label>
+                <label>
+                  模式{' '}
+                  <select
+                    value={newAssignment.mode}
+                    onChange={(e) => updateAssignment({ mode: e.target.value })}
+                  >
+                    {MODE_OPTIONS.map(option => (
+                      <option key={option.id} value={option.id}>{option.label}</option>
+                    ))}
+                  </select>
+                </label>
+                <label>
+                  截止 Due{' '}
+                  <input
+                    type="date"
+                    value={newAssignment.dueDate}
+                    onChange={(e) => updateAssignment({ dueDate: e.target.value })}
+                  />
+                </label>
+              </FormRow>
+              <FormRow>
+                {volumeUnits.map(unit => (
+                  <ClassChip
+                    key={unit}
+                    type="button"
+                    $selected={newAssignment.units.includes(unit)}
+                    onClick={() => toggleUnit(unit)}
+                  >
+                    {unit === 'welcome' ? 'Welcome' : `Unit ${unit}`}
+                  </ClassChip>
+                ))}
+              </FormRow>
+              <ActionButton
+                type="submit"
+                disabled={!newAssignment.title.trim() || newAssignment.units.length === 0 || !newAssignment.dueDate}
+              >
+                布置作业 Assign
+              </ActionButton>
+            </AssignmentForm>
+          </Section>
+
+          <Section>
+            <SectionTitle>学生报告 Student Report</SectionTitle>
+            {!report || report.students.length === 0 ? (
+              <Hint>还没有学生加入 No students yet</Hint>
+            ) : (
+              <ReportTable>
+                <thead>
+                  <tr>
+                    <th>学生 Student</th>
+                    <th>完成 Done</th>
+                    <th>准确率 Accuracy</th>
+                    <th>薄弱词 Weak Words</th>
+                    <th />
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.students.map(student => (
+                    <tr key={student.id}>
+                      <td>{student.avatar} {student.name}</td>
+                      <td>{student.completed}/{report.assignments.length}</td>
+                      <td>{formatPercent(student.accuracy)}</td>
+                      <td>
+                        {student.weakWords.length === 0 ? '-' : student.weakWords
+                          .map(({ word, count }) => (count > 1 ? `${word} ×${count}` : word))
+                          .join(', ')}
+                      </td>
+                      <td>
+                        <DangerButton onClick={() => handleRemoveStudent(student)} aria-label={`Remove ${student.name}`}>
+                          ✕
+                        </DangerButton>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </ReportTable>
+            )}
+          </Section>
+        </>
+      )}
+    </Container>
+  );
+};
+
+const Container = styled(motion.div)`
+  display: flex;
+  flex-direction: column;
+  padding: 2rem;
+  height: 100%;
+  width: 100%;
+  max-width: 960px;
+  margin: 0 auto;
+`;
+
+const Header = styled.div`
+  display: flex;
+  align-items: center;
+  margin-bottom: 2rem;
+  position: relative;
+`;
+
+const BackButton = styled(motion.button)`
+  background: none;
+  border: none;
+  font-size: 1.2rem;
+  color: #2c3e50;
+  cursor: pointer;
+  position: absolute;
+  left: 0;
+  padding: 0.5rem 1rem;
+`;
+
+const Title = styled.h2`
+  font-size: 2rem;
+  font-weight: 600;
+  text-align: center;
+  width: 100%;
+  color: #2c3e50;
+`;
+
+const LoadingMessage = styled.div`
+  text-align: center;
+  font-size: 1.2rem;
+  color: #3498db;
+  margin: 2rem 0;
+`;
+
+const ErrorMessage = styled.div`
+  text-align: center;
+  font-size: 1.1rem;
+  color: #e74c3c;
+  margin-bottom: 1rem;
+  padding: 1rem;
+  background-color: #ffeaea;
+  border-radius: 8px;
+`;
+
+const ClassBar = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 0.5rem;
+  margin-bottom: 1.5rem;
+`;
+
+const ClassChip = styled.button`
+  padding: 0.5rem 1rem;
+  border-radius: 20px;
+  font-size: 1rem;
+  border: 2px solid ${props => props.$selected ? '#2980b9' : '#bdc3c7'};
+  background-color: ${props => props.$selected ? '#3498db' : '#ffffff'};
+  color: ${props => props.$selected ? '#ffffff' : '#2c3e50'};
+  cursor: pointer;
+`;
+
+const InlineForm = styled.form`
+  display: flex;
+  gap: 0.5rem;
+`;
+
+const TextInput = styled.input`
+  padding: 0.5rem 0.75rem;
+  border: 2px solid #bdc3c7;
+  border-radius: 8px;
+  font-size: 1rem;
+
+  &:focus {
+    outline: none;
+    border-color: #3498db;
+  }
+`;
+
+const ActionButton = styled.button`
+  padding: 0.5rem 1rem;
+  border: none;
+  border-radius: 8px;
+  background-color: #3498db;
+  color: white;
+  font-size: 1rem;
+  cursor: pointer;
+
+  &:disabled {
+    background-color: #bdc3c7;
+    cursor: not-allowed;
+  }
+`;
+
+const DangerButton = styled.button`
+  padding: 0.35rem 0.75rem;
+  border: none;
+  border-radius: 6px;
+  background-color: #fdecea;
+  color: #c0392b;
+  cursor: pointer;
+`;
+
+const Section = styled.section`
+  padding: 1.25rem 1.5rem;
+  margin-bottom: 1.5rem;
+  border-radius: 12px;
+  background-color: rgba(255, 255, 255, 0.85);
+  box-shadow: 0 4px 6px rgba(0, 0, 0, 0.08);
+`;
+
+const SectionHeader = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 1rem;
+`;
+
+const SectionTitle = styled.h3`
+  font-size: 1.3rem;
+  color: #2c3e50;
+  margin: 0 0 0.75rem;
+  flex: 1;
+`;
+
+const JoinCode = styled.div`
+  font-size: 1.1rem;
+  color: #34495e;
+
+  strong {
+    letter-spacing: 0.2rem;
+  }
+`;
+
+const Hint = styled.div`
+  color: #7f8c8d;
+  margin: 0.5rem 0;
+`;
+
+const List = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 0.5rem;
+  margin-bottom: 1rem;
+`;
+
+const ListRow = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 1rem;
+  padding: 0.5rem 0;
+  border-bottom: 1px solid #ecf0f1;
+`;
+
+const RowMain = styled.div`
+  flex: 1;
+  display: flex;
+  flex-direction: column;
+`;
+
+const Meta = styled.span`
+  font-size: 0.85rem;
+  color: #7f8c8d;
+`;
+
+const AssignmentForm = styled.form`
+  display: flex;
+  flex-direction: column;
+  gap: 0.75rem;
+  padding-top: 1rem;
+  border-top: 2px dashed #ecf0f1;
+`;
+
+const FormRow = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 0.75rem;
+  align-items: center;
+  color: #2c3e50;
+`;
+
+const ReportTable = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+
+  th, td {
+    padding: 0.5rem;
+    text-align: left;
+    border-bottom: 1px solid #ecf0f1;
+  }
+
+  th {
+    font-size: 0.85rem;
+    color: #7f8c8d;
+    font-weight: 500;
+  }
+`;
+
+export default TeacherDashboard;
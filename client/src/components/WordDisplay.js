@@ -1,14 +1,85 @@
-import React from 'react';
-import { EnglishWordContainer, EnglishWord, PhoneticText, SpeechAnimation } from './GameBoard.styles';
+import React, { useState, useEffect } from 'react';
+import SpeechManager from '../utils/speechManager';
+import { splitHeadword } from '../utils/spelling';
+import { 
+  EnglishWordContainer, 
+  EnglishWord, 
+  SpelledSyllable,
+  SpelledLetter,
+  PhoneticText, 
+  SpeechAnimation, 
+  MeaningPrompt, 
+  PromptPos,
+  ClozeSentence,
+  ClozeBlank,
+  ClozeMeaning
+} from './GameBoard.styles';
 
 /**
  * Component for displaying the current word
+ * When a prompt (one explanation of the word) is given, the Chinese meaning is
+ * shown instead of the English word, as used by reverse mode. Cloze prompts
+ * show their example sentence with the word blanked out until revealAnswer.
+ * While the word is spelled aloud, the syllable and letter being said are
+ * highlighted.
  */
-const WordDisplay = ({ word, showOptions }) => {
+const WordDisplay = ({ word, prompt, revealAnswer, showOptions }) => {
+  const [spelling, setSpelling] = useState(null);
+
+  useEffect(() => SpeechManager.subscribeToSpelling(setSpelling), []);
+
+  if (prompt?.sentence) {
+    return (
+      <EnglishWordContainer>
+        <ClozeSentence>
+          {prompt.before}
+          <ClozeBlank $revealed={revealAnswer}>
+            {revealAnswer ? prompt.answer : '\u00a0'.repeat(prompt.answer.length + 2)}
+          </ClozeBlank>
+          {prompt.after}
+          {!showOptions && <SpeechAnimation>🔊</SpeechAnimation>}
+        </ClozeSentence>
+        <ClozeMeaning>
+          {prompt.pos && <strong>{prompt.pos} </strong>}
+          {prompt.meaning}
+        </ClozeMeaning>
+      </EnglishWordContainer>
+    );
+  }
+
+  if (prompt) {
+    return (
+      <EnglishWordContainer>
+        {prompt.pos && <PromptPos>{prompt.pos}</PromptPos>}
+        <MeaningPrompt>
+          {prompt.meaning}
+          {!showOptions && <SpeechAnimation>🔊</SpeechAnimation>}
+        </MeaningPrompt>
+      </EnglishWordContainer>
+    );
+  }
+
   return (
     <EnglishWordContainer>
       <EnglishWord>
-        {word?.english || "Loading..."}
+        {spelling && word && spelling.word === word.english ? (
+          <span>
+            {splitHeadword(word).map((syllable, syllableIndex) => (
+              <SpelledSyllable key={syllableIndex} $active={spelling.syllable === syllableIndex && spelling.letter === null}>
+                {[...syllable].map((char, letterIndex) => (
+                  <SpelledLetter
+                    key={letterIndex}
+                    $active={spelling.syllable === syllableIndex && spelling.letter === letterIndex}
+                  >
+                    {char}
+                  </SpelledLetter>
+                ))}
+              </SpelledSyllable>
+            ))}
+          </span>
+        ) : (
+          word?.english || "Loading..."
+        )}
         {!showOptions && <SpeechAnimation>🔊</SpeechAnimation>}
       </EnglishWord>
       {word?.phonetic && (
@@ -0,0 +1,594 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import styled from 'styled-components';
+import { motion } from 'framer-motion';
+import API from '../utils/api';
+import WordListImport from './WordListImport';
+import { CUSTOM_LIST_VOLUME } from '../utils/dataLoader';
+import { openExport } from '../utils/exportFiles';
+
+const emptyExplanation = () => ({ pos: '', meaning: '', examples: [] });
+
+const emptyEntry = () => ({
+  word: '',
+  syllable_breaks: '',
+  phonetic: '',
+  explanation: [emptyExplanation()]
+});
+
+// Entry as sent to the server: blank example lines are dropped
+const toVocabularyEntry = (entry) => ({
+  ...entry,
+  explanation: entry.explanation.map(item => ({
+    ...item,
+    examples: item.examples.map(example => example.trim()).filter(Boolean)
+  }))
+});
+
+// Server field errors ([{ field, message }]) keyed by field path
+const toFieldErrors = (fields) => Object.fromEntries((fields || []).map(({ field, message }) => [field, message]));
+
+// Summary shown above a list the server rejected
+const describeFieldErrors = (fields) => `有 ${fields.length} 处需要修改 ${fields.length} field(s) need fixing`;
+
+/**
+ * Teacher screen for writing custom word lists, which are played like units
+ * Words use the same format as the built-in vocabulary files.
+ */
+const WordListEditor = ({ profile, onBack }) => {
+  const [lists, setLists] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const profileId = profile.id;
+
+  const loadLists = useCallback(async () => {
+    try {
+      const allLists = await API.getWordLists();
+      setLists(allLists.filter(list => list.ownerId === profileId));
+      setError(null);
+    } catch (err) {
+      console.error('Error loading word lists:', err);
+      setError('词表加载失败 Failed to load word lists');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [profileId]);
+
+  useEffect(() => {
+    loadLists();
+  }, [loadLists]);
+
+  const openDraft = (list, fields = []) => {
+    setDraft(list);
+    setIsImporting(false);
+    setFieldErrors(toFieldErrors(fields));
+    setError(fields.length > 0 ? describeFieldErrors(fields) : null);
+    setMessage(null);
+  };
+
+  const handleImported = () => {
+    setIsImporting(false);
+    setMessage('已导入 Imported');
+    loadLists();
+  };
+
+  const handleEdit = async (listId) => {
+    try {
+      const list = await API.getWordList(listId);
+      openDraft({ id: list.id, title: list.title, words: list.words });
+    } catch (err) {
+      console.error('Error loading word list:', err);
+      setError(`词表加载失败 Failed to load word list: ${err.message}`);
+    }
+  };
+
+  const handleDelete = async (list) => {
+    if (!window.confirm(`删除词表 ${list.title}？\nDelete ${list.title}?`)) return;
+    try {
+      await API.deleteWordList(profile.id, list.id);
+      setLists(prev => prev.filter(item => item.id !== list.id));
+    } catch (err) {
+      console.error('Error deleting word list:', err);
+      setError(`删除失败 Failed to delete: ${err.message}`);
+    }
+  };
+
+  const updateWord = (wordIndex, changes) => setDraft(prev => ({
+    ...prev,
+    words: prev.words.map((entry, index) => (index === wordIndex ? { ...entry, ...changes } : entry))
+  }));
+
+  const updateExplanation = (wordIndex, explanationIndex, changes) => updateWord(wordIndex, {
+    explanation: draft.words[wordIndex].explanation.map((item, index) =>
+      (index === explanationIndex ? { ...item, ...changes } : item))
+  });
+
+  const addWord = () => setDraft(prev => ({ ...prev, words: [...prev.words, emptyEntry()] }));
+
+  const removeWord = (wordIndex) => setDraft(prev => ({
+    ...prev,
+    words: prev.words.filter((_, index) => index !== wordIndex)
+  }));
+
+  const addExplanation = (wordIndex) => updateWord(wordIndex, {
+    explanation: [...draft.words[wordIndex].explanation, emptyExplanation()]
+  });
+
+  const removeExplanation = (wordIndex, explanationIndex) => updateWord(wordIndex, {
+    explanation: draft.words[wordIndex].explanation.filter((_, index) => index !== explanationIndex)
+  });
+
+  const handleSave = async () => {
+    const list = { title: draft.title, words: draft.words.map(toVocabularyEntry) };
+    setIsSaving(true);
+    setMessage(null);
+    try {
+      const saved = draft.id
+        ? await API.updateWordList(profile.id, draft.id, list)
+        : await API.createWordList(profile.id, list);
+      setDraft({ id: saved.id, title: saved.title, words: saved.words });
+      setFieldErrors({});
+      setError(null);
+      setMessage(`已保存 Saved ${saved.words.length} 个单词`);
+      loadLists();
+    } catch (err) {
+      console.error('Error saving word list:', err);
+      setFieldErrors(toFieldErrors(err.fields));
+      setError(err.fields && err.fields.length > 0
+        ? describeFieldErrors(err.fields)
+        : `保存失败 Failed to save: ${err.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const renderFieldError = (field) => (
+    fieldErrors[field] ? <FieldError>{fieldErrors[field]}</FieldError> : null
+  );
+
+  return (
+    <Container
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+    >
+      <Header>
+        <BackButton
+          onClick={draft ? () => openDraft(null) : onBack}
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.9 }}
+        >
+          ← 返回
+        </BackButton>
+        <Title>{draft ? (draft.id ? '编辑词表' : '新建词表') : '我的词表'}</Title>
+      </Header>
+
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+      {message && <SavedMessage>{message}</SavedMessage>}
+
+      {!draft ? (
+        isLoading ? (
+          <LoadingMessage>Loading word lists...</LoadingMessage>
+        ) : (
+          <>
+            {lists.length === 0 ? (
+              <EmptyMessage>还没有词表。新建一个，学生就能在“选择关卡 → 自定义”里练习。</EmptyMessage>
+            ) : (
+              <ListGrid>
+                {lists.map(list => (
+                  <ListCard key={list.id}>
+                    <ListInfo>
+                      <ListTitle>{list.title}</ListTitle>
+                      <ListMeta>{list.wordCount} 个单词 · {new Date(list.updatedAt).toLocaleDateString()}</ListMeta>
+                    </ListInfo>
+                    <ExportLink onClick={() => openExport(API.getExportUrl(CUSTOM_LIST_VOLUME, list.id, 'anki'))}>
+                      Anki
+                    </ExportLink>
+                    <ExportLink onClick={() => openExport(API.getExportUrl(CUSTOM_LIST_VOLUME, list.id, 'worksheet'))}>
+                      练习单 Worksheet
+                    </ExportLink>
+                    <ActionButton onClick={() => handleEdit(list.id)}>编辑 Edit</ActionButton>
+                    <DangerButton onClick={() => handleDelete(list)}>✕</DangerButton>
+                  </ListCard>
+                ))}
+              </ListGrid>
+            )}
+            {isImporting ? (
+              <WordListImport
+                profile={profile}
+                onCreated={handleImported}
+                onEdit={openDraft}
+                onCancel={() => setIsImporting(false)}
+              />
+            ) : (
+              <Footer>
+                <ActionButton onClick={() => setIsImporting(true)}>导入 CSV / Anki</ActionButton>
+                <PrimaryButton
+                  onClick={() => openDraft({ id: null, title: '', words: [emptyEntry()] })}
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                >
+                  + 新建词表 New List
+                </PrimaryButton>
+              </Footer>
+            )}
+          </>
+        )
+      ) : (
+        <>
+          <Field>
+            <FieldLabel>标题 Title</FieldLabel>
+            <TextInput
+              type="text"
+              value={draft.title}
+              maxLength={80}
+              $invalid={Boolean(fieldErrors.title)}
+              placeholder="e.g. 校本教材 Unit 3"
+              onChange={(e) => setDraft(prev => ({ ...prev, title: e.target.value }))}
+            />
+            {renderFieldError('title')}
+          </Field>
+          {renderFieldError('words')}
+
+          {draft.words.map((entry, wordIndex) => {
+            const path = `words[${wordIndex}]`;
+            return (
+              <WordCard key={wordIndex}>
+                <WordCardHeader>
+                  <WordNumber>{wordIndex + 1}</WordNumber>
+                  <DangerButton onClick={() => removeWord(wordIndex)} aria-label="Remove word">✕</DangerButton>
+                </WordCardHeader>
+                {renderFieldError(path)}
+                <FieldRow>
+                  <Field>
+                    <FieldLabel>单词 Word</FieldLabel>
+                    <TextInput
+                      type="text"
+                      value={entry.word}
+                      $invalid={Boolean(fieldErrors[`${path}.word`])}
+                      onChange={(e) => updateWord(wordIndex, { word: e.target.value })}
+                    />
+                    {renderFieldError(`${path}.word`)}
+                  </Field>
+                  <Field>
+                    <FieldLabel>音节 Syllables</FieldLabel>
+                    <TextInput
+                      type="text"
+                      value={entry.syllable_breaks}
+                      $invalid={Boolean(fieldErrors[`${path}.syllable_breaks`])}
+                      placeholder="vol·un·teer"
+                      onChange={(e) => updateWord(wordIndex, { syllable_breaks: e.target.value })}
+                    />
+                    {renderFieldError(`${path}.syllable_breaks`)}
+                  </Field>
+                  <Field>
+                    <FieldLabel>音标 Phonetic</FieldLabel>
+                    <TextInput
+                      type="text"
+                      value={entry.phonetic}
+                      $invalid={Boolean(fieldErrors[`${path}.phonetic`])}
+                      placeholder="/ˌvɒlənˈtɪər/"
+                      onChange={(e) => updateWord(wordIndex, { phonetic: e.target.value })}
+                    />
+                    {renderFieldError(`${path}.phonetic`)}
+                  </Field>
+                </FieldRow>
+
+                {renderFieldError(`${path}.explanation`)}
+                {entry.explanation.map((item, explanationIndex) => {
+                  const explanationPath = `${path}.explanation[${explanationIndex}]`;
+                  return (
+                    <ExplanationRow key={explanationIndex}>
+                      <Field $narrow>
+                        <FieldLabel>词性 POS</FieldLabel>
+                        <TextInput
+                          type="text"
+                          value={item.pos}
+                          $invalid={Boolean(fieldErrors[`${explanationPath}.pos`])}
+                          placeholder="n."
+                          onChange={(e) => updateExplanation(wordIndex, explanationIndex, { pos: e.target.value })}
+                        />
+                        {renderFieldError(`${explanationPath}.pos`)}
+                      </Field>
+                      <Field>
+                        <FieldLabel>释义 Meaning</FieldLabel>
+                        <TextInput
+                          type="text"
+                          value={item.meaning}
+                          $invalid={Boolean(fieldErrors[`${explanationPath}.meaning`])}
+                          onChange={(e) => updateExplanation(wordIndex, explanationIndex, { meaning: e.target.value })}
+                        />
+                        {renderFieldError(`${explanationPath}.meaning`)}
+                        {renderFieldError(explanationPath)}
+                      </Field>
+                      <Field>
+                        <FieldLabel>例句 Examples (每行一句)</FieldLabel>
+                        <TextArea
+                          rows={2}
+                          value={item.examples.join('\n')}
+                          $invalid={Object.keys(fieldErrors).some(field => field.startsWith(`${explanationPath}.examples`))}
+                          onChange={(e) => updateExplanation(wordIndex, explanationIndex, { examples: e.target.value.split('\n') })}
+                        />
+                        {Object.keys(fieldErrors)
+                          .filter(field => field.startsWith(`${explanationPath}.examples`))
+                          .map(field => <FieldError key={field}>{fieldErrors[field]}</FieldError>)}
+                      </Field>
+                      {entry.explanation.length > 1 && (
+                        <DangerButton
+                          onClick={() => removeExplanation(wordIndex, explanationIndex)}
+                          aria-label="Remove meaning"
+                        >
+                          ✕
+                        </DangerButton>
+                      )}
+                    </ExplanationRow>
+                  );
+                })}
+                <LinkButton onClick={() => addExplanation(wordIndex)}>+ 释义 Meaning</LinkButton>
+              </WordCard>
+            );
+          })}
+
+          <Footer>
+            <ActionButton onClick={addWord}>+ 单词 Word</ActionButton>
+            <PrimaryButton
+              onClick={handleSave}
+              disabled={isSaving}
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+            >
+              {isSaving ? '保存中...' : '保存 Save'}
+            </PrimaryButton>
+          </Footer>
+        </>
+      )}
+    </Container>
+  );
+};
+
+const Container = styled(motion.div)`
+  display: flex;
+  flex-direction: column;
+  padding: 2rem;
+  height: 100%;
+  width: 100%;
+  max-width: 960px;
+  margin: 0 auto;
+  overflow-y: auto;
+`;
+
+const Header = styled.div`
+  display: flex;
+  align-items: center;
+  margin-bottom: 2rem;
+  position: relative;
+`;
+
+const BackButton = styled(motion.button)`
+  background: none;
+  border: none;
+  font-size: 1.2rem;
+  color: #2c3e50;
+  cursor: pointer;
+  position: absolute;
+  left: 0;
+  padding: 0.5rem 1rem;
+`;
+
+const Title = styled.h2`
+  font-size: 2rem;
+  font-weight: 600;
+  text-align: center;
+  width: 100%;
+  color: #2c3e50;
+`;
+
+const LoadingMessage = styled.div`
+  text-align: center;
+  font-size: 1.2rem;
+  color: #3498db;
+  margin: 2rem 0;
+`;
+
+const ErrorMessage = styled.div`
+  text-align: center;
+  font-size: 1.1rem;
+  color: #e74c3c;
+  margin-bottom: 1rem;
+  padding: 1rem;
+  background-color: #ffeaea;
+  border-radius: 8px;
+`;
+
+const SavedMessage = styled.div`
+  text-align: center;
+  color: #27ae60;
+  margin-bottom: 1rem;
+`;
+
+const EmptyMessage = styled.div`
+  text-align: center;
+  font-size: 1.1rem;
+  color: #7f8c8d;
+  margin: 2rem 0;
+`;
+
+const ListGrid = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 0.75rem;
+  margin-bottom: 1.5rem;
+`;
+
+const ListCard = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 1rem;
+  padding: 1rem 1.25rem;
+  border-radius: 12px;
+  background-color: #ffffff;
+  box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+`;
+
+const ListInfo = styled.div`
+  flex: 1;
+  min-width: 0;
+`;
+
+const ListTitle = styled.div`
+  font-size: 1.2rem;
+  font-weight: 600;
+  color: #2c3e50;
+`;
+
+const ListMeta = styled.div`
+  font-size: 0.9rem;
+  color: #7f8c8d;
+`;
+
+const PrimaryButton = styled(motion.button)`
+  align-self: center;
+  padding: 0.8rem 2rem;
+  border: none;
+  border-radius: 8px;
+  background-color: #3498db;
+  color: white;
+  font-size: 1.1rem;
+  cursor: pointer;
+
+  &:disabled {
+    background-color: #bdc3c7;
+    cursor: not-allowed;
+  }
+`;
+
+const ActionButton = styled.button`
+  padding: 0.5rem 1rem;
+  border: 2px solid #3498db;
+  border-radius: 8px;
+  background-color: #ffffff;
+  color: #2980b9;
+  font-size: 1rem;
+  cursor: pointer;
+`;
+
+const DangerButton = styled.button`
+  padding: 0.35rem 0.75rem;
+  border: none;
+  border-radius: 6px;
+  background-color: #fdecea;
+  color: #c0392b;
+  cursor: pointer;
+`;
+
+const ExportLink = styled.button`
+  background: none;
+  border: none;
+  color: #2980b9;
+  text-decoration: underline;
+  cursor: pointer;
+`;
+
+const LinkButton = styled.button`
+  align-self: flex-start;
+  background: none;
+  border: none;
+  color: #2980b9;
+  cursor: pointer;
+  padding: 0.25rem 0;
+`;
+
+const WordCard = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 0.75rem;
+  padding: 1rem 1.25rem;
+  margin-bottom: 1rem;
+  border-radius: 12px;
+  background-color: rgba(255, 255, 255, 0.9);
+  box-shadow: 0 4px 6px rgba(0, 0, 0, 0.08);
+`;
+
+const WordCardHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+`;
+
+const WordNumber = styled.span`
+  font-weight: 600;
+  color: #7f8c8d;
+`;
+
+const FieldRow = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 0.75rem;
+`;
+
+const ExplanationRow = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: flex-start;
+  gap: 0.75rem;
+  padding-left: 1rem;
+  border-left: 3px solid #ecf0f1;
+`;
+
+const Field = styled.label`
+  display: flex;
+  flex-direction: column;
+  gap: 0.25rem;
+  flex: ${props => props.$narrow ? '0 0 6rem' : '1 1 12rem'};
+  margin-bottom: 0.5rem;
+`;
+
+const FieldLabel = styled.span`
+  font-size: 0.85rem;
+  color: #7f8c8d;
+`;
+
+const TextInput = styled.input`
+  padding: 0.5rem 0.75rem;
+  border: 2px solid ${props => props.$invalid ? '#e74c3c' : '#bdc3c7'};
+  border-radius: 8px;
+  font-size: 1rem;
+
+  &:focus {
+    outline: none;
+    border-color: #3498db;
+  }
+`;
+
+const TextArea = styled.textarea`
+  padding: 0.5rem 0.75rem;
+  border: 2px solid ${props => props.$invalid ? '#e74c3c' : '#bdc3c7'};
+  border-radius: 8px;
+  font-size: 0.95rem;
+  font-family: inherit;
+  resize: vertical;
+
+  &:focus {
+    outline: none;
+    border-color: #3498db;
+  }
+`;
+
+const FieldError = styled.div`
+  font-size: 0.85rem;
+  color: #e74c3c;
+`;
+
+const Footer = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  padding: 1rem 0 2rem;
+`;
+
+export default WordListEditor;
@@ -0,0 +1,340 @@
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import { motion } from 'framer-motion';
+import API from '../utils/api';
+
+// File formats the server can import
+const IMPORT_FORMAT_OPTIONS = [
+  { id: '', label: '自动 Auto' },
+  { id: 'csv', label: 'CSV' },
+  { id: 'tsv', label: 'TSV' },
+  { id: 'anki', label: 'Anki' }
+];
+
+// Rows of the preview table before "and N more"
+const PREVIEW_ROWS = 50;
+
+// Format implied by a file name, if any
+const formatFromFileName = (fileName) => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  return ['csv', 'tsv'].includes(extension) ? extension : '';
+};
+
+/**
+ * Upload a CSV/TSV spreadsheet or Anki export and preview its words
+ * Nothing is saved until the teacher creates the list or opens it in the editor.
+ */
+const WordListImport = ({ profile, onCreated, onEdit, onCancel }) => {
+  const [file, setFile] = useState(null);
+  const [format, setFormat] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [title, setTitle] = useState('');
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadPreview = async (selectedFile, selectedFormat) => {
+    setIsWorking(true);
+    setError(null);
+    try {
+      const content = await selectedFile.text();
+      setPreview(await API.previewWordListImport(profile.id, content, selectedFormat || undefined));
+    } catch (err) {
+      console.error('Error previewing import:', err);
+      setPreview(null);
+      setError(`无法读取文件 Could not read the file: ${err.message}`);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const selectedFile = e.target.files[0];
+    if (!selectedFile) return;
+
+    const selectedFormat = formatFromFileName(selectedFile.name) || format;
+    setFile(selectedFile);
+    setFormat(selectedFormat);
+    setTitle(selectedFile.name.replace(/\.[^.]+$/, ''));
+    loadPreview(selectedFile, selectedFormat);
+  };
+
+  const handleFormatChange = (selectedFormat) => {
+    setFormat(selectedFormat);
+    if (file) {
+      loadPreview(file, selectedFormat);
+    }
+  };
+
+  const handleCreate = async () => {
+    const list = { title, words: preview.words };
+    setIsWorking(true);
+    try {
+      await API.createWordList(profile.id, list);
+      onCreated();
+    } catch (err) {
+      console.error('Error creating imported word list:', err);
+      // Let the teacher fix the rejected fields in the editor
+      if (err.fields && err.fields.length > 0) {
+        onEdit({ id: null, ...list }, err.fields);
+      } else {
+        setError(`保存失败 Failed to save: ${err.message}`);
+      }
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <ImportPanel>
+      <PanelTitle>导入词表 Import a Word List</PanelTitle>
+      <Hint>
+        CSV / TSV：每行一个释义，列为 word, pos, meaning, example（也可用表头命名列）。
+        Anki：导出为纯文本 (Notes in Plain Text)，正面是单词，背面是释义，如 “n. 苹果”。
+      </Hint>
+
+      <Controls>
+        <input type="file" accept=".csv,.tsv,.txt" onChange={handleFileChange} />
+        <ButtonGroup>
+          {IMPORT_FORMAT_OPTIONS.map(option => (
+            <FormatButton
+              key={option.id}
+              type="button"
+              $selected={format === option.id}
+              onClick={() => handleFormatChange(option.id)}
+            >
+              {option.label}
+            </FormatButton>
+          ))}
+        </ButtonGroup>
+      </Controls>
+
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+      {isWorking && <Hint>处理中 Working...</Hint>}
+
+      {preview && (
+        <>
+          <Summary>
+            {preview.format.toUpperCase()} · {preview.words.length} 个单词
+            {preview.rejected.length > 0 && ` · ${preview.rejected.length} 行无法读取`}
+          </Summary>
+
+          {preview.rejected.length > 0 && (
+            <RejectedList>
+              {preview.rejected.map(row => (
+                <li key={row.line}>
+                  <strong>第 {row.line} 行 Line {row.line}:</strong> {row.message}
+                  <RowText>{row.text}</RowText>
+                </li>
+              ))}
+            </RejectedList>
+          )}
+
+          {preview.words.length > 0 && (
+            <>
+              <PreviewTable>
+                <thead>
+                  <tr>
+                    <th>单词 Word</th>
+                    <th>释义 Meanings</th>
+                    <th>例句 Examples</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.words.slice(0, PREVIEW_ROWS).map(entry => (
+                    <tr key={entry.word}>
+                      <td>{entry.word}</td>
+                      <td>
+                        {entry.explanation.map((item, index) => (
+                          <div key={index}>
+                            {item.pos ? <Pos>{item.pos}</Pos> : <MissingPos>词性?</MissingPos>} {item.meaning}
+                          </div>
+                        ))}
+                      </td>
+                      <td>{entry.explanation.reduce((total, item) => total + item.examples.length, 0)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </PreviewTable>
+              {preview.words.length > PREVIEW_ROWS && (
+                <Hint>…以及另外 {preview.words.length - PREVIEW_ROWS} 个单词 and {preview.words.length - PREVIEW_ROWS} more</Hint>
+              )}
+
+              <Controls>
+                <TitleInput
+                  type="text"
+                  value={title}
+                  maxLength={80}
+                  placeholder="词表标题 Title"
+                  onChange={(e) => setTitle(e.target.value)}
+                />
+                <ActionButton type="button" onClick={() => onEdit({ id: null, title, words: preview.words }, [])}>
+                  先编辑 Edit First
+                </ActionButton>
+                <PrimaryButton
+                  type="button"
+                  onClick={handleCreate}
+                  disabled={isWorking || !title.trim()}
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                >
+                  创建词表 Create List
+                </PrimaryButton>
+              </Controls>
+            </>
+          )}
+        </>
+      )}
+
+      <CancelButton type="button" onClick={onCancel}>取消 Cancel</CancelButton>
+    </ImportPanel>
+  );
+};
+
+const ImportPanel = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 0.75rem;
+  padding: 1.25rem 1.5rem;
+  margin-bottom: 1.5rem;
+  border-radius: 12px;
+  background-color: rgba(255, 255, 255, 0.9);
+  box-shadow: 0 4px 6px rgba(0, 0, 0, 0.08);
+`;
+
+const PanelTitle = styled.h3`
+  font-size: 1.3rem;
+  color: #2c3e50;
+  margin: 0;
+`;
+
+const Hint = styled.div`
+  color: #7f8c8d;
+  font-size: 0.9rem;
+`;
+
+const Controls = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 0.75rem;
+`;
+
+const ButtonGroup = styled.div`
+  display: flex;
+  gap: 0.5rem;
+`;
+
+const FormatButton = styled.button`
+  padding: 0.35rem 0.9rem;
+  border-radius: 20px;
+  border: 2px solid ${props => props.$selected ? '#2980b9' : '#bdc3c7'};
+  background-color: ${props => props.$selected ? '#3498db' : '#ffffff'};
+  color: ${props => props.$selected ? '#ffffff' : '#2c3e50'};
+  cursor: pointer;
+`;
+
+const ErrorMessage = styled.div`
+  color: #e74c3c;
+  padding: 0.75rem 1rem;
+  background-color: #ffeaea;
+  border-radius: 8px;
+`;
+
+const Summary = styled.div`
+  font-weight: 600;
+  color: #2c3e50;
+`;
+
+const RejectedList = styled.ul`
+  margin: 0;
+  padding: 0.75rem 1rem 0.75rem 2rem;
+  max-height: 10rem;
+  overflow-y: auto;
+  color: #c0392b;
+  background-color: #fdf2f0;
+  border-radius: 8px;
+  font-size: 0.9rem;
+`;
+
+const RowText = styled.code`
+  display: block;
+  color: #7f8c8d;
+  white-space: pre-wrap;
+`;
+
+const PreviewTable = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+
+  th, td {
+    padding: 0.4rem 0.5rem;
+    text-align: left;
+    vertical-align: top;
+    border-bottom: 1px solid #ecf0f1;
+  }
+
+  th {
+    font-size: 0.85rem;
+    color: #7f8c8d;
+    font-weight: 500;
+  }
+`;
+
+const Pos = styled.span`
+  color: #2980b9;
+  font-style: italic;
+`;
+
+const MissingPos = styled.span`
+  color: #e67e22;
+  font-size: 0.85rem;
+`;
+
+const TitleInput = styled.input`
+  flex: 1;
+  padding: 0.5rem 0.75rem;
+  border: 2px solid #bdc3c7;
+  border-radius: 8px;
+  font-size: 1rem;
+
+  &:focus {
+    outline: none;
+    border-color: #3498db;
+  }
+`;
+
+const ActionButton = styled.button`
+  padding: 0.5rem 1rem;
+  border: 2px solid #3498db;
+  border-radius: 8px;
+  background-color: #ffffff;
+  color: #2980b9;
+  font-size: 1rem;
+  cursor: pointer;
+`;
+
+const PrimaryButton = styled(motion.button)`
+  padding: 0.6rem 1.5rem;
+  border: none;
+  border-radius: 8px;
+  background-color: #3498db;
+  color: white;
+  font-size: 1rem;
+  cursor: pointer;
+
+  &:disabled {
+    background-color: #bdc3c7;
+    cursor: not-allowed;
+  }
+`;
+
+const CancelButton = styled.button`
+  align-self: flex-start;
+  background: none;
+  border: none;
+  color: #7f8c8d;
+  cursor: pointer;
+  padding: 0.25rem 0;
+`;
+
+export default WordListImport;
@@ -0,0 +1,393 @@
+import React, { useState, useEffect } from 'react';
+import styled from 'styled-components';
+import { motion } from 'framer-motion';
+import SpeechManager from '../utils/speechManager';
+import StarredWords from '../utils/starredWords';
+import { getWordKey } from '../utils/reviewScheduler';
+import { CUSTOM_LIST_VOLUME, getUnitWords, getWordsByRefs } from '../utils/dataLoader';
+import { formatUnitsForDisplay } from '../hooks/useGameLogic';
+
+// Every word a level will draw from, in unit order
+const loadLevelWords = async (level) => {
+  if (level.wordRefs) {
+    const { words } = await getWordsByRefs(level.wordRefs);
+    return words;
+  }
+
+  const volume = level.listIds ? CUSTOM_LIST_VOLUME : level.volume;
+  const units = level.listIds || level.units;
+  const words = [];
+  for (const unit of units) {
+    words.push(...await getUnitWords(volume, unit));
+  }
+  return words;
+};
+
+// Words grouped by the unit they come from
+const groupByUnit = (words) => {
+  const groups = [];
+  words.forEach(word => {
+    const key = `${word.volume}:${word.unit}`;
+    let group = groups.find(item => item.key === key);
+    if (!group) {
+      group = {
+        key,
+        label: word.volume === CUSTOM_LIST_VOLUME
+          ? '自定义 Custom'
+          : `Volume ${word.volume} - ${formatUnitsForDisplay(word.unit)}`,
+        words: []
+      };
+      groups.push(group);
+    }
+    group.words.push(word);
+  });
+  return groups;
+};
+
+const stopSpeech = () => {
+  try {
+    SpeechManager.stopSpeech();
+  } catch (error) {
+    console.log('SpeechManager not yet initialized');
+  }
+};
+
+/**
+ * Study the words of a level before playing it: spelling, phonetic, every
+ * meaning with its examples, tap-to-hear, and starring into the 生词本
+ */
+const WordPreview = ({ level, onStart, onBack }) => {
+  const [words, setWords] = useState([]);
+  const [starredKeys, setStarredKeys] = useState(new Set());
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let isCurrent = true;
+
+    const load = async () => {
+      try {
+        const [levelWords, keys] = await Promise.all([
+          loadLevelWords(level),
+          StarredWords.getStarredKeys()
+        ]);
+        if (!isCurrent) return;
+
+        setWords(levelWords);
+        setStarredKeys(keys);
+        if (levelWords.length === 0) {
+          setError('No vocabulary data found for this level');
+        }
+      } catch (err) {
+        console.error('Error loading preview words:', err);
+        if (isCurrent) {
+          setError(err.code ? err.message : 'Failed to load the words');
+        }
+      } finally {
+        if (isCurrent) {
+          setIsLoading(false);
+        }
+      }
+    };
+
+    load();
+    return () => {
+      isCurrent = false;
+      stopSpeech();
+    };
+  }, [level]);
+
+  const handleToggleStar = async (word) => {
+    const wordKey = getWordKey(word);
+    const starred = !starredKeys.has(wordKey);
+    try {
+      await StarredWords.setStarred(word, starred);
+      setStarredKeys(prev => {
+        const next = new Set(prev);
+        if (starred) {
+          next.add(wordKey);
+        } else {
+          next.delete(wordKey);
+        }
+        return next;
+      });
+    } catch (err) {
+      console.error('Error starring word:', err);
+      setError('Failed to update the starred words');
+    }
+  };
+
+  const levelName = level.label ||
+    `Volume ${level.volume} · ${formatUnitsForDisplay(level.units)}`;
+
+  return (
+    <Container
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+    >
+      <Header>
+        <BackButton
+          onClick={onBack}
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.9 }}
+        >
+          ← 返回
+        </BackButton>
+        <Title>预习</Title>
+      </Header>
+
+      <LevelName>
+        {levelName}{words.length > 0 && ` · ${words.length} 个单词`}
+      </LevelName>
+
+      <StartButton
+        onClick={() => onStart(level)}
+        disabled={words.length === 0}
+        whileHover={{ scale: 1.05 }}
+        whileTap={{ scale: 0.95 }}
+      >
+        开始游戏 Start Game
+      </StartButton>
+
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+
+      {isLoading ? (
+        <LoadingMessage>Loading words...</LoadingMessage>
+      ) : (
+        groupByUnit(words).map(group => (
+          <UnitSection key={group.key}>
+            <UnitTitle>{group.label}</UnitTitle>
+            <WordList>
+              {group.words.map(word => {
+                const isStarred = starredKeys.has(getWordKey(word));
+                return (
+                  <WordCard key={word.id}>
+                    <WordHeader>
+                      <div>
+                        <Word>{word.syllable_breaks || word.english}</Word>
+                        {word.phonetic && <Phonetic>{word.phonetic}</Phonetic>}
+                      </div>
+                      <WordActions>
+                        <IconButton
+                          onClick={() => SpeechManager.playWordWithSpelling(word)}
+                          title="听读音和拼写 Hear it spelled"
+                        >
+                          🔊
+                        </IconButton>
+                        <StarButton
+                          onClick={() => handleToggleStar(word)}
+                          $starred={isStarred}
+                          title={isStarred ? '移出生词本 Unstar' : '加入生词本 Star'}
+                        >
+                          {isStarred ? '★' : '☆'}
+                        </StarButton>
+                      </WordActions>
+                    </WordHeader>
+
+                    {word.explanation.map((item, index) => (
+                      <Explanation key={index}>
+                        <Meaning>
+                          <Pos>{item.pos}</Pos> {item.meaning}
+                          <SmallIconButton
+                            onClick={() => {
+                              stopSpeech();
+                              SpeechManager.playMeaning(item);
+                            }}
+                            title="听释义 Hear the meaning"
+                          >
+                            🔈
+                          </SmallIconButton>
+                        </Meaning>
+                        {(item.examples || []).map((example, exampleIndex) => (
+                          <Example key={exampleIndex}>{example}</Example>
+                        ))}
+                      </Explanation>
+                    ))}
+                  </WordCard>
+                );
+              })}
+            </WordList>
+          </UnitSection>
+        ))
+      )}
+    </Container>
+  );
+};
+
+const Container = styled(motion.div)`
+  display: flex;
+  flex-direction: column;
+  padding: 2rem;
+  height: 100%;
+  width: 100%;
+  max-width: 800px;
+  margin: 0 auto;
+`;
+
+const Header = styled.div`
+  display: flex;
+  align-items: center;
+  margin-bottom: 1rem;
+  position: relative;
+`;
+
+const BackButton = styled(motion.button)`
+  background: none;
+  border: none;
+  font-size: 1.2rem;
+  color: #2c3e50;
+  cursor: pointer;
+  position: absolute;
+  left: 0;
+  padding: 0.5rem 1rem;
+`;
+
+const Title = styled.h2`
+  font-size: 2rem;
+  font-weight: 600;
+  text-align: center;
+  width: 100%;
+  color: #2c3e50;
+`;
+
+const LevelName = styled.div`
+  text-align: center;
+  font-size: 1.1rem;
+  color: #7f8c8d;
+  margin-bottom: 1rem;
+`;
+
+const StartButton = styled(motion.button)`
+  background-color: ${props => props.disabled ? '#95a5a6' : '#2ecc71'};
+  color: white;
+  border: none;
+  border-radius: 12px;
+  padding: 1rem;
+  font-size: 1.2rem;
+  font-weight: 600;
+  cursor: ${props => props.disabled ? 'not-allowed' : 'pointer'};
+  width: 100%;
+  max-width: 300px;
+  margin: 0 auto 1.5rem;
+  box-shadow: ${props => props.disabled ? 'none' : '0 4px 6px rgba(0, 0, 0, 0.1)'};
+`;
+
+const LoadingMessage = styled.div`
+  text-align: center;
+  font-size: 1.2rem;
+  color: #3498db;
+  margin: 2rem 0;
+`;
+
+const ErrorMessage = styled.div`
+  text-align: center;
+  font-size: 1.2rem;
+  color: #e74c3c;
+  margin-bottom: 1rem;
+  padding: 1rem;
+  background-color: #ffeaea;
+  border-radius: 8px;
+`;
+
+const UnitSection = styled.section`
+  margin-bottom: 1.5rem;
+`;
+
+const UnitTitle = styled.h3`
+  font-size: 1.2rem;
+  color: #34495e;
+  margin-bottom: 0.75rem;
+`;
+
+const WordList = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 1rem;
+`;
+
+const WordCard = styled.div`
+  background-color: #ffffff;
+  border-radius: 12px;
+  padding: 1.25rem 1.5rem;
+  box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+  display: flex;
+  flex-direction: column;
+  gap: 0.75rem;
+`;
+
+const WordHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: flex-start;
+  gap: 1rem;
+`;
+
+const Word = styled.div`
+  font-size: 1.5rem;
+  font-weight: 600;
+  color: #2c3e50;
+`;
+
+const Phonetic = styled.div`
+  font-size: 1rem;
+  color: #7f8c8d;
+`;
+
+const WordActions = styled.div`
+  display: flex;
+  gap: 0.5rem;
+`;
+
+const IconButton = styled.button`
+  background-color: #ecf0f1;
+  border: none;
+  border-radius: 50%;
+  width: 2.5rem;
+  height: 2.5rem;
+  font-size: 1.2rem;
+  cursor: pointer;
+
+  &:hover {
+    background-color: #d6eaf8;
+  }
+`;
+
+const StarButton = styled(IconButton)`
+  color: ${props => props.$starred ? '#f39c12' : '#95a5a6'};
+  font-size: 1.4rem;
+`;
+
+const SmallIconButton = styled.button`
+  background: none;
+  border: none;
+  margin-left: 0.25rem;
+  font-size: 1rem;
+  cursor: pointer;
+`;
+
+const Explanation = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 0.25rem;
+`;
+
+const Meaning = styled.div`
+  font-size: 1.05rem;
+  color: #27ae60;
+`;
+
+const Pos = styled.span`
+  font-size: 0.85rem;
+  font-weight: bold;
+  opacity: 0.8;
+`;
+
+const Example = styled.div`
+  font-size: 0.95rem;
+  font-style: italic;
+  color: #7f8c8d;
+  padding-left: 1rem;
+`;
+
+export default WordPreview;
@@ -0,0 +1,294 @@
+import React, { useState, useEffect } from 'react';
+import styled from 'styled-components';
+import { motion } from 'framer-motion';
+import API from '../utils/api';
+import { formatUnitsForDisplay } from '../hooks/useGameLogic';
+
+// Wait for the learner to stop typing before searching
+const SEARCH_DELAY = 300;
+
+const MAX_QUERY_LENGTH = 50;
+
+/**
+ * Look up words across every volume by English headword (typos allowed),
+ * Chinese meaning or example sentence, and practice a word straight away
+ */
+const WordSearch = ({ onPractice, onBack }) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const text = query.trim();
+    if (!text) {
+      setResults(null);
+      setError(null);
+      return;
+    }
+
+    // Ignore answers to queries the learner has already typed past
+    let isCurrent = true;
+    const timer = setTimeout(async () => {
+      setIsSearching(true);
+      try {
+        const found = await API.searchVocabulary(text);
+        if (isCurrent) {
+          setResults(found);
+          setError(null);
+        }
+      } catch (err) {
+        console.error('Error searching vocabulary:', err);
+        if (isCurrent) {
+          setError('搜索失败 Search failed');
+        }
+      } finally {
+        if (isCurrent) {
+          setIsSearching(false);
+        }
+      }
+    }, SEARCH_DELAY);
+
+    return () => {
+      isCurrent = false;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  return (
+    <Container
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+    >
+      <Header>
+        <BackButton
+          onClick={onBack}
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.9 }}
+        >
+          ← 返回
+        </BackButton>
+        <Title>查词</Title>
+      </Header>
+
+      <SearchInput
+        type="search"
+        value={query}
+        maxLength={MAX_QUERY_LENGTH}
+        placeholder="输入单词、中文释义或例句 Word, meaning or example"
+        onChange={(e) => setQuery(e.target.value)}
+        autoFocus
+      />
+
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+
+      {isSearching && !results ? (
+        <LoadingMessage>Searching...</LoadingMessage>
+      ) : results && results.length === 0 ? (
+        <EmptyMessage>没有找到 “{query.trim()}”<br />No matching words.</EmptyMessage>
+      ) : results && (
+        <ResultList>
+          {results.map(result => (
+            <ResultCard key={result.word}>
+              <ResultHeader>
+                <div>
+                  <Word>{result.word}</Word>
+                  {result.phonetic && <Phonetic>{result.phonetic}</Phonetic>}
+                </div>
+                <LocationList>
+                  {result.locations.map(location => (
+                    <LevelTag key={`${location.volume}-${location.unit}`}>
+                      V{location.volume} - {formatUnitsForDisplay(location.unit)}
+                    </LevelTag>
+                  ))}
+                </LocationList>
+              </ResultHeader>
+
+              <MeaningList>
+                {result.explanation.map((item, index) => (
+                  <Meaning key={index}>
+                    <Pos>{item.pos}</Pos> {item.meaning}
+                  </Meaning>
+                ))}
+              </MeaningList>
+
+              {result.example && <Example>“{result.example}”</Example>}
+
+              <PracticeButton
+                onClick={() => onPractice(result)}
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+              >
+                练习这个词 Practice ▶
+              </PracticeButton>
+            </ResultCard>
+          ))}
+        </ResultList>
+      )}
+    </Container>
+  );
+};
+
+const Container = styled(motion.div)`
+  display: flex;
+  flex-direction: column;
+  padding: 2rem;
+  height: 100%;
+  width: 100%;
+  max-width: 800px;
+  margin: 0 auto;
+`;
+
+const Header = styled.div`
+  display: flex;
+  align-items: center;
+  margin-bottom: 2rem;
+  position: relative;
+`;
+
+const BackButton = styled(motion.button)`
+  background: none;
+  border: none;
+  font-size: 1.2rem;
+  color: #2c3e50;
+  cursor: pointer;
+  position: absolute;
+  left: 0;
+  padding: 0.5rem 1rem;
+`;
+
+const Title = styled.h2`
+  font-size: 2rem;
+  font-weight: 600;
+  text-align: center;
+  width: 100%;
+  color: #2c3e50;
+`;
+
+const SearchInput = styled.input`
+  width: 100%;
+  padding: 0.9rem 1.25rem;
+  margin-bottom: 1.5rem;
+  border: 2px solid #bdc3c7;
+  border-radius: 12px;
+  font-size: 1.1rem;
+  box-shadow: 0 4px 6px rgba(0, 0, 0, 0.05);
+
+  &:focus {
+    outline: none;
+    border-color: #3498db;
+  }
+`;
+
+const LoadingMessage = styled.div`
+  text-align: center;
+  font-size: 1.2rem;
+  color: #3498db;
+  margin: 2rem 0;
+`;
+
+const ErrorMessage = styled.div`
+  text-align: center;
+  font-size: 1.2rem;
+  color: #e74c3c;
+  margin-bottom: 1rem;
+  padding: 1rem;
+  background-color: #ffeaea;
+  border-radius: 8px;
+`;
+
+const EmptyMessage = styled.div`
+  text-align: center;
+  font-size: 1.1rem;
+  line-height: 1.6;
+  color: #7f8c8d;
+  margin: 2rem 0;
+`;
+
+const ResultList = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 1rem;
+  padding-bottom: 2rem;
+`;
+
+const ResultCard = styled.div`
+  background-color: #ffffff;
+  border-radius: 12px;
+  padding: 1.25rem 1.5rem;
+  box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+  display: flex;
+  flex-direction: column;
+  gap: 0.75rem;
+`;
+
+const ResultHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: flex-start;
+  gap: 1rem;
+`;
+
+const Word = styled.div`
+  font-size: 1.5rem;
+  font-weight: 600;
+  color: #2c3e50;
+`;
+
+const Phonetic = styled.div`
+  font-size: 1rem;
+  color: #7f8c8d;
+`;
+
+const LocationList = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  justify-content: flex-end;
+  gap: 0.25rem;
+`;
+
+const LevelTag = styled.span`
+  font-size: 0.85rem;
+  color: #34495e;
+  padding: 0.2rem 0.6rem;
+  background-color: #edf2f7;
+  border-radius: 4px;
+`;
+
+const MeaningList = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 0.25rem;
+`;
+
+const Meaning = styled.div`
+  font-size: 1.05rem;
+  color: #27ae60;
+`;
+
+const Pos = styled.span`
+  font-size: 0.85rem;
+  font-weight: bold;
+  opacity: 0.8;
+`;
+
+const Example = styled.div`
+  font-size: 0.95rem;
+  font-style: italic;
+  color: #7f8c8d;
+`;
+
+const PracticeButton = styled(motion.button)`
+  align-self: flex-end;
+  background-color: #2ecc71;
+  color: white;
+  border: none;
+  border-radius: 8px;
+  padding: 0.5rem 1rem;
+  font-size: 0.95rem;
+  font-weight: 600;
+  cursor: pointer;
+`;
+
+export default WordSearch;
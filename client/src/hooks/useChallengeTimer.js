@@ -0,0 +1,167 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+// Time allowed per word in the timed challenge, in ms, by difficulty
+export const WORD_TIME_LIMITS_MS = {
+  easy: 15000,
+  normal: 10000,
+  hard: 7000
+};
+
+// Typing an answer takes longer than picking one
+export const TYPING_TIME_FACTOR = 2;
+
+const TICK_MS = 100;
+const WRONG_ANSWER_PENALTY_MS = 3000; // Time taken off the word clock per wrong pick
+const COMBO_STEP = 0.5;               // Extra multiplier per word in a streak
+const MAX_COMBO_MULTIPLIER = 3;
+const TIME_BONUS_PER_SECOND = 10;     // Points per second left on the word clock
+
+/**
+ * Score multiplier for a streak of correct words
+ * @param {number} combo - Correct words in a row, including the current one
+ * @returns {number} Multiplier between 1 and MAX_COMBO_MULTIPLIER
+ */
+export const getComboMultiplier = (combo) =>
+  Math.min(1 + Math.max(combo - 1, 0) * COMBO_STEP, MAX_COMBO_MULTIPLIER);
+
+/**
+ * Format a duration as m:ss
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted time
+ */
+export const formatClock = (ms) => {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};
+
+/**
+ * Custom hook for the timed challenge: a per-word countdown, a session clock
+ * and combo scoring. When disabled, completeWord just returns the base points.
+ * @param {Object} options
+ * @param {boolean} options.enabled - Whether the challenge is active
+ * @param {boolean} options.isPaused - Freezes both clocks while true
+ * @param {number} options.wordTimeLimit - Countdown per word in ms
+ * @param {Function} options.onWordTimeout - Called when the word clock runs out
+ */
+export const useChallengeTimer = ({ enabled, isPaused, wordTimeLimit, onWordTimeout }) => {
+  const [wordTimeLeft, setWordTimeLeft] = useState(wordTimeLimit);
+  const [elapsed, setElapsed] = useState(0);
+  const [isWordRunning, setIsWordRunning] = useState(false);
+  const [isSessionRunning, setIsSessionRunning] = useState(false);
+  const [combo, setCombo] = useState(0);
+  const [maxCombo, setMaxCombo] = useState(0);
+  const [answerTimes, setAnswerTimes] = useState([]);
+
+  // Always call the latest callback without restarting the clock
+  const timeoutRef = useRef(onWordTimeout);
+  timeoutRef.current = onWordTimeout;
+
+  useEffect(() => {
+    if (!enabled || isPaused || (!isWordRunning && !isSessionRunning)) return;
+
+    let lastTick = Date.now();
+    const timer = setInterval(() => {
+      const now = Date.now();
+      const delta = now - lastTick;
+      lastTick = now;
+
+      if (isSessionRunning) {
+        setElapsed(prev => prev + delta);
+      }
+      if (isWordRunning) {
+        setWordTimeLeft(prev => Math.max(prev - delta, 0));
+      }
+    }, TICK_MS);
+
+    return () => clearInterval(timer);
+  }, [enabled, isPaused, isWordRunning, isSessionRunning]);
+
+  useEffect(() => {
+    if (enabled && isWordRunning && wordTimeLeft <= 0) {
+      setIsWordRunning(false);
+      setCombo(0);
+      setAnswerTimes(prev => [...prev, wordTimeLimit]);
+      if (timeoutRef.current) timeoutRef.current();
+    }
+  }, [enabled, isWordRunning, wordTimeLeft, wordTimeLimit]);
+
+  // Start the countdown for a new word
+  const startWord = useCallback(() => {
+    if (!enabled) return;
+    setWordTimeLeft(wordTimeLimit);
+    setIsWordRunning(true);
+    setIsSessionRunning(true);
+  }, [enabled, wordTimeLimit]);
+
+  // A wrong pick breaks the streak and costs time
+  const penalize = () => {
+    if (!enabled) return;
+    setCombo(0);
+    setWordTimeLeft(prev => Math.max(prev - WRONG_ANSWER_PENALTY_MS, 0));
+  };
+
+  /**
+   * Stop the word clock after a correct answer and score it
+   * @param {number} basePoints - Points the answer is worth without the challenge
+   * @returns {number} Points including combo multiplier and time bonus
+   */
+  const completeWord = (basePoints) => {
+    if (!enabled) return basePoints;
+
+    const nextCombo = combo + 1;
+    setIsWordRunning(false);
+    setCombo(nextCombo);
+    setMaxCombo(prev => Math.max(prev, nextCombo));
+    setAnswerTimes(prev => [...prev, wordTimeLimit - wordTimeLeft]);
+
+    const timeBonus = Math.round((wordTimeLeft / 1000) * TIME_BONUS_PER_SECOND);
+    return Math.round(basePoints * getComboMultiplier(nextCombo)) + timeBonus;
+  };
+
+  // Stop the word clock after the word was given up (e.g. out of attempts)
+  const failWord = () => {
+    if (!enabled) return;
+    setIsWordRunning(false);
+    setCombo(0);
+    setAnswerTimes(prev => [...prev, wordTimeLimit - wordTimeLeft]);
+  };
+
+  // Stop both clocks at the end of the game
+  const stopSession = () => {
+    setIsWordRunning(false);
+    setIsSessionRunning(false);
+  };
+
+  // Reset everything for a new game
+  const reset = () => {
+    setWordTimeLeft(wordTimeLimit);
+    setElapsed(0);
+    setIsWordRunning(false);
+    setIsSessionRunning(false);
+    setCombo(0);
+    setMaxCombo(0);
+    setAnswerTimes([]);
+  };
+
+  const averageAnswerTime = answerTimes.length > 0
+    ? answerTimes.reduce((sum, time) => sum + time, 0) / answerTimes.length
+    : 0;
+
+  return {
+    enabled,
+    wordTimeLeft,
+    wordTimeLimit,
+    elapsed,
+    combo,
+    maxCombo,
+    averageAnswerTime,
+    startWord,
+    penalize,
+    completeWord,
+    failWord,
+    stopSession,
+    reset
+  };
+};
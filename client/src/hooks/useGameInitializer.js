@@ -1,5 +1,5 @@
-import { useState, useEffect } from 'react';
-import { getWordPairs, shuffleArray } from '../utils/dataLoader';
+import { useState, useEffect, useRef } from 'react';
+import { getWordPairs, getWordsByRefs, getWordListPairs, shuffleArray } from '../utils/dataLoader';
 import { DIFFICULTY_WORD_COUNTS } from './useGameState';
 
 /**
@@ -13,28 +13,91 @@ import { DIFFICULTY_WORD_COUNTS } from './useGameState';
  */
 export const useGameInitializer = (level, vocabularyData, generateOptions, gameState, gameStartedRef) => {
   const [isInitializing, setIsInitializing] = useState(false);
+  // Read by the effect without making it re-run when initialization starts
+  const initializingRef = useRef(false);
   
   const {
     setWords,
     resetGameState,
     setGameUnits,
+    setDistractorPool,
     setIsLoading,
     setError
   } = gameState;
   
   // This effect only runs when level changes (when "Start Game" is clicked)
-  // which ensures words and publicKey APIs are only called at that time
+  // which ensures words and publicKey APIs are only called at that time; the
+  // setters and callbacks it also lists never change
   useEffect(() => {
-    if (!level || !vocabularyData || isInitializing) {
+    const setInitializing = (value) => {
+      initializingRef.current = value;
+      setIsInitializing(value);
+    };
+    
+    if (!level || !vocabularyData) {
       setIsLoading(false);
       return;
     }
+    // A game that is still loading is left to finish
+    if (initializingRef.current) {
+      return;
+    }
     
     const initializeGame = async () => {
       try {
-        setIsInitializing(true);
+        setInitializing(true);
         setIsLoading(true);
-        const { volume, units, difficulty } = level;
+        const { volume, units, difficulty, wordRefs, listIds } = level;
+        
+        // Sessions built from specific words (e.g. review) instead of whole units
+        if (wordRefs) {
+          setGameUnits([]);
+          const { words: refWords, pool } = await getWordsByRefs(wordRefs);
+          
+          if (refWords.length === 0) {
+            setError("No vocabulary data found for the selected words");
+            setIsLoading(false);
+            setInitializing(false);
+            return;
+          }
+          
+          const gameWords = shuffleArray(refWords);
+          setWords(gameWords);
+          setDistractorPool(pool);
+          generateOptions(gameWords, 0, pool);
+          
+          resetGameState();
+          setIsLoading(false);
+          setInitializing(false);
+          return;
+        }
+        
+        // Sessions over teachers' custom word lists
+        if (listIds) {
+          setGameUnits([]);
+          const listWords = await getWordListPairs(listIds);
+          
+          if (listWords.length < 5) {
+            setError(listWords.length === 0
+              ? "No vocabulary data found for the selected word lists"
+              : "Not enough valid vocabulary words found");
+            setIsLoading(false);
+            setInitializing(false);
+            return;
+          }
+          
+          // Every word of the lists can be a distractor
+          const wordCount = DIFFICULTY_WORD_COUNTS[difficulty] || DIFFICULTY_WORD_COUNTS.normal;
+          const gameWords = shuffleArray(listWords).slice(0, wordCount);
+          setWords(gameWords);
+          setDistractorPool(listWords);
+          generateOptions(gameWords, 0, listWords);
+          
+          resetGameState();
+          setIsLoading(false);
+          setInitializing(false);
+          return;
+        }
         
         // Support for both single unit (legacy) and multiple units
         const selectedUnits = Array.isArray(units) ? units : [level.unit];
@@ -44,6 +107,8 @@ export const useGameInitializer = (level, vocabularyData, generateOptions, gameS
         
         // Array to store all words from selected units
         let allWords = [];
+        // First reason the server gave for refusing a unit, shown if nothing loaded
+        let loadError = null;
         
         // Get words for each selected unit
         // This is where the publicKey and words APIs will be called
@@ -60,13 +125,16 @@ export const useGameInitializer = (level, vocabularyData, generateOptions, gameS
             }
           } catch (err) {
             console.error(`Error loading words for Volume ${volume}, Unit ${unit}:`, err);
+            loadError = loadError || err;
           }
         }
         
         if (allWords.length === 0) {
-          setError("No vocabulary data found for the selected units");
+          setError(loadError && loadError.code
+            ? loadError.message
+            : "No vocabulary data found for the selected units");
           setIsLoading(false);
-          setIsInitializing(false);
+          setInitializing(false);
           return;
         }
         
@@ -74,7 +142,7 @@ export const useGameInitializer = (level, vocabularyData, generateOptions, gameS
         if (allWords.length < 5) {
           setError("Not enough valid vocabulary words found");
           setIsLoading(false);
-          setIsInitializing(false);
+          setInitializing(false);
           return;
         }
         
@@ -86,6 +154,7 @@ export const useGameInitializer = (level, vocabularyData, generateOptions, gameS
         
         // The words now already have the correct format with explanations
         setWords(gameWords);
+        setDistractorPool(gameWords);
         
         // Generate options for the first word
         if (gameWords.length > 0) {
@@ -95,12 +164,12 @@ export const useGameInitializer = (level, vocabularyData, generateOptions, gameS
         // Reset game state
         resetGameState();
         setIsLoading(false);
-        setIsInitializing(false);
+        setInitializing(false);
       } catch (error) {
         console.error("Error initializing game:", error);
         setError("Error initializing game. Please try again.");
         setIsLoading(false);
-        setIsInitializing(false);
+        setInitializing(false);
       }
     };
     
@@ -115,7 +184,7 @@ export const useGameInitializer = (level, vocabularyData, generateOptions, gameS
         gameStartedRef.current = false;
       }
     };
-  }, [level, vocabularyData]);
+  }, [level, vocabularyData, generateOptions, resetGameState, setWords, setGameUnits, setDistractorPool, setIsLoading, setError, gameStartedRef]);
   
   return {
     isInitializing
@@ -1,5 +1,7 @@
-import { useRef } from 'react';
+import { useRef, useCallback } from 'react';
 import { shuffleArray } from '../utils/dataLoader';
+import { findClozePrompt } from '../utils/cloze';
+import { GAME_MODES } from './useGameState';
 
 // Helper function to generate a better random number
 const betterRandom = (min, max) => {
@@ -54,6 +56,18 @@ const weightedReservoirSampling = (items, count) => {
   return shuffleArray(result);
 };
 
+/**
+ * Pick one explanation of a word to use as a Chinese prompt
+ * @param {Object} word - Word object with explanation and chinese
+ * @returns {Object} { pos, meaning }
+ */
+const pickPrompt = (word) => {
+  const explanations = word.explanation.length > 0
+    ? word.explanation
+    : [{ pos: '', meaning: word.chinese }];
+  return explanations[Math.floor(Math.random() * explanations.length)];
+};
+
 // Helper function to format unit names for display
 export const formatUnitsForDisplay = (units) => {
   if (!units) return '';
@@ -67,8 +81,10 @@ export const formatUnitsForDisplay = (units) => {
 
 /**
  * Custom hook for game logic
+ * @param {Object} gameState - State from useGameState
+ * @param {string} mode - One of GAME_MODES (defaults to classic)
  */
-export const useGameLogic = (gameState) => {
+export const useGameLogic = (gameState, mode = GAME_MODES.CLASSIC) => {
   const gameStartedRef = useRef(false);
   const transitionRef = useRef(false);
   
@@ -107,8 +123,13 @@ export const useGameLogic = (gameState) => {
     return score;
   };
 
-  // Generate multiple choice options for a specific word
-  const generateOptions = (wordsList, index) => {
+  /**
+   * Generate Chinese meaning options for an English word (classic mode)
+   * @param {Array} wordsList - Words in the current game
+   * @param {number} index - Index of the word to generate options for
+   * @param {Array} pool - Words to draw distractors from (defaults to wordsList)
+   */
+  const generateMeaningOptions = (wordsList, index, pool = wordsList) => {
     try {
       const { 
         setOptions, 
@@ -134,8 +155,10 @@ export const useGameLogic = (gameState) => {
       
       // Collect all other words' explanations to use as distractors
       let distractors = [];
-      wordsList.forEach((word, wordIndex) => {
-        if (wordIndex !== index) { // Don't use explanations from the current word
+      const distractorWords = pool && pool.length > 0 ? pool : wordsList;
+      distractorWords.forEach(word => {
+        // Don't use explanations from the current word
+        if (word.id !== currentWord.id && word.english !== currentWord.english) {
           word.explanation.forEach(explanation => {
             distractors.push({
               id: `option-${word.id}-${Math.random().toString(36).substr(2, 9)}`,
@@ -183,6 +206,168 @@ export const useGameLogic = (gameState) => {
     }
   };
   
+  /**
+   * Generate English word options for a prompt and store the prompt with setPrompt
+   * @param {Array} wordsList - Words in the current game
+   * @param {number} index - Index of the word to generate options for
+   * @param {Array} pool - Words to draw distractors from
+   * @param {Function} buildPrompt - Creates the prompt ({ pos, meaning, ... }) for a word
+   */
+  const generateWordOptionsFor = (wordsList, index, pool, buildPrompt) => {
+    try {
+      const { 
+        setOptions, 
+        setPrompt,
+        setCorrectOptionsRemaining, 
+        setAllCorrectSelected,
+        setSelectedOptions
+      } = gameState;
+      
+      const currentWord = wordsList[index];
+      const prompt = buildPrompt(currentWord);
+      
+      const correctOption = {
+        id: `option-correct-${currentWord.id}-${Math.random().toString(36).substr(2, 9)}`,
+        english: currentWord.english,
+        phonetic: currentWord.phonetic,
+        isCorrect: true
+      };
+      
+      setCorrectOptionsRemaining(1);
+      setAllCorrectSelected(false);
+      
+      // One distractor per headword; skip words that share the prompted meaning
+      const distractorWords = pool && pool.length > 0 ? pool : wordsList;
+      const seenWords = new Set([currentWord.english]);
+      const distractors = [];
+      distractorWords.forEach(word => {
+        if (seenWords.has(word.english)) return;
+        if (word.explanation.some(exp => exp.meaning === prompt.meaning)) return;
+        seenWords.add(word.english);
+        
+        distractors.push({
+          id: `option-${word.id}-${Math.random().toString(36).substr(2, 9)}`,
+          english: word.english,
+          phonetic: word.phonetic,
+          pos: word.explanation[0]?.pos || '',
+          meaning: word.chinese,
+          isCorrect: false,
+          similarity: calculateSimilarity(currentWord, word)
+        });
+      });
+      
+      // Headwords that look alike make the hardest choices, so favour the most similar ones
+      distractors.sort((a, b) => b.similarity - a.similarity);
+      
+      const weightedDistractors = distractors.map((distractor, idx) => ({
+        ...distractor,
+        weight: Math.max(0.3, 1.0 - (idx / distractors.length))
+      }));
+      
+      const selectedDistractors = weightedReservoirSampling(weightedDistractors, 3);
+      
+      const allOptions = shuffleArray([correctOption, ...selectedDistractors]);
+      setPrompt(prompt);
+      setOptions(allOptions);
+      setSelectedOptions([]);
+      
+      return allOptions;
+    } catch (error) {
+      console.error("Error generating options:", error);
+      throw new Error("Error generating options. Please try again.");
+    }
+  };
+  
+  /**
+   * Generate English word options for one Chinese meaning (reverse mode)
+   * The meaning shown as the prompt is picked at random from the word's
+   * explanations.
+   * @param {Array} wordsList - Words in the current game
+   * @param {number} index - Index of the word to generate options for
+   * @param {Array} pool - Words to draw distractors from (defaults to wordsList)
+   */
+  const generateWordOptions = (wordsList, index, pool = wordsList) =>
+    generateWordOptionsFor(wordsList, index, pool, pickPrompt);
+  
+  /**
+   * Generate English word options for an example sentence with the word
+   * blanked out (cloze mode)
+   * Words without a usable example fall back to a Chinese meaning prompt.
+   * @param {Array} wordsList - Words in the current game
+   * @param {number} index - Index of the word to generate options for
+   * @param {Array} pool - Words to draw distractors from (defaults to wordsList)
+   */
+  const generateClozeOptions = (wordsList, index, pool = wordsList) =>
+    generateWordOptionsFor(wordsList, index, pool, word => findClozePrompt(word) || pickPrompt(word));
+  
+  /**
+   * Prepare a word for dictation mode
+   * There are no options to choose from; the learner types the word, so only
+   * the Chinese prompt is set.
+   * @param {Array} wordsList - Words in the current game
+   * @param {number} index - Index of the word to prepare
+   */
+  const generateDictationPrompt = (wordsList, index) => {
+    const { 
+      setOptions, 
+      setPrompt,
+      setCorrectOptionsRemaining, 
+      setAllCorrectSelected,
+      setSelectedOptions
+    } = gameState;
+    
+    setPrompt(pickPrompt(wordsList[index]));
+    setOptions([]);
+    setCorrectOptionsRemaining(1);
+    setAllCorrectSelected(false);
+    setSelectedOptions([]);
+    
+    return [];
+  };
+  
+  /**
+   * Deal the cards for matching mode: one English card and one Chinese
+   * meaning card per word, shuffled into a single deck stored as the options
+   * @param {Array} wordsList - Words in the current game
+   */
+  const generateMatchingCards = (wordsList) => {
+    const { setOptions, setSelectedOptions } = gameState;
+    
+    const cards = shuffleArray(wordsList.flatMap(word => [
+      {
+        id: `card-en-${word.id}`,
+        wordId: word.id,
+        type: 'english',
+        content: word.english
+      },
+      {
+        id: `card-zh-${word.id}`,
+        wordId: word.id,
+        type: 'chinese',
+        content: word.chinese,
+        pos: word.explanation[0]?.pos || ''
+      }
+    ]));
+    
+    setOptions(cards);
+    setSelectedOptions([]);
+    
+    return cards;
+  };
+  
+  // Generate options for the current game mode
+  const generators = {
+    [GAME_MODES.REVERSE]: generateWordOptions,
+    [GAME_MODES.DICTATION]: generateDictationPrompt,
+    [GAME_MODES.CLOZE]: generateClozeOptions,
+    [GAME_MODES.MATCHING]: generateMatchingCards
+  };
+  // The generators only call state setters, so the latest one can always be
+  // used; a stable function lets effects list it without re-running
+  const generatorRef = useRef(null);
+  generatorRef.current = generators[mode] || generateMeaningOptions;
+  const generateOptions = useCallback((...args) => generatorRef.current(...args), []);
+  
   return {
     gameStartedRef,
     transitionRef,
@@ -0,0 +1,214 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import config from '../utils/config';
+
+// Where the room is in its game
+export const ROOM_STATUS = {
+  IDLE: 'idle',             // Not in a room
+  CONNECTING: 'connecting', // Creating or joining a room
+  LOBBY: 'lobby',           // Waiting for the host to start
+  PLAYING: 'playing',       // A word is being answered
+  ROUND_OVER: 'roundOver',  // The answer is shown before the next word
+  FINISHED: 'finished'      // The game is over; the host can start a rematch
+};
+
+/**
+ * Custom hook for an online multiplayer room on the server's WebSocket
+ * The server deals the words and grades the answers; this hook mirrors the
+ * room, the current round and the leaderboard.
+ */
+export const useGameRoom = () => {
+  const [status, setStatus] = useState(ROOM_STATUS.IDLE);
+  const [code, setCode] = useState(null);
+  const [playerId, setPlayerId] = useState(null);
+  const [hostId, setHostId] = useState(null);
+  const [players, setPlayers] = useState([]);
+  const [roomSettings, setRoomSettings] = useState(null);
+  const [wordCount, setWordCount] = useState(0);
+  const [round, setRound] = useState(null);
+  const [myAnswer, setMyAnswer] = useState(null);
+  const [answeredIds, setAnsweredIds] = useState([]);
+  const [error, setError] = useState(null);
+  const socketRef = useRef(null);
+
+  // Messages only update state, so the handlers below never change and
+  // components can list them as effect dependencies
+  const handleMessage = useCallback((message) => {
+    switch (message.type) {
+      case 'joined':
+        setCode(message.code);
+        setPlayerId(message.playerId);
+        setHostId(message.hostId);
+        setPlayers(message.players);
+        setRoomSettings(message.settings);
+        setStatus(ROOM_STATUS.LOBBY);
+        setError(null);
+        break;
+      case 'players':
+        setHostId(message.hostId);
+        setPlayers(message.players);
+        break;
+      case 'started':
+        setPlayers(message.players);
+        setWordCount(message.wordCount);
+        break;
+      case 'round':
+        setRound({
+          index: message.round,
+          word: message.word,
+          options: message.options,
+          startedAt: message.startedAt,
+          // Local time the word arrived, for a countdown that ignores clock differences
+          receivedAt: Date.now(),
+          timeLimit: message.timeLimit
+        });
+        setMyAnswer(null);
+        setAnsweredIds([]);
+        setStatus(ROOM_STATUS.PLAYING);
+        break;
+      case 'answerResult':
+        setMyAnswer({
+          optionId: message.optionId,
+          correct: message.correct,
+          correctOptionId: message.correctOptionId,
+          points: message.points
+        });
+        break;
+      case 'answer':
+        setPlayers(message.players);
+        setAnsweredIds(prev => [...prev, message.playerId]);
+        break;
+      case 'roundEnd':
+        // The full word (with its meanings) is only sent once the round is over
+        setRound(prev => prev && { ...prev, word: message.word, correctOptionId: message.correctOptionId });
+        setPlayers(message.players);
+        setStatus(ROOM_STATUS.ROUND_OVER);
+        break;
+      case 'gameOver':
+        setPlayers(message.players);
+        setStatus(ROOM_STATUS.FINISHED);
+        break;
+      case 'error':
+        setError(message.error);
+        setStatus(prev => prev === ROOM_STATUS.CONNECTING ? ROOM_STATUS.IDLE : prev);
+        break;
+      default:
+        console.warn('Unknown room message:', message.type);
+    }
+  }, []);
+
+  // Open the connection on first use
+  const connect = useCallback(() => new Promise((resolve, reject) => {
+    const current = socketRef.current;
+    if (current && current.readyState === WebSocket.OPEN) {
+      resolve(current);
+      return;
+    }
+
+    const socket = new WebSocket(config.WS_URL);
+    socketRef.current = socket;
+    socket.onopen = () => resolve(socket);
+    socket.onerror = () => {
+      if (socketRef.current === socket) {
+        socketRef.current = null;
+      }
+      reject(new Error('Unable to connect to the game server'));
+    };
+    socket.onmessage = (event) => {
+      try {
+        handleMessage(JSON.parse(event.data));
+      } catch (err) {
+        console.error('Error handling room message:', err);
+      }
+    };
+    // Connections closed by leaveRoom or on unmount are no longer in socketRef
+    socket.onclose = () => {
+      if (socketRef.current !== socket) return;
+      socketRef.current = null;
+      setError('与服务器的连接已断开 Disconnected from the server');
+      setStatus(ROOM_STATUS.IDLE);
+    };
+  }), [handleMessage]);
+
+  const send = useCallback(async (message) => {
+    try {
+      const socket = await connect();
+      socket.send(JSON.stringify(message));
+    } catch (err) {
+      console.error('Error sending room message:', err);
+      setError('无法连接服务器 Unable to connect to the game server');
+      setStatus(ROOM_STATUS.IDLE);
+    }
+  }, [connect]);
+
+  // Close the connection when the room screen goes away
+  useEffect(() => {
+    return () => {
+      const socket = socketRef.current;
+      socketRef.current = null;
+      if (socket) {
+        socket.close();
+      }
+    };
+  }, []);
+
+  /**
+   * Create a room and join it as host
+   * @param {Object} player - { name, avatar }
+   * @param {Object} settings - { volume, units, difficulty }
+   */
+  const createRoom = useCallback((player, settings) => {
+    setError(null);
+    setStatus(ROOM_STATUS.CONNECTING);
+    send({ type: 'create', ...player, settings });
+  }, [send]);
+
+  /**
+   * Join a room by its code
+   * @param {string} roomCode - Code shown to the host
+   * @param {Object} player - { name, avatar }
+   */
+  const joinRoom = useCallback((roomCode, player) => {
+    setError(null);
+    setStatus(ROOM_STATUS.CONNECTING);
+    send({ type: 'join', code: roomCode, ...player });
+  }, [send]);
+
+  const startGame = useCallback(() => send({ type: 'start' }), [send]);
+
+  const submitAnswer = (optionId) => {
+    if (status !== ROOM_STATUS.PLAYING || myAnswer || !round) return;
+    send({ type: 'answer', round: round.index, optionId });
+  };
+
+  const leaveRoom = () => {
+    const socket = socketRef.current;
+    socketRef.current = null;
+    if (socket) {
+      socket.close();
+    }
+    setStatus(ROOM_STATUS.IDLE);
+    setCode(null);
+    setPlayers([]);
+    setRound(null);
+  };
+
+  return {
+    status,
+    code,
+    playerId,
+    hostId,
+    isHost: playerId !== null && playerId === hostId,
+    players,
+    roomSettings,
+    wordCount,
+    round,
+    myAnswer,
+    answeredIds,
+    error,
+    createRoom,
+    joinRoom,
+    startGame,
+    submitAnswer,
+    leaveRoom
+  };
+};
@@ -1,4 +1,4 @@
-import { useState } from 'react';
+import { useState, useCallback } from 'react';
 
 // Word counts for different difficulty levels
 export const DIFFICULTY_WORD_COUNTS = {
@@ -7,14 +7,35 @@ export const DIFFICULTY_WORD_COUNTS = {
   hard: 16
 };
 
+// Game modes selectable in LevelSelect
+export const GAME_MODES = {
+  CLASSIC: 'classic',     // English word → Chinese meanings
+  REVERSE: 'reverse',     // Chinese meaning → English word
+  DICTATION: 'dictation', // Spoken word → typed spelling
+  CLOZE: 'cloze',         // Example sentence with the word left out
+  MATCHING: 'matching'    // Board of English and meaning cards to pair up
+};
+
+// Ways 2-4 players can share one device
+export const MULTIPLAYER_MODES = {
+  HOTSEAT: 'hotseat', // Players take turns, one word each
+  RACE: 'race'        // Players race side by side with their own keys
+};
+
+// Players in a local multiplayer game, with their scores reset
+export const createPlayerScores = (players = []) =>
+  players.map(player => ({ ...player, score: 0, correct: 0, answered: 0 }));
+
 /**
  * Custom hook for managing game state
+ * @param {Array} initialPlayers - Players of a local multiplayer game (empty for single player)
  */
-export const useGameState = () => {
+export const useGameState = (initialPlayers = []) => {
   // Game state
   const [currentWordIndex, setCurrentWordIndex] = useState(0);
   const [words, setWords] = useState([]);
   const [options, setOptions] = useState([]);
+  const [prompt, setPrompt] = useState(null);
   const [score, setScore] = useState(0);
   const [isGameOver, setIsGameOver] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
@@ -28,9 +49,13 @@ export const useGameState = () => {
   const [allCorrectSelected, setAllCorrectSelected] = useState(false);
   const [showOptions, setShowOptions] = useState(false);
   const [gameUnits, setGameUnits] = useState([]);
+  const [distractorPool, setDistractorPool] = useState([]);
+  const [typedAnswers, setTypedAnswers] = useState(false);
+  const [players, setPlayers] = useState(() => createPlayerScores(initialPlayers));
+  const [currentPlayerIndex, setCurrentPlayerIndex] = useState(0);
   
-  // Reset game state
-  const resetGameState = () => {
+  // Reset game state (stable, so effects can list it)
+  const resetGameState = useCallback(() => {
     setCurrentWordIndex(0);
     setScore(0);
     setIsGameOver(false);
@@ -40,7 +65,9 @@ export const useGameState = () => {
     setCorrectAnswers(0);
     setShowOptions(false);
     setAllCorrectSelected(false);
-  };
+    setPlayers(prev => createPlayerScores(prev));
+    setCurrentPlayerIndex(0);
+  }, []);
   
   return {
     // State
@@ -50,6 +77,8 @@ export const useGameState = () => {
     setWords,
     options,
     setOptions,
+    prompt,
+    setPrompt,
     score,
     setScore,
     isGameOver,
@@ -76,6 +105,14 @@ export const useGameState = () => {
     setShowOptions,
     gameUnits,
     setGameUnits,
+    distractorPool,
+    setDistractorPool,
+    typedAnswers,
+    setTypedAnswers,
+    players,
+    setPlayers,
+    currentPlayerIndex,
+    setCurrentPlayerIndex,
     
     // Methods
     resetGameState
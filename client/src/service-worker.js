@@ -0,0 +1,58 @@
+/* eslint-disable no-restricted-globals */
+
+/**
+ * Service worker of the production build
+ * Precaches the app shell (the webpack build, filled in by Workbox as
+ * self.__WB_MANIFEST) and the sound effects so the game opens without a
+ * connection. Vocabulary for offline play is kept in IndexedDB by
+ * OfflineStore, not here.
+ */
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, cleanupOutdatedCaches, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst, StaleWhileRevalidate } from 'workbox-strategies';
+
+// Files in public/ are not part of the build manifest; bump the revision
+// when one of them changes
+const PUBLIC_FILES_REVISION = '1';
+const PUBLIC_FILES = [
+  '/sounds/correct.mp3',
+  '/sounds/wrong.mp3',
+  '/sounds/victory.mp3',
+  '/manifest.json'
+];
+
+// A new version takes over open pages right away; every screen is in the main
+// bundle, so a running page never asks for files the old version had
+self.skipWaiting();
+clientsClaim();
+
+cleanupOutdatedCaches();
+precacheAndRoute([
+  ...self.__WB_MANIFEST,
+  ...PUBLIC_FILES.map(file => ({ url: `${process.env.PUBLIC_URL}${file}`, revision: PUBLIC_FILES_REVISION }))
+]);
+
+// Serve index.html for every page navigation, so the app starts offline
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) =>
+    request.mode === 'navigate' &&
+    !url.pathname.startsWith('/_') &&
+    !fileExtensionRegexp.test(url.pathname),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Google Fonts: the stylesheet may change, the font files never do
+registerRoute(
+  ({ url }) => url.origin === 'https://fonts.googleapis.com',
+  new StaleWhileRevalidate({ cacheName: 'google-fonts-stylesheets' })
+);
+registerRoute(
+  ({ url }) => url.origin === 'https://fonts.gstatic.com',
+  new CacheFirst({
+    cacheName: 'google-fonts-webfonts',
+    plugins: [new ExpirationPlugin({ maxEntries: 30, maxAgeSeconds: 365 * 24 * 60 * 60 })]
+  })
+);
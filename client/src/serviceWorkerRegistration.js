@@ -0,0 +1,23 @@
+/**
+ * Register the service worker (src/service-worker.js) of production builds,
+ * which keeps the app shell and sounds on the device for offline play
+ */
+export function register() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) {
+    return;
+  }
+
+  // A service worker only serves pages of its own origin
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) {
+    return;
+  }
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch(error => {
+        console.error('Error registering service worker:', error);
+      });
+  });
+}
@@ -2,6 +2,7 @@
  * API module for communicating with the WordMatch server
  */
 import config from './config';
+import ProfileTokens from './profileTokens';
 
 const API = {
   // Base URL for API requests
@@ -27,23 +28,399 @@ const API = {
   },
 
   /**
-   * Get the public key for secure communication
-   * @returns {Promise<string>} The server's public RSA key
+   * Start a session for secure vocabulary requests (ECDH key exchange)
+   * @param {string} publicKey - Client's raw P-256 public key, base64
+   * @returns {Promise<Object>} { sessionId, publicKey, expiresAt, expiresIn }
+   *   with the server's public key in the same format
+   * @throws {Error} From readError when the server refuses the key
    */
-  async getPublicKey() {
+  async startSession(publicKey) {
+    return this._requestJson('/session', { method: 'POST', body: { publicKey } });
+  },
+
+  /**
+   * Fetch a learner profile from the server
+   * @param {string} id - Profile id
+   * @returns {Promise<Object|null>} The stored profile, or null if unavailable
+   *   (also when this device has no token for it)
+   */
+  async getProfile(id) {
+    if (!ProfileTokens.get(id)) {
+      return null;
+    }
     try {
-      const response = await fetch(`${this.API_BASE_URL}/publicKey`);
+      const response = await fetch(`${this.API_BASE_URL}/profiles/${encodeURIComponent(id)}`, {
+        headers: this._authorization(id)
+      });
       
+      if (response.status === 404) {
+        return null;
+      }
       if (!response.ok) {
-        throw new Error('Unable to fetch public key');
+        throw new Error('Unable to fetch profile');
       }
       
+      return await response.json();
+    } catch (error) {
+      console.error('Error fetching profile:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Create a profile made on this device on the server, under the same id
+   * @param {Object} profile - Profile to create
+   * @returns {Promise<Object>} The profile as stored on the server; its token
+   *   is kept on this device
+   * @throws {Error} From readError, e.g. 409 if the id is taken
+   */
+  async createProfile(profile) {
+    const { token, ...created } = await this._requestJson('/profiles', {
+      method: 'POST',
+      body: profile
+    });
+    ProfileTokens.set(created.id, token);
+    return created;
+  },
+
+  /**
+   * Create a teacher profile on the server
+   * @param {Object} profile - { name, avatar, settings, history }
+   * @param {string} teacherCode - The school's teacher code
+   * @returns {Promise<Object>} The new profile, with the server's id; its
+   *   token is kept on this device for the teacher routes
+   * @throws {Error} From readError, e.g. 403 for a wrong teacher code
+   */
+  async createTeacherProfile(profile, teacherCode) {
+    const { token, ...created } = await this._requestJson('/profiles', {
+      method: 'POST',
+      body: { ...profile, teacherCode }
+    });
+    ProfileTokens.set(created.id, token);
+    return created;
+  },
+
+  /**
+   * Save a learner profile to the server
+   * Profiles this device has no token for yet are created first.
+   * @param {Object} profile - Profile to store
+   * @returns {Promise<Object>} The profile now stored on the server (which
+   *   is the server's own copy if it had newer changes)
+   * @throws {Error} When the profile could not be saved, from readError if the
+   *   server answered
+   */
+  async saveProfile(profile) {
+    if (!ProfileTokens.get(profile.id)) {
+      return this.createProfile(profile);
+    }
+    
+    const response = await fetch(`${this.API_BASE_URL}/profiles/${encodeURIComponent(profile.id)}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        ...this._authorization(profile.id)
+      },
+      body: JSON.stringify(profile)
+    });
+    
+    if (response.status === 409) {
       const data = await response.json();
-      return data.publicKey;
+      return data.profile;
+    }
+    if (!response.ok) {
+      throw await this.readError(response);
+    }
+    
+    return response.json();
+  },
+
+  /**
+   * Delete a learner profile from the server, and forget its token
+   * @param {string} id - Profile id
+   * @returns {Promise<boolean>} Whether the server no longer has the profile
+   *   (or never got it from this device)
+   */
+  async deleteProfile(id) {
+    if (!ProfileTokens.get(id)) {
+      return true;
+    }
+    try {
+      const response = await fetch(`${this.API_BASE_URL}/profiles/${encodeURIComponent(id)}`, {
+        method: 'DELETE',
+        headers: this._authorization(id)
+      });
+      
+      const deleted = response.ok || response.status === 404;
+      if (deleted) {
+        ProfileTokens.remove(id);
+      }
+      return deleted;
     } catch (error) {
-      console.error('Error fetching public key:', error);
+      console.error('Error deleting profile:', error);
+      return false;
+    }
+  },
+
+  /**
+   * Turn a failed response into an Error the UI can show
+   * The server answers `{ error: { code, message, field } }`, with `fields`
+   * next to it when a body has several invalid fields.
+   * @param {Response} response - Response that is not ok
+   * @returns {Promise<Error>} Error with the server's `message`, plus `code`,
+   *   `field` and `fields` ([{ field, message }]) when the server gave them
+   */
+  async readError(response) {
+    const data = await response.json().catch(() => ({}));
+    const details = data.error || {};
+
+    const error = new Error(details.message || `Request failed (${response.status})`);
+    error.status = response.status;
+    error.code = details.code || null;
+    error.field = details.field || null;
+    error.fields = data.fields || (details.field ? [{ field: details.field, message: details.message }] : []);
+    return error;
+  },
+
+  /**
+   * Send a JSON request and return the parsed response
+   * @param {string} path - Path below the API base URL
+   * @param {Object} options - fetch options; `body` is sent as JSON and `text` as plain text
+   * @param {string} profileId - Profile to act as, sent with its token
+   * @returns {Promise<Object|null>} Response data (null for 204 No Content)
+   * @throws {Error} From readError when the request fails
+   * @private
+   */
+  async _requestJson(path, { body, text, ...options } = {}, profileId = null) {
+    const headers = {};
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    } else if (text !== undefined) {
+      headers['Content-Type'] = 'text/plain; charset=utf-8';
+    }
+    if (profileId) {
+      headers['X-Profile-Id'] = profileId;
+    }
+
+    const response = await fetch(`${this.API_BASE_URL}${path}`, {
+      ...options,
+      headers: { ...headers, ...this._authorization(profileId) },
+      body: body !== undefined ? JSON.stringify(body) : text
+    });
+
+    if (response.status === 204) {
       return null;
     }
+    if (!response.ok) {
+      throw await this.readError(response);
+    }
+    return response.json().catch(() => ({}));
+  },
+
+  /**
+   * Authorization header of a profile, if this device has its token
+   * @param {string} profileId - Profile id
+   * @returns {Object} Headers to add
+   * @private
+   */
+  _authorization(profileId) {
+    const token = profileId && ProfileTokens.get(profileId);
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  },
+
+  /**
+   * List the classes of a teacher
+   * @param {string} teacherId - Teacher's profile id
+   * @returns {Promise<Array>} Classes
+   */
+  getClasses(teacherId) {
+    return this._requestJson('/classes', {}, teacherId);
+  },
+
+  /**
+   * Create a class; students join it with the returned joinCode
+   * @param {string} teacherId - Teacher's profile id
+   * @param {string} name - Class name
+   * @returns {Promise<Object>} The new class
+   */
+  createClass(teacherId, name) {
+    return this._requestJson('/classes', { method: 'POST', body: { name } }, teacherId);
+  },
+
+  /**
+   * Get a class with its students and assignments
+   * @param {string} teacherId - Teacher's profile id
+   * @param {string} classId - Class id
+   * @returns {Promise<Object>} The class
+   */
+  getClass(teacherId, classId) {
+    return this._requestJson(`/classes/${encodeURIComponent(classId)}`, {}, teacherId);
+  },
+
+  deleteClass(teacherId, classId) {
+    return this._requestJson(`/classes/${encodeURIComponent(classId)}`, { method: 'DELETE' }, teacherId);
+  },
+
+  removeStudent(teacherId, classId, profileId) {
+    return this._requestJson(
+      `/classes/${encodeURIComponent(classId)}/students/${encodeURIComponent(profileId)}`,
+      { method: 'DELETE' },
+      teacherId
+    );
+  },
+
+  /**
+   * Set homework for a class
+   * @param {string} teacherId - Teacher's profile id
+   * @param {string} classId - Class id
+   * @param {Object} assignment - { title, volume, units, difficulty, mode, dueDate }
+   * @returns {Promise<Object>} The new assignment
+   */
+  createAssignment(teacherId, classId, assignment) {
+    return this._requestJson(
+      `/classes/${encodeURIComponent(classId)}/assignments`,
+      { method: 'POST', body: assignment },
+      teacherId
+    );
+  },
+
+  deleteAssignment(teacherId, assignmentId) {
+    return this._requestJson(`/assignments/${encodeURIComponent(assignmentId)}`, { method: 'DELETE' }, teacherId);
+  },
+
+  /**
+   * Get completion and weak words per student of a class
+   * @param {string} teacherId - Teacher's profile id
+   * @param {string} classId - Class id
+   * @returns {Promise<Object>} { class, assignments, students }
+   */
+  getClassReport(teacherId, classId) {
+    return this._requestJson(`/classes/${encodeURIComponent(classId)}/report`, {}, teacherId);
+  },
+
+  /**
+   * Join a class with the code from the teacher
+   * @param {string} code - Class join code
+   * @param {string} profileId - Student's profile id
+   * @returns {Promise<Object>} { id, name } of the class
+   */
+  joinClass(code, profileId) {
+    return this._requestJson('/classes/join', { method: 'POST', body: { code, profileId } }, profileId);
+  },
+
+  /**
+   * List the homework of a student, with their best result so far
+   * @param {string} profileId - Student's profile id
+   * @returns {Promise<Array>} Assignments
+   */
+  getAssignments(profileId) {
+    return this._requestJson(`/profiles/${encodeURIComponent(profileId)}/assignments`, {}, profileId);
+  },
+
+  /**
+   * Hand in a finished homework game
+   * @param {string} assignmentId - Assignment id
+   * @param {Object} result - { profileId, score, correctAnswers, totalAnswered, duration, missedWords }
+   * @returns {Promise<Object>} The stored submission
+   */
+  submitAssignment(assignmentId, result) {
+    return this._requestJson(
+      `/assignments/${encodeURIComponent(assignmentId)}/submissions`,
+      { method: 'POST', body: result },
+      result.profileId
+    );
+  },
+
+  /**
+   * List every custom word list, without its words
+   * @returns {Promise<Array>} Word list summaries ({ id, title, ownerId, ownerName, wordCount })
+   */
+  getWordLists() {
+    return this._requestJson('/wordlists');
+  },
+
+  /**
+   * Get a custom word list with its words
+   * @param {string} listId - Word list id
+   * @returns {Promise<Object>} The word list
+   */
+  getWordList(listId) {
+    return this._requestJson(`/wordlists/${encodeURIComponent(listId)}`);
+  },
+
+  /**
+   * Create a custom word list
+   * @param {string} teacherId - Teacher's profile id
+   * @param {Object} list - { title, words } with words in the vocabulary file format
+   * @returns {Promise<Object>} The new word list
+   */
+  createWordList(teacherId, list) {
+    return this._requestJson('/wordlists', { method: 'POST', body: list }, teacherId);
+  },
+
+  /**
+   * Replace the title and words of a custom word list
+   * @param {string} teacherId - Teacher's profile id
+   * @param {string} listId - Word list id
+   * @param {Object} list - { title, words }
+   * @returns {Promise<Object>} The updated word list
+   */
+  updateWordList(teacherId, listId, list) {
+    return this._requestJson(`/wordlists/${encodeURIComponent(listId)}`, { method: 'PUT', body: list }, teacherId);
+  },
+
+  /**
+   * Parse a spreadsheet or Anki export into words, without saving it
+   * @param {string} teacherId - Teacher's profile id
+   * @param {string} content - File content
+   * @param {string} [format] - 'csv', 'tsv' or 'anki'; detected by the server if omitted
+   * @returns {Promise<Object>} { format, words, rejected: [{ line, text, message }] }
+   */
+  previewWordListImport(teacherId, content, format) {
+    const query = format ? `?format=${encodeURIComponent(format)}` : '';
+    return this._requestJson(`/wordlists/import${query}`, { method: 'POST', text: content }, teacherId);
+  },
+
+  deleteWordList(teacherId, listId) {
+    return this._requestJson(`/wordlists/${encodeURIComponent(listId)}`, { method: 'DELETE' }, teacherId);
+  },
+
+  /**
+   * Search the words of every volume
+   * @param {string} query - English word or prefix (typos allowed), Chinese meaning, or words of an example
+   * @returns {Promise<Array>} Entries with their locations ({ volume, unit }), best match first
+   */
+  async searchVocabulary(query) {
+    const { results } = await this._requestJson(`/search?q=${encodeURIComponent(query)}`);
+    return results;
+  },
+
+  /**
+   * Address of a server export of a unit or custom word list
+   * @param {number|string} volume - Volume number, or CUSTOM_LIST_VOLUME for a word list
+   * @param {string} unit - Unit number, 'welcome', or the word list id
+   * @param {string} kind - 'anki' for an Anki deck, 'worksheet' for a printable worksheet
+   * @returns {string} Export URL
+   */
+  getExportUrl(volume, unit, kind) {
+    return `${this.API_BASE_URL}/export/${encodeURIComponent(volume)}/${encodeURIComponent(this._formatUnit(unit))}/${kind}`;
+  },
+
+  /**
+   * Fetch a learner's game history as CSV
+   * The export needs the profile's token, so it cannot be opened as a link.
+   * @param {string} profileId - Profile id
+   * @returns {Promise<Blob>} CSV file, kept as bytes so its byte order mark
+   *   survives
+   * @throws {Error} From readError when the export fails
+   */
+  async getHistoryExport(profileId) {
+    const response = await fetch(`${this.API_BASE_URL}/profiles/${encodeURIComponent(profileId)}/export/history`, {
+      headers: this._authorization(profileId)
+    });
+    if (!response.ok) {
+      throw await this.readError(response);
+    }
+    return response.blob();
   },
 
   /**
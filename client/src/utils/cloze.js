@@ -0,0 +1,123 @@
+/**
+ * Helpers for cloze (fill-in-the-blank) questions built from the example
+ * sentences in each word's explanations
+ */
+import { shuffleArray } from './dataLoader';
+
+const VOWELS = 'aeiou';
+
+// Placeholder words in phrases that never appear literally in a sentence
+const PLACEHOLDERS = ['sth', 'sb', 'do', 'doing', "one's", 'one‘s', 'oneself', 'etc'];
+
+/**
+ * Reduce a headword to the words that appear in sentences
+ * "sign up (for sth.)" → "sign up", "prefer...to..." → "prefer",
+ * "be responsible for" → "responsible for", "even if/though" → "even if"
+ * @param {string} headword - Word or phrase from the vocabulary
+ * @returns {string} Searchable phrase
+ */
+const getSearchPhrase = (headword) => {
+  // "pretend to do sth." → "pretend"
+  const withoutNotes = headword
+    .replace(/\([^)]*\)/g, ' ')
+    .replace(/\bto do(ing)?\b/gi, ' ');
+  const firstSegment = withoutNotes.split(/\.\.\.|…/).find(segment => segment.trim()) || '';
+  const words = firstSegment
+    .trim()
+    .split(/\s+/)
+    .map(part => part.split('/')[0].replace(/[.,]+$/, ''))
+    .filter(part => part && !PLACEHOLDERS.includes(part.toLowerCase()));
+
+  // "be" is irregular ("is", "was", ...), so search for the rest of the phrase
+  if (words.length > 1 && words[0].toLowerCase() === 'be') {
+    words.shift();
+  }
+
+  return words.join(' ');
+};
+
+/**
+ * Generate common inflected forms of a word (plurals, past tense, -ing,
+ * comparatives). Irregular forms are not covered.
+ * @param {string} base - Word in its dictionary form
+ * @returns {Array<string>} Forms including the base word, longest first
+ */
+export const getInflections = (base) => {
+  const word = base.toLowerCase();
+  const forms = new Set([word, `${word}s`, `${word}es`, `${word}ed`, `${word}ing`, `${word}er`, `${word}est`]);
+  const last = word.slice(-1);
+  const beforeLast = word.slice(-2, -1);
+
+  if (last === 'e') {
+    const stem = word.slice(0, -1);
+    ['d', 'r', 'st'].forEach(suffix => forms.add(`${word}${suffix}`));
+    forms.add(`${stem}ing`);
+    if (word.endsWith('ie')) {
+      forms.add(`${word.slice(0, -2)}ying`);
+    }
+  }
+
+  if (last === 'y' && beforeLast && !VOWELS.includes(beforeLast)) {
+    const stem = word.slice(0, -1);
+    ['ies', 'ied', 'ier', 'iest'].forEach(suffix => forms.add(`${stem}${suffix}`));
+  }
+
+  // Short consonant-vowel-consonant endings double the last letter (stop → stopped)
+  const isCvc = word.length >= 3 &&
+    !VOWELS.includes(last) && !'wxy'.includes(last) &&
+    VOWELS.includes(beforeLast) &&
+    !VOWELS.includes(word.slice(-3, -2));
+  if (isCvc) {
+    ['ed', 'ing', 'er', 'est'].forEach(suffix => forms.add(`${word}${last}${suffix}`));
+  }
+
+  return [...forms].sort((a, b) => b.length - a.length);
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Blank out a word (or one of its inflected forms) in a sentence
+ * @param {string} sentence - Example sentence
+ * @param {string} headword - Word or phrase to remove
+ * @returns {Object|null} { before, answer, after } or null if the word is not found
+ */
+export const blankSentence = (sentence, headword) => {
+  const phrase = getSearchPhrase(headword);
+  if (!sentence || !phrase) return null;
+
+  // Only the first word of a phrase is inflected ("cleaned up", "signs up")
+  const [first, ...rest] = phrase.split(' ');
+  const firstPattern = getInflections(first).map(escapeRegExp).join('|');
+  const restPattern = rest.map(part => `\\s+${escapeRegExp(part)}`).join('');
+  const match = new RegExp(`\\b(?:${firstPattern})${restPattern}\\b`, 'i').exec(sentence);
+
+  if (!match) return null;
+
+  return {
+    before: sentence.slice(0, match.index),
+    answer: match[0],
+    after: sentence.slice(match.index + match[0].length)
+  };
+};
+
+/**
+ * Find an example sentence of a word that can be turned into a cloze question
+ * @param {Object} word - Word object with english and explanation
+ * @returns {Object|null} { sentence, before, answer, after, pos, meaning } or null
+ */
+export const findClozePrompt = (word) => {
+  const candidates = shuffleArray(
+    word.explanation.flatMap(({ pos, meaning, examples }) =>
+      (examples || []).map(sentence => ({ sentence, pos, meaning })))
+  );
+
+  for (const candidate of candidates) {
+    const blank = blankSentence(candidate.sentence, word.english);
+    if (blank) {
+      return { ...candidate, ...blank };
+    }
+  }
+
+  return null;
+};
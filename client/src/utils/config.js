@@ -5,6 +5,16 @@
 const config = {
   // API Base URL - defaults to localhost for development
   API_BASE_URL: process.env.REACT_APP_API_BASE_URL || 'http://localhost:8080/api',
+
+  // WebSocket URL for online multiplayer rooms - defaults to the API server's /ws
+  WS_URL: process.env.REACT_APP_WS_URL ||
+    (process.env.REACT_APP_API_BASE_URL || 'http://localhost:8080/api')
+      .replace(/^http/, 'ws')
+      .replace(/\/api\/?$/, '/ws'),
+
+  // Text-to-speech server for the "TTS server" voice source (optional); it is
+  // asked GET <url>?text=&lang=&rate=&pitch= and answers with audio
+  TTS_URL: process.env.REACT_APP_TTS_URL || null,
   
   // Volumes and units available in the game (as fallback if API fails)
   VOLUMES: [1, 2, 3, 4, 5, 6, 7],
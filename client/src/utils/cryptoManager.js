@@ -5,73 +5,83 @@
 
 import API from './api.js';
 import CryptoJS from 'crypto-js';
-import JSEncrypt from 'jsencrypt';
 
 const CryptoManager = (() => {
+    // The server derives the same key: HKDF-SHA256 over the ECDH secret,
+    // salted with the session id
+    const SESSION_KEY_INFO = 'wordmatch-session-key';
+    const CURVE = { name: 'ECDH', namedCurve: 'P-256' };
+    // Start a new session this long before the current one expires
+    const SESSION_RENEW_MARGIN = 60 * 1000;
+
     // Internal state
-    let publicKey = null;
-    let isInitialized = false;
-    
-    // Initialize the crypto manager
-    async function init(serverPublicKey) {
-        try {
-            // Use provided key or fetch from server if not provided
-            if (serverPublicKey) {
-                publicKey = serverPublicKey;
-            } else {
-                // Fetch the server's public key
-                const fetchedPublicKey = await API.getPublicKey();
-                
-                if (!fetchedPublicKey) {
-                    throw new Error('Failed to fetch public key');
-                }
-                
-                publicKey = fetchedPublicKey;
-            }
-            
-            isInitialized = true;
-            
-            console.log('CryptoManager initialized successfully');
-            return true;
-        } catch (error) {
-            console.error('Error initializing CryptoManager:', error);
-            return false;
-        }
-    }
+    let session = null;
+    let pendingSession = null;
     
-    // Generate random AES key (32 bytes / 256 bits as hex string)
-    function generateAesKey() {
-        // Generate a 32-byte (256-bit) key
-        const array = new Uint8Array(32);
-        window.crypto.getRandomValues(array);
-        // Convert to hex string for consistent format across platforms
-        return Array.from(array)
-            .map(b => b.toString(16).padStart(2, '0'))
-            .join('');
+    // Agree on an AES session key with the server over ECDH
+    async function startSession() {
+        const keyPair = await window.crypto.subtle.generateKey(CURVE, false, ['deriveBits']);
+        const ownPublicKey = await window.crypto.subtle.exportKey('raw', keyPair.publicKey);
+        const { sessionId, publicKey, expiresIn } = await API.startSession(arrayBufferToBase64(ownPublicKey));
+        
+        const serverPublicKey = await window.crypto.subtle.importKey(
+            'raw',
+            base64ToArrayBuffer(publicKey),
+            CURVE,
+            false,
+            []
+        );
+        const secret = await window.crypto.subtle.deriveBits(
+            { name: 'ECDH', public: serverPublicKey },
+            keyPair.privateKey,
+            256
+        );
+        
+        const encoder = new TextEncoder();
+        const hkdfKey = await window.crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveBits']);
+        const keyBits = await window.crypto.subtle.deriveBits(
+            {
+                name: 'HKDF',
+                hash: 'SHA-256',
+                salt: encoder.encode(sessionId),
+                info: encoder.encode(SESSION_KEY_INFO)
+            },
+            hkdfKey,
+            256
+        );
+        
+        // Count the expiry on our own clock, which may differ from the server's
+        return {
+            id: sessionId,
+            aesKey: arrayBufferToHex(keyBits),
+            expiresAt: Date.now() + expiresIn
+        };
     }
     
-    // Encrypt AES key with RSA public key
-    function encryptAesKey(aesKey) {
-        if (!isInitialized || !publicKey) {
-            throw new Error('CryptoManager not initialized');
+    // Get the current session, starting a new one if there is none or it is
+    // about to expire, so the key rotates at least once per session lifetime
+    async function getSession() {
+        if (session && session.expiresAt - Date.now() > SESSION_RENEW_MARGIN) {
+            return session;
         }
         
-        try {
-            // Create JSEncrypt instance for RSA encryption
-            const jsEncrypt = new JSEncrypt();
-            jsEncrypt.setPublicKey(publicKey);
-            
-            // Encrypt the AES key (JSEncrypt uses PKCS#1v1.5 padding by default)
-            const encrypted = jsEncrypt.encrypt(aesKey);
-            
-            if (!encrypted) {
-                throw new Error('Failed to encrypt AES key');
-            }
-            
-            return encrypted;
-        } catch (error) {
-            throw new Error('Failed to encrypt AES key', error);
+        // Requests made during the handshake wait for the same session
+        if (!pendingSession) {
+            pendingSession = startSession()
+                .then(started => {
+                    session = started;
+                    return started;
+                })
+                .finally(() => {
+                    pendingSession = null;
+                });
         }
+        return pendingSession;
+    }
+    
+    // Forget the session, e.g. when the server no longer knows it
+    function endSession() {
+        session = null;
     }
     
     // Decrypt data using AES key
@@ -147,6 +157,18 @@ const CryptoManager = (() => {
         return bytes.buffer;
     }
     
+    // Helper function to convert an ArrayBuffer to base64
+    function arrayBufferToBase64(buffer) {
+        return window.btoa(String.fromCharCode(...new Uint8Array(buffer)));
+    }
+    
+    // Helper function to convert an ArrayBuffer to hex
+    function arrayBufferToHex(buffer) {
+        return Array.from(new Uint8Array(buffer))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+    }
+    
     // Helper function to convert hex to ArrayBuffer
     function hexToArrayBuffer(hexString) {
         const bytes = new Uint8Array(hexString.length / 2);
@@ -166,12 +188,10 @@ const CryptoManager = (() => {
     
     // Public API
     return {
-        init,
-        generateAesKey,
-        encryptAesKey,
+        getSession,
+        endSession,
         decryptData,
-        verifyDataIntegrity,
-        isInitialized: () => isInitialized
+        verifyDataIntegrity
     };
 })();
 
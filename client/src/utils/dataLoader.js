@@ -4,9 +4,71 @@
 import config from './config';
 import API from './api';
 import CryptoManager from './cryptoManager';
+import OfflineStore from './offlineStore';
 
-// Track if crypto is initialized
-let cryptoInitialized = false;
+// Volume of words from a teacher's custom word list; their unit is the list id
+export const CUSTOM_LIST_VOLUME = 'custom';
+
+// Sent with secure requests so the server can rate limit this page on its own;
+// unlike the key session of CryptoManager it lasts as long as the page
+const RATE_LIMIT_SESSION_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+
+// When rate limited, wait as long as the server asks and try again, unless
+// that would keep the player waiting too long
+const MAX_RATE_LIMIT_RETRIES = 2;
+const MAX_RATE_LIMIT_WAIT = 10;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Words dealt in recent games, by unit, left out of the next games of the
+// unit until it runs out of new words (localStorage, per device)
+const RECENT_WORDS_KEY = 'wordmatch.recentWords';
+const MAX_RECENT_WORDS_PER_UNIT = 100;
+
+const readRecentWords = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(RECENT_WORDS_KEY)) || {};
+  } catch (error) {
+    console.error('Error reading recent words:', error);
+    return {};
+  }
+};
+
+const storeRecentWords = (volume, unit, words) => {
+  try {
+    const recent = readRecentWords();
+    recent[`${volume}/${unit}`] = words.slice(-MAX_RECENT_WORDS_PER_UNIT);
+    window.localStorage.setItem(RECENT_WORDS_KEY, JSON.stringify(recent));
+  } catch (error) {
+    console.error('Error storing recent words:', error);
+  }
+};
+
+/**
+ * POST to a secure endpoint, backing off while the server answers 429
+ * @param {string} url - Endpoint URL with its query string
+ * @param {Object} body - JSON body
+ * @returns {Promise<Response>} The last response
+ */
+const postSecure = async (url, body) => {
+  for (let attempt = 0; ; attempt++) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Session-Id': RATE_LIMIT_SESSION_ID
+      },
+      body: JSON.stringify(body)
+    });
+
+    const retryAfter = Number(response.headers.get('Retry-After')) || 1;
+    if (response.status !== 429 || attempt >= MAX_RATE_LIMIT_RETRIES || retryAfter > MAX_RATE_LIMIT_WAIT) {
+      return response;
+    }
+    console.warn(`Rate limited, trying again in ${retryAfter}s`);
+    await wait(retryAfter * 1000);
+  }
+};
 
 /**
  * Load all vocabulary structure from server
@@ -38,13 +100,109 @@ export const loadVocabularyData = async () => {
 };
 
 /**
- * Load vocabulary data for a specific volume and unit from the server
+ * Fetch the entries of a unit from the secure API
+ * @param {number|string} volume - Volume number
+ * @param {string} serverUnit - Unit number or 'welcome'
+ * @param {number} [count] - Number of words to pick at random
+ * @param {Object} [selection] - See loadServerVocabularyData
+ * @returns {Promise<Array>} Vocabulary entries
+ * @throws {Error} When the request failed (from API.readError if the server answered)
+ */
+const fetchServerUnit = async (volume, serverUnit, count = null, selection = {}) => {
+  // Determine which API endpoint to use based on whether count is provided
+  const endpoint = count 
+    ? `${API.API_BASE_URL}/secure/vocabulary/${volume}/${serverUnit}/count/${count}` 
+    : `${API.API_BASE_URL}/secure/vocabulary/${volume}/${serverUnit}`;
+  
+  const params = new URLSearchParams();
+  ['offset', 'limit'].forEach(name => {
+    if (selection[name] !== undefined) params.set(name, selection[name]);
+  });
+  ['words', 'exclude'].forEach(name => {
+    if (selection[name] && selection[name].length > 0) params.set(name, selection[name].join(','));
+  });
+  const query = params.toString() ? `?${params}` : '';
+  
+  // Request data from secure API endpoint with the session key, agreed on
+  // when the first unit is loaded
+  let session = await CryptoManager.getSession();
+  let response = await postSecure(`${endpoint}${query}`, { sessionId: session.id });
+  
+  // The server forgot the session (restart, expiry, another instance):
+  // agree on a new key and try once more
+  if (response.status === 401) {
+    CryptoManager.endSession();
+    session = await CryptoManager.getSession();
+    response = await postSecure(`${endpoint}${query}`, { sessionId: session.id });
+  }
+  
+  if (!response.ok) {
+    const error = await API.readError(response);
+    if (response.status === 429) {
+      const retryAfter = Number(response.headers.get('Retry-After')) || 1;
+      error.message = `请求太频繁，请 ${retryAfter} 秒后再试 Too many requests, please try again in ${retryAfter} seconds`;
+    }
+    throw error;
+  }
+  
+  const encryptedResponse = await response.json();
+  
+  // Decrypt the response using the AES key
+  const decryptedData = await CryptoManager.decryptData(
+    encryptedResponse.encryptedData,
+    encryptedResponse.iv,
+    encryptedResponse.authTag,
+    session.aesKey
+  );
+  
+  // Verify data integrity using the hash
+  const isValid = CryptoManager.verifyDataIntegrity(decryptedData, encryptedResponse.hash);
+  
+  if (!isValid) {
+    throw new Error('Data integrity check failed');
+  }
+  
+  // Parse the decrypted JSON data
+  return JSON.parse(decryptedData);
+};
+
+// Pick words from a downloaded unit the way the server would
+const selectOfflineEntries = (entries, { offset, limit, words, exclude, count }) => {
+  let selected = entries;
+  if (words && words.length > 0) {
+    const byWord = new Map(entries.map(entry => [entry.word.toLowerCase(), entry]));
+    selected = words.map(word => byWord.get(word.toLowerCase())).filter(Boolean);
+  }
+  if (exclude && exclude.length > 0) {
+    const excluded = new Set(exclude.map(word => word.toLowerCase()));
+    selected = selected.filter(entry => !excluded.has(entry.word.toLowerCase()));
+  }
+
+  if (count) {
+    return shuffleArray(selected).slice(0, count);
+  }
+  if (offset !== undefined || limit !== undefined) {
+    const start = offset || 0;
+    return selected.slice(start, limit !== undefined ? start + limit : undefined);
+  }
+  return selected;
+};
+
+/**
+ * Load vocabulary data for a specific volume and unit
+ * Units downloaded for offline play are read from the device, everything
+ * else comes from the server.
  * @param {number} volume - Volume number
  * @param {string|number} unit - Unit number or 'Welcome_Unit'
  * @param {number} count - Number of words to request (for difficulty adjustment)
- * @returns {Promise<Array>} Array of vocabulary words
+ * @param {Object} [selection] - Narrow down the words: { offset, limit } pages
+ *   through the unit, words lists the headwords wanted and exclude the ones to
+ *   leave out, e.g. those of recent sessions
+ * @returns {Promise<Array>} Array of vocabulary words, or null if they could not be loaded
+ * @throws {Error} When the server rejected the request, or the device is
+ *   offline and the unit was not downloaded (the error has a `code`, see API.readError)
  */
-export const loadServerVocabularyData = async (volume, unit, count = null) => {
+export const loadServerVocabularyData = async (volume, unit, count = null, selection = {}) => {
   try {
     // Convert unit format if needed
     let serverUnit = unit;
@@ -52,69 +210,108 @@ export const loadServerVocabularyData = async (volume, unit, count = null) => {
       serverUnit = 'welcome';
     }
     
-    // Initialize crypto if not already done
-    // This ensures the publicKey API is called only when starting a game
-    if (!cryptoInitialized) {
-      // Get the server's public key
-      const publicKey = await API.getPublicKey();
-      if (!publicKey) {
-        throw new Error("Failed to fetch server public key");
-      }
-      
-      // Initialize crypto with the fetched public key
-      await CryptoManager.init(publicKey);
-      cryptoInitialized = true;
-    }
-    
-    // Generate a random AES key for this request
-    const aesKey = CryptoManager.generateAesKey();
-    
-    // Encrypt the AES key with the server's public key
-    const encryptedAesKey = CryptoManager.encryptAesKey(aesKey);
-    
-    // Determine which API endpoint to use based on whether count is provided
-    const endpoint = count 
-      ? `${API.API_BASE_URL}/secure/vocabulary/${volume}/${serverUnit}/count/${count}` 
-      : `${API.API_BASE_URL}/secure/vocabulary/${volume}/${serverUnit}`;
-    
-    // Request data from secure API endpoint
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ encryptedAesKey })
+    const offlineEntries = await OfflineStore.getUnit(volume, serverUnit).catch(error => {
+      console.error('Error reading offline vocabulary:', error);
+      return null;
     });
-    
-    if (!response.ok) {
-      throw new Error(`Failed to load data for Volume ${volume} Unit ${unit}`);
+    if (offlineEntries) {
+      return selectOfflineEntries(offlineEntries, { ...selection, count });
     }
     
-    const encryptedResponse = await response.json();
-    
-    // Decrypt the response using the AES key
-    const decryptedData = await CryptoManager.decryptData(
-      encryptedResponse.encryptedData,
-      encryptedResponse.iv,
-      encryptedResponse.authTag,
-      aesKey
-    );
-    
-    // Verify data integrity using the hash
-    const isValid = CryptoManager.verifyDataIntegrity(decryptedData, encryptedResponse.hash);
-    
-    if (!isValid) {
-      throw new Error('Data integrity check failed');
+    if (!navigator.onLine) {
+      const error = new Error('没有网络，这个单元还没有下载 No connection, and this unit has not been downloaded for offline play');
+      error.code = 'OFFLINE';
+      throw error;
     }
     
-    // Parse the decrypted JSON data
-    return JSON.parse(decryptedData);
+    return await fetchServerUnit(volume, serverUnit, count, selection);
   } catch (error) {
     console.error('Error loading server vocabulary data:', error);
+    // Let callers show why the server turned the request down
+    if (error.code) {
+      throw error;
+    }
+    return null;
+  }
+};
+
+/**
+ * Download every unit of a volume for offline play, replacing earlier downloads
+ * @param {number|string} volume - Volume number
+ * @param {Function} [onProgress] - Called with (unitsDone, unitCount) after each unit
+ * @returns {Promise<number>} Number of units downloaded
+ * @throws {Error} When the volume or one of its units could not be downloaded
+ */
+export const downloadVolume = async (volume, onProgress = () => {}) => {
+  const units = (await API.getAllUnits())[volume] || [];
+  if (units.length === 0) {
+    throw new Error(`Volume ${volume} is not available`);
+  }
+
+  for (let index = 0; index < units.length; index++) {
+    const entries = await fetchServerUnit(volume, units[index]);
+    await OfflineStore.saveUnit(volume, units[index], entries);
+    onProgress(index + 1, units.length);
+  }
+  return units.length;
+};
+
+/**
+ * Delete the downloaded units of a volume
+ * @param {number|string} volume - Volume number
+ * @returns {Promise<void>}
+ */
+export const removeDownloadedVolume = (volume) => OfflineStore.removeVolume(volume);
+
+/**
+ * List the units downloaded for offline play
+ * @returns {Promise<Object>} { [volume]: [unit, ...] }
+ */
+export const getDownloadedUnits = () => OfflineStore.listUnits();
+
+/**
+ * Load the entries of a custom word list
+ * @param {string} listId - Word list id
+ * @returns {Promise<Array|null>} Vocabulary entries, or null if unavailable
+ */
+const loadWordListEntries = async (listId) => {
+  try {
+    const list = await API.getWordList(listId);
+    return list.words;
+  } catch (error) {
+    console.error(`Error loading word list ${listId}:`, error);
     return null;
   }
 };
 
+/**
+ * Convert a server vocabulary entry into the word format used by the game
+ * @param {Object} item - Vocabulary entry from the server
+ * @param {number} volume - Volume the entry belongs to
+ * @param {number|string} unit - Unit the entry belongs to
+ * @returns {Object} Word object with derived game fields
+ */
+const toWordPair = (item, volume, unit) => {
+  // Generate a unique ID for this word
+  const id = `${item.word}-${Math.random().toString(36).substr(2, 9)}`;
+  
+  // Keep the new data structure intact
+  return {
+    id,
+    english: item.word,
+    syllable_breaks: item.syllable_breaks || item.word, // Use word as fallback
+    phonetic: item.phonetic || '',
+    explanation: item.explanation || [],
+    // Remember where the word came from so progress can be tracked per word
+    volume,
+    unit,
+    // Add derived fields needed by the game
+    chinese: item.explanation && item.explanation.length > 0 
+      ? item.explanation[0].meaning 
+      : '无翻译'
+  };
+};
+
 /**
  * Get vocabulary words for a specific volume and unit
  * @param {Object} vocabularyData - The complete vocabulary data object
@@ -125,38 +322,111 @@ export const loadServerVocabularyData = async (volume, unit, count = null) => {
  */
 export const getWordPairs = async (vocabularyData, volume, unit, count = 10) => {
   try {
-    // Get data from the server with requested count
-    let unitWords = await loadServerVocabularyData(volume, unit, count);
+    // Get data from the server with requested count, leaving out the words of
+    // recent games; once the unit has too few new words, start over
+    const recentWords = readRecentWords()[`${volume}/${unit}`] || [];
+    let unitWords = recentWords.length > 0
+      ? await loadServerVocabularyData(volume, unit, count, { exclude: recentWords })
+      : null;
+    let seenWords = recentWords;
+    if (!unitWords || unitWords.length < count) {
+      unitWords = await loadServerVocabularyData(volume, unit, count);
+      seenWords = [];
+    }
     
     if (!unitWords || unitWords.length === 0) {
       console.error(`No data available for Volume ${volume} Unit ${unit}`);
       return [];
     }
+    storeRecentWords(volume, unit, [...seenWords, ...unitWords.map(item => item.word.toLowerCase())]);
     
     // Process words to preserve complete data structure
-    return unitWords.map(item => {
-      // Generate a unique ID for this word
-      const id = `${item.word}-${Math.random().toString(36).substr(2, 9)}`;
-      
-      // Keep the new data structure intact
-      return {
-        id,
-        english: item.word,
-        syllable_breaks: item.syllable_breaks || item.word, // Use word as fallback
-        phonetic: item.phonetic || '',
-        explanation: item.explanation || [],
-        // Add derived fields needed by the game
-        chinese: item.explanation && item.explanation.length > 0 
-          ? item.explanation[0].meaning 
-          : '无翻译'
-      };
-    });
+    return unitWords.map(item => toWordPair(item, volume, unit));
   } catch (error) {
     console.error('Error getting word pairs:', error);
+    if (error.code) {
+      throw error;
+    }
     return [];
   }
 };
 
+/**
+ * Get every word of a unit or custom word list, in the order of the unit
+ * @param {number|string} volume - Volume number, or CUSTOM_LIST_VOLUME for a word list
+ * @param {string} unit - Unit number, 'welcome', or the word list id
+ * @returns {Promise<Array>} Word pairs, empty if the unit could not be loaded
+ * @throws {Error} When the server rejected the request (see API.readError)
+ */
+export const getUnitWords = async (volume, unit) => {
+  const entries = volume === CUSTOM_LIST_VOLUME
+    ? await loadWordListEntries(unit)
+    : await loadServerVocabularyData(volume, unit);
+  return (entries || []).map(item => toWordPair(item, volume, unit));
+};
+
+/**
+ * Get specific words, e.g. those due for review, from one or more units
+ * Each referenced unit is loaded in full so the rest of the unit can be used
+ * for distractors.
+ * @param {Array} wordRefs - Array of { volume, unit, word } references
+ * @returns {Promise<Object>} { words, pool } where words are the referenced
+ *   words and pool holds every word of the loaded units
+ */
+export const getWordsByRefs = async (wordRefs) => {
+  // Group references by unit so each unit is fetched only once
+  const refsByUnit = {};
+  wordRefs.forEach(ref => {
+    const key = `${ref.volume}:${ref.unit}`;
+    if (!refsByUnit[key]) {
+      refsByUnit[key] = { volume: ref.volume, unit: ref.unit, words: new Set() };
+    }
+    refsByUnit[key].words.add(ref.word);
+  });
+  
+  const words = [];
+  const pool = [];
+  
+  for (const { volume, unit, words: wanted } of Object.values(refsByUnit)) {
+    try {
+      const unitWords = volume === CUSTOM_LIST_VOLUME
+        ? await loadWordListEntries(unit)
+        : await loadServerVocabularyData(volume, unit);
+      
+      if (!unitWords || unitWords.length === 0) {
+        console.error(`No data available for Volume ${volume} Unit ${unit}`);
+        continue;
+      }
+      
+      unitWords.forEach(item => {
+        const wordPair = toWordPair(item, volume, unit);
+        pool.push(wordPair);
+        if (wanted.has(item.word)) {
+          words.push(wordPair);
+        }
+      });
+    } catch (error) {
+      console.error(`Error loading words for Volume ${volume} Unit ${unit}:`, error);
+    }
+  }
+  
+  return { words, pool };
+};
+
+/**
+ * Get every word of custom word lists, for a game over those lists
+ * @param {Array} listIds - Word list ids
+ * @returns {Promise<Array>} Word pairs of all the lists
+ */
+export const getWordListPairs = async (listIds) => {
+  const words = [];
+  for (const listId of listIds) {
+    const entries = await loadWordListEntries(listId);
+    (entries || []).forEach(item => words.push(toWordPair(item, CUSTOM_LIST_VOLUME, listId)));
+  }
+  return words;
+};
+
 /**
  * Shuffle array using Fisher-Yates algorithm
  * @param {Array} array - The array to shuffle
@@ -0,0 +1,167 @@
+/**
+ * IndexedDB helpers for data persisted on the learner's device
+ */
+
+const DB_NAME = 'wordmatch';
+const DB_VERSION = 5;
+
+// Object store names
+export const STORES = {
+  REVIEWS: 'reviews',
+  PROFILES: 'profiles',
+  MISTAKES: 'mistakes',
+  STARRED: 'starred',
+  OFFLINE_UNITS: 'offlineUnits',
+  OFFLINE_KEYS: 'offlineKeys',
+  SYNC_QUEUE: 'syncQueue'
+};
+
+let dbPromise = null;
+
+/**
+ * Apply schema changes for every version between the stored one and DB_VERSION
+ * @param {IDBDatabase} db - Database being upgraded
+ * @param {IDBTransaction} transaction - The version change transaction
+ * @param {number} oldVersion - Version the database was at before the upgrade
+ */
+const upgradeDatabase = (db, transaction, oldVersion) => {
+  if (oldVersion < 1) {
+    const reviews = db.createObjectStore(STORES.REVIEWS, { keyPath: 'id' });
+    reviews.createIndex('dueDate', 'dueDate');
+  }
+  if (oldVersion < 2) {
+    db.createObjectStore(STORES.PROFILES, { keyPath: 'id' });
+    transaction.objectStore(STORES.REVIEWS).createIndex('profileId', 'profileId');
+  }
+  if (oldVersion < 3) {
+    const mistakes = db.createObjectStore(STORES.MISTAKES, { keyPath: 'id' });
+    mistakes.createIndex('profileId', 'profileId');
+  }
+  if (oldVersion < 4) {
+    const starred = db.createObjectStore(STORES.STARRED, { keyPath: 'id' });
+    starred.createIndex('profileId', 'profileId');
+  }
+  if (oldVersion < 5) {
+    const offlineUnits = db.createObjectStore(STORES.OFFLINE_UNITS, { keyPath: 'id' });
+    offlineUnits.createIndex('volume', 'volume');
+    db.createObjectStore(STORES.OFFLINE_KEYS, { keyPath: 'id' });
+    db.createObjectStore(STORES.SYNC_QUEUE, { keyPath: 'id' });
+  }
+};
+
+/**
+ * Open (and create or upgrade if needed) the WordMatch database
+ * @returns {Promise<IDBDatabase>} The opened database
+ */
+export const openDatabase = () => {
+  if (dbPromise) {
+    return dbPromise;
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB is not supported in this browser'));
+      return;
+    }
+
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      upgradeDatabase(request.result, request.transaction, event.oldVersion);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Allow a later call to retry if opening failed
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+
+  return dbPromise;
+};
+
+/**
+ * Run a single request against an object store
+ * @param {string} storeName - Object store to use
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the store and returns an IDBRequest
+ * @returns {Promise<*>} Result of the request
+ */
+const runRequest = async (storeName, mode, operation) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Get a single record by key
+ * @param {string} storeName - Object store to read from
+ * @param {*} key - Record key
+ * @returns {Promise<Object|undefined>} The record, if found
+ */
+export const getRecord = (storeName, key) =>
+  runRequest(storeName, 'readonly', store => store.get(key));
+
+/**
+ * Get every record in a store
+ * @param {string} storeName - Object store to read from
+ * @returns {Promise<Array>} All records
+ */
+export const getAllRecords = (storeName) =>
+  runRequest(storeName, 'readonly', store => store.getAll());
+
+/**
+ * Get every record whose index matches a value
+ * @param {string} storeName - Object store to read from
+ * @param {string} indexName - Index to query
+ * @param {*} value - Index value to match
+ * @returns {Promise<Array>} Matching records
+ */
+export const getAllByIndex = (storeName, indexName, value) =>
+  runRequest(storeName, 'readonly', store => store.index(indexName).getAll(value));
+
+/**
+ * Insert or replace a record
+ * @param {string} storeName - Object store to write to
+ * @param {Object} record - Record to store (must contain the store's key)
+ * @returns {Promise<*>} Key of the stored record
+ */
+export const putRecord = (storeName, record) =>
+  runRequest(storeName, 'readwrite', store => store.put(record));
+
+/**
+ * Delete a record by key
+ * @param {string} storeName - Object store to delete from
+ * @param {*} key - Record key
+ * @returns {Promise<undefined>}
+ */
+export const deleteRecord = (storeName, key) =>
+  runRequest(storeName, 'readwrite', store => store.delete(key));
+
+/**
+ * Delete every record whose index matches a value
+ * @param {string} storeName - Object store to delete from
+ * @param {string} indexName - Index to query
+ * @param {*} value - Index value to match
+ * @returns {Promise<undefined>}
+ */
+export const deleteByIndex = (storeName, indexName, value) =>
+  runRequest(storeName, 'readwrite', store => {
+    const request = store.index(indexName).openKeyCursor(value);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor) {
+        store.delete(cursor.primaryKey);
+        cursor.continue();
+      }
+    };
+    return request;
+  });
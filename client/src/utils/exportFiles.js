@@ -0,0 +1,46 @@
+/**
+ * Helpers for files learners and teachers download
+ */
+
+// Quote a CSV field when it holds a separator, quote or line break
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV file
+ * Starts with a byte order mark so spreadsheet programs read the Chinese
+ * text as UTF-8.
+ * @param {Array<string>} header - Column names
+ * @param {Array<Array>} rows - Row values
+ * @returns {string} CSV content
+ */
+export const toCsv = (header, rows) =>
+  '\uFEFF' + [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+
+/**
+ * Save content built in the browser as a file
+ * @param {string} fileName - Suggested file name
+ * @param {string|Blob} content - File content
+ * @param {string} type - MIME type
+ */
+export const downloadFile = (fileName, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Open a file the server builds, e.g. an Anki deck or a worksheet
+ * Downloads are named by the server; pages such as worksheets open in a new tab.
+ * @param {string} url - Export URL
+ */
+export const openExport = (url) => {
+  window.open(url, '_blank', 'noopener');
+};
@@ -0,0 +1,115 @@
+/**
+ * Wrong-answer notebook (错题本)
+ * Keeps every incorrect selection of the active profile so learners and
+ * teachers can revisit and practise the words that were missed.
+ */
+import { STORES, getAllByIndex, putRecord, deleteRecord } from './db';
+import ProfileManager from './profileManager';
+import { getWordKey } from './reviewScheduler';
+
+// Upper bound of words in a single "practice these words" session
+export const MISTAKE_SESSION_LIMIT = 20;
+
+const MistakeStore = (() => {
+  /**
+   * Record an incorrect selection
+   * @param {Object} word - The word that was being asked
+   * @param {Object} option - The incorrect option that was picked
+   * @returns {Promise<Object|null>} The stored mistake
+   */
+  async function recordMistake(word, option) {
+    const profileId = ProfileManager.getActiveProfileId();
+    if (!profileId) {
+      return null;
+    }
+
+    const timestamp = Date.now();
+    const mistake = {
+      id: `${profileId}:${timestamp}:${Math.random().toString(36).substr(2, 9)}`,
+      profileId,
+      wordKey: getWordKey(word),
+      word: word.english,
+      volume: word.volume,
+      unit: word.unit,
+      phonetic: word.phonetic || '',
+      correctMeanings: word.explanation.map(({ pos, meaning }) => ({ pos, meaning })),
+      // Reverse mode options are English words rather than meanings
+      pickedWord: option.english || null,
+      pickedPos: option.pos || '',
+      pickedMeaning: option.meaning || '',
+      timestamp
+    };
+
+    await putRecord(STORES.MISTAKES, mistake);
+    return mistake;
+  }
+
+  /**
+   * Get the active profile's mistakes grouped by word, most recent first
+   * @returns {Promise<Array>} Entries of { wordKey, word, volume, unit, phonetic,
+   *   correctMeanings, mistakes, lastMistakeAt }
+   */
+  async function getEntries() {
+    const profileId = ProfileManager.getActiveProfileId();
+    if (!profileId) {
+      return [];
+    }
+
+    const mistakes = await getAllByIndex(STORES.MISTAKES, 'profileId', profileId);
+    const entries = {};
+
+    mistakes
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .forEach(mistake => {
+        if (!entries[mistake.wordKey]) {
+          entries[mistake.wordKey] = {
+            wordKey: mistake.wordKey,
+            word: mistake.word,
+            volume: mistake.volume,
+            unit: mistake.unit,
+            phonetic: mistake.phonetic,
+            correctMeanings: mistake.correctMeanings,
+            mistakes: [],
+            lastMistakeAt: mistake.timestamp
+          };
+        }
+        entries[mistake.wordKey].mistakes.push(mistake);
+      });
+
+    return Object.values(entries).sort((a, b) => b.lastMistakeAt - a.lastMistakeAt);
+  }
+
+  /**
+   * Count distinct words in the active profile's notebook
+   * @returns {Promise<number>} Number of words with mistakes
+   */
+  async function getWordCount() {
+    const entries = await getEntries();
+    return entries.length;
+  }
+
+  /**
+   * Remove a word and all its mistakes from the notebook
+   * @param {string} wordKey - Key of the word (see getWordKey)
+   * @returns {Promise<void>}
+   */
+  async function removeWord(wordKey) {
+    const entries = await getEntries();
+    const entry = entries.find(e => e.wordKey === wordKey);
+    if (!entry) return;
+
+    for (const mistake of entry.mistakes) {
+      await deleteRecord(STORES.MISTAKES, mistake.id);
+    }
+  }
+
+  // Public API
+  return {
+    recordMistake,
+    getEntries,
+    getWordCount,
+    removeWord
+  };
+})();
+
+export default MistakeStore;
@@ -0,0 +1,122 @@
+/**
+ * Vocabulary kept on the device for offline play
+ * Whole volumes are downloaded ahead of time and stored encrypted at rest,
+ * with a non-extractable AES-GCM key created for this device and kept next to
+ * them in IndexedDB, so the words cannot be read out of the database files.
+ */
+import { STORES, getRecord, getAllRecords, putRecord, deleteByIndex } from './db';
+
+const OfflineStore = (() => {
+  const DEVICE_KEY_ID = 'offlineUnits';
+  let keyPromise = null;
+
+  const unitId = (volume, unit) => `${volume}:${unit}`;
+
+  // Key of this device, created when the first unit is stored
+  function getDeviceKey() {
+    if (!keyPromise) {
+      keyPromise = (async () => {
+        const stored = await getRecord(STORES.OFFLINE_KEYS, DEVICE_KEY_ID);
+        if (stored) {
+          return stored.key;
+        }
+
+        const key = await window.crypto.subtle.generateKey(
+          { name: 'AES-GCM', length: 256 },
+          false,
+          ['encrypt', 'decrypt']
+        );
+        await putRecord(STORES.OFFLINE_KEYS, { id: DEVICE_KEY_ID, key });
+        return key;
+      })();
+
+      // Allow a later call to retry if the key could not be loaded
+      keyPromise.catch(() => {
+        keyPromise = null;
+      });
+    }
+    return keyPromise;
+  }
+
+  /**
+   * Store the entries of a unit, replacing an earlier download
+   * @param {number|string} volume - Volume number
+   * @param {string} unit - Unit number or 'welcome'
+   * @param {Array} entries - Vocabulary entries as the server sends them
+   * @returns {Promise<void>}
+   */
+  async function saveUnit(volume, unit, entries) {
+    const key = await getDeviceKey();
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const data = await window.crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      key,
+      new TextEncoder().encode(JSON.stringify(entries))
+    );
+
+    await putRecord(STORES.OFFLINE_UNITS, {
+      id: unitId(volume, unit),
+      volume: String(volume),
+      unit: String(unit),
+      iv,
+      data,
+      wordCount: entries.length,
+      savedAt: Date.now()
+    });
+  }
+
+  /**
+   * Read the entries of a downloaded unit
+   * @param {number|string} volume - Volume number
+   * @param {string} unit - Unit number or 'welcome'
+   * @returns {Promise<Array|null>} Entries, or null if the unit is not on the device
+   */
+  async function getUnit(volume, unit) {
+    const record = await getRecord(STORES.OFFLINE_UNITS, unitId(volume, unit));
+    if (!record) {
+      return null;
+    }
+
+    try {
+      const key = await getDeviceKey();
+      const plain = await window.crypto.subtle.decrypt({ name: 'AES-GCM', iv: record.iv }, key, record.data);
+      return JSON.parse(new TextDecoder().decode(plain));
+    } catch (error) {
+      // E.g. the device key was cleared; the unit has to be downloaded again
+      console.error(`Error reading offline Volume ${volume} Unit ${unit}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * List the downloaded units
+   * @returns {Promise<Object>} { [volume]: [unit, ...] }
+   */
+  async function listUnits() {
+    const records = await getAllRecords(STORES.OFFLINE_UNITS);
+    const volumes = {};
+    records.forEach(({ volume, unit }) => {
+      volumes[volume] = [...(volumes[volume] || []), unit];
+    });
+    return volumes;
+  }
+
+  /**
+   * Delete every downloaded unit of a volume
+   * @param {number|string} volume - Volume number
+   * @returns {Promise<void>}
+   */
+  async function removeVolume(volume) {
+    await deleteByIndex(STORES.OFFLINE_UNITS, 'volume', String(volume));
+  }
+
+  // Public API
+  return {
+    saveUnit,
+    getUnit,
+    listUnits,
+    removeVolume
+  };
+})();
+
+export default OfflineStore;
@@ -0,0 +1,286 @@
+/**
+ * Learner profile management
+ * Profiles (name, avatar, settings and game history) live in IndexedDB so
+ * several children can share one device, and are synced to the server through
+ * the sync queue, so changes made offline reach it once it is reachable.
+ */
+import API from './api';
+import SyncQueue from './syncQueue';
+import { SPEECH_BACKENDS, DEFAULT_VOICE_SETTINGS } from './speechManager';
+import { SPELLING_STRATEGIES } from './spelling';
+import { STORES, getRecord, getAllRecords, putRecord, deleteRecord, deleteByIndex } from './db';
+
+// localStorage key remembering which profile was last used on this device
+const ACTIVE_PROFILE_KEY = 'wordmatch.activeProfileId';
+
+// Keep history bounded (matches the server limit)
+const MAX_HISTORY_ENTRIES = 200;
+
+// Avatars a learner can pick from
+export const AVATARS = ['🐼', '🐯', '🦊', '🐰', '🐨', '🐸', '🦁', '🐵', '🐧', '🦄'];
+
+// Teachers manage classes and homework; everyone else is a student
+export const PROFILE_ROLES = {
+  STUDENT: 'student',
+  TEACHER: 'teacher'
+};
+
+// Settings used by new profiles
+export const DEFAULT_SETTINGS = {
+  volume: 0.7,
+  voiceSpeed: 1,
+  difficulty: 'normal',
+  bgMusic: true,
+  speechEnabled: true,
+  speechBackend: SPEECH_BACKENDS.WEB_SPEECH,
+  voices: DEFAULT_VOICE_SETTINGS,
+  spellingStrategy: SPELLING_STRATEGIES.LETTERS,
+};
+
+/**
+ * Generate an id for a profile created on this device
+ * @returns {string} Random profile id
+ */
+const generateProfileId = () => {
+  if (window.crypto && window.crypto.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  return `profile-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 9)}`;
+};
+
+const ProfileManager = (() => {
+  let activeProfile = null;
+  let initPromise = null;
+
+  /**
+   * Send a queued profile to the server
+   * If the server already has newer changes, its copy replaces the local one.
+   */
+  async function sendProfile(profile) {
+    const stored = await API.saveProfile(profile);
+    if (stored && stored.updatedAt > profile.updatedAt) {
+      await putRecord(STORES.PROFILES, stored);
+      if (activeProfile && activeProfile.id === stored.id) {
+        activeProfile = stored;
+      }
+    }
+  }
+
+  async function sendProfileDeletion({ id }) {
+    if (!(await API.deleteProfile(id))) {
+      throw new Error(`Profile ${id} could not be deleted on the server`);
+    }
+  }
+
+  SyncQueue.register('profile', sendProfile);
+  SyncQueue.register('profileDeletion', sendProfileDeletion);
+
+  /**
+   * Push a profile to the server without blocking the caller
+   * Only the latest copy of each profile waits in the queue.
+   */
+  function pushToServer(profile) {
+    SyncQueue.enqueue('profile', profile.id, profile).catch(error => {
+      console.error('Error queuing profile sync:', error);
+    });
+  }
+
+  /**
+   * Remember the active profile for this device
+   */
+  function storeActiveProfile(profile) {
+    activeProfile = profile;
+    try {
+      window.localStorage.setItem(ACTIVE_PROFILE_KEY, profile.id);
+    } catch (error) {
+      console.error('Error storing active profile:', error);
+    }
+  }
+
+  /**
+   * Create a new profile
+   * Student profiles are created on the device and synced later. Teacher
+   * profiles need the server, which checks the school's teacher code and
+   * issues the token the teacher routes ask for.
+   * @param {Object} data - { name, avatar, role, teacherCode }
+   * @returns {Promise<Object>} The created profile
+   * @throws {Error} From the server when a teacher profile is refused
+   */
+  async function createProfile({ name, avatar, role, teacherCode }) {
+    const now = Date.now();
+    const profile = {
+      id: generateProfileId(),
+      name: name.trim(),
+      avatar: avatar || AVATARS[0],
+      role: PROFILE_ROLES.STUDENT,
+      settings: { ...DEFAULT_SETTINGS },
+      history: [],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    if (role === PROFILE_ROLES.TEACHER) {
+      const { id, ...fields } = profile;
+      const teacher = await API.createTeacherProfile(fields, teacherCode);
+      await putRecord(STORES.PROFILES, teacher);
+      return teacher;
+    }
+
+    await putRecord(STORES.PROFILES, profile);
+    pushToServer(profile);
+    return profile;
+  }
+
+  /**
+   * Load profiles and select the active one, creating a first profile if the
+   * device has none yet
+   * @returns {Promise<Object>} The active profile
+   */
+  function init() {
+    // Share one run between concurrent callers so only one first profile is created
+    if (!initPromise) {
+      initPromise = loadActiveProfile().finally(() => {
+        initPromise = null;
+      });
+    }
+    return initPromise;
+  }
+
+  async function loadActiveProfile() {
+    let profiles = await getAllRecords(STORES.PROFILES);
+
+    if (profiles.length === 0) {
+      profiles = [await createProfile({ name: '学生 Student', avatar: AVATARS[0] })];
+    }
+
+    let storedId = null;
+    try {
+      storedId = window.localStorage.getItem(ACTIVE_PROFILE_KEY);
+    } catch (error) {
+      console.error('Error reading active profile:', error);
+    }
+
+    const profile = profiles.find(p => p.id === storedId) || profiles[0];
+    storeActiveProfile(profile);
+    return profile;
+  }
+
+  /**
+   * Get all profiles on this device, oldest first
+   * @returns {Promise<Array>} Profiles
+   */
+  async function listProfiles() {
+    const profiles = await getAllRecords(STORES.PROFILES);
+    return profiles.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Switch to another profile
+   * @param {string} id - Profile id
+   * @returns {Promise<Object>} The now active profile
+   */
+  async function setActiveProfile(id) {
+    const profile = await getRecord(STORES.PROFILES, id);
+    if (!profile) {
+      throw new Error(`Profile ${id} not found`);
+    }
+    storeActiveProfile(profile);
+    return profile;
+  }
+
+  /**
+   * Update fields of a profile
+   * @param {string} id - Profile id
+   * @param {Object} changes - Fields to merge into the profile
+   * @returns {Promise<Object>} The updated profile
+   */
+  async function updateProfile(id, changes) {
+    const profile = await getRecord(STORES.PROFILES, id);
+    if (!profile) {
+      throw new Error(`Profile ${id} not found`);
+    }
+
+    const updated = { ...profile, ...changes, id, updatedAt: Date.now() };
+    await putRecord(STORES.PROFILES, updated);
+    if (activeProfile && activeProfile.id === id) {
+      activeProfile = updated;
+    }
+    pushToServer(updated);
+    return updated;
+  }
+
+  /**
+   * Delete a profile together with its review records and mistakes
+   * @param {string} id - Profile id
+   * @returns {Promise<Object>} The active profile after deletion
+   */
+  async function deleteProfile(id) {
+    await deleteRecord(STORES.PROFILES, id);
+    await deleteByIndex(STORES.REVIEWS, 'profileId', id);
+    await deleteByIndex(STORES.MISTAKES, 'profileId', id);
+    await deleteByIndex(STORES.STARRED, 'profileId', id);
+    SyncQueue.enqueue('profileDeletion', id, { id }).catch(error => {
+      console.error('Error queuing profile deletion:', error);
+    });
+
+    if (activeProfile && activeProfile.id === id) {
+      activeProfile = null;
+      return init();
+    }
+    return activeProfile;
+  }
+
+  /**
+   * Append a finished game to the active profile's history
+   * @param {Object} result - Game summary (score, answers, level, ...)
+   * @returns {Promise<Object|null>} The updated profile
+   */
+  async function recordGameResult(result) {
+    if (!activeProfile) {
+      return null;
+    }
+
+    const history = [...(activeProfile.history || []), { ...result, timestamp: Date.now() }]
+      .slice(-MAX_HISTORY_ENTRIES);
+    return updateProfile(activeProfile.id, { history });
+  }
+
+  /**
+   * Reconcile local profiles with the server, newest copy wins
+   * @returns {Promise<Object|null>} The active profile after syncing
+   */
+  async function sync() {
+    const profiles = await getAllRecords(STORES.PROFILES);
+
+    for (const local of profiles) {
+      const remote = await API.getProfile(local.id);
+
+      if (remote && remote.updatedAt > local.updatedAt) {
+        await putRecord(STORES.PROFILES, remote);
+        if (activeProfile && activeProfile.id === remote.id) {
+          activeProfile = remote;
+        }
+      } else if (!remote || remote.updatedAt < local.updatedAt) {
+        pushToServer(local);
+      }
+    }
+
+    return activeProfile;
+  }
+
+  // Public API
+  return {
+    init,
+    sync,
+    listProfiles,
+    createProfile,
+    updateProfile,
+    deleteProfile,
+    setActiveProfile,
+    recordGameResult,
+    getActiveProfile: () => activeProfile,
+    getActiveProfileId: () => (activeProfile ? activeProfile.id : null)
+  };
+})();
+
+export default ProfileManager;
@@ -0,0 +1,56 @@
+/**
+ * Tokens of the profiles on this device
+ * The server issues a token once, when a profile is created on it, and asks
+ * for it whenever the profile is read, changed or acts as a teacher. Tokens
+ * stay in localStorage on this device and are never synced as part of the
+ * profile.
+ */
+
+// localStorage key of the tokens, by profile id
+const STORAGE_KEY = 'wordmatch.profileTokens';
+
+const ProfileTokens = (() => {
+  function readAll() {
+    try {
+      return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+      console.error('Error reading profile tokens:', error);
+      return {};
+    }
+  }
+
+  function writeAll(tokens) {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(tokens));
+    } catch (error) {
+      console.error('Error storing profile tokens:', error);
+    }
+  }
+
+  /**
+   * @param {string} profileId - Profile id
+   * @returns {string|null} The profile's token, if this device has it
+   */
+  function get(profileId) {
+    return readAll()[profileId] || null;
+  }
+
+  function set(profileId, token) {
+    writeAll({ ...readAll(), [profileId]: token });
+  }
+
+  function remove(profileId) {
+    const tokens = readAll();
+    delete tokens[profileId];
+    writeAll(tokens);
+  }
+
+  // Public API
+  return {
+    get,
+    set,
+    remove
+  };
+})();
+
+export default ProfileTokens;
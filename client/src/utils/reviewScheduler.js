@@ -0,0 +1,182 @@
+/**
+ * Spaced-repetition scheduler (SM-2) driven by per-word answer history
+ */
+import { STORES, getRecord, getAllRecords, getAllByIndex, putRecord, deleteRecord } from './db';
+import ProfileManager from './profileManager';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// SM-2 parameters
+const DEFAULT_EASINESS = 2.5;
+const MIN_EASINESS = 1.3;
+
+// Quality grades (0-5) assigned to game answers
+const QUALITY = {
+  CORRECT: 4,
+  INCORRECT: 1
+};
+
+// Keep history bounded so records stay small
+const MAX_HISTORY_ENTRIES = 50;
+
+// Upper bound of words in a single review session
+export const REVIEW_SESSION_LIMIT = 20;
+
+/**
+ * Start of the local day containing the given time
+ * @param {number} time - Timestamp in ms
+ * @returns {number} Timestamp of local midnight
+ */
+const startOfDay = (time) => {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+};
+
+/**
+ * Build the storage key for a word
+ * @param {Object} word - Word object with english, volume and unit
+ * @returns {string} Key unique to the word within its unit
+ */
+export const getWordKey = (word) => `${word.volume}:${word.unit}:${word.english}`;
+
+/**
+ * Apply one SM-2 step to a review record
+ * @param {Object} record - Existing review record
+ * @param {number} quality - Answer quality from 0 to 5
+ * @param {number} now - Current timestamp
+ * @returns {Object} Updated scheduling fields
+ */
+const applySm2 = (record, quality, now) => {
+  let { easiness, interval, repetitions } = record;
+
+  if (quality >= 3) {
+    if (repetitions === 0) {
+      interval = 1;
+    } else if (repetitions === 1) {
+      interval = 6;
+    } else {
+      interval = Math.round(interval * easiness);
+    }
+    repetitions += 1;
+  } else {
+    repetitions = 0;
+    interval = 1;
+  }
+
+  easiness = Math.max(
+    MIN_EASINESS,
+    easiness + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+
+  return {
+    easiness,
+    interval,
+    repetitions,
+    dueDate: startOfDay(now) + interval * DAY_MS
+  };
+};
+
+const ReviewScheduler = (() => {
+  /**
+   * Record an answer for a word and reschedule it
+   * Correct answers only advance the schedule once the word is due, so
+   * replaying a unit on the same day does not inflate the interval.
+   * @param {Object} word - Word object from getWordPairs
+   * @param {boolean} isCorrect - Whether the learner answered correctly
+   * @returns {Promise<Object>} The updated review record
+   */
+  async function recordAnswer(word, isCorrect) {
+    const profileId = ProfileManager.getActiveProfileId();
+    if (!profileId) {
+      return null;
+    }
+
+    const now = Date.now();
+    const id = `${profileId}:${getWordKey(word)}`;
+    const existing = await getRecord(STORES.REVIEWS, id);
+
+    const record = existing || {
+      id,
+      profileId,
+      word: word.english,
+      volume: word.volume,
+      unit: word.unit,
+      easiness: DEFAULT_EASINESS,
+      interval: 0,
+      repetitions: 0,
+      dueDate: now,
+      history: []
+    };
+
+    record.history = [...record.history, { timestamp: now, correct: isCorrect }]
+      .slice(-MAX_HISTORY_ENTRIES);
+    record.lastAnswered = now;
+
+    const isDue = !existing || record.dueDate <= now;
+    if (!isCorrect || isDue) {
+      const quality = isCorrect ? QUALITY.CORRECT : QUALITY.INCORRECT;
+      Object.assign(record, applySm2(record, quality, now));
+    }
+
+    await putRecord(STORES.REVIEWS, record);
+    return record;
+  }
+
+  /**
+   * Get the active profile's review records that are due by the end of today,
+   * most overdue first
+   * @param {number} limit - Maximum number of records to return
+   * @returns {Promise<Array>} Due review records
+   */
+  async function getDueWords(limit = REVIEW_SESSION_LIMIT) {
+    const profileId = ProfileManager.getActiveProfileId();
+    if (!profileId) {
+      return [];
+    }
+
+    const endOfToday = startOfDay(Date.now()) + DAY_MS;
+    const records = await getAllByIndex(STORES.REVIEWS, 'profileId', profileId);
+
+    return records
+      .filter(record => record.dueDate < endOfToday)
+      .sort((a, b) => a.dueDate - b.dueDate)
+      .slice(0, limit);
+  }
+
+  /**
+   * Count words due for review today
+   * @returns {Promise<number>} Number of due words
+   */
+  async function getDueCount() {
+    const dueWords = await getDueWords(Infinity);
+    return dueWords.length;
+  }
+
+  /**
+   * Assign records saved before profiles existed to a profile
+   * @param {string} profileId - Profile that takes over the records
+   * @returns {Promise<number>} Number of records reassigned
+   */
+  async function claimUnassignedRecords(profileId) {
+    const records = await getAllRecords(STORES.REVIEWS);
+    const unassigned = records.filter(record => !record.profileId);
+
+    for (const record of unassigned) {
+      await deleteRecord(STORES.REVIEWS, record.id);
+      await putRecord(STORES.REVIEWS, { ...record, id: `${profileId}:${record.id}`, profileId });
+    }
+
+    return unassigned.length;
+  }
+
+  // Public API
+  return {
+    recordAnswer,
+    claimUnassignedRecords,
+    getDueWords,
+    getDueCount
+  };
+})();
+
+export default ReviewScheduler;
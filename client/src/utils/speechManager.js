@@ -3,16 +3,17 @@
  * Handles text-to-speech functionality for word pronunciation and spelling
  * Based on the WordMaster implementation pattern
  */
+import config from './config';
+import { SPELLING_STRATEGIES, planSpelling } from './spelling';
 
 // Configuration constants
 const SPEECH_CONFIG = {
+    // Rates and pitches are relative to those of the language, set in settings
     RATES: {
         NORMAL: 1.0,
         SLOW: 0.8,
         SPELLING: 1.1,
-        POS: 0.7,
-        CHINESE: 1.0,
-        ENGLISH: 1.0
+        POS: 0.7
     },
     PITCH: {
         NORMAL: 1.0,
@@ -20,8 +21,11 @@ const SPEECH_CONFIG = {
     },
     PAUSES: {
         BETWEEN_LETTERS: 300,
-        AFTER_WORD: 500
+        BETWEEN_SYLLABLES: 450,
+        AFTER_WORD: 500,
+        SENTENCE_GAP: 800
     },
+    // Languages items are queued in; English is said in the chosen accent
     LANGUAGES: {
         ENGLISH: 'en-US',
         CHINESE: 'zh-CN'
@@ -33,6 +37,32 @@ const SPEECH_CONFIG = {
     }
 };
 
+// Backends that can say the speech items, as chosen in settings
+export const SPEECH_BACKENDS = {
+    WEB_SPEECH: 'webSpeech',
+    RECORDED: 'recorded',
+    HTTP: 'http'
+};
+
+// English accents a learner can choose from
+export const ENGLISH_ACCENTS = [
+    { lang: 'en-US', label: '美式 US' },
+    { lang: 'en-GB', label: '英式 UK' }
+];
+
+// Voice of each language: a voiceURI of null lets the browser pick one for
+// the language (or accent)
+export const DEFAULT_VOICE_SETTINGS = {
+    english: { accent: 'en-US', voiceURI: null, rate: 1, pitch: 1 },
+    chinese: { voiceURI: null, rate: 1, pitch: 1 }
+};
+
+// Audio backends give up on an item after this long without playback starting
+const AUDIO_LOAD_TIMEOUT = 3000;
+
+// How long a TTS server that failed is left alone before it is tried again
+const HTTP_RETRY_DELAY = 60000;
+
 // Shared diagnostics data - defined at the top level so it's available to all functions and classes
 const diagnostics = {
     logs: [],
@@ -224,7 +254,7 @@ class TextProcessor {
         const isChineseDigitConnector = /^[\u4e00-\u9fa5\d\s、，。,.]+$/.test(segment);
         
         if (isChineseDigitConnector) {
-            return { lang: SPEECH_CONFIG.LANGUAGES.CHINESE, rate: SPEECH_CONFIG.RATES.CHINESE };
+            return { lang: SPEECH_CONFIG.LANGUAGES.CHINESE, rate: SPEECH_CONFIG.RATES.NORMAL };
         }
         
         const hasChinese = /[\u4e00-\u9fa5]/.test(segment);
@@ -232,9 +262,9 @@ class TextProcessor {
         const isDigits = /^[0-9\s.,:;!\-()\[\]{}'"""''、，。；：！？（）【】《》·]*$/.test(segment);
         
         if (hasChinese || (!hasLatin && isDigits)) {
-            return { lang: SPEECH_CONFIG.LANGUAGES.CHINESE, rate: SPEECH_CONFIG.RATES.CHINESE };
+            return { lang: SPEECH_CONFIG.LANGUAGES.CHINESE, rate: SPEECH_CONFIG.RATES.NORMAL };
         } else {
-            return { lang: SPEECH_CONFIG.LANGUAGES.ENGLISH, rate: SPEECH_CONFIG.RATES.ENGLISH };
+            return { lang: SPEECH_CONFIG.LANGUAGES.ENGLISH, rate: SPEECH_CONFIG.RATES.NORMAL };
         }
     }
 }
@@ -266,6 +296,44 @@ class POSProcessor {
     }
 }
 
+// Language tag in a common form: zh_CN and zh-cn are both zh-CN
+const normalizeLang = (lang) => {
+    const [language, region] = String(lang || '').split(/[-_]/);
+    return region ? `${language.toLowerCase()}-${region.toUpperCase()}` : language.toLowerCase();
+};
+
+// Voice, accent, rate and pitch of each language, as chosen in settings
+class VoicePreferences {
+    constructor() {
+        this.settings = DEFAULT_VOICE_SETTINGS;
+    }
+
+    /**
+     * Replace the settings of the languages given; the others are kept
+     */
+    update(settings = {}) {
+        this.settings = {
+            english: { ...this.settings.english, ...settings.english },
+            chinese: { ...this.settings.chinese, ...settings.chinese }
+        };
+    }
+
+    /**
+     * Speech item said with the settings of its language
+     */
+    apply(item) {
+        const isEnglish = item.lang === SPEECH_CONFIG.LANGUAGES.ENGLISH;
+        const voice = isEnglish ? this.settings.english : this.settings.chinese;
+        return {
+            ...item,
+            lang: isEnglish ? voice.accent : item.lang,
+            voiceURI: voice.voiceURI || null,
+            rate: item.rate * voice.rate,
+            pitch: item.pitch * voice.pitch
+        };
+    }
+}
+
 // Speech Queue - Manages the queue data structure
 class SpeechQueue {
     constructor(maxSize = 100) {
@@ -336,29 +404,31 @@ class SpeechQueue {
 
 // Speech Producer - Responsible for creating speech items and adding them to the queue
 class SpeechProducer {
-    constructor(queue, speechSynthesizer) {
+    constructor(queue, backends, voicePreferences) {
         this._queue = queue;
-        this._speechSynthesizer = speechSynthesizer;
+        this._backends = backends;
+        this._voicePreferences = voicePreferences;
     }
     
     /**
      * Add speech item to the queue
      */
-    produce(text, lang = SPEECH_CONFIG.LANGUAGES.ENGLISH, rate = SPEECH_CONFIG.RATES.NORMAL, pitch = SPEECH_CONFIG.PITCH.NORMAL, onEnd = null) {
-        if (!text || !this._speechSynthesizer.isAvailable()) {
+    produce(text, lang = SPEECH_CONFIG.LANGUAGES.ENGLISH, rate = SPEECH_CONFIG.RATES.NORMAL, pitch = SPEECH_CONFIG.PITCH.NORMAL, onEnd = null, onStart = null) {
+        if (!text || !this._backends.isAvailable()) {
             logDiagnostic('warn', 'Cannot produce speech: missing text or speech synthesis not available');
             if (onEnd) onEnd();
             return false;
         }
         
-        // Create speech item
-        const speechItem = {
+        // Create speech item, in the voice chosen for its language
+        const speechItem = this._voicePreferences.apply({
             text,
             lang,
             rate,
             pitch,
-            onEnd
-        };
+            onEnd,
+            onStart
+        });
         
         // Add to queue
         return this._queue.enqueue(speechItem);
@@ -368,7 +438,7 @@ class SpeechProducer {
      * Add a pause item to the queue
      */
     producePause(duration, onEnd = null) {
-        if (!this._speechSynthesizer.isAvailable()) {
+        if (!this._backends.isAvailable()) {
             if (onEnd) onEnd();
             return false;
         }
@@ -386,9 +456,9 @@ class SpeechProducer {
 
 // Speech Consumer - Responsible for taking items from the queue and executing them
 class SpeechConsumer {
-    constructor(queue, speechSynthesizer) {
+    constructor(queue, backends) {
         this._queue = queue;
-        this._speechSynthesizer = speechSynthesizer;
+        this._backends = backends;
         this.isProcessing = false;
         this.isSpeaking = false;
         this._processingTimeout = null;
@@ -496,7 +566,7 @@ class SpeechConsumer {
             this._processingTimeout = null;
             
             if (this.isSpeaking) {
-                this._speechSynthesizer.cancel();
+                this._backends.cancel();
                 this.isSpeaking = false;
             }
             
@@ -511,19 +581,11 @@ class SpeechConsumer {
         
         // Speak the current item
         this.isSpeaking = true;
+        if (item.onStart) item.onStart();
         
         try {
-            const utterance = this._speechSynthesizer.createUtterance(
-                item.text, 
-                item.lang, 
-                item.rate, 
-                item.pitch, 
-                onEndWrapper, 
-                errorHandler
-            );
-            
-            this._speechSynthesizer.cancel(); // Cancel any ongoing speech
-            this._speechSynthesizer.speak(utterance);
+            this._backends.cancel(); // Cancel any ongoing speech
+            this._speakWith(this._backends.candidatesFor(item), item, onEndWrapper, errorHandler);
         } catch (error) {
             logDiagnostic('error', 'Failed to start speech synthesis', { error: error.message });
             this.isSpeaking = false;
@@ -544,8 +606,28 @@ class SpeechConsumer {
         }
     }
     
+    /**
+     * Say an item with the first backend, falling back to the next when it fails
+     */
+    _speakWith(candidates, item, onEnd, onError) {
+        const [backend, ...fallbacks] = candidates;
+        if (!backend) {
+            onError({ error: 'no-backend', text: item.text });
+            return;
+        }
+
+        backend.speak(item, onEnd, (event) => {
+            if (fallbacks.length === 0) {
+                onError(event);
+                return;
+            }
+            logDiagnostic('warn', `Speech backend ${backend.id} failed, falling back to ${fallbacks[0].id}`, event);
+            this._speakWith(fallbacks, item, onEnd, onError);
+        });
+    }
+    
     stopConsuming() {
-        this._speechSynthesizer.cancel();
+        this._backends.cancel();
         this.isSpeaking = false;
         this.isProcessing = false;
         
@@ -557,12 +639,25 @@ class SpeechConsumer {
     }
 }
 
-// Core speech synthesis functionality
-class SpeechSynthesizer {
+/*
+ * Speech backends
+ * The consumer speaks each item through a backend. A backend has an `id` and:
+ *   isAvailable()              - whether it can be used at all right now
+ *   canSpeak(item)             - whether it can say this item
+ *   speak(item, onEnd, onError) - start saying it; calls onEnd when done, or
+ *                                onError so the consumer can fall back
+ *   cancel()                   - stop speaking without calling either callback
+ */
+
+// Browser speech synthesis (window.speechSynthesis)
+class WebSpeechBackend {
     constructor() {
+        this.id = SPEECH_BACKENDS.WEB_SPEECH;
         this.speechSynth = null;
         this.isSupported = false;
         this.lastUtterance = null;
+        this.voices = [];
+        this._voiceListeners = [];
         this.init();
     }
 
@@ -576,6 +671,14 @@ class SpeechSynthesizer {
             
             if (this.isSupported) {
                 logDiagnostic('info', 'Speech synthesis initialized successfully');
+                
+                // Most browsers fill in the voice list later and announce it
+                this.loadVoices();
+                if (typeof this.speechSynth.addEventListener === 'function') {
+                    this.speechSynth.addEventListener('voiceschanged', () => this.loadVoices());
+                } else {
+                    this.speechSynth.onvoiceschanged = () => this.loadVoices();
+                }
             } else {
                 logDiagnostic('warn', 'Speech synthesis not supported in this browser');
             }
@@ -592,6 +695,72 @@ class SpeechSynthesizer {
         return this.isSupported && this.speechSynth !== null;
     }
 
+    canSpeak() {
+        return true;
+    }
+
+    /**
+     * Read the browser's voices and tell the listeners
+     */
+    loadVoices() {
+        try {
+            this.voices = this.speechSynth.getVoices() || [];
+        } catch (e) {
+            logDiagnostic('error', 'Error reading speech voices', { error: e.message });
+            this.voices = [];
+        }
+        
+        if (this.voices.length > 0) {
+            logDiagnostic('info', 'Speech voices loaded', { count: this.voices.length });
+        }
+        this._voiceListeners.forEach(listener => listener(this.voices));
+    }
+
+    /**
+     * Listen for changes to the voice list
+     * @returns {Function} Unsubscribe function
+     */
+    onVoicesChanged(listener) {
+        this._voiceListeners.push(listener);
+        return () => {
+            this._voiceListeners = this._voiceListeners.filter(l => l !== listener);
+        };
+    }
+
+    /**
+     * The chosen voice if the browser has it, else one for the language
+     */
+    findVoice(voiceURI, lang) {
+        const wanted = normalizeLang(lang);
+        return (voiceURI && this.voices.find(voice => voice.voiceURI === voiceURI)) ||
+            this.voices.find(voice => normalizeLang(voice.lang) === wanted && voice.localService) ||
+            this.voices.find(voice => normalizeLang(voice.lang) === wanted) ||
+            null;
+    }
+
+    /**
+     * Say a speech item
+     */
+    speak(item, onEnd, onError) {
+        const utterance = this.createUtterance(item.text, item.lang, item.rate, item.pitch, onEnd, (event) => {
+            // Our own cancel() interrupts the utterance; that is not a failure
+            if (event.error === 'interrupted' || event.error === 'canceled') {
+                onEnd();
+                return;
+            }
+            onError(event);
+        });
+        
+        // Without a voice some browsers read every language with the default one
+        const voice = this.findVoice(item.voiceURI, item.lang);
+        if (voice) {
+            utterance.voice = voice;
+        }
+
+        this.cancel(); // Cancel any ongoing speech
+        this.speakUtterance(utterance);
+    }
+
     /**
      * Cancel current speech
      */
@@ -609,7 +778,7 @@ class SpeechSynthesizer {
     /**
      * Speak an utterance
      */
-    speak(utterance) {
+    speakUtterance(utterance) {
         if (!this.isAvailable()) return;
         
         try {
@@ -675,6 +844,186 @@ class SpeechSynthesizer {
     }
 }
 
+// Plays audio files; subclasses say where the audio of an item is
+class AudioFileBackend {
+    constructor(id) {
+        this.id = id;
+        this.audio = null;
+        this._loadTimeout = null;
+    }
+
+    isAvailable() {
+        return typeof window.Audio === 'function';
+    }
+
+    canSpeak(item) {
+        return this.urlFor(item) !== null;
+    }
+
+    /**
+     * Address of the audio of an item, or null if this backend has none
+     */
+    urlFor() {
+        return null;
+    }
+
+    /**
+     * Playback rate of the audio of an item
+     */
+    playbackRateFor(item) {
+        return item.rate;
+    }
+
+    /**
+     * Called when the audio of an item could not be played
+     */
+    onFailure() {}
+
+    /**
+     * Say a speech item
+     */
+    speak(item, onEnd, onError) {
+        this.cancel();
+
+        const audio = new Audio(this.urlFor(item));
+        audio.playbackRate = Math.min(Math.max(this.playbackRateFor(item), 0.5), 2);
+
+        const finish = (callback, ...args) => {
+            if (this.audio !== audio) return; // Cancelled or replaced
+            this._clearLoadTimeout();
+            this.audio = null;
+            callback(...args);
+        };
+        const fail = (reason) => {
+            if (this.audio !== audio) return;
+            audio.pause();
+            this.onFailure(item);
+            finish(onError, { error: reason, backend: this.id, url: audio.src });
+        };
+
+        audio.onplaying = () => this._clearLoadTimeout();
+        audio.onended = () => finish(onEnd);
+        audio.onerror = () => fail(audio.error ? `audio-error-${audio.error.code}` : 'audio-error');
+        this._loadTimeout = setTimeout(() => fail('audio-timeout'), AUDIO_LOAD_TIMEOUT);
+
+        this.audio = audio;
+        const playback = audio.play();
+        if (playback && playback.catch) {
+            playback.catch(error => fail(error.name || 'audio-play-failed'));
+        }
+    }
+
+    cancel() {
+        this._clearLoadTimeout();
+        if (this.audio) {
+            const audio = this.audio;
+            this.audio = null;
+            audio.pause();
+            audio.removeAttribute('src');
+        }
+    }
+
+    _clearLoadTimeout() {
+        if (this._loadTimeout) {
+            clearTimeout(this._loadTimeout);
+            this._loadTimeout = null;
+        }
+    }
+}
+
+// Recordings of headwords served by the WordMatch server (/api/audio/:word)
+class RecordedAudioBackend extends AudioFileBackend {
+    constructor(baseUrl) {
+        super(SPEECH_BACKENDS.RECORDED);
+        this.baseUrl = baseUrl;
+        // Words the server has no recording of, so they are not asked for again
+        this.missingWords = new Set();
+    }
+
+    urlFor(item) {
+        if (!normalizeLang(item.lang).startsWith('en')) return null;
+
+        // Headwords and short phrases only; sentences go to the fallback
+        const word = item.text.trim().toLowerCase();
+        if (!/^[a-z][a-z' .-]*$/.test(word) || word.split(/\s+/).length > 4) return null;
+        if (this.missingWords.has(word)) return null;
+
+        return `${this.baseUrl}/audio/${encodeURIComponent(word)}`;
+    }
+
+    onFailure(item) {
+        this.missingWords.add(item.text.trim().toLowerCase());
+    }
+}
+
+/*
+ * Any text-to-speech server that answers
+ *   GET <url>?text=hello&lang=en-US&rate=1&pitch=1
+ * with audio (mp3, ogg or wav), set with REACT_APP_TTS_URL
+ */
+class HttpTtsBackend extends AudioFileBackend {
+    constructor(url) {
+        super(SPEECH_BACKENDS.HTTP);
+        this.url = url;
+        this._retryAt = 0;
+    }
+
+    isAvailable() {
+        return !!this.url && Date.now() >= this._retryAt && super.isAvailable();
+    }
+
+    urlFor(item) {
+        const params = new URLSearchParams({
+            text: item.text,
+            lang: item.lang,
+            rate: item.rate,
+            pitch: item.pitch
+        });
+        return `${this.url}${this.url.includes('?') ? '&' : '?'}${params}`;
+    }
+
+    // The server speaks at the requested rate already
+    playbackRateFor() {
+        return 1;
+    }
+
+    onFailure() {
+        this._retryAt = Date.now() + HTTP_RETRY_DELAY;
+    }
+}
+
+// The backend chosen in settings, with Web Speech behind it as the fallback
+class SpeechBackendSelector {
+    constructor(backends) {
+        this._backends = backends;
+        this._fallback = backends.find(backend => backend.id === SPEECH_BACKENDS.WEB_SPEECH);
+        this.selected = this._fallback;
+    }
+
+    /**
+     * Choose the backend to try first; unknown ids keep Web Speech
+     */
+    select(id) {
+        this.selected = this._backends.find(backend => backend.id === id) || this._fallback;
+    }
+
+    /**
+     * Backends to try for an item, in order
+     */
+    candidatesFor(item) {
+        const ordered = this.selected === this._fallback ? [this._fallback] : [this.selected, this._fallback];
+        return ordered.filter(backend => backend.isAvailable() && backend.canSpeak(item));
+    }
+
+    isAvailable() {
+        return this._backends.some(backend => backend.isAvailable());
+    }
+
+    cancel() {
+        this._backends.forEach(backend => backend.cancel());
+    }
+}
+
 // Speech Sequencer - Handles complex speech sequences
 class SpeechSequencer {
     constructor(speechProducer) {
@@ -682,13 +1031,16 @@ class SpeechSequencer {
     }
     
     /**
-     * Spell out a word letter by letter or by syllables
-     * @param {string} word - The word to spell
+     * Spell out a word by letters, by syllables, or by syllables then letters
+     * @param {Object} word - { english, syllable_breaks } (e.g. "bal·let")
      * @param {function} onComplete - Callback when spelling is complete
-     * @param {string} syllableBreaks - Optional syllable breaks (e.g. "bal·let")
+     * @param {string} strategy - One of SPELLING_STRATEGIES
+     * @param {function} onStep - Called with each step of planSpelling as it is said
      */
-    spellWord(word, onComplete = null, syllableBreaks = null) {
-        if (!word) {
+    spellWord(word, onComplete = null, strategy = SPELLING_STRATEGIES.LETTERS, onStep = null) {
+        const steps = planSpelling(word, strategy);
+        
+        if (steps.length === 0) {
             if (onComplete) onComplete();
             return;
         }
@@ -696,33 +1048,32 @@ class SpeechSequencer {
         // Add short pause before spelling
         this._producer.producePause(SPEECH_CONFIG.PAUSES.AFTER_WORD);
         
-        // Filter out only alphabetic characters to reduce queue load
-        const letters = word.split('').filter(letter => /[a-zA-Z]/.test(letter));
-        
-        if (letters.length === 0) {
-            if (onComplete) onComplete();
-            return;
-        }
-        // Spell out each letter
-        letters.forEach((letter, index) => {
+        steps.forEach((step, index) => {
+            const isLetter = step.letter !== null;
             // Use slightly different pitch for each letter to make it more natural
-            const randomPitch = SPEECH_CONFIG.PITCH.SPELLING + (Math.random() * 0.2 - 0.1);
+            const pitch = isLetter
+                ? SPEECH_CONFIG.PITCH.SPELLING + (Math.random() * 0.2 - 0.1)
+                : SPEECH_CONFIG.PITCH.NORMAL;
             
-            // For the last letter, provide completion callback
-            const isLast = index === letters.length - 1;
-            const letterCallback = isLast ? onComplete : null;
+            // For the last step, provide completion callback
+            const isLast = index === steps.length - 1;
             
             this._producer.produce(
-                letter, 
-                SPEECH_CONFIG.LANGUAGES.ENGLISH, 
-                SPEECH_CONFIG.RATES.SPELLING,
-                randomPitch,
-                letterCallback
+                step.text,
+                SPEECH_CONFIG.LANGUAGES.ENGLISH,
+                isLetter ? SPEECH_CONFIG.RATES.SPELLING : SPEECH_CONFIG.RATES.SLOW,
+                pitch,
+                isLast ? onComplete : null,
+                onStep ? () => onStep(step) : null
             );
             
-            // Add pause between letters (except after the last one)
+            // Letters of a syllable follow each other quickly; a new syllable waits a little longer
             if (!isLast) {
-                this._producer.producePause(SPEECH_CONFIG.PAUSES.BETWEEN_LETTERS);
+                const next = steps[index + 1];
+                const sameSyllable = next.syllable === step.syllable && next.letter !== null;
+                this._producer.producePause(sameSyllable
+                    ? SPEECH_CONFIG.PAUSES.BETWEEN_LETTERS
+                    : SPEECH_CONFIG.PAUSES.BETWEEN_SYLLABLES);
             }
         });
     }
@@ -793,12 +1144,20 @@ class SpeechSequencer {
 // Main SpeechManager module (singleton)
 const SpeechManager = (() => {
     let isInitialized = false;
-    let speechSynthesizer = new SpeechSynthesizer();
+    let webSpeech = new WebSpeechBackend();
+    let voicePreferences = new VoicePreferences();
+    let speechBackends = new SpeechBackendSelector([
+        webSpeech,
+        new RecordedAudioBackend(config.API_BASE_URL),
+        new HttpTtsBackend(config.TTS_URL)
+    ]);
     let speechQueue = new SpeechQueue(100);
     let speechProducer;
     let speechConsumer;
     let speechSequencer;
     let voiceSpeed = 1.0;
+    let spellingStrategy = SPELLING_STRATEGIES.LETTERS;
+    let spellingListeners = [];
     
     /**
      * Sample current queue length
@@ -837,9 +1196,9 @@ const SpeechManager = (() => {
         }
         
         try {
-            speechConsumer = new SpeechConsumer(speechQueue, speechSynthesizer);
+            speechConsumer = new SpeechConsumer(speechQueue, speechBackends);
             speechQueue.setConsumer(speechConsumer);
-            speechProducer = new SpeechProducer(speechQueue, speechSynthesizer);
+            speechProducer = new SpeechProducer(speechQueue, speechBackends, voicePreferences);
             speechSequencer = new SpeechSequencer(speechProducer);
             isInitialized = true;
             
@@ -948,7 +1307,7 @@ const SpeechManager = (() => {
         
         if (typeof word === 'object') {
             wordText = word.english || word.word;
-            syllableBreaks = word.syllable_breaks || word.phonetic;
+            syllableBreaks = word.syllable_breaks || null;
         } else {
             wordText = word;
             syllableBreaks = null;
@@ -971,8 +1330,42 @@ const SpeechManager = (() => {
         // Step 1: Queue word pronunciation
         queueSpeech(wordText, SPEECH_CONFIG.LANGUAGES.ENGLISH, SPEECH_CONFIG.RATES.NORMAL);
         
-        // Step 2: Queue word spelling for longer words
-        speechSequencer.spellWord(wordText, onComplete, syllableBreaks);
+        // Step 2: Queue word spelling for longer words, reporting each part as it is said
+        const onSpelled = () => {
+            notifySpelling(null);
+            if (onComplete) onComplete();
+        };
+        speechSequencer.spellWord(
+            { english: wordText, syllable_breaks: syllableBreaks },
+            onSpelled,
+            spellingStrategy,
+            step => notifySpelling({ word: wordText, syllable: step.syllable, letter: step.letter })
+        );
+    }
+    
+    /**
+     * Play the pronunciation of a word without spelling it
+     * @param {string|object} word - The word to pronounce, can be a string or an object
+     * @param {function} onComplete - Callback when pronunciation is complete
+     */
+    function playWord(word, onComplete = null) {
+        if (!isInitialized) {
+            logDiagnostic('warn', 'SpeechManager not initialized, word request ignored');
+            if (onComplete) setTimeout(onComplete, 10);
+            return;
+        }
+        
+        const wordText = typeof word === 'object' && word !== null ? (word.english || word.word) : word;
+        
+        if (!wordText) {
+            logDiagnostic('warn', 'Empty word provided to playWord');
+            if (onComplete) onComplete();
+            return;
+        }
+        
+        stopSpeech();
+        logDiagnostic('info', 'Playing word', { word: wordText });
+        queueSpeech(wordText, SPEECH_CONFIG.LANGUAGES.ENGLISH, SPEECH_CONFIG.RATES.NORMAL, onComplete);
     }
     
     /**
@@ -1097,6 +1490,42 @@ const SpeechManager = (() => {
         }
     }
     
+    /**
+     * Read an English sentence aloud
+     * Passing an array of parts reads them with a short pause in between, which
+     * is used to leave out the missing word of a cloze sentence.
+     * @param {string|Array<string>} sentence - Sentence, or parts around a gap
+     * @param {function} onComplete - Callback when reading is complete
+     */
+    function playSentence(sentence, onComplete = null) {
+        if (!isInitialized) {
+            logDiagnostic('warn', 'SpeechManager not initialized, sentence request ignored');
+            if (onComplete) setTimeout(onComplete, 10);
+            return;
+        }
+        
+        const parts = (Array.isArray(sentence) ? sentence : [sentence])
+            .map(part => (part || '').trim())
+            .filter(part => part && !TextProcessor.isPunctuationOnly(part));
+        
+        if (parts.length === 0) {
+            logDiagnostic('warn', 'Empty sentence provided to playSentence');
+            if (onComplete) onComplete();
+            return;
+        }
+        
+        stopSpeech();
+        logDiagnostic('info', 'Playing sentence', { parts });
+        
+        parts.forEach((part, index) => {
+            const isLast = index === parts.length - 1;
+            queueSpeech(part, SPEECH_CONFIG.LANGUAGES.ENGLISH, SPEECH_CONFIG.RATES.NORMAL, isLast ? onComplete : null);
+            if (!isLast) {
+                speechProducer.producePause(SPEECH_CONFIG.PAUSES.SENTENCE_GAP);
+            }
+        });
+    }
+    
     /**
      * Promise-based: Play the pronunciation of a word, followed by spelling
      */
@@ -1106,6 +1535,24 @@ const SpeechManager = (() => {
         });
     }
 
+    /**
+     * Promise-based: Play the pronunciation of a word
+     */
+    function playWordAsync(word) {
+        return new Promise((resolve) => {
+            playWord(word, resolve);
+        });
+    }
+
+    /**
+     * Promise-based: Read an English sentence aloud
+     */
+    function playSentenceAsync(sentence) {
+        return new Promise((resolve) => {
+            playSentence(sentence, resolve);
+        });
+    }
+
     /**
      * Promise-based: Play a meaning (explanation)
      */
@@ -1115,6 +1562,87 @@ const SpeechManager = (() => {
         });
     }
     
+    /**
+     * Tell listeners which part of a word is being spelled (null when done)
+     */
+    function notifySpelling(progress) {
+        spellingListeners.forEach(listener => {
+            try {
+                listener(progress);
+            } catch (error) {
+                logDiagnostic('error', 'Error in spelling listener', { error: error.message });
+            }
+        });
+    }
+    
+    /**
+     * Subscribe to spelling progress, to highlight the syllable or letter being said
+     * @param {function} listener - Called with { word, syllable, letter } (see
+     *   planSpelling) as each part is said, and with null when spelling ends
+     * @returns {Function} Unsubscribe function
+     */
+    function subscribeToSpelling(listener) {
+        spellingListeners.push(listener);
+        return () => {
+            spellingListeners = spellingListeners.filter(l => l !== listener);
+        };
+    }
+    
+    /**
+     * Choose how playWordWithSpelling spells words (SPELLING_STRATEGIES)
+     */
+    function setSpellingStrategy(strategy) {
+        if (!Object.values(SPELLING_STRATEGIES).includes(strategy)) {
+            logDiagnostic('warn', 'Unknown spelling strategy, keeping the current one', { strategy });
+            return;
+        }
+        spellingStrategy = strategy;
+        logDiagnostic('info', 'Spelling strategy updated', { strategy });
+    }
+    
+    /**
+     * Set the accent, voice, rate and pitch of each language
+     * @param {Object} settings - { english: { accent, voiceURI, rate, pitch },
+     *   chinese: { voiceURI, rate, pitch } }, see DEFAULT_VOICE_SETTINGS
+     */
+    function setVoiceSettings(settings) {
+        voicePreferences.update(settings);
+        logDiagnostic('info', 'Voice settings updated', voicePreferences.settings);
+    }
+    
+    /**
+     * English and Chinese voices of the browser
+     * @returns {Array<Object>} { voiceURI, name, lang, localService }, lang normalized (en-GB, zh-CN)
+     */
+    function getVoices() {
+        return webSpeech.voices
+            .map(voice => ({
+                voiceURI: voice.voiceURI,
+                name: voice.name,
+                lang: normalizeLang(voice.lang),
+                localService: voice.localService
+            }))
+            .filter(voice => /^(en|zh)\b/.test(voice.lang));
+    }
+    
+    /**
+     * Subscribe to the voice list, which browsers fill in asynchronously
+     * @returns {Function} Unsubscribe function
+     */
+    function subscribeToVoices(listener) {
+        listener(getVoices());
+        return webSpeech.onVoicesChanged(() => listener(getVoices()));
+    }
+    
+    /**
+     * Choose the backend that says everything (SPEECH_BACKENDS); items it
+     * cannot say, and items it fails on, fall back to Web Speech
+     */
+    function setBackend(id) {
+        speechBackends.select(id);
+        logDiagnostic('info', 'Speech backend selected', { backend: speechBackends.selected.id });
+    }
+    
     /**
      * Stop all speech
      */
@@ -1126,6 +1654,7 @@ const SpeechManager = (() => {
         logDiagnostic('info', 'Speech stopped', { queueSize: speechQueue.size() });
         speechQueue.clear();
         speechConsumer.stopConsuming();
+        notifySpelling(null);
     }
     
     /**
@@ -1135,7 +1664,7 @@ const SpeechManager = (() => {
         if (!isInitialized) {
             return false;
         }
-        return speechSynthesizer.isAvailable();
+        return speechBackends.isAvailable();
     }
     
     /**
@@ -1148,10 +1677,13 @@ const SpeechManager = (() => {
             status: {
                 isInitialized,
                 voiceSpeed,
+                spellingStrategy,
                 queueSize: isInitialized ? speechQueue.size() : 0,
                 isSpeaking: isInitialized && speechConsumer ? speechConsumer.isSpeaking : false,
                 isProcessing: isInitialized && speechConsumer ? speechConsumer.isProcessing : false,
-                isAvailable: isInitialized ? speechSynthesizer.isAvailable() : false
+                backend: speechBackends.selected.id,
+                voices: webSpeech.voices.length,
+                isAvailable: isInitialized ? speechBackends.isAvailable() : false
             }
         };
     }
@@ -1179,14 +1711,24 @@ const SpeechManager = (() => {
     // Public API
     return {
         init,
+        playWord,
         playWordWithSpelling,
         playMeaning,
+        playSentence,
         queueSpeech,
         stopSpeech,
         isAvailable,
         setVoiceSpeed,
+        setBackend,
+        setVoiceSettings,
+        getVoices,
+        subscribeToVoices,
+        setSpellingStrategy,
+        subscribeToSpelling,
+        playWordAsync,
         playWordWithSpellingAsync,
         playMeaningAsync,
+        playSentenceAsync,
         // Add diagnostic methods
         getDiagnosticData,
         subscribeToDiagnostics,
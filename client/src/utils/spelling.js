@@ -0,0 +1,172 @@
+/**
+ * Helpers for grading typed spellings in dictation mode, and for spelling
+ * words aloud
+ */
+
+// Separator used in syllable_breaks (e.g. "bal·let")
+const SYLLABLE_SEPARATOR = '·';
+
+// Ways of spelling a word aloud after saying it
+export const SPELLING_STRATEGIES = {
+  LETTERS: 'letters',
+  SYLLABLES: 'syllables',
+  SYLLABLES_THEN_LETTERS: 'syllablesThenLetters'
+};
+
+const hasLetters = (text) => /[a-zA-Z]/.test(text);
+
+/**
+ * Normalize a spelling for comparison: case-insensitive, single spaces
+ * @param {string} text - Typed or expected spelling
+ * @returns {string} Normalized spelling
+ */
+export const normalizeSpelling = (text) =>
+  (text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Check whether a typed answer matches the expected spelling
+ * @param {string} expected - The correct word
+ * @param {string} answer - What the learner typed
+ * @returns {boolean} True if the spellings match
+ */
+export const isSpellingCorrect = (expected, answer) =>
+  normalizeSpelling(expected) === normalizeSpelling(answer);
+
+/**
+ * Compare a typed answer with the expected spelling letter by letter
+ * Uses an edit-distance alignment so a single missing or extra letter does
+ * not mark the rest of the word as wrong.
+ * @param {string} expected - The correct word
+ * @param {string} answer - What the learner typed
+ * @returns {Array} Diff parts of { type: 'match'|'wrong'|'missing'|'extra', char, expected }
+ */
+export const diffSpelling = (expected, answer) => {
+  const target = normalizeSpelling(expected);
+  const typed = normalizeSpelling(answer);
+  const rows = target.length + 1;
+  const cols = typed.length + 1;
+
+  // distances[i][j]: edits to turn target[0..i) into typed[0..j)
+  const distances = Array.from({ length: rows }, () => new Array(cols).fill(0));
+  for (let i = 0; i < rows; i++) distances[i][0] = i;
+  for (let j = 0; j < cols; j++) distances[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = target[i - 1] === typed[j - 1] ? 0 : 1;
+      distances[i][j] = Math.min(
+        distances[i - 1][j - 1] + cost,
+        distances[i - 1][j] + 1,
+        distances[i][j - 1] + 1
+      );
+    }
+  }
+
+  // Walk back from the end to recover the alignment
+  const parts = [];
+  let i = target.length;
+  let j = typed.length;
+  while (i > 0 || j > 0) {
+    if (i > 0 && j > 0 && distances[i][j] === distances[i - 1][j - 1] + (target[i - 1] === typed[j - 1] ? 0 : 1)) {
+      const isMatch = target[i - 1] === typed[j - 1];
+      parts.push(isMatch
+        ? { type: 'match', char: typed[j - 1] }
+        : { type: 'wrong', char: typed[j - 1], expected: target[i - 1] });
+      i--;
+      j--;
+    } else if (i > 0 && distances[i][j] === distances[i - 1][j] + 1) {
+      parts.push({ type: 'missing', char: target[i - 1], expected: target[i - 1] });
+      i--;
+    } else {
+      parts.push({ type: 'extra', char: typed[j - 1] });
+      j--;
+    }
+  }
+
+  return parts.reverse();
+};
+
+/**
+ * Split a word into syllables using its syllable_breaks
+ * @param {Object} word - Word object with english and syllable_breaks
+ * @returns {Array<string>} Syllables (the whole word if no breaks are known)
+ */
+export const getSyllables = (word) => {
+  const breaks = word?.syllable_breaks || word?.english || '';
+  return breaks.split(SYLLABLE_SEPARATOR).filter(Boolean);
+};
+
+/**
+ * Build a hint that reveals the first syllables and masks the rest
+ * @param {Object} word - Word object with english and syllable_breaks
+ * @param {number} revealed - Number of syllables to reveal
+ * @returns {string} Hint such as "bal·___"
+ */
+export const buildSyllableHint = (word, revealed) =>
+  getSyllables(word)
+    .map((syllable, index) => (index < revealed ? syllable : syllable.replace(/[a-zA-Z]/g, '_')))
+    .join(SYLLABLE_SEPARATOR);
+
+/**
+ * Split a headword into syllables that spell it out exactly
+ * Syllables end at the breaks of syllable_breaks and after the spaces between
+ * words, so "in ad·di·tion" gives ["in ", "ad", "di", "tion"]. When the
+ * breaks do not match the headword, each word counts as one syllable.
+ * @param {Object} word - Word object with english and syllable_breaks
+ * @returns {Array<string>} Syllables that join up to word.english
+ */
+export const splitHeadword = (word) => {
+  const text = word?.english || '';
+  const breaks = word?.syllable_breaks || '';
+  const source = breaks.split(SYLLABLE_SEPARATOR).join('') === text ? breaks : text;
+
+  const syllables = [];
+  let current = '';
+  for (const char of source) {
+    if (char !== SYLLABLE_SEPARATOR) {
+      current += char;
+    }
+    if ((char === SYLLABLE_SEPARATOR || /\s/.test(char)) && current) {
+      syllables.push(current);
+      current = '';
+    }
+  }
+  if (current) {
+    syllables.push(current);
+  }
+  return syllables;
+};
+
+/**
+ * Steps for spelling a word aloud with one of SPELLING_STRATEGIES
+ * A word of one syllable has just been said whole, so it is spelled by
+ * letters whatever the strategy.
+ * @param {Object} word - Word object with english and syllable_breaks
+ * @param {string} strategy - One of SPELLING_STRATEGIES
+ * @returns {Array<Object>} { text, syllable, letter }: what to say, the index
+ *   of its syllable in splitHeadword, and of the letter in that syllable
+ *   (null when the whole syllable is said)
+ */
+export const planSpelling = (word, strategy = SPELLING_STRATEGIES.LETTERS) => {
+  const syllables = splitHeadword(word);
+  const saySyllables = strategy !== SPELLING_STRATEGIES.LETTERS && syllables.filter(hasLetters).length > 1;
+  const sayLetters = !saySyllables || strategy === SPELLING_STRATEGIES.SYLLABLES_THEN_LETTERS;
+
+  const steps = [];
+  syllables.forEach((syllable, syllableIndex) => {
+    if (!hasLetters(syllable)) return;
+
+    if (saySyllables) {
+      const text = syllable.replace(/[^a-zA-Z']+/g, ' ').trim();
+      steps.push({ text, syllable: syllableIndex, letter: null });
+    }
+    if (sayLetters) {
+      [...syllable].forEach((char, letterIndex) => {
+        if (hasLetters(char)) {
+          steps.push({ text: char, syllable: syllableIndex, letter: letterIndex });
+        }
+      });
+    }
+  });
+  return steps;
+};
@@ -0,0 +1,83 @@
+/**
+ * Starred words (生词本)
+ * Words the active profile has starred while previewing a unit, kept as a
+ * personal list to study and practise later.
+ */
+import { STORES, getAllByIndex, putRecord, deleteRecord } from './db';
+import ProfileManager from './profileManager';
+import { getWordKey } from './reviewScheduler';
+
+const StarredWords = (() => {
+  const recordId = (profileId, wordKey) => `${profileId}:${wordKey}`;
+
+  /**
+   * Star a word, or unstar it if it is already starred
+   * @param {Object} word - Word in the game format (english, volume, unit, ...)
+   * @param {boolean} starred - Whether the word should end up starred
+   * @returns {Promise<void>}
+   */
+  async function setStarred(word, starred) {
+    const profileId = ProfileManager.getActiveProfileId();
+    if (!profileId) {
+      return;
+    }
+
+    const wordKey = getWordKey(word);
+    if (!starred) {
+      await deleteRecord(STORES.STARRED, recordId(profileId, wordKey));
+      return;
+    }
+
+    await putRecord(STORES.STARRED, {
+      id: recordId(profileId, wordKey),
+      profileId,
+      wordKey,
+      word: word.english,
+      volume: word.volume,
+      unit: word.unit,
+      starredAt: Date.now()
+    });
+  }
+
+  /**
+   * Get the active profile's starred words, most recently starred first
+   * @returns {Promise<Array>} Entries of { wordKey, word, volume, unit, starredAt }
+   */
+  async function getEntries() {
+    const profileId = ProfileManager.getActiveProfileId();
+    if (!profileId) {
+      return [];
+    }
+
+    const entries = await getAllByIndex(STORES.STARRED, 'profileId', profileId);
+    return entries.sort((a, b) => b.starredAt - a.starredAt);
+  }
+
+  /**
+   * Get the keys of the active profile's starred words
+   * @returns {Promise<Set<string>>} Word keys (see getWordKey)
+   */
+  async function getStarredKeys() {
+    const entries = await getEntries();
+    return new Set(entries.map(entry => entry.wordKey));
+  }
+
+  /**
+   * Count the active profile's starred words
+   * @returns {Promise<number>} Number of starred words
+   */
+  async function getWordCount() {
+    const entries = await getEntries();
+    return entries.length;
+  }
+
+  // Public API
+  return {
+    setStarred,
+    getEntries,
+    getStarredKeys,
+    getWordCount
+  };
+})();
+
+export default StarredWords;
@@ -0,0 +1,125 @@
+/**
+ * Queue of changes waiting for the server
+ * Progress is saved on the device first. Changes for the server (profile
+ * updates, homework results) are queued in IndexedDB and sent, oldest first,
+ * as soon as the server can be reached, so games played offline are synced
+ * when the connection comes back.
+ */
+import { STORES, getRecord, getAllRecords, putRecord, deleteRecord } from './db';
+
+// Without a status the request never reached the server; these statuses are
+// worth another try too. Anything else means the server turned the change down.
+const isRetryable = (error) =>
+  !error.status || error.status >= 500 || error.status === 408 || error.status === 429;
+
+const SyncQueue = (() => {
+  const senders = {};
+  let flushPromise = null;
+  let flushAgain = false;
+
+  /**
+   * Set how changes of a type are sent
+   * @param {string} type - Change type, e.g. 'profile'
+   * @param {Function} send - async (payload) => void, throwing when the change
+   *   was not delivered (with a `status` if the server answered)
+   */
+  function register(type, send) {
+    senders[type] = send;
+  }
+
+  /**
+   * Queue a change and try to send it right away
+   * @param {string} type - Change type with a registered sender
+   * @param {string} key - Changes of the same type and key replace each other,
+   *   e.g. only the latest copy of a profile is sent
+   * @param {Object} payload - What the sender sends
+   * @returns {Promise<void>} Resolves once the change is queued
+   */
+  async function enqueue(type, key, payload) {
+    await putRecord(STORES.SYNC_QUEUE, {
+      id: `${type}:${key}`,
+      type,
+      payload,
+      queuedAt: Date.now()
+    });
+    flush();
+  }
+
+  /**
+   * Send the queued changes
+   * Stops at the first change that could not be delivered and keeps it and
+   * everything after it for the next try.
+   * @returns {Promise<void>}
+   */
+  function flush() {
+    if (flushPromise) {
+      // Pick up changes queued while this run is under way
+      flushAgain = true;
+      return flushPromise;
+    }
+
+    flushPromise = (async () => {
+      do {
+        flushAgain = false;
+        await sendQueued();
+      } while (flushAgain);
+    })()
+      .catch(error => {
+        console.error('Error syncing queued changes:', error);
+      })
+      .finally(() => {
+        flushPromise = null;
+      });
+    return flushPromise;
+  }
+
+  async function sendQueued() {
+    const items = await getAllRecords(STORES.SYNC_QUEUE);
+    items.sort((a, b) => a.queuedAt - b.queuedAt);
+
+    for (const item of items) {
+      const send = senders[item.type];
+      if (!send) {
+        continue;
+      }
+
+      try {
+        await send(item.payload);
+      } catch (error) {
+        if (isRetryable(error)) {
+          console.warn('Sync paused until the server can be reached:', error.message);
+          flushAgain = false;
+          return;
+        }
+        console.error(`Dropping queued ${item.type} the server refused:`, error);
+      }
+
+      // Keep the record if a newer copy replaced it while this one was sent
+      const current = await getRecord(STORES.SYNC_QUEUE, item.id);
+      if (current && current.queuedAt === item.queuedAt) {
+        await deleteRecord(STORES.SYNC_QUEUE, item.id);
+      }
+    }
+  }
+
+  /**
+   * Send queued changes now and whenever the browser comes back online
+   * @returns {Function} Stops listening
+   */
+  function start() {
+    const handleOnline = () => flush();
+    window.addEventListener('online', handleOnline);
+    flush();
+    return () => window.removeEventListener('online', handleOnline);
+  }
+
+  // Public API
+  return {
+    register,
+    enqueue,
+    flush,
+    start
+  };
+})();
+
+export default SyncQueue;
@@ -0,0 +1,58 @@
+const path = require('path');
+const fs = require('fs');
+
+// Formats a recording may be stored in, in order of preference
+const AUDIO_TYPES = [
+  { extension: '.mp3', type: 'audio/mpeg' },
+  { extension: '.ogg', type: 'audio/ogg' }
+];
+
+/**
+ * File name of a headword's recordings, without the extension
+ * Lower case, with spaces as underscores: "Ice cream" is ice_cream.mp3.
+ * @param {string} word - Headword
+ * @returns {string} File name stem
+ */
+function recordingName(word) {
+  return word.trim().toLowerCase().replace(/\s+/g, '_');
+}
+
+/**
+ * Pre-recorded pronunciations, one file per headword in a folder
+ * Files are looked up on every request, so recordings can be added or
+ * replaced while the server runs.
+ */
+class AudioLibrary {
+  /**
+   * @param {string} directory - Folder with <word>.mp3 / <word>.ogg files
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  /**
+   * Find the recording of a headword
+   * @param {string} word - Headword, already checked to be a plain word or phrase
+   * @returns {Promise<{ file: string, type: string }|null>} Absolute path and
+   *   content type, or null if there is no recording
+   */
+  async find(word) {
+    const name = recordingName(word);
+    for (const { extension, type } of AUDIO_TYPES) {
+      const file = path.join(this.directory, `${name}${extension}`);
+      try {
+        const stats = await fs.promises.stat(file);
+        if (stats.isFile()) {
+          return { file, type };
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+          throw error;
+        }
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = AudioLibrary;
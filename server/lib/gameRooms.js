@@ -0,0 +1,497 @@
+const crypto = require('crypto');
+const { WebSocketServer, WebSocket } = require('ws');
+
+// Room codes avoid letters and digits that are easy to mix up (O/0, I/1)
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 4;
+const MAX_PLAYERS = 8;
+const MAX_PLAYER_NAME_LENGTH = 20;
+
+// Same word counts as the client's difficulty levels
+const DIFFICULTY_WORD_COUNTS = { easy: 8, normal: 12, hard: 16 };
+const MIN_WORDS = 5;
+const OPTIONS_PER_ROUND = 4;
+
+const ROUND_TIME_LIMIT = 15000; // Time to answer each word in ms
+const ROUND_RESULT_DELAY = 3000; // How long the answer stays up before the next word
+const CORRECT_ANSWER_POINTS = 100;
+const MAX_SPEED_BONUS = 50; // Extra points for answering straight away
+const HEARTBEAT_INTERVAL = 30000;
+
+function shuffleArray(array) {
+  const newArray = [...array];
+  for (let i = newArray.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [newArray[i], newArray[j]] = [newArray[j], newArray[i]];
+  }
+  return newArray;
+}
+
+function createRoomCode(rooms) {
+  let code;
+  do {
+    code = Array.from({ length: ROOM_CODE_LENGTH }, () =>
+      ROOM_CODE_ALPHABET[crypto.randomInt(ROOM_CODE_ALPHABET.length)]).join('');
+  } while (rooms.has(code));
+  return code;
+}
+
+// Unit names from the client ("Welcome_Unit") map to the file names' "welcome"
+function normalizeUnit(unit) {
+  return unit === 'Welcome_Unit' ? 'welcome' : String(unit);
+}
+
+/**
+ * Check the host's game settings
+ * @returns {Object} { settings } or { error }
+ */
+function parseSettings(settings) {
+  const { volume, units, difficulty = 'normal' } = settings || {};
+
+  if (!/^\d+$/.test(String(volume))) {
+    return { error: 'Invalid volume' };
+  }
+  if (!Array.isArray(units) || units.length === 0) {
+    return { error: 'Select at least one unit' };
+  }
+  const normalizedUnits = units.map(normalizeUnit);
+  if (normalizedUnits.some(unit => !/^(\d+|welcome)$/.test(unit))) {
+    return { error: 'Invalid unit' };
+  }
+  if (!DIFFICULTY_WORD_COUNTS[difficulty]) {
+    return { error: 'Invalid difficulty' };
+  }
+
+  return { settings: { volume: Number(volume), units: normalizedUnits, difficulty } };
+}
+
+function parsePlayer({ name, avatar }) {
+  const playerName = typeof name === 'string' ? name.trim().slice(0, MAX_PLAYER_NAME_LENGTH) : '';
+  return {
+    name: playerName || '玩家',
+    avatar: typeof avatar === 'string' ? avatar.slice(0, 8) : '🐼'
+  };
+}
+
+// Word as the client's game uses it (see toWordPair in the client's dataLoader)
+function toGameWord(entry, id) {
+  return {
+    id,
+    english: entry.word,
+    syllable_breaks: entry.syllable_breaks || entry.word,
+    phonetic: entry.phonetic || '',
+    explanation: entry.explanation || [],
+    volume: entry.volume,
+    unit: entry.unit,
+    chinese: entry.explanation && entry.explanation.length > 0
+      ? entry.explanation[0].meaning
+      : '无翻译'
+  };
+}
+
+/**
+ * Deal the words of a game: each round has one word, one of its meanings and
+ * meanings of other words from the same units as distractors
+ * @param {Array} vocabulary - Entries of every selected unit
+ * @param {string} difficulty - Decides how many words are played
+ * @returns {Array} Rounds { word, options, correctOptionId }
+ */
+function dealRounds(vocabulary, difficulty) {
+  const entries = vocabulary.filter(entry => entry.explanation && entry.explanation.length > 0);
+  const gameEntries = shuffleArray(entries).slice(0, DIFFICULTY_WORD_COUNTS[difficulty]);
+
+  return gameEntries.map((entry, index) => {
+    const word = toGameWord(entry, `w${index}`);
+    const ownMeanings = new Set(entry.explanation.map(exp => exp.meaning));
+    const answer = entry.explanation[crypto.randomInt(entry.explanation.length)];
+
+    // One distractor meaning per word, never one this word also has
+    const distractors = [];
+    const seen = new Set(ownMeanings);
+    shuffleArray(entries).forEach(other => {
+      if (distractors.length >= OPTIONS_PER_ROUND - 1 || other.word === entry.word) return;
+      const explanation = other.explanation[crypto.randomInt(other.explanation.length)];
+      if (seen.has(explanation.meaning)) return;
+      seen.add(explanation.meaning);
+      distractors.push(explanation);
+    });
+
+    const options = shuffleArray([answer, ...distractors]).map((explanation, optionIndex) => ({
+      id: `r${index}-o${optionIndex}`,
+      pos: explanation.pos,
+      meaning: explanation.meaning,
+      isCorrect: explanation === answer
+    }));
+
+    return {
+      word,
+      options,
+      correctOptionId: options.find(option => option.isCorrect).id
+    };
+  });
+}
+
+/**
+ * A room of players answering the same words at the same time
+ * The server keeps the answers, so players only learn which option was right
+ * once they have answered or the round is over.
+ */
+class GameRoom {
+  constructor(code, settings, vocabulary) {
+    this.code = code;
+    this.settings = settings;
+    this.vocabulary = vocabulary;
+    this.players = new Map();
+    this.hostId = null;
+    this.status = 'lobby';
+    this.rounds = [];
+    this.roundIndex = -1;
+    this.roundStartedAt = null;
+    this.answers = new Map();
+    this.timer = null;
+  }
+
+  addPlayer(socket, player) {
+    const id = crypto.randomUUID();
+    this.players.set(id, { id, ...player, score: 0, correct: 0, answered: 0, socket });
+    if (!this.hostId) {
+      this.hostId = id;
+    }
+    return id;
+  }
+
+  removePlayer(id) {
+    this.players.delete(id);
+    if (this.hostId === id) {
+      // The longest-waiting player takes over as host
+      this.hostId = this.players.keys().next().value || null;
+    }
+  }
+
+  // Players as sent to clients, without their sockets
+  publicPlayers() {
+    return Array.from(this.players.values()).map(({ socket, ...player }) => player);
+  }
+
+  send(id, message) {
+    const player = this.players.get(id);
+    if (player && player.socket.readyState === WebSocket.OPEN) {
+      player.socket.send(JSON.stringify(message));
+    }
+  }
+
+  broadcast(message) {
+    this.players.forEach((player, id) => this.send(id, message));
+  }
+
+  start() {
+    this.rounds = dealRounds(this.vocabulary, this.settings.difficulty);
+    this.players.forEach(player => {
+      player.score = 0;
+      player.correct = 0;
+      player.answered = 0;
+    });
+    this.status = 'playing';
+    this.broadcast({
+      type: 'started',
+      settings: this.settings,
+      wordCount: this.rounds.length,
+      players: this.publicPlayers()
+    });
+    this.startRound(0);
+  }
+
+  startRound(index) {
+    const round = this.rounds[index];
+    this.roundIndex = index;
+    this.roundStartedAt = Date.now();
+    this.answers = new Map();
+
+    // The meanings stay on the server until the round is over
+    const { english, phonetic, syllable_breaks, id } = round.word;
+    this.broadcast({
+      type: 'round',
+      round: index,
+      word: { id, english, phonetic, syllable_breaks },
+      options: round.options.map(({ isCorrect, ...option }) => option),
+      startedAt: this.roundStartedAt,
+      timeLimit: ROUND_TIME_LIMIT
+    });
+
+    this.timer = setTimeout(() => this.endRound(), ROUND_TIME_LIMIT);
+  }
+
+  answer(playerId, roundIndex, optionId) {
+    if (this.status !== 'playing' || roundIndex !== this.roundIndex || this.answers.has(playerId)) {
+      return;
+    }
+
+    const round = this.rounds[this.roundIndex];
+    const answeredAt = Date.now();
+    const elapsed = answeredAt - this.roundStartedAt;
+    const correct = optionId === round.correctOptionId;
+    const points = correct
+      ? CORRECT_ANSWER_POINTS + Math.round(MAX_SPEED_BONUS * Math.max(0, 1 - elapsed / ROUND_TIME_LIMIT))
+      : 0;
+
+    const player = this.players.get(playerId);
+    player.score += points;
+    player.answered += 1;
+    if (correct) {
+      player.correct += 1;
+    }
+    this.answers.set(playerId, { optionId, correct });
+
+    this.send(playerId, {
+      type: 'answerResult',
+      round: roundIndex,
+      optionId,
+      correct,
+      correctOptionId: round.correctOptionId,
+      points
+    });
+    this.broadcast({
+      type: 'answer',
+      round: roundIndex,
+      playerId,
+      correct,
+      points,
+      answeredAt,
+      elapsed,
+      players: this.publicPlayers()
+    });
+
+    this.endRoundIfEveryoneAnswered();
+  }
+
+  endRoundIfEveryoneAnswered() {
+    if (this.status === 'playing' && this.players.size > 0 &&
+        Array.from(this.players.keys()).every(id => this.answers.has(id))) {
+      this.endRound();
+    }
+  }
+
+  endRound() {
+    clearTimeout(this.timer);
+    if (this.status !== 'playing') return;
+
+    const round = this.rounds[this.roundIndex];
+    this.status = 'roundOver';
+    this.broadcast({
+      type: 'roundEnd',
+      round: this.roundIndex,
+      word: round.word,
+      correctOptionId: round.correctOptionId,
+      players: this.publicPlayers()
+    });
+
+    this.timer = setTimeout(() => {
+      if (this.roundIndex + 1 < this.rounds.length) {
+        this.status = 'playing';
+        this.startRound(this.roundIndex + 1);
+      } else {
+        this.status = 'finished';
+        this.broadcast({ type: 'gameOver', players: this.publicPlayers() });
+      }
+    }, ROUND_RESULT_DELAY);
+  }
+
+  close() {
+    clearTimeout(this.timer);
+  }
+}
+
+/**
+ * Attach the multiplayer room server to an HTTP server
+ *
+ * Clients connect to `/ws` and exchange JSON messages with a `type`:
+ * - create { name, avatar, settings: { volume, units, difficulty } }
+ * - join { code, name, avatar }
+ * - start (host only; also starts a rematch)
+ * - answer { round, optionId }
+ * - leave
+ *
+ * @param {http.Server} server - Server the Express app listens on
+ * @param {Object} options
+ * @param {Function} options.loadVocabulary - async (volume, unit) => entries of a unit, or null if there is none
+ * @returns {WebSocketServer} The WebSocket server
+ */
+function attachGameRooms(server, { loadVocabulary }) {
+  const wss = new WebSocketServer({ server, path: '/ws' });
+  const rooms = new Map();
+
+  const sendError = (socket, error) => {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify({ type: 'error', error }));
+    }
+  };
+
+  // Welcome a new player and tell everyone else who joined
+  const announceJoin = (room, playerId) => {
+    room.send(playerId, {
+      type: 'joined',
+      code: room.code,
+      playerId,
+      hostId: room.hostId,
+      settings: room.settings,
+      players: room.publicPlayers()
+    });
+    room.players.forEach((player, id) => {
+      if (id !== playerId) {
+        room.send(id, { type: 'players', hostId: room.hostId, players: room.publicPlayers() });
+      }
+    });
+  };
+
+  const leaveRoom = (socket) => {
+    const { room, playerId } = socket;
+    if (!room) return;
+
+    socket.room = null;
+    socket.playerId = null;
+    room.removePlayer(playerId);
+
+    if (room.players.size === 0) {
+      room.close();
+      rooms.delete(room.code);
+      return;
+    }
+
+    room.broadcast({ type: 'players', hostId: room.hostId, players: room.publicPlayers() });
+    room.endRoundIfEveryoneAnswered();
+  };
+
+  const handlers = {
+    async create(socket, message) {
+      const { settings, error } = parseSettings(message.settings);
+      if (error) {
+        return sendError(socket, error);
+      }
+
+      let vocabulary = [];
+      for (const unit of settings.units) {
+        try {
+          const entries = await loadVocabulary(settings.volume, unit);
+          if (!entries) {
+            console.error(`Volume ${settings.volume} Unit ${unit} not found for a room`);
+            continue;
+          }
+          vocabulary = vocabulary.concat(entries.map(entry => ({ ...entry, volume: settings.volume, unit })));
+        } catch (loadError) {
+          console.error(`Error loading Volume ${settings.volume} Unit ${unit} for a room:`, loadError);
+        }
+      }
+      if (vocabulary.length < MIN_WORDS) {
+        return sendError(socket, 'Not enough words in the selected units');
+      }
+      // The player may have left while the words were loading; a room made
+      // now would never be closed
+      if (socket.readyState !== WebSocket.OPEN) {
+        return;
+      }
+
+      leaveRoom(socket);
+      const room = new GameRoom(createRoomCode(rooms), settings, vocabulary);
+      rooms.set(room.code, room);
+      socket.room = room;
+      socket.playerId = room.addPlayer(socket, parsePlayer(message));
+      announceJoin(room, socket.playerId);
+    },
+
+    join(socket, message) {
+      const room = rooms.get(String(message.code || '').trim().toUpperCase());
+      if (!room) {
+        return sendError(socket, 'Room not found');
+      }
+      if (room.status !== 'lobby' && room.status !== 'finished') {
+        return sendError(socket, 'This game has already started');
+      }
+      if (room.players.size >= MAX_PLAYERS) {
+        return sendError(socket, 'Room is full');
+      }
+
+      leaveRoom(socket);
+      socket.room = room;
+      socket.playerId = room.addPlayer(socket, parsePlayer(message));
+      announceJoin(room, socket.playerId);
+    },
+
+    start(socket) {
+      const { room, playerId } = socket;
+      if (!room) {
+        return sendError(socket, 'Not in a room');
+      }
+      if (room.hostId !== playerId) {
+        return sendError(socket, 'Only the host can start the game');
+      }
+      if (room.status !== 'lobby' && room.status !== 'finished') {
+        return sendError(socket, 'The game is already running');
+      }
+      room.start();
+    },
+
+    answer(socket, message) {
+      if (socket.room) {
+        socket.room.answer(socket.playerId, message.round, message.optionId);
+      }
+    },
+
+    leave(socket) {
+      leaveRoom(socket);
+    }
+  };
+
+  wss.on('connection', (socket) => {
+    socket.isAlive = true;
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+
+    socket.on('message', async (data) => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (error) {
+        return sendError(socket, 'Invalid message');
+      }
+
+      // Only the handlers' own keys, not e.g. "constructor" or "hasOwnProperty"
+      const handler = message && Object.prototype.hasOwnProperty.call(handlers, message.type)
+        ? handlers[message.type]
+        : null;
+      if (!handler) {
+        return sendError(socket, 'Unknown message type');
+      }
+
+      try {
+        await handler(socket, message);
+      } catch (error) {
+        console.error(`Error handling "${message.type}" message:`, error);
+        sendError(socket, 'Server error');
+      }
+    });
+
+    socket.on('close', () => leaveRoom(socket));
+  });
+
+  // Drop connections that stopped answering pings (closed laptops, lost Wi-Fi)
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(socket => {
+      if (!socket.isAlive) {
+        socket.terminate();
+        return;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, HEARTBEAT_INTERVAL);
+
+  wss.on('close', () => {
+    clearInterval(heartbeat);
+    rooms.forEach(room => room.close());
+  });
+
+  return wss;
+}
+
+module.exports = { attachGameRooms };
@@ -0,0 +1,93 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+// Directory for file-based stores (override with DATA_DIR, e.g. /tmp on Vercel)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+/**
+ * Simple file-backed key/value store for JSON records.
+ * The whole collection is kept in memory and written to disk after every change.
+ * Records are kept in a Map, so ids from URLs ("__proto__", "constructor") are plain keys.
+ * Writes are serialized and go through a temp file + rename, so a crash never
+ * leaves a half-written file behind.
+ */
+class JsonStore {
+  /**
+   * @param {string} name - Collection name, used as the file name
+   */
+  constructor(name) {
+    this.filePath = path.join(DATA_DIR, `${name}.json`);
+    this.records = null;
+    this.loading = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  // Load the collection from disk on first use
+  // Concurrent first callers share one read, so none of them replaces records
+  // another one has already changed.
+  load() {
+    if (!this.loading) {
+      this.loading = this.readRecords().then(records => {
+        this.records = records;
+        return records;
+      }, error => {
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  async readRecords() {
+    try {
+      const data = await fs.readFile(this.filePath, 'utf8');
+      return new Map(Object.entries(JSON.parse(data)));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      return new Map();
+    }
+  }
+
+  // Persist the collection, one write at a time
+  save() {
+    const write = async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(Object.fromEntries(this.records), null, 2), 'utf8');
+      await fs.rename(tempPath, this.filePath);
+    };
+
+    this.writeQueue = this.writeQueue.then(write, write);
+    return this.writeQueue;
+  }
+
+  async list() {
+    const records = await this.load();
+    return [...records.values()];
+  }
+
+  async get(id) {
+    const records = await this.load();
+    return records.get(id) || null;
+  }
+
+  async put(id, value) {
+    const records = await this.load();
+    records.set(id, value);
+    await this.save();
+    return value;
+  }
+
+  async remove(id) {
+    const records = await this.load();
+    if (!records.delete(id)) {
+      return false;
+    }
+    await this.save();
+    return true;
+  }
+}
+
+module.exports = JsonStore;
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+
+// SHA-256 of a secret: tokens are stored only as digests, and comparing
+// digests of equal length keeps the comparison constant-time
+const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+/**
+ * Check a submitted secret (e.g. the teacher code) against the configured one
+ * @param {*} value - Submitted value
+ * @param {string} secret - Configured secret
+ * @returns {boolean} Whether they match; false when either is missing
+ */
+function matchesSecret(value, secret) {
+  if (typeof value !== 'string' || !value || typeof secret !== 'string' || !secret) {
+    return false;
+  }
+  return crypto.timingSafeEqual(digest(value), digest(secret));
+}
+
+/**
+ * Issue a new profile token
+ * @returns {{ token: string, tokenHash: string }} The token, given to the
+ *   client once, and the hex digest kept on the profile
+ */
+function issueToken() {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, tokenHash: digest(token).toString('hex') };
+}
+
+/**
+ * Check a token against the digest kept on a profile
+ * @param {*} token - Token sent by the client
+ * @param {*} tokenHash - Digest stored with the profile
+ * @returns {boolean} Whether the token is the one issued
+ */
+function matchesToken(token, tokenHash) {
+  if (typeof token !== 'string' || typeof tokenHash !== 'string' || !/^[0-9a-f]{64}$/.test(tokenHash)) {
+    return false;
+  }
+  return crypto.timingSafeEqual(digest(token), Buffer.from(tokenHash, 'hex'));
+}
+
+/**
+ * Token of an `Authorization: Bearer <token>` header
+ * @param {Object} req - Express request
+ * @returns {string|null} The token, or null if there is none
+ */
+function readBearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+}
+
+module.exports = {
+  matchesSecret,
+  issueToken,
+  matchesToken,
+  readBearerToken
+};
@@ -0,0 +1,99 @@
+/**
+ * Fixed-window rate limiting.
+ *
+ * A limiter counts the requests of each client (by IP, session id, ...) in a
+ * store. MemoryRateLimitStore keeps the counts in this process; any object
+ * with the same `increment(key, windowMs)` method can take its place, e.g.
+ * one backed by Redis when several server instances share the limits.
+ */
+const { ERROR_CODES, sendError } = require('./requestValidation');
+
+// Shortest window; expired windows are swept once per window, so this also
+// keeps a window of 0 or garbage from turning the sweep into a busy loop
+const MIN_WINDOW_MS = 1000;
+// Longest delay Node timers accept; longer ones fire right away
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Window length of a setting, between MIN_WINDOW_MS and MAX_TIMER_MS
+const clampWindow = (windowMs) => Math.min(Math.max(Number(windowMs) || 0, MIN_WINDOW_MS), MAX_TIMER_MS);
+
+class MemoryRateLimitStore {
+  constructor() {
+    this.windows = new Map();
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Count a request against a key
+   * @param {string} key - Client key, prefixed with the limiter name
+   * @param {number} windowMs - Length of a window, at least MIN_WINDOW_MS
+   * @returns {Promise<Object>} { count, resetAt } of the key's current window
+   */
+  async increment(key, windowMs) {
+    windowMs = clampWindow(windowMs);
+    const now = Date.now();
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, window);
+      this.scheduleSweep(windowMs);
+    }
+    window.count++;
+    return { count: window.count, resetAt: window.resetAt };
+  }
+
+  // Drop expired windows now and then so one-off clients do not pile up
+  scheduleSweep(windowMs) {
+    if (this.sweepTimer) {
+      return;
+    }
+    this.sweepTimer = setInterval(() => {
+      const now = Date.now();
+      this.windows.forEach((window, key) => {
+        if (window.resetAt <= now) {
+          this.windows.delete(key);
+        }
+      });
+    }, windowMs);
+    this.sweepTimer.unref();
+  }
+}
+
+/**
+ * Build middleware that answers 429 once a client goes over its limit
+ * @param {Object} options
+ * @param {string} options.name - Prefix of the store keys, unique per limiter
+ * @param {number} options.windowMs - Length of a window, at least MIN_WINDOW_MS
+ * @param {number} options.max - Requests allowed per window; 0 turns the limiter off
+ * @param {Function} options.keyFor - (req) => client key, or null to let the request through
+ * @param {Object} [options.store] - Store with increment(key, windowMs)
+ * @returns {Function} Express middleware
+ */
+function createRateLimiter({ name, windowMs, max, keyFor, store = new MemoryRateLimitStore() }) {
+  windowMs = clampWindow(windowMs);
+  return async (req, res, next) => {
+    const key = keyFor(req);
+    if (!max || !key) {
+      return next();
+    }
+
+    try {
+      const { count, resetAt } = await store.increment(`${name}:${key}`, windowMs);
+      if (count <= max) {
+        return next();
+      }
+      const retryAfter = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1);
+      res.set('Retry-After', String(retryAfter));
+      sendError(res, 429, ERROR_CODES.RATE_LIMITED, `Too many requests, try again in ${retryAfter} seconds`);
+    } catch (error) {
+      // A broken store should not take the API down with it
+      console.error(`Error checking rate limit ${name}:`, error);
+      next();
+    }
+  };
+}
+
+module.exports = {
+  MemoryRateLimitStore,
+  createRateLimiter
+};
@@ -0,0 +1,209 @@
+/**
+ * Validation of route parameters and query strings.
+ *
+ * Each route declares a schema of rules, one per parameter:
+ *
+ *   validateRequest({ params: { volume: rules.volume, unit: rules.unit } })
+ *
+ * A rule is `async (value, context) => ({ value })` or `({ error, status })`,
+ * where `context.values` holds the parameters checked so far (params first,
+ * then query) so a rule can depend on an earlier one. Checked values replace
+ * the raw strings in `req.params` and `req.query`. Failures are sent as
+ * `{ error: { code, message, field } }`.
+ */
+
+const ERROR_CODES = {
+  INVALID_PARAMETER: 'INVALID_PARAMETER',
+  NOT_FOUND: 'NOT_FOUND',
+  MISSING_KEY: 'MISSING_KEY',
+  INVALID_KEY: 'INVALID_KEY',
+  SESSION_EXPIRED: 'SESSION_EXPIRED',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  FORBIDDEN: 'FORBIDDEN',
+  CONFLICT: 'CONFLICT',
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  RATE_LIMITED: 'RATE_LIMITED',
+  SERVER_ERROR: 'SERVER_ERROR'
+};
+
+// Volumes and units are short numbers; anything else (dots, slashes, encoded
+// path segments) is rejected before it reaches a lookup
+const VOLUME_PATTERN = /^\d{1,3}$/;
+const UNIT_PATTERN = /^(?:\d{1,3}|welcome)$/;
+// Custom word list ids are UUIDs
+const LIST_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// Stored records have UUIDs, except profiles made on devices without
+// crypto.randomUUID, which are named profile-<time>-<random> in base 36
+const RECORD_ID_PATTERN = /^(?:[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|profile-[0-9a-z]{1,12}-[0-9a-z]{1,12})$/i;
+
+// Headwords and short phrases of letters, spaces, apostrophes, dots and hyphens
+const HEADWORD_PATTERN = /^[a-z][a-z' .-]{0,59}$/i;
+
+// Upper bound of words named in ?words= or ?exclude=
+const MAX_LISTED_WORDS = 500;
+
+/**
+ * Send an error in the shared shape
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} message - Readable description
+ * @param {string} [field] - Parameter or body field at fault
+ * @param {Object} [extra] - More top-level response fields, e.g. `fields`
+ *   with every invalid field of a body
+ */
+function sendError(res, status, code, message, field, extra = {}) {
+  res.status(status).json({ error: { code, message, ...(field ? { field } : {}) }, ...extra });
+}
+
+const invalid = (field, message) => ({
+  status: 400,
+  error: { code: ERROR_CODES.INVALID_PARAMETER, message, field }
+});
+
+const notFound = (field, message) => ({
+  status: 404,
+  error: { code: ERROR_CODES.NOT_FOUND, message, field }
+});
+
+// An optional integer of at least `minimum`
+const integer = (field, minimum) => async (value) => {
+  if (value === undefined) {
+    return { value: undefined };
+  }
+  const number = Number(value);
+  return /^\d+$/.test(String(value)) && number >= minimum
+    ? { value: number }
+    : invalid(field, `${field} must be a whole number of at least ${minimum}`);
+};
+
+// An optional comma-separated list of headwords, lower-cased
+const wordList = (field) => async (value) => {
+  if (value === undefined) {
+    return { value: undefined };
+  }
+  if (typeof value !== 'string') {
+    return invalid(field, `${field} must be a comma-separated list of words`);
+  }
+  const words = value.split(',').map(word => word.trim().toLowerCase()).filter(Boolean);
+  return words.length > MAX_LISTED_WORDS
+    ? invalid(field, `At most ${MAX_LISTED_WORDS} words can be listed in ${field}`)
+    : { value: words };
+};
+
+// The id of a stored record (profile, class, assignment or word list)
+const recordId = (field) => async (value) => (
+  RECORD_ID_PATTERN.test(String(value))
+    ? { value }
+    : invalid(field, 'Not a valid record id')
+);
+
+// Rules for routes that name stored records
+const recordRules = {
+  id: recordId('id'),
+  profileId: recordId('profileId')
+};
+
+/**
+ * Rules for vocabulary routes, checked against the units actually loaded
+ * @param {VocabularyRepository} repository - Loaded textbook units
+ * @param {Object} options
+ * @param {string} options.customVolume - Volume name that stands for custom word lists
+ * @returns {Object} Rules by name
+ */
+function createVocabularyRules(repository, { customVolume }) {
+  const volume = (allowCustom) => async (value) => {
+    if (allowCustom && value === customVolume) {
+      return { value };
+    }
+    if (!VOLUME_PATTERN.test(String(value))) {
+      return invalid('volume', 'Volume must be a number');
+    }
+    const units = await repository.listUnits();
+    return units[value] ? { value } : notFound('volume', `Volume ${value} not found`);
+  };
+
+  return {
+    // A textbook volume
+    volume: volume(false),
+    // A textbook volume, or the custom word list volume
+    volumeOrCustom: volume(true),
+
+    // A unit of the volume checked before it, or a word list id
+    async unit(value, { values }) {
+      if (values.volume === customVolume) {
+        return LIST_ID_PATTERN.test(String(value))
+          ? { value }
+          : invalid('unit', 'Word list id is not valid');
+      }
+      if (!UNIT_PATTERN.test(String(value))) {
+        return invalid('unit', "Unit must be a number or 'welcome'");
+      }
+      const units = await repository.listUnits();
+      return (units[values.volume] || []).includes(value)
+        ? { value }
+        : notFound('unit', `Volume ${values.volume} Unit ${value} not found`);
+    },
+
+    // A number of words, capped at the size of the unit checked before it
+    async count(value, { values }) {
+      const checked = await integer('count', 1)(value);
+      if (checked.error || checked.value === undefined) {
+        return checked;
+      }
+      const unitSize = await repository.countWords(values.volume, values.unit);
+      return { value: Math.min(checked.value, unitSize) };
+    },
+
+    // A headword or phrase, lower-cased
+    async headword(value) {
+      return HEADWORD_PATTERN.test(String(value))
+        ? { value: String(value).trim().toLowerCase() }
+        : invalid('word', 'Word must be letters, spaces, apostrophes or hyphens');
+    },
+
+    offset: integer('offset', 0),
+    limit: integer('limit', 1),
+    words: wordList('words'),
+    exclude: wordList('exclude')
+  };
+}
+
+/**
+ * Build middleware that checks a request against a schema
+ * @param {Object} schema - { params: { name: rule }, query: { name: rule } }
+ * @returns {Function} Express middleware
+ */
+function validateRequest(schema) {
+  return async (req, res, next) => {
+    try {
+      const values = {};
+      for (const source of ['params', 'query']) {
+        for (const [name, rule] of Object.entries(schema[source] || {})) {
+          const result = await rule(req[source][name], { values, req });
+          if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+          }
+          values[name] = result.value;
+          if (result.value === undefined) {
+            delete req[source][name];
+          } else {
+            req[source][name] = result.value;
+          }
+        }
+      }
+      next();
+    } catch (error) {
+      console.error('Error validating request:', error);
+      sendError(res, 500, ERROR_CODES.SERVER_ERROR, 'Failed to check the request');
+    }
+  };
+}
+
+module.exports = {
+  ERROR_CODES,
+  sendError,
+  createVocabularyRules,
+  recordRules,
+  validateRequest
+};
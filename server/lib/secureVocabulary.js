@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+
+// Random sample of `count` items
+function sample(items, count) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled.slice(0, count);
+}
+
+/**
+ * Pick the entries a request asked for
+ * Explicit words come back in the order they were asked for, everything else
+ * in unit order. Exclusions apply before paging and before the random pick,
+ * so a client can leave out the words of its last sessions.
+ * @param {Array} entries - Entries of the unit
+ * @param {Object} selection - { offset, limit, words, exclude, count }, all
+ *   optional; words and exclude are lower-cased headwords
+ * @returns {{ entries: Array, total: number }} Selected entries, and how many
+ *   matched before paging or the random pick
+ */
+function selectEntries(entries, selection) {
+  let selected = entries;
+  if (selection.words) {
+    const byWord = new Map(entries.map(entry => [entry.word.toLowerCase(), entry]));
+    selected = selection.words.map(word => byWord.get(word)).filter(Boolean);
+  }
+  if (selection.exclude) {
+    const excluded = new Set(selection.exclude);
+    selected = selected.filter(entry => !excluded.has(entry.word.toLowerCase()));
+  }
+
+  const total = selected.length;
+  if (selection.count !== undefined) {
+    selected = sample(selected, selection.count);
+  } else if (selection.offset !== undefined || selection.limit !== undefined) {
+    const offset = selection.offset || 0;
+    selected = selected.slice(offset, selection.limit !== undefined ? offset + selection.limit : undefined);
+  }
+  return { entries: selected, total };
+}
+
+/**
+ * Encrypt data for the client with its AES-256-GCM key
+ * @param {*} data - JSON-serializable payload
+ * @param {string} aesKey - Hex key the client sent, RSA-encrypted
+ * @returns {Object} { encryptedData, iv, authTag, hash } with a SHA-256 hash
+ *   of the plain JSON for the client's integrity check
+ */
+function encryptPayload(data, aesKey) {
+  const plainText = JSON.stringify(data);
+
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-gcm', Buffer.from(aesKey, 'hex'), iv);
+  let encrypted = cipher.update(plainText, 'utf8', 'base64');
+  encrypted += cipher.final('base64');
+
+  return {
+    encryptedData: encrypted,
+    iv: iv.toString('base64'),
+    authTag: cipher.getAuthTag().toString('base64'),
+    hash: crypto.createHash('sha256').update(plainText).digest('base64')
+  };
+}
+
+module.exports = {
+  selectEntries,
+  encryptPayload
+};
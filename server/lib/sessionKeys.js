@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+
+// Both sides derive the AES key from the ECDH secret with HKDF-SHA256, salted
+// with the session id
+const KEY_INFO = 'wordmatch-session-key';
+const CURVE = 'prime256v1';
+
+// Shortest session lifetime; expired sessions are swept once per lifetime, so
+// this also keeps a TTL of 0 or garbage from turning the sweep into a busy loop
+const MIN_TTL_MS = 60 * 1000;
+// Longest delay Node timers accept; longer ones fire right away
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/**
+ * AES session keys agreed with clients over ECDH (P-256).
+ * A client sends its public key once, gets a session id with an expiry, and
+ * names the session in later requests instead of sending an RSA-encrypted key
+ * each time. Sessions live in this process and expire after `ttlMs`; clients
+ * start a new one before then, so keys rotate at least that often.
+ */
+class SessionKeyStore {
+  /**
+   * @param {Object} options
+   * @param {number} options.ttlMs - Lifetime of a session, at least MIN_TTL_MS
+   * @param {number} options.maxSessions - Sessions kept at once (at least 1);
+   *   the oldest go first
+   */
+  constructor({ ttlMs, maxSessions }) {
+    this.ttlMs = Math.max(Number(ttlMs) || 0, MIN_TTL_MS);
+    this.maxSessions = Math.max(Math.floor(Number(maxSessions)) || 0, 1);
+    this.sessions = new Map();
+    this.sweepTimer = setInterval(() => this.sweep(), Math.min(this.ttlMs, MAX_TIMER_MS));
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Agree on a key with a client
+   * @param {string} clientPublicKey - Client's uncompressed P-256 public key, base64
+   * @returns {Object} { sessionId, publicKey, expiresAt, expiresIn } for the
+   *   client, with the server's public key in the same format and expiresIn in
+   *   milliseconds for clients whose clock is off
+   * @throws {Error} If the client's key is not a valid P-256 point
+   */
+  create(clientPublicKey) {
+    const ecdh = crypto.createECDH(CURVE);
+    const publicKey = ecdh.generateKeys();
+    const secret = ecdh.computeSecret(Buffer.from(clientPublicKey, 'base64'));
+
+    const sessionId = crypto.randomUUID();
+    const key = Buffer.from(crypto.hkdfSync('sha256', secret, sessionId, KEY_INFO, 32)).toString('hex');
+    const expiresAt = Date.now() + this.ttlMs;
+
+    while (this.sessions.size >= this.maxSessions) {
+      this.sessions.delete(this.sessions.keys().next().value);
+    }
+    this.sessions.set(sessionId, { key, expiresAt });
+
+    return { sessionId, publicKey: publicKey.toString('base64'), expiresAt, expiresIn: this.ttlMs };
+  }
+
+  /**
+   * AES key of a live session
+   * @param {string} sessionId - Session id
+   * @returns {string|null} Hex key, or null if the session is unknown or expired
+   */
+  getKey(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return null;
+    }
+    if (session.expiresAt <= Date.now()) {
+      this.sessions.delete(sessionId);
+      return null;
+    }
+    return session.key;
+  }
+
+  // Drop expired sessions
+  sweep() {
+    const now = Date.now();
+    this.sessions.forEach((session, sessionId) => {
+      if (session.expiresAt <= now) {
+        this.sessions.delete(sessionId);
+      }
+    });
+  }
+}
+
+module.exports = SessionKeyStore;
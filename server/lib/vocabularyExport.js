@@ -0,0 +1,197 @@
+/**
+ * Export of vocabulary and progress: CSV tables, Anki decks and printable
+ * worksheets. Entries are in the vocabulary file format
+ * ({ word, syllable_breaks, phonetic, explanation: [{ pos, meaning, examples }] }).
+ */
+
+// Quote a CSV field when it holds a separator, quote or line break
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV file
+ * Starts with a byte order mark so spreadsheet programs read the Chinese
+ * text as UTF-8.
+ * @param {Array<string>} header - Column names
+ * @param {Array<Array>} rows - Row values
+ * @returns {string} CSV content
+ */
+function toCsv(header, rows) {
+  return '\uFEFF' + [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function escapeHtml(value) {
+  return String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Anki fields are separated by tabs and may not contain line breaks
+const ankiField = (html) => html.replace(/[\t\r\n]+/g, ' ');
+
+/**
+ * Build an Anki deck in the "Notes in Plain Text" format (File > Import)
+ * Front: word and phonetic. Back: part of speech, meaning and examples.
+ * @param {Array} entries - Vocabulary entries
+ * @param {string} deckName - Deck the notes are imported into
+ * @returns {string} Deck file content
+ */
+function toAnkiDeck(entries, deckName) {
+  const notes = entries.map(entry => {
+    const front = [
+      escapeHtml(entry.word),
+      entry.phonetic ? `<span class="phonetic">${escapeHtml(entry.phonetic)}</span>` : ''
+    ].filter(Boolean).join('<br>');
+
+    const back = (entry.explanation || []).map(({ pos, meaning, examples }) => [
+      `<b>${escapeHtml(pos)}</b> ${escapeHtml(meaning)}`,
+      ...(examples || []).map(example => `<i>${escapeHtml(example)}</i>`)
+    ].join('<br>')).join('<br><br>');
+
+    return [ankiField(front), ankiField(back)].join('\t');
+  });
+
+  return [
+    '#separator:tab',
+    '#html:true',
+    `#deck:${deckName.replace(/[\r\n]+/g, ' ')}`,
+    ...notes
+  ].join('\n') + '\n';
+}
+
+// Exercises ask the words in a different order than the word list
+function shuffle(items) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+// Example sentence with the word (or a form of it, e.g. "volunteers") blanked out
+function blankExample(example, word) {
+  const pattern = new RegExp(`\\b${word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\w*`, 'gi');
+  return pattern.test(example) ? example.replace(pattern, '________') : null;
+}
+
+/**
+ * Render a printable worksheet: a word list, translation and fill-in-the-blank
+ * exercises, and an answer key on its own page. Browsers can print it or save
+ * it as a PDF.
+ * @param {string} title - Unit or word list name
+ * @param {Array} entries - Vocabulary entries
+ * @returns {string} HTML document
+ */
+function renderWorksheet(title, entries) {
+  const meaningsOf = (entry) => (entry.explanation || [])
+    .map(({ pos, meaning }) => `${escapeHtml(pos)} ${escapeHtml(meaning)}`)
+    .join('；');
+
+  const translationEntries = shuffle(entries);
+  const clozeItems = shuffle(entries)
+    .map(entry => {
+      const example = (entry.explanation || []).flatMap(item => item.examples || [])
+        .find(sentence => blankExample(sentence, entry.word));
+      return example ? { word: entry.word, sentence: blankExample(example, entry.word) } : null;
+    })
+    .filter(Boolean);
+
+  const wordRows = entries.map((entry, index) => `
+        <tr>
+          <td>${index + 1}</td>
+          <td class="word">${escapeHtml(entry.syllable_breaks || entry.word)}</td>
+          <td>${escapeHtml(entry.phonetic)}</td>
+          <td>${meaningsOf(entry)}</td>
+        </tr>`).join('');
+
+  const translationItems = translationEntries.map(entry => `
+        <li>${meaningsOf(entry)} <span class="blank">${escapeHtml(entry.word[0])}________________</span></li>`).join('');
+
+  const clozeList = clozeItems.map(item => `
+        <li>${escapeHtml(item.sentence)}</li>`).join('');
+
+  const answers = [
+    `<h3>二、中译英 Chinese to English</h3><ol class="answers">${translationEntries.map(entry => `<li>${escapeHtml(entry.word)}</li>`).join('')}</ol>`,
+    clozeItems.length > 0
+      ? `<h3>三、例句填空 Fill in the Blanks</h3><ol class="answers">${clozeItems.map(item => `<li>${escapeHtml(item.word)}</li>`).join('')}</ol>`
+      : ''
+  ].join('');
+
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)} · 单词练习 Worksheet</title>
+  <style>
+    body { font-family: "Helvetica Neue", Arial, "PingFang SC", "Microsoft YaHei", sans-serif; color: #2c3e50; margin: 2rem auto; max-width: 48rem; padding: 0 1rem; }
+    h1 { font-size: 1.6rem; margin-bottom: 0.25rem; }
+    h2 { font-size: 1.2rem; border-bottom: 2px solid #3498db; padding-bottom: 0.25rem; margin-top: 2rem; }
+    .student { display: flex; gap: 2rem; margin-bottom: 1rem; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border-bottom: 1px solid #ddd; padding: 0.35rem 0.5rem; text-align: left; vertical-align: top; }
+    .word { font-weight: bold; }
+    li { margin: 0.6rem 0; line-height: 1.6; }
+    .blank { margin-left: 1rem; color: #7f8c8d; }
+    .answers { columns: 3; }
+    .answer-key { page-break-before: always; }
+    .print { position: fixed; top: 1rem; right: 1rem; padding: 0.5rem 1rem; font-size: 1rem; cursor: pointer; }
+    @media print { .print { display: none; } body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <button class="print" onclick="window.print()">打印 / 保存 PDF</button>
+  <h1>${escapeHtml(title)}</h1>
+  <div class="student"><span>姓名 Name: ______________</span><span>日期 Date: ______________</span><span>得分 Score: ______</span></div>
+
+  <h2>一、单词表 Word List</h2>
+  <table>
+    <thead><tr><th>#</th><th>单词 Word</th><th>音标 Phonetic</th><th>释义 Meaning</th></tr></thead>
+    <tbody>${wordRows}
+    </tbody>
+  </table>
+
+  <h2>二、中译英 Chinese to English</h2>
+  <ol>${translationItems}
+  </ol>
+${clozeItems.length > 0 ? `
+  <h2>三、例句填空 Fill in the Blanks</h2>
+  <ol>${clozeList}
+  </ol>
+` : ''}
+  <section class="answer-key">
+    <h2>答案 Answer Key</h2>
+    ${answers}
+  </section>
+</body>
+</html>
+`;
+}
+
+/**
+ * File name for a download, from a title the user chose
+ * Path separators, control characters and characters Windows does not allow
+ * in file names are left out.
+ * @param {string} name - Wanted name, without the extension
+ * @param {string} fallback - Name to use when nothing of it is left, e.g. the record id
+ * @param {string} extension - File extension, e.g. 'csv'
+ * @returns {string} File name
+ */
+function toFileName(name, fallback, extension) {
+  const safe = String(name || '')
+    .replace(/[\u0000-\u001f\u007f<>:"/\\|?*]/g, '')
+    .replace(/^[\s.]+|[\s.]+$/g, '')
+    .slice(0, 100);
+  return `${safe || fallback}.${extension}`;
+}
+
+module.exports = {
+  toCsv,
+  toFileName,
+  toAnkiDeck,
+  renderWorksheet
+};
@@ -0,0 +1,233 @@
+const path = require('path');
+const fs = require('fs');
+
+// Unit files are named Volume1_Unit_2.json or Volume1_Welcome_Unit.json
+const UNIT_FILE_PATTERN = /^Volume(\d+)_(?:Unit_(\d+)|Welcome_Unit)\.json$/;
+
+// Editors save a file in several steps; reload once they are done
+const RELOAD_DELAY = 200;
+
+const unitKey = (volume, unit) => `${volume}:${unit}`;
+
+// Units in reading order: the welcome unit first, then by number
+const compareUnits = (a, b) => {
+  if (a === 'welcome') return -1;
+  if (b === 'welcome') return 1;
+  return Number(a) - Number(b);
+};
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * Check an entry of a unit file and fill in optional fields
+ * Textbook entries are looser than custom word lists: phrases have no part of
+ * speech, and some syllable breaks use other separators. Meanings without
+ * text are dropped, and so is an entry left without any meaning.
+ * @param {*} entry - Entry from the file
+ * @param {Array<string>} problems - Collected descriptions of what was wrong
+ * @returns {Object|null} The entry, or null if it cannot be used
+ */
+function normalizeUnitEntry(entry, problems) {
+  if (!entry || typeof entry !== 'object' || !isNonEmptyString(entry.word)) {
+    problems.push('missing word');
+    return null;
+  }
+
+  const explanation = (Array.isArray(entry.explanation) ? entry.explanation : [])
+    .filter(item => {
+      const isValid = item && isNonEmptyString(item.meaning);
+      if (!isValid) {
+        problems.push(`"${entry.word}" has a meaning without text`);
+      }
+      return isValid;
+    })
+    .map(item => ({
+      pos: typeof item.pos === 'string' ? item.pos : '',
+      meaning: item.meaning,
+      examples: Array.isArray(item.examples) ? item.examples.filter(isNonEmptyString) : []
+    }));
+
+  if (explanation.length === 0) {
+    problems.push(`"${entry.word}" has no meaning and was left out`);
+    return null;
+  }
+
+  return {
+    word: entry.word.trim(),
+    syllable_breaks: isNonEmptyString(entry.syllable_breaks) ? entry.syllable_breaks : entry.word.trim(),
+    phonetic: typeof entry.phonetic === 'string' ? entry.phonetic : '',
+    explanation
+  };
+}
+
+/**
+ * Every textbook unit, read and checked once and then served from memory.
+ * Entries are shared between callers and must not be modified. In
+ * development `watch()` reloads the units when a file changes.
+ */
+class VocabularyRepository {
+  /**
+   * @param {string} directory - Folder of the vocabulary unit files
+   */
+  constructor(directory) {
+    this.directory = directory;
+    this.units = new Map();
+    this.words = new Map();
+    // Increases on every reload so indexes built on top know to rebuild
+    this.version = 0;
+    this.ready = null;
+    this.watcher = null;
+    this.reloadTimer = null;
+  }
+
+  // Read every unit file once; later calls wait for the same load
+  load() {
+    if (!this.ready) {
+      this.ready = this.build().catch(error => {
+        // Let the next request try again
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  async build() {
+    const files = (await fs.promises.readdir(this.directory))
+      .filter(file => UNIT_FILE_PATTERN.test(file))
+      .sort();
+    const units = new Map();
+    const words = new Map();
+
+    for (const file of files) {
+      const [, volume, unitNumber] = file.match(UNIT_FILE_PATTERN);
+      const unit = unitNumber || 'welcome';
+
+      let data;
+      try {
+        data = JSON.parse(await fs.promises.readFile(path.join(this.directory, file), 'utf8'));
+      } catch (error) {
+        console.error(`Error reading vocabulary file ${file}:`, error.message);
+        continue;
+      }
+      if (!Array.isArray(data)) {
+        console.error(`Vocabulary file ${file} does not hold an array of words`);
+        continue;
+      }
+
+      const problems = [];
+      const entries = data
+        .map((entry, index) => {
+          const entryProblems = [];
+          const normalized = normalizeUnitEntry(entry, entryProblems);
+          problems.push(...entryProblems.map(problem => `[${index}] ${problem}`));
+          return normalized;
+        })
+        .filter(Boolean);
+      if (problems.length > 0) {
+        console.warn(`Vocabulary file ${file}: ${problems.join('; ')}`);
+      }
+
+      units.set(unitKey(volume, unit), { volume, unit, entries });
+      entries.forEach(entry => {
+        const key = entry.word.toLowerCase();
+        if (!words.has(key)) {
+          words.set(key, []);
+        }
+        words.get(key).push({ volume, unit, entry });
+      });
+    }
+
+    this.units = units;
+    this.words = words;
+    this.version++;
+  }
+
+  /**
+   * Reload the units whenever a file in the directory changes
+   * Meant for development; a failed reload keeps the units already loaded.
+   */
+  watch() {
+    if (this.watcher) {
+      return;
+    }
+
+    this.watcher = fs.watch(this.directory, () => {
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = setTimeout(() => {
+        const reload = this.build();
+        this.ready = reload.catch(() => {});
+        reload
+          .then(() => console.log(`Vocabulary reloaded: ${this.units.size} units`))
+          .catch(error => console.error('Error reloading vocabulary:', error));
+      }, RELOAD_DELAY);
+    });
+    this.watcher.on('error', error => console.error('Error watching vocabulary:', error));
+  }
+
+  /**
+   * Volumes and their units
+   * @returns {Promise<Object>} { [volume]: [unit, ...] } with units in reading order
+   */
+  async listUnits() {
+    await this.load();
+    const volumes = {};
+    this.units.forEach(({ volume, unit }) => {
+      volumes[volume] = [...(volumes[volume] || []), unit];
+    });
+    Object.values(volumes).forEach(units => units.sort(compareUnits));
+    return volumes;
+  }
+
+  /**
+   * Every unit with its entries
+   * @returns {Promise<Array>} Units of { volume, unit, entries }
+   */
+  async listAll() {
+    await this.load();
+    return [...this.units.values()];
+  }
+
+  /**
+   * Entries of one unit
+   * @param {number|string} volume - Volume number
+   * @param {string} unit - Unit number or 'welcome'
+   * @returns {Promise<Array|null>} Entries, or null if there is no such unit
+   */
+  async getUnit(volume, unit) {
+    await this.load();
+    const found = this.units.get(unitKey(volume, unit));
+    return found ? found.entries : null;
+  }
+
+  /**
+   * Number of words of one unit, or of every unit
+   * @param {number|string} [volume] - Volume number
+   * @param {string} [unit] - Unit number or 'welcome'
+   * @returns {Promise<number|null>} Word count, or null if there is no such unit
+   */
+  async countWords(volume, unit) {
+    await this.load();
+    if (volume === undefined) {
+      let total = 0;
+      this.units.forEach(({ entries }) => {
+        total += entries.length;
+      });
+      return total;
+    }
+    const found = this.units.get(unitKey(volume, unit));
+    return found ? found.entries.length : null;
+  }
+
+  /**
+   * Find a word in every unit it appears in
+   * @param {string} word - Headword, in any case
+   * @returns {Promise<Array>} Matches of { volume, unit, entry }
+   */
+  async findWord(word) {
+    await this.load();
+    return this.words.get(String(word || '').trim().toLowerCase()) || [];
+  }
+}
+
+module.exports = VocabularyRepository;
@@ -0,0 +1,179 @@
+/**
+ * Validation for vocabulary entries, in the format of the unit files in
+ * vocabulary_json_array:
+ *
+ *   { word, syllable_breaks, phonetic, explanation: [{ pos, meaning, examples: [] }] }
+ *
+ * Every problem is reported with the path of the field it belongs to
+ * (e.g. "words[2].explanation[0].meaning") so an editor can point at it.
+ */
+
+// Limits for custom word lists
+const MAX_LIST_TITLE_LENGTH = 80;
+const MAX_LIST_WORDS = 500;
+const MAX_WORD_LENGTH = 60;
+const MAX_TEXT_LENGTH = 300;
+const MAX_EXPLANATIONS = 10;
+const MAX_EXAMPLES = 10;
+
+// Separator between syllables in syllable_breaks, e.g. "vol·un·teer"
+const SYLLABLE_SEPARATOR = '·';
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * Validate one explanation of a word
+ * @param {*} explanation - Explanation from the request
+ * @param {string} field - Path of the explanation, for error messages
+ * @param {Array} errors - Collected { field, message } errors
+ * @returns {Object} Normalized explanation
+ */
+function parseExplanation(explanation, field, errors) {
+  if (!explanation || typeof explanation !== 'object' || Array.isArray(explanation)) {
+    errors.push({ field, message: 'Explanation must be an object' });
+    return null;
+  }
+
+  const { pos, meaning, examples } = explanation;
+
+  if (!isNonEmptyString(pos)) {
+    errors.push({ field: `${field}.pos`, message: 'Part of speech is required, e.g. "n." or "vt."' });
+  } else if (pos.trim().length > MAX_WORD_LENGTH) {
+    errors.push({ field: `${field}.pos`, message: `Part of speech must be at most ${MAX_WORD_LENGTH} characters` });
+  }
+
+  if (!isNonEmptyString(meaning)) {
+    errors.push({ field: `${field}.meaning`, message: 'Meaning is required' });
+  } else if (meaning.trim().length > MAX_TEXT_LENGTH) {
+    errors.push({ field: `${field}.meaning`, message: `Meaning must be at most ${MAX_TEXT_LENGTH} characters` });
+  }
+
+  if (examples !== undefined && !Array.isArray(examples)) {
+    errors.push({ field: `${field}.examples`, message: 'Examples must be a list of sentences' });
+  } else if (examples && examples.length > MAX_EXAMPLES) {
+    errors.push({ field: `${field}.examples`, message: `At most ${MAX_EXAMPLES} examples are allowed` });
+  } else {
+    (examples || []).forEach((example, index) => {
+      if (!isNonEmptyString(example)) {
+        errors.push({ field: `${field}.examples[${index}]`, message: 'Example must be a non-empty sentence' });
+      } else if (example.trim().length > MAX_TEXT_LENGTH) {
+        errors.push({ field: `${field}.examples[${index}]`, message: `Example must be at most ${MAX_TEXT_LENGTH} characters` });
+      }
+    });
+  }
+
+  return {
+    pos: isNonEmptyString(pos) ? pos.trim() : '',
+    meaning: isNonEmptyString(meaning) ? meaning.trim() : '',
+    examples: Array.isArray(examples) ? examples.filter(isNonEmptyString).map(example => example.trim()) : []
+  };
+}
+
+/**
+ * Validate one vocabulary entry
+ * @param {*} entry - Entry from the request
+ * @param {string} field - Path of the entry, for error messages
+ * @param {Array} errors - Collected { field, message } errors
+ * @returns {Object} Normalized entry
+ */
+function parseVocabularyEntry(entry, field, errors) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    errors.push({ field, message: 'Word entry must be an object' });
+    return null;
+  }
+
+  const { word, syllable_breaks: syllableBreaks, phonetic, explanation } = entry;
+  const hasWord = isNonEmptyString(word);
+
+  if (!hasWord) {
+    errors.push({ field: `${field}.word`, message: 'Word is required' });
+  } else if (word.trim().length > MAX_WORD_LENGTH) {
+    errors.push({ field: `${field}.word`, message: `Word must be at most ${MAX_WORD_LENGTH} characters` });
+  }
+
+  // Syllable breaks are optional, but must spell the word when given
+  if (syllableBreaks !== undefined && syllableBreaks !== '') {
+    if (typeof syllableBreaks !== 'string') {
+      errors.push({ field: `${field}.syllable_breaks`, message: 'Syllable breaks must be a string' });
+    } else if (hasWord && syllableBreaks.split(SYLLABLE_SEPARATOR).join('').trim().toLowerCase() !== word.trim().toLowerCase()) {
+      errors.push({
+        field: `${field}.syllable_breaks`,
+        message: `Syllable breaks must spell "${word.trim()}" with ${SYLLABLE_SEPARATOR} between syllables`
+      });
+    }
+  }
+
+  if (phonetic !== undefined && typeof phonetic !== 'string') {
+    errors.push({ field: `${field}.phonetic`, message: 'Phonetic must be a string, e.g. "/ˈwɜːd/"' });
+  } else if (phonetic && phonetic.length > MAX_WORD_LENGTH) {
+    errors.push({ field: `${field}.phonetic`, message: `Phonetic must be at most ${MAX_WORD_LENGTH} characters` });
+  }
+
+  let explanations = [];
+  if (!Array.isArray(explanation) || explanation.length === 0) {
+    errors.push({ field: `${field}.explanation`, message: 'At least one explanation (part of speech and meaning) is required' });
+  } else if (explanation.length > MAX_EXPLANATIONS) {
+    errors.push({ field: `${field}.explanation`, message: `At most ${MAX_EXPLANATIONS} explanations are allowed` });
+  } else {
+    explanations = explanation.map((item, index) => parseExplanation(item, `${field}.explanation[${index}]`, errors));
+  }
+
+  return {
+    word: hasWord ? word.trim() : '',
+    syllable_breaks: isNonEmptyString(syllableBreaks) ? syllableBreaks.trim() : (hasWord ? word.trim() : ''),
+    phonetic: typeof phonetic === 'string' ? phonetic.trim() : '',
+    explanation: explanations
+  };
+}
+
+/**
+ * Validate and normalize a custom word list
+ * @param {Object} body - Request body: { title, words }
+ * @returns {{ list?: Object, errors?: Array }} Normalized { title, words }, or
+ *   the { field, message } errors that were found
+ */
+function parseWordList(body) {
+  if (!body || typeof body !== 'object') {
+    return { errors: [{ field: '', message: 'Missing word list data' }] };
+  }
+
+  const { title, words } = body;
+  const errors = [];
+
+  if (!isNonEmptyString(title)) {
+    errors.push({ field: 'title', message: 'Title is required' });
+  } else if (title.trim().length > MAX_LIST_TITLE_LENGTH) {
+    errors.push({ field: 'title', message: `Title must be at most ${MAX_LIST_TITLE_LENGTH} characters` });
+  }
+
+  let entries = [];
+  if (!Array.isArray(words) || words.length === 0) {
+    errors.push({ field: 'words', message: 'A word list needs at least one word' });
+  } else if (words.length > MAX_LIST_WORDS) {
+    errors.push({ field: 'words', message: `A word list can have at most ${MAX_LIST_WORDS} words` });
+  } else {
+    entries = words.map((entry, index) => parseVocabularyEntry(entry, `words[${index}]`, errors));
+
+    // The game tells words apart by their spelling
+    const seen = new Map();
+    entries.forEach((entry, index) => {
+      if (!entry || !entry.word) return;
+      const key = entry.word.toLowerCase();
+      if (seen.has(key)) {
+        errors.push({ field: `words[${index}].word`, message: `"${entry.word}" is already in the list (word ${seen.get(key) + 1})` });
+      } else {
+        seen.set(key, index);
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+  return { list: { title: title.trim(), words: entries } };
+}
+
+module.exports = {
+  parseVocabularyEntry,
+  parseWordList
+};
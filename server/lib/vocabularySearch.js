@@ -0,0 +1,199 @@
+// Contains Chinese characters, so the query is matched against meanings
+const CJK_PATTERN = /[\u3400-\u9fff]/;
+
+const MAX_RESULTS = 50;
+
+// Relevance of each kind of match; fuzzy matches lose points per typo
+const SCORES = {
+  exactWord: 100,
+  wordPrefix: 80,
+  fuzzyWord: 60,
+  typoPenalty: 15,
+  wordContains: 50,
+  exactMeaning: 90,
+  meaningContains: 60,
+  example: 30
+};
+
+// Typos tolerated for a query of this length
+const allowedTypos = (length) => (length < 4 ? 0 : length < 7 ? 1 : 2);
+
+/**
+ * Edit distance with adjacent transpositions ("teh" -> "the" is one typo),
+ * giving up once it exceeds `max`
+ * @returns {number} Distance, or max + 1 if it is larger than max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+}
+
+/**
+ * In-memory index of every word in the vocabulary files, searchable by
+ * English headword (exact, prefix or with typos), Chinese meaning and
+ * example sentence. Words that appear in several units are one result with
+ * all their locations.
+ */
+class VocabularySearch {
+  /**
+   * @param {VocabularyRepository} repository - Textbook units to index
+   */
+  constructor(repository) {
+    this.repository = repository;
+    this.words = [];
+    // Repository version the index was built from
+    this.version = null;
+  }
+
+  // Build the index, again whenever the repository has reloaded
+  async load() {
+    const units = await this.repository.listAll();
+    if (this.version !== this.repository.version) {
+      this.build(units);
+      this.version = this.repository.version;
+    }
+  }
+
+  build(units) {
+    const byWord = new Map();
+
+    units.forEach(({ volume, unit, entries }) => {
+      entries.forEach(entry => {
+        const key = entry.word.toLowerCase();
+        if (!byWord.has(key)) {
+          byWord.set(key, {
+            key,
+            entry,
+            locations: [],
+            meanings: entry.explanation.map(item => item.meaning),
+            examples: entry.explanation.flatMap(item => item.examples)
+          });
+        }
+        byWord.get(key).locations.push({ volume, unit });
+      });
+    });
+
+    const unitOrder = (unit) => (unit === 'welcome' ? 0 : Number(unit));
+    this.words = [...byWord.values()];
+    this.words.forEach(indexed => indexed.locations.sort((a, b) =>
+      Number(a.volume) - Number(b.volume) || unitOrder(a.unit) - unitOrder(b.unit)));
+  }
+
+  // How well an English query matches a word, or null
+  scoreEnglish(indexed, query) {
+    const { key } = indexed;
+    if (key === query) {
+      return { score: SCORES.exactWord, matchedIn: 'word' };
+    }
+    if (key.startsWith(query)) {
+      // Shorter completions first: "app" ranks "apple" above "application"
+      return { score: SCORES.wordPrefix - Math.min(key.length - query.length, 10), matchedIn: 'word' };
+    }
+
+    const maxTypos = allowedTypos(query.length);
+    if (maxTypos > 0) {
+      const distance = editDistance(query, key, maxTypos);
+      if (distance <= maxTypos) {
+        return { score: SCORES.fuzzyWord - distance * SCORES.typoPenalty, matchedIn: 'word' };
+      }
+      // A typo in what is meant as a prefix, e.g. "volanteer" for "volunteers";
+      // short prefixes with a typo match too many words to be useful
+      const prefixDistance = query.length >= 5 && key.length > query.length
+        ? editDistance(query, key.slice(0, query.length), maxTypos)
+        : maxTypos + 1;
+      if (prefixDistance <= maxTypos) {
+        return { score: SCORES.fuzzyWord - (prefixDistance + 1) * SCORES.typoPenalty, matchedIn: 'word' };
+      }
+    }
+
+    if (query.length >= 3 && key.includes(query)) {
+      return { score: SCORES.wordContains, matchedIn: 'word' };
+    }
+
+    // Every word of the query starts a word of the sentence
+    const wordPatterns = query.split(/\s+/)
+      .map(term => new RegExp(`\\b${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'i'));
+    const example = indexed.examples.find(sentence => wordPatterns.every(pattern => pattern.test(sentence)));
+    if (example) {
+      return { score: SCORES.example, matchedIn: 'example', example };
+    }
+    return null;
+  }
+
+  // How well a Chinese query matches a word's meanings, or null
+  scoreChinese(indexed, query) {
+    // Meanings list synonyms separated by ；, e.g. "讲座；讲课"
+    const senses = indexed.meanings.flatMap(meaning => meaning.split(/[；;，,]/).map(sense => sense.trim()));
+    if (senses.includes(query)) {
+      return { score: SCORES.exactMeaning, matchedIn: 'meaning' };
+    }
+    if (indexed.meanings.some(meaning => meaning.includes(query))) {
+      // Closer in length means a closer match: 书 ranks 书 (n.) above 书法
+      const shortest = Math.min(...senses.filter(sense => sense.includes(query)).map(sense => sense.length), 20);
+      return { score: SCORES.meaningContains - shortest, matchedIn: 'meaning' };
+    }
+    const example = indexed.examples.find(sentence => sentence.includes(query));
+    return example ? { score: SCORES.example, matchedIn: 'example', example } : null;
+  }
+
+  /**
+   * Search the vocabulary
+   * @param {string} text - English word or prefix (typos allowed), Chinese
+   *   meaning, or words from an example sentence
+   * @param {number} limit - Maximum number of results
+   * @returns {Promise<Array>} Results of { word, syllable_breaks, phonetic,
+   *   explanation, locations: [{ volume, unit }], matchedIn, example? }, best first
+   */
+  async search(text, limit = 20) {
+    await this.load();
+
+    const query = String(text || '').trim().toLowerCase();
+    if (!query) {
+      return [];
+    }
+    const isChinese = CJK_PATTERN.test(query);
+
+    return this.words
+      .map(indexed => {
+        const match = isChinese ? this.scoreChinese(indexed, query) : this.scoreEnglish(indexed, query);
+        return match && { indexed, ...match };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score || a.indexed.key.localeCompare(b.indexed.key))
+      .slice(0, Math.min(limit, MAX_RESULTS))
+      .map(({ indexed, matchedIn, example }) => ({
+        word: indexed.entry.word,
+        syllable_breaks: indexed.entry.syllable_breaks,
+        phonetic: indexed.entry.phonetic,
+        explanation: indexed.entry.explanation,
+        locations: indexed.locations,
+        matchedIn,
+        ...(example ? { example } : {})
+      }));
+  }
+}
+
+module.exports = VocabularySearch;
@@ -0,0 +1,284 @@
+/**
+ * Import of word lists from spreadsheets and Anki decks.
+ *
+ * CSV and TSV files have one meaning per row: word, pos, meaning, example.
+ * A header row may name the columns instead (word, pos, meaning, example,
+ * phonetic, syllable_breaks, in any order). Anki plain-text exports have the
+ * word on the front and the meaning on the back, optionally starting with
+ * its part of speech ("n. 苹果"); further lines or fields are examples.
+ *
+ * Rows are normalized into vocabulary entries ({ word, syllable_breaks,
+ * phonetic, explanation: [{ pos, meaning, examples }] }) and the meanings of
+ * the same headword are merged into one entry. Rows that cannot be read are
+ * reported with their line number instead of failing the whole file.
+ */
+
+const IMPORT_FORMATS = ['csv', 'tsv', 'anki'];
+
+// Column names accepted in a header row
+const COLUMN_ALIASES = {
+  word: ['word', 'headword', 'english', 'term', '单词'],
+  pos: ['pos', 'part of speech', 'part_of_speech', '词性'],
+  meaning: ['meaning', 'definition', 'chinese', 'translation', '释义', '中文'],
+  example: ['example', 'examples', 'sentence', '例句'],
+  phonetic: ['phonetic', 'phonetics', 'ipa', '音标'],
+  syllable_breaks: ['syllable_breaks', 'syllables', 'syllable', '音节']
+};
+
+// Parts of speech recognized at the start of an Anki meaning
+const POS_PATTERN = /^((?:n|v|vt|vi|adj|adv|prep|conj|pron|num|art|int|interj|aux|modal|abbr|phr|pl)\.(?:\s*[&/,]\s*(?:n|v|vt|vi|adj|adv|prep|conj|pron|num|art|int|interj|aux|modal|abbr|phr|pl)\.)*)\s*(.*)$/i;
+
+// Field separators named in an Anki "#separator:" header
+const ANKI_SEPARATORS = {
+  tab: '\t',
+  comma: ',',
+  semicolon: ';',
+  pipe: '|',
+  space: ' ',
+  colon: ':'
+};
+
+/**
+ * Split delimited text into records, honouring double-quoted fields
+ * (which may contain the delimiter, newlines and "" for a quote)
+ * @param {string} text - File content
+ * @param {string} delimiter - Field separator
+ * @returns {Array<{ line: number, fields: string[] }>} Records with the line they start on
+ */
+function splitRecords(text, delimiter) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    fields.push(field);
+    if (fields.some(value => value.trim() !== '')) {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+    field = '';
+    recordLine = line;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      field = '';
+      inQuotes = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n') {
+      line++;
+      endRecord();
+    } else if (char !== '\r') {
+      field += char;
+    }
+  }
+  endRecord();
+
+  return records;
+}
+
+// Plain text of an Anki field, which may hold HTML and sound references
+function stripAnkiMarkup(value) {
+  return value
+    .replace(/\[sound:[^\]]*\]/g, '')
+    .replace(/<br\s*\/?>|<\/div>|<\/p>|<\/li>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Map header cells to known columns, or null if the row is not a header
+function readHeader(fields) {
+  const columns = {};
+  fields.forEach((cell, index) => {
+    const name = cell.trim().toLowerCase();
+    Object.entries(COLUMN_ALIASES).forEach(([column, aliases]) => {
+      if (aliases.includes(name) || (column === 'example' && /^example\s*\d+$/.test(name))) {
+        columns[column] = [...(columns[column] || []), index];
+      }
+    });
+  });
+  return columns.word && columns.meaning ? columns : null;
+}
+
+/**
+ * Read spreadsheet rows (CSV or TSV)
+ * @returns {{ rows: Array, rejected: Array }} Rows of { line, word, pos, meaning, examples, ... }
+ */
+function readSpreadsheet(text, delimiter) {
+  const records = splitRecords(text, delimiter);
+  const header = records.length > 0 ? readHeader(records[0].fields) : null;
+  // Without a header the columns are word, pos, meaning, example...
+  const columns = header || { word: [0], pos: [1], meaning: [2], example: [3, 4, 5] };
+  const rows = [];
+  const rejected = [];
+
+  const cell = (fields, column) => ((columns[column] || []).map(index => fields[index] || '').find(Boolean) || '').trim();
+
+  (header ? records.slice(1) : records).forEach(({ line, fields }) => {
+    if (!header && fields.length < 3) {
+      rejected.push({ line, text: fields.join(delimiter), message: 'Expected at least 3 columns: word, pos, meaning' });
+      return;
+    }
+    rows.push({
+      line,
+      text: fields.join(delimiter),
+      word: cell(fields, 'word'),
+      pos: cell(fields, 'pos'),
+      meaning: cell(fields, 'meaning'),
+      examples: (columns.example || []).map(index => (fields[index] || '').trim()).filter(Boolean),
+      phonetic: cell(fields, 'phonetic'),
+      syllable_breaks: cell(fields, 'syllable_breaks')
+    });
+  });
+
+  return { rows, rejected };
+}
+
+/**
+ * Read an Anki "Notes/Cards in Plain Text" export
+ * Header lines such as "#separator:tab" and "#guid column:1" describe the file.
+ * @returns {{ rows: Array, rejected: Array }}
+ */
+function readAnkiExport(text) {
+  let delimiter = '\t';
+  const skippedColumns = new Set();
+  const lines = text.split('\n');
+  let bodyStart = 0;
+
+  while (bodyStart < lines.length && lines[bodyStart].startsWith('#')) {
+    const [key, value = ''] = lines[bodyStart].slice(1).split(':');
+    const setting = value.trim().toLowerCase();
+    if (key === 'separator') {
+      delimiter = ANKI_SEPARATORS[setting] || setting || delimiter;
+    } else if (/^(guid|notetype|deck|tags) column$/.test(key)) {
+      // Anki counts columns from 1
+      skippedColumns.add(Number(setting) - 1);
+    }
+    bodyStart++;
+  }
+
+  const rows = [];
+  const rejected = [];
+  // Keep line numbers of the whole file
+  const body = '\n'.repeat(bodyStart) + lines.slice(bodyStart).join('\n');
+
+  splitRecords(body, delimiter).forEach(({ line, fields }) => {
+    const [front = '', back = '', ...rest] = fields
+      .filter((_, index) => !skippedColumns.has(index))
+      .map(field => stripAnkiMarkup(field).trim());
+    const text = fields.join(delimiter);
+
+    if (!back) {
+      rejected.push({ line, text, message: 'Expected the word and its meaning on the two sides of the card' });
+      return;
+    }
+
+    // The first line of the back is the meaning, later lines are examples
+    const [firstLine, ...moreLines] = back.split('\n').map(value => value.trim()).filter(Boolean);
+    const posMatch = (firstLine || '').match(POS_PATTERN);
+    rows.push({
+      line,
+      text,
+      word: front.split('\n')[0].trim(),
+      pos: posMatch ? posMatch[1] : '',
+      meaning: posMatch ? posMatch[2].trim() : (firstLine || ''),
+      examples: [...moreLines, ...rest.flatMap(value => value.split('\n'))].map(value => value.trim()).filter(Boolean),
+      phonetic: '',
+      syllable_breaks: ''
+    });
+  });
+
+  return { rows, rejected };
+}
+
+// Guess the format from the content when the file name does not tell
+function detectFormat(text) {
+  if (/^#(separator|html|notetype|deck|guid|columns)/m.test(text)) {
+    return 'anki';
+  }
+  const firstLine = text.split('\n').find(line => line.trim() !== '') || '';
+  return firstLine.includes('\t') ? 'tsv' : 'csv';
+}
+
+/**
+ * Parse an imported file into vocabulary entries
+ * @param {string} text - File content
+ * @param {string} [format] - 'csv', 'tsv' or 'anki'; detected from the content if omitted
+ * @returns {{ format: string, words: Array, rejected: Array }} Entries with the
+ *   meanings of each headword merged, and { line, text, message } for rows
+ *   that could not be read
+ */
+function parseWordListImport(text, format) {
+  const content = String(text || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const resolvedFormat = IMPORT_FORMATS.includes(format) ? format : detectFormat(content);
+
+  const { rows, rejected } = resolvedFormat === 'anki'
+    ? readAnkiExport(content)
+    : readSpreadsheet(content, resolvedFormat === 'tsv' ? '\t' : ',');
+
+  // Merge rows of the same headword, keeping the order words first appear in
+  const entries = new Map();
+  rows.forEach(row => {
+    if (!row.word) {
+      rejected.push({ line: row.line, text: row.text, message: 'Missing word' });
+      return;
+    }
+    if (!row.meaning) {
+      rejected.push({ line: row.line, text: row.text, message: `Missing meaning for "${row.word}"` });
+      return;
+    }
+
+    const key = row.word.toLowerCase();
+    if (!entries.has(key)) {
+      entries.set(key, {
+        word: row.word,
+        syllable_breaks: row.syllable_breaks || row.word,
+        phonetic: row.phonetic,
+        explanation: []
+      });
+    }
+    const entry = entries.get(key);
+    entry.phonetic = entry.phonetic || row.phonetic;
+
+    // The same meaning on several rows only adds its examples
+    const existing = entry.explanation.find(item => item.pos === row.pos && item.meaning === row.meaning);
+    if (existing) {
+      existing.examples.push(...row.examples.filter(example => !existing.examples.includes(example)));
+    } else {
+      entry.explanation.push({ pos: row.pos, meaning: row.meaning, examples: row.examples });
+    }
+  });
+
+  return {
+    format: resolvedFormat,
+    words: [...entries.values()],
+    rejected: rejected.sort((a, b) => a.line - b.line)
+  };
+}
+
+module.exports = {
+  parseWordListImport,
+  IMPORT_FORMATS
+};
@@ -1,11 +1,23 @@
 const express = require('express');
 const path = require('path');
-const fs = require('fs').promises;
 const cors = require('cors');
 const NodeRSA = require('node-rsa');
 const crypto = require('crypto');
 // Load environment variables
 require('dotenv').config();
+const JsonStore = require('./lib/jsonStore');
+const { parseWordList } = require('./lib/vocabularySchema');
+const { parseWordListImport, IMPORT_FORMATS } = require('./lib/wordListImport');
+const { toCsv, toAnkiDeck, renderWorksheet, toFileName } = require('./lib/vocabularyExport');
+const VocabularyRepository = require('./lib/vocabularyRepository');
+const VocabularySearch = require('./lib/vocabularySearch');
+const { selectEntries, encryptPayload } = require('./lib/secureVocabulary');
+const { ERROR_CODES, sendError, createVocabularyRules, recordRules, validateRequest } = require('./lib/requestValidation');
+const { MemoryRateLimitStore, createRateLimiter } = require('./lib/rateLimiter');
+const SessionKeyStore = require('./lib/sessionKeys');
+const AudioLibrary = require('./lib/audioLibrary');
+const { matchesSecret, issueToken, matchesToken, readBearerToken } = require('./lib/profileAuth');
+const { attachGameRooms } = require('./lib/gameRooms');
 // Swagger documentation
 const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
@@ -60,11 +72,73 @@ if (process.env.RSA_PRIVATE_KEY) {
 // Export public key for client use
 const publicKeyPEM = process.env.RSA_PUBLIC_KEY || rsaKey.exportKey('public');
 
-// Enable CORS for all routes
-app.use(cors());
+// A number from .env, where 0 is a valid setting
+const envNumber = (name, fallback) => {
+  const value = process.env[name];
+  return value !== undefined && value !== '' && !Number.isNaN(Number(value)) ? Number(value) : fallback;
+};
+
+// Behind a proxy (Vercel) the client IP comes from X-Forwarded-For; TRUST_PROXY
+// is a hop count or any setting Express accepts
+const trustProxy = process.env.TRUST_PROXY || (isProduction ? '1' : '');
+if (trustProxy) {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
+// Origins allowed to call the API from other sites, comma-separated; when
+// unset only pages served from the API's own origin can call it.
+// Retry-After is exposed so the client can back off when it is rate limited.
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+if (corsOrigins.length === 0) {
+  console.warn('CORS_ORIGINS is not set: browsers on other origins cannot call the API.');
+}
+app.use(cors({
+  origin: corsOrigins.length > 0 ? corsOrigins : false,
+  exposedHeaders: ['Retry-After']
+}));
 
+// Secure vocabulary requests only carry an encrypted AES key
+app.use('/api/secure', express.json({ limit: process.env.SECURE_BODY_LIMIT || '4kb' }));
 // Middleware to parse JSON
-app.use(express.json());
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '1mb' }));
+
+// Each secure vocabulary request costs an RSA decryption, so clients are
+// limited per IP and per session (the X-Session-Id the client sends)
+const rateLimitStore = new MemoryRateLimitStore();
+const RATE_LIMIT_WINDOW_MS = envNumber('RATE_LIMIT_WINDOW_MS', 60 * 1000);
+const SESSION_ID_PATTERN = /^[\w-]{8,64}$/;
+
+const secureRateLimits = [
+  createRateLimiter({
+    name: 'ip',
+    windowMs: RATE_LIMIT_WINDOW_MS,
+    max: envNumber('RATE_LIMIT_PER_IP', 120),
+    keyFor: req => req.ip,
+    store: rateLimitStore
+  }),
+  createRateLimiter({
+    name: 'session',
+    windowMs: RATE_LIMIT_WINDOW_MS,
+    max: envNumber('RATE_LIMIT_PER_SESSION', 60),
+    keyFor: req => {
+      const sessionId = req.get('X-Session-Id');
+      return sessionId && SESSION_ID_PATTERN.test(sessionId) ? sessionId : null;
+    },
+    store: rateLimitStore
+  })
+];
+
+// Textbook units, loaded once and served from memory
+const vocabularyRepository = new VocabularyRepository(path.join(__dirname, 'vocabulary_json_array'));
+vocabularyRepository.load()
+  .then(async () => console.log(`Vocabulary loaded: ${await vocabularyRepository.countWords()} words`))
+  .catch(error => console.error('Error loading vocabulary:', error));
+
+// Volume name of custom word lists in export links; their unit is the list id
+const CUSTOM_LIST_VOLUME = 'custom';
+
+// Route parameters are checked against the units actually loaded
+const vocabularyRules = createVocabularyRules(vocabularyRepository, { customVolume: CUSTOM_LIST_VOLUME });
 
 /**
  * @swagger
@@ -88,6 +162,82 @@ app.get('/api/publicKey', (req, res) => {
   res.json({ publicKey: publicKeyPEM });
 });
 
+// AES keys agreed over ECDH, so a client does one handshake per session
+// instead of an RSA decryption per request
+const sessionKeys = new SessionKeyStore({
+  ttlMs: envNumber('SESSION_TTL_MS', 30 * 60 * 1000),
+  maxSessions: envNumber('MAX_SESSIONS', 10000)
+});
+
+// Uncompressed P-256 public keys: 65 bytes, 88 characters of base64
+const EC_PUBLIC_KEY_PATTERN = /^[A-Za-z0-9+/]{87}=$/;
+
+/**
+ * @swagger
+ * /api/session:
+ *   post:
+ *     summary: Start a session with an ECDH key exchange
+ *     description: >
+ *       The client sends its P-256 public key and gets the server's. Both
+ *       derive the session's AES-256 key with HKDF-SHA256 (salt: the session
+ *       id, info: "wordmatch-session-key") from the ECDH secret. Secure
+ *       vocabulary requests then name the session instead of sending an
+ *       RSA-encrypted key. Start a new session before this one expires.
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - publicKey
+ *             properties:
+ *               publicKey:
+ *                 type: string
+ *                 description: Client's uncompressed P-256 public key (65 bytes), base64
+ *     responses:
+ *       201:
+ *         description: Session started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sessionId:
+ *                   type: string
+ *                 publicKey:
+ *                   type: string
+ *                   description: Server's uncompressed P-256 public key, base64
+ *                 expiresAt:
+ *                   type: integer
+ *                   description: Expiry of the session, in milliseconds since the epoch
+ *                 expiresIn:
+ *                   type: integer
+ *                   description: Milliseconds until the session expires
+ *       400:
+ *         description: Missing or invalid public key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RequestError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimited'
+ */
+app.post('/api/session', secureRateLimits, (req, res) => {
+  const { publicKey } = req.body || {};
+  if (typeof publicKey !== 'string' || !EC_PUBLIC_KEY_PATTERN.test(publicKey)) {
+    return sendError(res, 400, ERROR_CODES.INVALID_KEY, 'publicKey must be an uncompressed P-256 public key in base64', 'publicKey');
+  }
+
+  try {
+    res.status(201).json(sessionKeys.create(publicKey));
+  } catch (error) {
+    sendError(res, 400, ERROR_CODES.INVALID_KEY, 'publicKey is not a valid P-256 public key', 'publicKey');
+  }
+});
+
 /**
  * @swagger
  * /api/units:
@@ -117,43 +267,193 @@ app.get('/api/publicKey', (req, res) => {
  */
 app.get('/api/units', async (req, res) => {
   try {
-    const directoryPath = path.join(__dirname, 'vocabulary_json_array');
-    const files = await fs.readdir(directoryPath);
-    
-    // Extract volumes and units from filenames
-    const volumesAndUnits = {};
-    
-    files.forEach(file => {
-      if (file.endsWith('.json')) {
-        const match = file.match(/Volume(\d+)_(?:(Unit)_(\d+)|Welcome_Unit)\.json/);
-        
-        if (match) {
-          const volume = match[1];
-          const isWelcome = !match[2];
-          const unit = isWelcome ? "welcome" : match[3];
-          
-          if (!volumesAndUnits[volume]) {
-            volumesAndUnits[volume] = [];
-          }
-          
-          volumesAndUnits[volume].push(unit);
-        }
-      }
-    });
-    
-    res.json(volumesAndUnits);
+    res.json(await vocabularyRepository.listUnits());
   } catch (error) {
-    console.error('Error reading directory:', error);
+    console.error('Error listing units:', error);
     res.status(500).json({ error: 'Failed to get volumes and units' });
   }
 });
 
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     VocabularyOffset:
+ *       in: query
+ *       name: offset
+ *       description: Skip this many words (paging, in unit order)
+ *       schema:
+ *         type: integer
+ *         minimum: 0
+ *     VocabularyLimit:
+ *       in: query
+ *       name: limit
+ *       description: Return at most this many words (paging)
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *     VocabularyWords:
+ *       in: query
+ *       name: words
+ *       description: Comma-separated headwords to return, in this order; others are left out
+ *       schema:
+ *         type: string
+ *         example: volunteer,lecture
+ *     VocabularyExclude:
+ *       in: query
+ *       name: exclude
+ *       description: Comma-separated headwords to leave out, e.g. the words of recent sessions
+ *       schema:
+ *         type: string
+ *     SessionId:
+ *       in: header
+ *       name: X-Session-Id
+ *       description: Random id of the client's session (8-64 letters, digits, _ or -), rate limited on its own
+ *       schema:
+ *         type: string
+ *   responses:
+ *     RateLimited:
+ *       description: Too many requests from this IP or session
+ *       headers:
+ *         Retry-After:
+ *           description: Seconds to wait before trying again
+ *           schema:
+ *             type: integer
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RequestError'
+ *   schemas:
+ *     SecureVocabularyRequest:
+ *       type: object
+ *       description: Either a session id from /api/session, or (older clients) an RSA-encrypted AES key
+ *       properties:
+ *         sessionId:
+ *           type: string
+ *           description: Session from /api/session; the response is encrypted with its key
+ *         encryptedAesKey:
+ *           type: string
+ *           description: AES key encrypted with the server's RSA public key
+ *     EncryptedVocabulary:
+ *       type: object
+ *       properties:
+ *         encryptedData:
+ *           type: string
+ *           description: Vocabulary data encrypted with AES
+ *         iv:
+ *           type: string
+ *           description: Initialization vector for AES decryption
+ *         authTag:
+ *           type: string
+ *           description: Authentication tag for GCM mode
+ *         hash:
+ *           type: string
+ *           description: SHA-256 hash of the original data
+ *         total:
+ *           type: integer
+ *           description: Words that matched the word list and exclusions, before paging or the random pick
+ *     RequestError:
+ *       type: object
+ *       properties:
+ *         error:
+ *           type: object
+ *           properties:
+ *             code:
+ *               type: string
+ *               enum: [INVALID_PARAMETER, NOT_FOUND, MISSING_KEY, INVALID_KEY, SESSION_EXPIRED, PAYLOAD_TOO_LARGE, RATE_LIMITED, SERVER_ERROR]
+ *             message:
+ *               type: string
+ *             field:
+ *               type: string
+ *               description: Parameter at fault, e.g. "unit" or "count"
+ */
+
+// Secure vocabulary requests run through the same steps: check the route,
+// find the client's AES key, find the unit, pick the requested words and
+// encrypt them
+
+const SECURE_VOCABULARY_SCHEMA = {
+  params: { volume: vocabularyRules.volume, unit: vocabularyRules.unit },
+  query: {
+    offset: vocabularyRules.offset,
+    limit: vocabularyRules.limit,
+    words: vocabularyRules.words,
+    exclude: vocabularyRules.exclude
+  }
+};
+
+const SECURE_VOCABULARY_COUNT_SCHEMA = {
+  params: { volume: vocabularyRules.volume, unit: vocabularyRules.unit, count: vocabularyRules.count },
+  query: { words: vocabularyRules.words, exclude: vocabularyRules.exclude }
+};
+
+// Find the AES key of the request: the key of its session, or one the client
+// encrypted with our RSA public key (clients from before sessions)
+function resolveAesKey(req, res, next) {
+  const { sessionId, encryptedAesKey } = req.body || {};
+  if (sessionId) {
+    req.aesKey = sessionKeys.getKey(String(sessionId));
+    if (!req.aesKey) {
+      return sendError(res, 401, ERROR_CODES.SESSION_EXPIRED, 'Session expired or unknown, start a new one', 'sessionId');
+    }
+    return next();
+  }
+  if (!encryptedAesKey) {
+    return sendError(res, 400, ERROR_CODES.MISSING_KEY, 'Missing session id or encrypted AES key', 'sessionId');
+  }
+
+  try {
+    req.aesKey = rsaKey.decrypt(encryptedAesKey, 'utf8');
+    next();
+  } catch (error) {
+    console.error('Error decrypting AES key:', error);
+    sendError(res, 400, ERROR_CODES.INVALID_KEY, 'Invalid encrypted AES key', 'encryptedAesKey');
+  }
+}
+
+async function resolveUnit(req, res, next) {
+  const { volume, unit } = req.params;
+  try {
+    req.vocabulary = await vocabularyRepository.getUnit(volume, unit);
+    if (!req.vocabulary) {
+      return sendError(res, 404, ERROR_CODES.NOT_FOUND, `Volume ${volume} Unit ${unit} not found`, 'unit');
+    }
+    next();
+  } catch (error) {
+    console.error('Error serving vocabulary:', error);
+    sendError(res, 500, ERROR_CODES.SERVER_ERROR, 'Failed to get vocabulary data');
+  }
+}
+
+// Apply paging, word lists, exclusions and the /count/:count random pick
+function selectPayload(req, res, next) {
+  const { offset, limit, words, exclude } = req.query;
+  req.payload = selectEntries(req.vocabulary, { offset, limit, words, exclude, count: req.params.count });
+  next();
+}
+
+function sendEncryptedPayload(req, res) {
+  try {
+    res.json({
+      ...encryptPayload(req.payload.entries, req.aesKey),
+      total: req.payload.total
+    });
+  } catch (error) {
+    console.error('Error encrypting vocabulary:', error);
+    sendError(res, 500, ERROR_CODES.SERVER_ERROR, 'Failed to get vocabulary data');
+  }
+}
+
+const secureVocabularyPipeline = [resolveAesKey, resolveUnit, selectPayload, sendEncryptedPayload];
+
 /**
  * @swagger
  * /api/secure/vocabulary/{volume}/{unit}:
  *   post:
  *     summary: Get vocabulary data for specific volume and unit
- *     description: Returns encrypted vocabulary data for a specific volume and unit
+ *     description: >
+ *       Returns encrypted vocabulary data for a specific volume and unit. The
+ *       words can be paged, limited to a list, or exclude words already seen.
  *     parameters:
  *       - in: path
  *         name: volume
@@ -167,114 +467,63 @@ app.get('/api/units', async (req, res) => {
  *         description: Unit number or 'welcome'
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/VocabularyOffset'
+ *       - $ref: '#/components/parameters/VocabularyLimit'
+ *       - $ref: '#/components/parameters/VocabularyWords'
+ *       - $ref: '#/components/parameters/VocabularyExclude'
+ *       - $ref: '#/components/parameters/SessionId'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - encryptedAesKey
- *             properties:
- *               encryptedAesKey:
- *                 type: string
- *                 description: AES key encrypted with the server's RSA public key
+ *             $ref: '#/components/schemas/SecureVocabularyRequest'
  *     responses:
  *       200:
  *         description: Encrypted vocabulary data returned successfully
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 encryptedData:
- *                   type: string
- *                   description: Vocabulary data encrypted with AES
- *                 iv:
- *                   type: string
- *                   description: Initialization vector for AES decryption
- *                 authTag:
- *                   type: string
- *                   description: Authentication tag for GCM mode
- *                 hash:
- *                   type: string
- *                   description: SHA-256 hash of the original data
+ *               $ref: '#/components/schemas/EncryptedVocabulary'
  *       400:
- *         description: Missing or invalid encrypted AES key
+ *         description: Missing key or session, invalid encrypted AES key, or invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RequestError'
+ *       401:
+ *         description: Session expired or unknown
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RequestError'
  *       404:
  *         description: Requested volume/unit not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RequestError'
+ *       413:
+ *         description: Request body too large
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RequestError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimited'
  *       500:
  *         description: Server error
  */
-app.post('/api/secure/vocabulary/:volume/:unit', async (req, res) => {
-  try {
-    const { volume, unit } = req.params;
-    const { encryptedAesKey } = req.body;
-    
-    if (!encryptedAesKey) {
-      return res.status(400).json({ error: 'Missing encrypted AES key' });
-    }
-    
-    // Decrypt the AES key using RSA private key
-    let aesKey;
-    try {
-      // Make sure we're handling the base64 encoding correctly
-      aesKey = rsaKey.decrypt(encryptedAesKey, 'utf8');
-      console.log('AES key successfully decrypted');
-    } catch (error) {
-      console.error('Error decrypting AES key:', error);
-      return res.status(400).json({ error: 'Invalid encrypted AES key' });
-    }
-    
-    const fileName = unit === 'welcome' 
-      ? `Volume${volume}_Welcome_Unit.json` 
-      : `Volume${volume}_Unit_${unit}.json`;
-    
-    const filePath = path.join(__dirname, 'vocabulary_json_array', fileName);
-    
-    try {
-      const data = await fs.readFile(filePath, 'utf8');
-      const vocabulary = JSON.parse(data);
-      
-      // Convert vocabulary data to string for encryption
-      const vocabularyString = JSON.stringify(vocabulary);
-      
-      // Encrypt the data with the AES key
-      const iv = crypto.randomBytes(16);
-      const cipher = crypto.createCipheriv('aes-256-gcm', Buffer.from(aesKey, 'hex'), iv);
-      let encrypted = cipher.update(vocabularyString, 'utf8', 'base64');
-      encrypted += cipher.final('base64');
-      const authTag = cipher.getAuthTag().toString('base64');
-      
-      // Create a hash of the original data for integrity verification
-      const hash = crypto.createHash('sha256').update(vocabularyString).digest('base64');
-      
-      // Return encrypted data to client
-      res.json({
-        encryptedData: encrypted,
-        iv: iv.toString('base64'),
-        authTag,
-        hash
-      });
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        res.status(404).json({ error: `Volume ${volume} Unit ${unit} not found` });
-      } else {
-        throw error;
-      }
-    }
-  } catch (error) {
-    console.error('Error reading vocabulary file:', error);
-    res.status(500).json({ error: 'Failed to get vocabulary data' });
-  }
-});
+app.post('/api/secure/vocabulary/:volume/:unit', secureRateLimits, validateRequest(SECURE_VOCABULARY_SCHEMA), secureVocabularyPipeline);
 
 /**
  * @swagger
  * /api/secure/vocabulary/{volume}/{unit}/count/{count}:
  *   post:
  *     summary: Get specific count of vocabulary data for volume and unit
- *     description: Returns encrypted vocabulary data with only the requested count of words
+ *     description: >
+ *       Returns encrypted vocabulary data with the requested count of words,
+ *       picked at random after applying the word list and exclusions
  *     parameters:
  *       - in: path
  *         name: volume
@@ -291,120 +540,1922 @@ app.post('/api/secure/vocabulary/:volume/:unit', async (req, res) => {
  *       - in: path
  *         name: count
  *         required: true
- *         description: Number of words to return
+ *         description: Number of words to return (at most the size of the unit)
  *         schema:
  *           type: integer
  *           minimum: 1
+ *       - $ref: '#/components/parameters/VocabularyWords'
+ *       - $ref: '#/components/parameters/VocabularyExclude'
+ *       - $ref: '#/components/parameters/SessionId'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - encryptedAesKey
- *             properties:
- *               encryptedAesKey:
- *                 type: string
- *                 description: AES key encrypted with the server's RSA public key
+ *             $ref: '#/components/schemas/SecureVocabularyRequest'
  *     responses:
  *       200:
  *         description: Encrypted vocabulary data returned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EncryptedVocabulary'
  *       400:
- *         description: Missing or invalid encrypted AES key
+ *         description: Missing key or session, invalid encrypted AES key, or invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RequestError'
+ *       401:
+ *         description: Session expired or unknown
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RequestError'
  *       404:
  *         description: Requested volume/unit not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RequestError'
+ *       413:
+ *         description: Request body too large
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RequestError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimited'
  *       500:
  *         description: Server error
  */
-app.post('/api/secure/vocabulary/:volume/:unit/count/:count', async (req, res) => {
-  try {
-    const { volume, unit, count } = req.params;
-    const wordCount = parseInt(count, 10);
-    
-    if (isNaN(wordCount) || wordCount < 1) {
-      return res.status(400).json({ error: 'Invalid count parameter' });
-    }
-    
-    const { encryptedAesKey } = req.body;
-    
-    if (!encryptedAesKey) {
-      return res.status(400).json({ error: 'Missing encrypted AES key' });
-    }
-    
-    // Decrypt the AES key using RSA private key
-    let aesKey;
-    try {
-      aesKey = rsaKey.decrypt(encryptedAesKey, 'utf8');
-      console.log('AES key successfully decrypted');
-    } catch (error) {
-      console.error('Error decrypting AES key:', error);
-      return res.status(400).json({ error: 'Invalid encrypted AES key' });
-    }
-    
-    const fileName = unit === 'welcome' 
-      ? `Volume${volume}_Welcome_Unit.json` 
-      : `Volume${volume}_Unit_${unit}.json`;
-    
-    const filePath = path.join(__dirname, 'vocabulary_json_array', fileName);
-    
+app.post('/api/secure/vocabulary/:volume/:unit/count/:count', secureRateLimits, validateRequest(SECURE_VOCABULARY_COUNT_SCHEMA), secureVocabularyPipeline);
+
+// File-backed store for learner profiles
+const profileStore = new JsonStore('profiles');
+
+// Routes naming a stored record check its id before looking it up
+const RECORD_SCHEMA = { params: { id: recordRules.id } };
+const CLASS_STUDENT_SCHEMA = { params: { id: recordRules.id, profileId: recordRules.profileId } };
+
+// Limits for profile payloads
+const MAX_PROFILE_NAME_LENGTH = 40;
+const MAX_PROFILE_HISTORY_ENTRIES = 200;
+
+// Code a school gives its teachers to create teacher profiles; without it no
+// teacher profiles can be created
+const TEACHER_CODE = process.env.TEACHER_CODE || '';
+
+/**
+ * Profile as sent to clients, without its token digest
+ * @param {Object} record - Stored profile
+ * @returns {Object} Profile without secrets
+ */
+function publicProfile(record) {
+  const { tokenHash, ...profile } = record;
+  return profile;
+}
+
+/**
+ * Build middleware that lets a request act for a profile only with the token
+ * issued when the profile was created (`Authorization: Bearer <token>`)
+ * The profile is put on `req.profile`.
+ * @param {Function} idOf - (req) => id of the profile the request acts for
+ * @param {string} field - Where the id comes from, for error messages
+ * @returns {Function} Express middleware
+ */
+function requireProfile(idOf, field) {
+  return async (req, res, next) => {
     try {
-      const data = await fs.readFile(filePath, 'utf8');
-      const allVocabulary = JSON.parse(data);
-      
-      // Randomly select only the requested number of words
-      const shuffledVocabulary = shuffleArray(allVocabulary);
-      const selectedVocabulary = shuffledVocabulary.slice(0, Math.min(wordCount, shuffledVocabulary.length));
-      
-      // Convert selected vocabulary data to string for encryption
-      const vocabularyString = JSON.stringify(selectedVocabulary);
-      
-      // Encrypt the data with the AES key
-      const iv = crypto.randomBytes(16);
-      const cipher = crypto.createCipheriv('aes-256-gcm', Buffer.from(aesKey, 'hex'), iv);
-      let encrypted = cipher.update(vocabularyString, 'utf8', 'base64');
-      encrypted += cipher.final('base64');
-      const authTag = cipher.getAuthTag().toString('base64');
-      
-      // Create a hash of the original data for integrity verification
-      const hash = crypto.createHash('sha256').update(vocabularyString).digest('base64');
-      
-      // Return encrypted data to client
-      res.json({
-        encryptedData: encrypted,
-        iv: iv.toString('base64'),
-        authTag,
-        hash
-      });
+      const token = readBearerToken(req);
+      if (!token) {
+        return sendError(res, 401, ERROR_CODES.UNAUTHORIZED, 'A profile token is required');
+      }
+      const id = idOf(req);
+      const profile = typeof id === 'string' ? await profileStore.get(id) : null;
+      if (!profile) {
+        return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Profile not found', field);
+      }
+      if (!matchesToken(token, profile.tokenHash)) {
+        return sendError(res, 403, ERROR_CODES.FORBIDDEN, 'The token is not the one of this profile', field);
+      }
+      req.profile = profile;
+      next();
     } catch (error) {
-      if (error.code === 'ENOENT') {
-        res.status(404).json({ error: `Volume ${volume} Unit ${unit} not found` });
-      } else {
-        throw error;
+      console.error('Error checking profile token:', error);
+      sendError(res, 500, ERROR_CODES.SERVER_ERROR, 'Failed to check the profile token');
+    }
+  };
+}
+
+// Routes under /api/profiles/:id act for that profile
+const requireOwnProfile = requireProfile(req => req.params.id, 'id');
+
+// Students joining a class or handing in homework act for the profileId in
+// the body, so a token only works for its own profile
+const requireBodyProfile = requireProfile(req => req.body && req.body.profileId, 'profileId');
+
+/**
+ * Validate and normalize a profile payload from the client
+ * The role is not part of it: the server sets it when the profile is created.
+ * @param {Object} body - Request body
+ * @returns {{ profile?: Object, error?: string }} Normalized profile fields or an error message
+ */
+function parseProfile(body) {
+  if (!body || typeof body !== 'object') {
+    return { error: 'Missing profile data' };
+  }
+
+  const { name, avatar, settings, history, createdAt, updatedAt } = body;
+
+  if (typeof name !== 'string' || name.trim() === '') {
+    return { error: 'Profile name is required' };
+  }
+  if (name.trim().length > MAX_PROFILE_NAME_LENGTH) {
+    return { error: `Profile name must be at most ${MAX_PROFILE_NAME_LENGTH} characters` };
+  }
+  if (avatar !== undefined && typeof avatar !== 'string') {
+    return { error: 'Profile avatar must be a string' };
+  }
+  if (settings !== undefined && (typeof settings !== 'object' || Array.isArray(settings) || settings === null)) {
+    return { error: 'Profile settings must be an object' };
+  }
+  if (history !== undefined && !Array.isArray(history)) {
+    return { error: 'Profile history must be an array' };
+  }
+
+  const now = Date.now();
+  return {
+    profile: {
+      name: name.trim(),
+      avatar: avatar || '',
+      settings: settings || {},
+      history: (history || []).slice(-MAX_PROFILE_HISTORY_ENTRIES),
+      createdAt: Number(createdAt) || now,
+      updatedAt: Number(updatedAt) || now
+    }
+  };
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Profile:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         avatar:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [student, teacher]
+ *           readOnly: true
+ *           description: Teachers can manage classes and homework. Set by the
+ *             server; clients cannot change it
+ *         settings:
+ *           type: object
+ *           description: Game settings chosen by the learner
+ *         history:
+ *           type: array
+ *           description: Results of finished games
+ *           items:
+ *             type: object
+ *         createdAt:
+ *           type: integer
+ *           description: Creation time in ms since epoch
+ *         updatedAt:
+ *           type: integer
+ *           description: Last modification time in ms since epoch
+ */
+
+/**
+ * @swagger
+ * /api/profiles:
+ *   post:
+ *     summary: Create a learner profile
+ *     description: >
+ *       Profiles are students unless the body carries the school's teacher
+ *       code (TEACHER_CODE). The new profile comes back once with its token;
+ *       reading, changing or deleting the profile, and the teacher routes for
+ *       a teacher, need it as a bearer token. Profiles made on a device while
+ *       offline keep their id by sending it as `id`.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Profile'
+ *               - type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                     description: Id the profile already has on the device (UUID)
+ *                   teacherCode:
+ *                     type: string
+ *                     description: The school's teacher code, to create a teacher profile
+ *     responses:
+ *       201:
+ *         description: Profile created, with its token
+ *       400:
+ *         description: Invalid profile data or id
+ *       403:
+ *         description: Wrong teacher code, or teacher profiles are disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RequestError'
+ *       409:
+ *         description: A profile with this id already exists
+ *       500:
+ *         description: Server error
+ */
+app.post('/api/profiles', async (req, res) => {
+  try {
+    const { profile, error } = parseProfile(req.body);
+    if (error) {
+      return sendError(res, 400, ERROR_CODES.INVALID_PARAMETER, error);
+    }
+
+    let id = crypto.randomUUID();
+    if (req.body.id !== undefined) {
+      const checked = await recordRules.id(req.body.id);
+      if (checked.error) {
+        return sendError(res, checked.status, checked.error.code, checked.error.message, 'id');
+      }
+      if (await profileStore.get(checked.value)) {
+        return sendError(res, 409, ERROR_CODES.CONFLICT, 'A profile with this id already exists', 'id');
       }
+      id = checked.value;
+    }
+
+    const teacherCode = req.body.teacherCode;
+    if (teacherCode !== undefined && !matchesSecret(teacherCode, TEACHER_CODE)) {
+      return sendError(res, 403, ERROR_CODES.FORBIDDEN,
+        TEACHER_CODE ? 'Wrong teacher code' : 'Teacher profiles are not enabled on this server', 'teacherCode');
     }
+    const role = teacherCode === undefined ? 'student' : 'teacher';
+    const { token, tokenHash } = issueToken();
+    const created = await profileStore.put(id, { id, ...profile, role, tokenHash });
+    res.status(201).json({ ...publicProfile(created), token });
   } catch (error) {
-    console.error('Error reading vocabulary file:', error);
-    res.status(500).json({ error: 'Failed to get vocabulary data' });
+    console.error('Error creating profile:', error);
+    sendError(res, 500, ERROR_CODES.SERVER_ERROR, 'Failed to create profile');
   }
 });
 
-// Helper function to shuffle array
-function shuffleArray(array) {
-  const newArray = [...array];
-  for (let i = newArray.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [newArray[i], newArray[j]] = [newArray[j], newArray[i]];
-  }
-  return newArray;
-}
+/**
+ * @swagger
+ * /api/profiles/{id}:
+ *   get:
+ *     summary: Get a learner profile
+ *     security:
+ *       - ProfileToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Profile returned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Profile'
+ *       404:
+ *         description: Profile not found
+ *       500:
+ *         description: Server error
+ *   put:
+ *     summary: Replace a learner profile
+ *     description: >
+ *       Replaces a profile created with POST /api/profiles. If the stored copy
+ *       has a newer updatedAt than the request, the update is rejected with
+ *       409 and the stored copy is returned so the client can keep it instead.
+ *     security:
+ *       - ProfileToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Profile'
+ *     responses:
+ *       200:
+ *         description: Profile stored
+ *       400:
+ *         description: Invalid profile data
+ *       409:
+ *         description: The stored profile is newer than the submitted one
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete a learner profile
+ *     security:
+ *       - ProfileToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Profile deleted
+ *       404:
+ *         description: Profile not found
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/profiles/:id', validateRequest(RECORD_SCHEMA), requireOwnProfile, async (req, res) => {
+  try {
+    res.json(publicProfile(req.profile));
+  } catch (error) {
+    console.error('Error reading profile:', error);
+    sendError(res, 500, ERROR_CODES.SERVER_ERROR, 'Failed to get profile');
+  }
+});
+
+app.put('/api/profiles/:id', validateRequest(RECORD_SCHEMA), requireOwnProfile, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { profile, error } = parseProfile(req.body);
+    if (error) {
+      return sendError(res, 400, ERROR_CODES.INVALID_PARAMETER, error);
+    }
+
+    const existing = req.profile;
+    if (existing.updatedAt > profile.updatedAt) {
+      return sendError(res, 409, ERROR_CODES.CONFLICT, 'Profile has newer changes on the server', null, { profile: publicProfile(existing) });
+    }
+
+    // The role and token stay with the profile; clients never see the token
+    // or change the role
+    const stored = await profileStore.put(id, {
+      id,
+      ...profile,
+      role: existing.role,
+      tokenHash: existing.tokenHash
+    });
+    res.json(publicProfile(stored));
+  } catch (error) {
+    console.error('Error saving profile:', error);
+    sendError(res, 500, ERROR_CODES.SERVER_ERROR, 'Failed to save profile');
+  }
+});
+
+app.delete('/api/profiles/:id', validateRequest(RECORD_SCHEMA), requireOwnProfile, async (req, res) => {
+  try {
+    await profileStore.remove(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting profile:', error);
+    sendError(res, 500, ERROR_CODES.SERVER_ERROR, 'Failed to delete profile');
+  }
+});
+
+// File-backed stores for classes, homework assignments and their submissions
+const classStore = new JsonStore('classes');
+const assignmentStore = new JsonStore('assignments');
+const submissionStore = new JsonStore('submissions');
+
+// Limits and allowed values for class and assignment payloads
+const MAX_CLASS_NAME_LENGTH = 60;
+const MAX_ASSIGNMENT_TITLE_LENGTH = 80;
+const MAX_MISSED_WORDS = 100;
+const WEAK_WORDS_PER_STUDENT = 5;
+const CLASS_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CLASS_CODE_LENGTH = 6;
+const ASSIGNMENT_DIFFICULTIES = ['easy', 'normal', 'hard'];
+const ASSIGNMENT_MODES = ['classic', 'reverse', 'dictation', 'cloze', 'matching'];
+
+/**
+ * Teacher routes act for the teacher profile named in the X-Profile-Id
+ * header, which must come with its token (`Authorization: Bearer <token>`)
+ */
+const requireTeacher = [
+  requireProfile(req => req.get('X-Profile-Id'), 'X-Profile-Id'),
+  (req, res, next) => {
+    if (req.profile.role !== 'teacher') {
+      return sendError(res, 403, ERROR_CODES.FORBIDDEN, 'Only teachers can do this', 'X-Profile-Id');
+    }
+    req.teacher = req.profile;
+    next();
+  }
+];
+
+/**
+ * Load a class owned by the requesting teacher, or send 404
+ * @returns {Promise<Object|null>} The class, or null if a response was sent
+ */
+async function getOwnClass(req, res, classId) {
+  const schoolClass = await classStore.get(classId);
+  if (!schoolClass || schoolClass.teacherId !== req.teacher.id) {
+    sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Class not found');
+    return null;
+  }
+  return schoolClass;
+}
+
+// Short code students type to join a class
+async function createClassCode() {
+  const classes = await classStore.list();
+  let code;
+  do {
+    code = Array.from({ length: CLASS_CODE_LENGTH }, () =>
+      CLASS_CODE_ALPHABET[crypto.randomInt(CLASS_CODE_ALPHABET.length)]).join('');
+  } while (classes.some(schoolClass => schoolClass.joinCode === code));
+  return code;
+}
+
+/**
+ * Validate and normalize an assignment payload from a teacher
+ * @param {Object} body - Request body
+ * @returns {{ assignment?: Object, error?: string }} Normalized assignment fields or an error message
+ */
+function parseAssignment(body) {
+  if (!body || typeof body !== 'object') {
+    return { error: 'Missing assignment data' };
+  }
+
+  const { title, volume, units, difficulty, mode, dueDate } = body;
+
+  if (typeof title !== 'string' || title.trim() === '') {
+    return { error: 'Assignment title is required' };
+  }
+  if (title.trim().length > MAX_ASSIGNMENT_TITLE_LENGTH) {
+    return { error: `Assignment title must be at most ${MAX_ASSIGNMENT_TITLE_LENGTH} characters` };
+  }
+  if (!/^\d+$/.test(String(volume))) {
+    return { error: 'Assignment volume must be a number' };
+  }
+  if (!Array.isArray(units) || units.length === 0 || units.some(unit => !/^(\d+|welcome)$/.test(String(unit)))) {
+    return { error: 'Assignment units must be a non-empty list of unit numbers or "welcome"' };
+  }
+  if (!ASSIGNMENT_DIFFICULTIES.includes(difficulty)) {
+    return { error: `Assignment difficulty must be one of ${ASSIGNMENT_DIFFICULTIES.join(', ')}` };
+  }
+  if (!ASSIGNMENT_MODES.includes(mode)) {
+    return { error: `Assignment mode must be one of ${ASSIGNMENT_MODES.join(', ')}` };
+  }
+  if (!Number.isFinite(Number(dueDate)) || Number(dueDate) <= 0) {
+    return { error: 'Assignment due date is required' };
+  }
+
+  return {
+    assignment: {
+      title: title.trim(),
+      volume: Number(volume),
+      units: units.map(String),
+      difficulty,
+      mode,
+      dueDate: Number(dueDate)
+    }
+  };
+}
+
+/**
+ * Validate a finished game posted for an assignment
+ * @param {Object} body - Request body
+ * @returns {{ submission?: Object, error?: string }} Normalized result or an error message
+ */
+function parseSubmission(body) {
+  if (!body || typeof body !== 'object') {
+    return { error: 'Missing result data' };
+  }
+
+  const { profileId, score, correctAnswers, totalAnswered, duration, missedWords } = body;
+
+  if (typeof profileId !== 'string' || profileId === '') {
+    return { error: 'profileId is required' };
+  }
+  for (const [field, value] of Object.entries({ score, correctAnswers, totalAnswered })) {
+    if (!Number.isInteger(value) || value < 0) {
+      return { error: `${field} must be a non-negative integer` };
+    }
+  }
+  if (correctAnswers > totalAnswered) {
+    return { error: 'correctAnswers cannot exceed totalAnswered' };
+  }
+  if (missedWords !== undefined && (!Array.isArray(missedWords) || missedWords.some(word => typeof word !== 'string'))) {
+    return { error: 'missedWords must be a list of words' };
+  }
+
+  return {
+    submission: {
+      profileId,
+      score,
+      correctAnswers,
+      totalAnswered,
+      accuracy: totalAnswered > 0 ? correctAnswers / totalAnswered : 0,
+      duration: Number.isFinite(Number(duration)) && Number(duration) > 0 ? Number(duration) : null,
+      missedWords: [...new Set(missedWords || [])].slice(0, MAX_MISSED_WORDS)
+    }
+  };
+}
+
+// Class as shown to its teacher, with the students' names
+async function describeClass(schoolClass) {
+  const students = await Promise.all(schoolClass.studentIds.map(async id => {
+    const profile = await profileStore.get(id);
+    return { id, name: profile ? profile.name : '?', avatar: profile ? profile.avatar : '' };
+  }));
+  const assignments = (await assignmentStore.list())
+    .filter(assignment => assignment.classId === schoolClass.id)
+    .sort((a, b) => a.dueDate - b.dueDate);
+  return { ...schoolClass, students, assignments };
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Class:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         teacherId:
+ *           type: string
+ *           description: Profile id of the teacher
+ *         joinCode:
+ *           type: string
+ *           description: Code students enter to join the class
+ *         studentIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *         createdAt:
+ *           type: integer
+ *     Assignment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         classId:
+ *           type: string
+ *         title:
+ *           type: string
+ *         volume:
+ *           type: integer
+ *         units:
+ *           type: array
+ *           items:
+ *             type: string
+ *         difficulty:
+ *           type: string
+ *           enum: [easy, normal, hard]
+ *         mode:
+ *           type: string
+ *           enum: [classic, reverse, dictation, cloze, matching]
+ *         dueDate:
+ *           type: integer
+ *           description: Due date in ms since epoch
+ *     Submission:
+ *       type: object
+ *       properties:
+ *         profileId:
+ *           type: string
+ *         score:
+ *           type: integer
+ *         correctAnswers:
+ *           type: integer
+ *         totalAnswered:
+ *           type: integer
+ *         duration:
+ *           type: integer
+ *           description: Time taken in ms
+ *         missedWords:
+ *           type: array
+ *           items:
+ *             type: string
+ *   parameters:
+ *     TeacherProfileId:
+ *       in: header
+ *       name: X-Profile-Id
+ *       required: true
+ *       description: Id of the teacher's profile
+ *       schema:
+ *         type: string
+ *   securitySchemes:
+ *     ProfileToken:
+ *       type: http
+ *       scheme: bearer
+ *       description: Token issued with the profile by POST /api/profiles
+ */
+
+/**
+ * @swagger
+ * /api/classes:
+ *   get:
+ *     summary: List the teacher's classes
+ *     security:
+ *       - ProfileToken: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/TeacherProfileId'
+ *     responses:
+ *       200:
+ *         description: Classes returned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Class'
+ *       403:
+ *         description: Not a teacher profile
+ *   post:
+ *     summary: Create a class
+ *     security:
+ *       - ProfileToken: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/TeacherProfileId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Class created, with its join code
+ *       400:
+ *         description: Invalid class name
+ *       403:
+ *         description: Not a teacher profile
+ */
+app.get('/api/classes', requireTeacher, async (req, res) => {
+  try {
+    const classes = (await classStore.list())
+      .filter(schoolClass => schoolClass.teacherId === req.teacher.id)
+      .sort((a, b) => a.createdAt - b.createdAt);
+    res.json(classes);
+  } catch (error) {
+    console.error('Error listing classes:', error);
+    sendError(res, 500, ERROR_CODES.SERVER_ERROR, 'Failed to list classes');
+  }
+});
+
+app.post('/api/classes', requireTeacher, async (req, res) => {
+  try {
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+    if (name === '' || name.length > MAX_CLASS_NAME_LENGTH) {
+      return sendError(res, 400, ERROR_CODES.INVALID_PARAMETER, `Class name must be 1 to ${MAX_CLASS_NAME_LENGTH} characters`);
+    }
+
+    const id = crypto.randomUUID();
+    const created = await classStore.put(id, {
+      id,
+      name,
+      teacherId: req.teacher.id,
+      joinCode: await createClassCode(),
+      studentIds: [],
+      createdAt: Date.now()
+    });
+    res.status(201).json(created);
+  } catch (error) {
+    console.error('Error creating class:', error);
+    sendError(res, 500, ERROR_CODES.SERVER_ERROR, 'Failed to create class');
+  }
+});
+
+/**
+ * @swagger
+ * /api/classes/join:
+ *   post:
+ *     summary: Join a class with its code
+ *     description: Used by students; adds the profile to the class with this join code
+ *     security:
+ *       - ProfileToken: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - profileId
+ *             properties:
+ *               code:
+ *                 type: string
+ *               profileId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Joined; returns the class id and name
+ *       401:
+ *         description: No profile token
+ *       403:
+ *         description: The token is not the one of profileId
+ *       404:
+ *         description: No class with this code, or unknown profile
+ */
+app.post('/api/classes/join', requireBodyProfile, async (req, res) => {
+  try {
+    const code = String(req.body.code || '').trim().toUpperCase();
+    const profileId = req.profile.id;
+
+    const schoolClass = (await classStore.list()).find(c => c.joinCode === code);
+    if (!schoolClass) {
+      return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'No class with this code');
+    }
+
+    if (!schoolClass.studentIds.includes(profileId)) {
+      schoolClass.studentIds.push(profileId);
+      await classStore.put(schoolClass.id, schoolClass);
+    }
+    res.json({ id: schoolClass.id, name: schoolClass.name });
+  } catch (error) {
+    console.error('Error joining class:', error);
+    sendError(res, 500, ERROR_CODES.SERVER_ERROR, 'Failed to join class');
+  }
+});
+
+/**
+ * @swagger
+ * /api/classes/{id}:
+ *   get:
+ *     summary: Get a class with its students and assignments
+ *     security:
+ *       - ProfileToken: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/TeacherProfileId'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Class returned successfully
+ *       404:
+ *         description: Class not found
+ *   delete:
+ *     summary: Delete a class with its assignments and results
+ *     security:
+ *       - ProfileToken: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/TeacherProfileId'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Class deleted
+ *       404:
+ *         description: Class not found
+ */
+app.get('/api/classes/:id', requireTeacher, validateRequest(RECORD_SCHEMA), async (req, res) => {
+  try {
+    const schoolClass = await getOwnClass(req, res, req.params.id);
+    if (!schoolClass) return;
+    res.json(await describeClass(schoolClass));
+  } catch (error) {
+    console.error('Error reading class:', error);
+    sendError(res, 500, ERROR_CODES.SERVER_ERROR, 'Failed to get class');
+  }
+});
+
+app.delete('/api/classes/:id', requireTeacher, validateRequest(RECORD_SCHEMA), async (req, res) => {
+  try {
+    const schoolClass = await getOwnClass(req, res, req.params.id);
+    if (!schoolClass) return;
+
+    const assignments = (await assignmentStore.list()).filter(a => a.classId === schoolClass.id);
+    const submissions = (await submissionStore.list()).filter(s => s.classId === schoolClass.id);
+    for (const submission of submissions) {
+      await submissionStore.remove(submission.id);
+    }
+    for (const assignment of assignments) {
+      await assignmentStore.remove(assignment.id);
+    }
+    await classStore.remove(schoolClass.id);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting class:', error);
+    sendError(res, 500, ERROR_CODES.SERVER_ERROR, 'Failed to delete class');
+  }
+});
+
+/**
+ * @swagger
+ * /api/classes/{id}/students:
+ *   post:
+ *     summary: Add a student profile to a class
+ *     security:
+ *       - ProfileToken: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/TeacherProfileId'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - profileId
+ *             properties:
+ *               profileId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Student added; returns the class
+ *       404:
+ *         description: Class or profile not found
+ * /api/classes/{id}/students/{profileId}:
+ *   delete:
+ *     summary: Remove a student from a class
+ *     security:
+ *       - ProfileToken: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/TeacherProfileId'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: profileId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Student removed; returns the class
+ *       404:
+ *         description: Class not found
+ */
+app.post('/api/classes/:id/students', requireTeacher, validateRequest(RECORD_SCHEMA), async (req, res) => {
+  try {
+    const schoolClass = await getOwnClass(req, res, req.params.id);
+    if (!schoolClass) return;
+
+    const profileId = String(req.body?.profileId || '');
+    if (!await profileStore.get(profileId)) {
+      return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Profile not found');
+    }
+    if (!schoolClass.studentIds.includes(profileId)) {
+      schoolClass.studentIds.push(profileId);
+      await classStore.put(schoolClass.id, schoolClass);
+    }
+    res.json(await describeClass(schoolClass));
+  } catch (error) {
+    console.error('Error adding student:', error);
+    sendError(res, 500, ERROR_CODES.SERVER_ERROR, 'Failed to add student');
+  }
+});
+
+app.delete('/api/classes/:id/students/:profileId', requireTeacher, validateRequest(CLASS_STUDENT_SCHEMA), async (req, res) => {
+  try {
+    const schoolClass = await getOwnClass(req, res, req.params.id);
+    if (!schoolClass) return;
+
+    schoolClass.studentIds = schoolClass.studentIds.filter(id => id !== req.params.profileId);
+    await classStore.put(schoolClass.id, schoolClass);
+    res.json(await describeClass(schoolClass));
+  } catch (error) {
+    console.error('Error removing student:', error);
+    sendError(res, 500, ERROR_CODES.SERVER_ERROR, 'Failed to remove student');
+  }
+});
+
+/**
+ * @swagger
+ * /api/classes/{id}/assignments:
+ *   post:
+ *     summary: Set homework for a class
+ *     security:
+ *       - ProfileToken: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/TeacherProfileId'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Assignment'
+ *     responses:
+ *       201:
+ *         description: Assignment created
+ *       400:
+ *         description: Invalid assignment data
+ *       404:
+ *         description: Class not found
+ * /api/assignments/{id}:
+ *   delete:
+ *     summary: Delete an assignment and its results
+ *     security:
+ *       - ProfileToken: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/TeacherProfileId'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Assignment deleted
+ *       404:
+ *         description: Assignment not found
+ */
+app.post('/api/classes/:id/assignments', requireTeacher, validateRequest(RECORD_SCHEMA), async (req, res) => {
+  try {
+    const schoolClass = await getOwnClass(req, res, req.params.id);
+    if (!schoolClass) return;
+
+    const { assignment, error } = parseAssignment(req.body);
+    if (error) {
+      return sendError(res, 400, ERROR_CODES.INVALID_PARAMETER, error);
+    }
+
+    const id = crypto.randomUUID();
+    const created = await assignmentStore.put(id, {
+      id,
+      classId: schoolClass.id,
+      ...assignment,
+      createdAt: Date.now()
+    });
+    res.status(201).json(created);
+  } catch (error) {
+    console.error('Error creating assignment:', error);
+    sendError(res, 500, ERROR_CODES.SERVER_ERROR, 'Failed to create assignment');
+  }
+});
+
+app.delete('/api/assignments/:id', requireTeacher, validateRequest(RECORD_SCHEMA), async (req, res) => {
+  try {
+    const assignment = await assignmentStore.get(req.params.id);
+    const schoolClass = assignment && await classStore.get(assignment.classId);
+    if (!schoolClass || schoolClass.teacherId !== req.teacher.id) {
+      return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Assignment not found');
+    }
+
+    const submissions = (await submissionStore.list()).filter(s => s.assignmentId === assignment.id);
+    for (const submission of submissions) {
+      await submissionStore.remove(submission.id);
+    }
+    await assignmentStore.remove(assignment.id);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting assignment:', error);
+    sendError(res, 500, ERROR_CODES.SERVER_ERROR, 'Failed to delete assignment');
+  }
+});
+
+/**
+ * @swagger
+ * /api/profiles/{id}/assignments:
+ *   get:
+ *     summary: List a student's homework
+ *     description: >
+ *       Returns the assignments of every class the student is in, with the
+ *       class name and the student's best result so far.
+ *     security:
+ *       - ProfileToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Assignments returned successfully
+ */
+app.get('/api/profiles/:id/assignments', validateRequest(RECORD_SCHEMA), requireOwnProfile, async (req, res) => {
+  try {
+    const profileId = req.params.id;
+    const classes = (await classStore.list()).filter(c => c.studentIds.includes(profileId));
+    const classNames = Object.fromEntries(classes.map(c => [c.id, c.name]));
+    const submissions = (await submissionStore.list()).filter(s => s.profileId === profileId);
+
+    const assignments = (await assignmentStore.list())
+      .filter(assignment => classNames[assignment.classId])
+      .map(assignment => {
+        const results = submissions.filter(s => s.assignmentId === assignment.id);
+        return {
+          ...assignment,
+          className: classNames[assignment.classId],
+          completed: results.length > 0,
+          bestAccuracy: results.length > 0 ? Math.max(...results.map(s => s.accuracy)) : null
+        };
+      })
+      .sort((a, b) => a.dueDate - b.dueDate);
+
+    res.json(assignments);
+  } catch (error) {
+    console.error('Error listing assignments:', error);
+    sendError(res, 500, ERROR_CODES.SERVER_ERROR, 'Failed to list assignments');
+  }
+});
+
+/**
+ * @swagger
+ * /api/assignments/{id}/submissions:
+ *   post:
+ *     summary: Hand in a finished homework game
+ *     description: Needs the token of the profile named as profileId in the body
+ *     security:
+ *       - ProfileToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Submission'
+ *     responses:
+ *       201:
+ *         description: Result stored
+ *       400:
+ *         description: Invalid result data
+ *       401:
+ *         description: No profile token
+ *       403:
+ *         description: The token is not the one of profileId, or the student is not in the assignment's class
+ *       404:
+ *         description: Assignment or profile not found
+ */
+app.post('/api/assignments/:id/submissions', validateRequest(RECORD_SCHEMA), requireBodyProfile, async (req, res) => {
+  try {
+    const assignment = await assignmentStore.get(req.params.id);
+    if (!assignment) {
+      return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Assignment not found');
+    }
+
+    const { submission, error } = parseSubmission(req.body);
+    if (error) {
+      return sendError(res, 400, ERROR_CODES.INVALID_PARAMETER, error);
+    }
+
+    const schoolClass = await classStore.get(assignment.classId);
+    if (!schoolClass || !schoolClass.studentIds.includes(submission.profileId)) {
+      return sendError(res, 403, ERROR_CODES.FORBIDDEN, 'Student is not in this class');
+    }
+
+    const id = crypto.randomUUID();
+    const created = await submissionStore.put(id, {
+      id,
+      assignmentId: assignment.id,
+      classId: assignment.classId,
+      ...submission,
+      submittedAt: Date.now()
+    });
+    res.status(201).json(created);
+  } catch (error) {
+    console.error('Error saving submission:', error);
+    sendError(res, 500, ERROR_CODES.SERVER_ERROR, 'Failed to save result');
+  }
+});
+
+/**
+ * @swagger
+ * /api/classes/{id}/report:
+ *   get:
+ *     summary: Homework report of a class
+ *     description: >
+ *       For every student: which assignments are done, their best accuracy and
+ *       time per assignment, and the words they missed most often.
+ *     security:
+ *       - ProfileToken: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/TeacherProfileId'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Report returned successfully
+ *       404:
+ *         description: Class not found
+ */
+app.get('/api/classes/:id/report', requireTeacher, validateRequest(RECORD_SCHEMA), async (req, res) => {
+  try {
+    const schoolClass = await getOwnClass(req, res, req.params.id);
+    if (!schoolClass) return;
+
+    const { students, assignments } = await describeClass(schoolClass);
+    const submissions = (await submissionStore.list()).filter(s => s.classId === schoolClass.id);
+
+    const report = students.map(student => {
+      const own = submissions.filter(s => s.profileId === student.id);
+
+      // Best attempt per assignment
+      const results = {};
+      assignments.forEach(assignment => {
+        const attempts = own.filter(s => s.assignmentId === assignment.id);
+        if (attempts.length === 0) return;
+        const best = attempts.reduce((a, b) => (b.accuracy > a.accuracy ? b : a));
+        results[assignment.id] = {
+          attempts: attempts.length,
+          accuracy: best.accuracy,
+          duration: best.duration,
+          submittedAt: best.submittedAt
+        };
+      });
+
+      // Words missed across every attempt, most often missed first
+      const missedCounts = {};
+      own.forEach(s => s.missedWords.forEach(word => {
+        missedCounts[word] = (missedCounts[word] || 0) + 1;
+      }));
+      const weakWords = Object.entries(missedCounts)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, WEAK_WORDS_PER_STUDENT)
+        .map(([word, count]) => ({ word, count }));
+
+      const completed = Object.values(results);
+      return {
+        ...student,
+        completed: completed.length,
+        accuracy: completed.length > 0
+          ? completed.reduce((sum, r) => sum + r.accuracy, 0) / completed.length
+          : null,
+        results,
+        weakWords
+      };
+    });
+
+    res.json({ class: { id: schoolClass.id, name: schoolClass.name }, assignments, students: report });
+  } catch (error) {
+    console.error('Error building class report:', error);
+    sendError(res, 500, ERROR_CODES.SERVER_ERROR, 'Failed to build class report');
+  }
+});
+
+// File-backed store for custom word lists written by teachers
+const wordListStore = new JsonStore('wordLists');
+
+/**
+ * Load a word list owned by the requesting teacher, or send 404
+ * @returns {Promise<Object|null>} The word list, or null if a response was sent
+ */
+async function getOwnWordList(req, res, listId) {
+  const list = await wordListStore.get(listId);
+  if (!list || list.ownerId !== req.teacher.id) {
+    sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Word list not found');
+    return null;
+  }
+  return list;
+}
+
+// List entry without the words, for menus
+function summarizeWordList(list) {
+  const { words, ...summary } = list;
+  return { ...summary, wordCount: words.length };
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     VocabularyEntry:
+ *       type: object
+ *       description: A word in the same format as the built-in unit files
+ *       required:
+ *         - word
+ *         - explanation
+ *       properties:
+ *         word:
+ *           type: string
+ *         syllable_breaks:
+ *           type: string
+ *           description: The word with · between syllables, e.g. vol·un·teer (defaults to the word)
+ *         phonetic:
+ *           type: string
+ *         explanation:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required:
+ *               - pos
+ *               - meaning
+ *             properties:
+ *               pos:
+ *                 type: string
+ *               meaning:
+ *                 type: string
+ *               examples:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     WordList:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         title:
+ *           type: string
+ *         ownerId:
+ *           type: string
+ *           description: Teacher profile that wrote the list
+ *         ownerName:
+ *           type: string
+ *         words:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/VocabularyEntry'
+ *         createdAt:
+ *           type: integer
+ *         updatedAt:
+ *           type: integer
+ *     WordListInput:
+ *       type: object
+ *       required:
+ *         - title
+ *         - words
+ *       properties:
+ *         title:
+ *           type: string
+ *         words:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/VocabularyEntry'
+ *     ValidationErrors:
+ *       type: object
+ *       properties:
+ *         error:
+ *           type: string
+ *         fields:
+ *           type: array
+ *           description: One entry per invalid field
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *                 description: Path of the field, e.g. words[2].explanation[0].meaning
+ *               message:
+ *                 type: string
+ */
+
+/**
+ * @swagger
+ * /api/wordlists:
+ *   get:
+ *     summary: List custom word lists
+ *     description: Returns every custom word list without its words, so they can be offered next to the textbook units
+ *     responses:
+ *       200:
+ *         description: Word lists returned successfully
+ *   post:
+ *     summary: Create a custom word list
+ *     security:
+ *       - ProfileToken: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/TeacherProfileId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WordListInput'
+ *     responses:
+ *       201:
+ *         description: Word list created
+ *       400:
+ *         description: Invalid word list; every invalid field is listed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationErrors'
+ *       403:
+ *         description: Not a teacher profile
+ */
+app.get('/api/wordlists', async (req, res) => {
+  try {
+    const lists = (await wordListStore.list())
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(summarizeWordList);
+    res.json(lists);
+  } catch (error) {
+    console.error('Error listing word lists:', error);
+    sendError(res, 500, ERROR_CODES.SERVER_ERROR, 'Failed to list word lists');
+  }
+});
+
+app.post('/api/wordlists', requireTeacher, async (req, res) => {
+  try {
+    const { list, errors } = parseWordList(req.body);
+    if (errors) {
+      return sendError(res, 400, ERROR_CODES.INVALID_PARAMETER, 'Invalid word list', null, { fields: errors });
+    }
+
+    const id = crypto.randomUUID();
+    const now = Date.now();
+    const created = await wordListStore.put(id, {
+      id,
+      ...list,
+      ownerId: req.teacher.id,
+      ownerName: req.teacher.name,
+      createdAt: now,
+      updatedAt: now
+    });
+    res.status(201).json(created);
+  } catch (error) {
+    console.error('Error creating word list:', error);
+    sendError(res, 500, ERROR_CODES.SERVER_ERROR, 'Failed to create word list');
+  }
+});
+
+// Largest spreadsheet or deck accepted by the import preview
+const MAX_IMPORT_SIZE = '1mb';
+
+/**
+ * @swagger
+ * /api/wordlists/import:
+ *   post:
+ *     summary: Preview a word list imported from CSV, TSV or an Anki export
+ *     description: >
+ *       Parses the file into vocabulary entries without saving anything. CSV
+ *       and TSV rows are word, pos, meaning, example (or named by a header
+ *       row); Anki plain-text exports have the word on the front and the
+ *       meaning on the back. Meanings of the same headword are merged. Save
+ *       the result with POST /api/wordlists.
+ *     security:
+ *       - ProfileToken: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/TeacherProfileId'
+ *       - in: query
+ *         name: format
+ *         description: csv, tsv or anki; detected from the content if omitted
+ *         schema:
+ *           type: string
+ *           enum: [csv, tsv, anki]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/plain:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       200:
+ *         description: Parsed words and the rows that could not be read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 format:
+ *                   type: string
+ *                 words:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/VocabularyEntry'
+ *                 rejected:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       line:
+ *                         type: integer
+ *                       text:
+ *                         type: string
+ *                       message:
+ *                         type: string
+ *       400:
+ *         description: Missing file content or unknown format
+ *       403:
+ *         description: Not a teacher profile
+ */
+app.post('/api/wordlists/import', requireTeacher, express.text({ type: 'text/*', limit: MAX_IMPORT_SIZE }), (req, res) => {
+  try {
+    const { format } = req.query;
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+      return sendError(res, 400, ERROR_CODES.INVALID_PARAMETER, 'Send the file content as text');
+    }
+    if (format !== undefined && !IMPORT_FORMATS.includes(format)) {
+      return sendError(res, 400, ERROR_CODES.INVALID_PARAMETER, `Format must be one of ${IMPORT_FORMATS.join(', ')}`);
+    }
+
+    res.json(parseWordListImport(req.body, format));
+  } catch (error) {
+    console.error('Error importing word list:', error);
+    sendError(res, 500, ERROR_CODES.SERVER_ERROR, 'Failed to import word list');
+  }
+});
+
+/**
+ * @swagger
+ * /api/wordlists/{id}:
+ *   get:
+ *     summary: Get a custom word list with its words
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Word list returned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WordList'
+ *       404:
+ *         description: Word list not found
+ *   put:
+ *     summary: Replace the title and words of a custom word list
+ *     description: Only the teacher who wrote the list can change it
+ *     security:
+ *       - ProfileToken: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/TeacherProfileId'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WordListInput'
+ *     responses:
+ *       200:
+ *         description: Word list updated
+ *       400:
+ *         description: Invalid word list; every invalid field is listed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationErrors'
+ *       403:
+ *         description: Not a teacher profile
+ *       404:
+ *         description: Word list not found
+ *   delete:
+ *     summary: Delete a custom word list
+ *     security:
+ *       - ProfileToken: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/TeacherProfileId'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Word list deleted
+ *       403:
+ *         description: Not a teacher profile
+ *       404:
+ *         description: Word list not found
+ */
+app.get('/api/wordlists/:id', validateRequest(RECORD_SCHEMA), async (req, res) => {
+  try {
+    const list = await wordListStore.get(req.params.id);
+    if (!list) {
+      return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Word list not found');
+    }
+    res.json(list);
+  } catch (error) {
+    console.error('Error reading word list:', error);
+    sendError(res, 500, ERROR_CODES.SERVER_ERROR, 'Failed to get word list');
+  }
+});
+
+app.put('/api/wordlists/:id', requireTeacher, validateRequest(RECORD_SCHEMA), async (req, res) => {
+  try {
+    const existing = await getOwnWordList(req, res, req.params.id);
+    if (!existing) return;
+
+    const { list, errors } = parseWordList(req.body);
+    if (errors) {
+      return sendError(res, 400, ERROR_CODES.INVALID_PARAMETER, 'Invalid word list', null, { fields: errors });
+    }
+
+    const updated = await wordListStore.put(existing.id, {
+      ...existing,
+      ...list,
+      ownerName: req.teacher.name,
+      updatedAt: Date.now()
+    });
+    res.json(updated);
+  } catch (error) {
+    console.error('Error updating word list:', error);
+    sendError(res, 500, ERROR_CODES.SERVER_ERROR, 'Failed to update word list');
+  }
+});
+
+app.delete('/api/wordlists/:id', requireTeacher, validateRequest(RECORD_SCHEMA), async (req, res) => {
+  try {
+    const list = await getOwnWordList(req, res, req.params.id);
+    if (!list) return;
+
+    await wordListStore.remove(list.id);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting word list:', error);
+    sendError(res, 500, ERROR_CODES.SERVER_ERROR, 'Failed to delete word list');
+  }
+});
+
+const EXPORT_SCHEMA = {
+  params: { volume: vocabularyRules.volumeOrCustom, unit: vocabularyRules.unit }
+};
+
+/**
+ * Load the words of a textbook unit or a custom word list
+ * @param {string} volume - Volume number, or "custom" for a word list
+ * @param {string} unit - Unit number, "welcome", or the word list id
+ * @returns {Promise<{ title: string, entries: Array }|null>} null if there is no such unit
+ */
+async function loadVocabularySource(volume, unit) {
+  if (volume === CUSTOM_LIST_VOLUME) {
+    const list = await wordListStore.get(unit);
+    return list ? { title: list.title, entries: list.words } : null;
+  }
+  const entries = await vocabularyRepository.getUnit(volume, unit);
+  return entries
+    ? { title: `Volume ${volume} ${unit === 'welcome' ? 'Welcome Unit' : `Unit ${unit}`}`, entries }
+    : null;
+}
+
+/**
+ * @swagger
+ * /api/export/{volume}/{unit}/anki:
+ *   get:
+ *     summary: Download a unit or custom word list as an Anki deck
+ *     description: >
+ *       Plain-text notes for Anki's File > Import. The front has the word and
+ *       its phonetic; the back has each part of speech and meaning with its
+ *       examples.
+ *     parameters:
+ *       - in: path
+ *         name: volume
+ *         required: true
+ *         description: Volume number, or "custom" for a custom word list
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: unit
+ *         required: true
+ *         description: Unit number, 'welcome', or the word list id
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Deck file
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Malformed volume, unit or word list id
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RequestError'
+ *       404:
+ *         description: Unit or word list not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RequestError'
+ */
+app.get('/api/export/:volume/:unit/anki', validateRequest(EXPORT_SCHEMA), async (req, res) => {
+  try {
+    const source = await loadVocabularySource(req.params.volume, req.params.unit);
+    if (!source) {
+      return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Word list not found', 'unit');
+    }
+
+    res.attachment(toFileName(source.title, `${req.params.volume}-${req.params.unit}`, 'txt'));
+    res.type('text/plain; charset=utf-8').send(toAnkiDeck(source.entries, `WordMatch::${source.title}`));
+  } catch (error) {
+    console.error('Error exporting Anki deck:', error);
+    sendError(res, 500, ERROR_CODES.SERVER_ERROR, 'Failed to export Anki deck');
+  }
+});
+
+/**
+ * @swagger
+ * /api/export/{volume}/{unit}/worksheet:
+ *   get:
+ *     summary: Printable worksheet of a unit or custom word list
+ *     description: >
+ *       An HTML page with the word list, Chinese-to-English and
+ *       fill-in-the-blank exercises and an answer key, laid out for printing
+ *       or saving as a PDF from the browser.
+ *     parameters:
+ *       - in: path
+ *         name: volume
+ *         required: true
+ *         description: Volume number, or "custom" for a custom word list
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: unit
+ *         required: true
+ *         description: Unit number, 'welcome', or the word list id
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Worksheet page
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Malformed volume, unit or word list id
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RequestError'
+ *       404:
+ *         description: Unit or word list not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RequestError'
+ */
+app.get('/api/export/:volume/:unit/worksheet', validateRequest(EXPORT_SCHEMA), async (req, res) => {
+  try {
+    const source = await loadVocabularySource(req.params.volume, req.params.unit);
+    if (!source) {
+      return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Word list not found', 'unit');
+    }
+
+    res.type('html').send(renderWorksheet(source.title, source.entries));
+  } catch (error) {
+    console.error('Error rendering worksheet:', error);
+    sendError(res, 500, ERROR_CODES.SERVER_ERROR, 'Failed to render worksheet');
+  }
+});
+
+/**
+ * @swagger
+ * /api/profiles/{id}/export/history:
+ *   get:
+ *     summary: Download a learner's game history as CSV
+ *     security:
+ *       - ProfileToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: One row per finished game
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: No profile token
+ *       403:
+ *         description: Wrong profile token
+ *       404:
+ *         description: Profile not found
+ */
+app.get('/api/profiles/:id/export/history', validateRequest(RECORD_SCHEMA), requireOwnProfile, async (req, res) => {
+  try {
+    const profile = req.profile;
+    const rows = profile.history.map(game => [
+      game.timestamp ? new Date(game.timestamp).toISOString() : '',
+      game.label || (game.volume ? `V${game.volume} ${(game.units || []).join('/')}` : ''),
+      game.mode || '',
+      game.difficulty || '',
+      game.timed ? 'yes' : 'no',
+      game.score,
+      game.correctAnswers,
+      game.totalAnswered,
+      game.totalAnswered > 0 ? `${Math.round((game.correctAnswers / game.totalAnswered) * 100)}%` : '',
+      game.duration ? Math.round(game.duration / 1000) : ''
+    ]);
+
+    res.attachment(toFileName(`${profile.name} history`, `${profile.id} history`, 'csv'));
+    res.type('text/csv; charset=utf-8').send(toCsv(
+      ['Date', 'Level', 'Mode', 'Difficulty', 'Timed', 'Score', 'Correct', 'Answered', 'Accuracy', 'Duration (s)'],
+      rows
+    ));
+  } catch (error) {
+    console.error('Error exporting history:', error);
+    sendError(res, 500, ERROR_CODES.SERVER_ERROR, 'Failed to export history');
+  }
+});
+
+// Search index of every vocabulary unit, built at startup
+const vocabularySearch = new VocabularySearch(vocabularyRepository);
+vocabularySearch.load().catch(error => {
+  console.error('Error building search index:', error);
+});
+
+/**
+ * @swagger
+ * /api/search:
+ *   get:
+ *     summary: Search the vocabulary of all volumes
+ *     description: >
+ *       Matches English headwords exactly, by prefix or with a few typos,
+ *       Chinese meanings, and example sentences. Each word is returned once
+ *       with every volume and unit it appears in.
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         description: English word or prefix, Chinese meaning, or words from an example
+ *         schema:
+ *           type: string
+ *           maxLength: 50
+ *       - in: query
+ *         name: limit
+ *         description: Maximum number of results (1-50, default 20)
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Matching words, best match first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 query:
+ *                   type: string
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/VocabularyEntry'
+ *                       - type: object
+ *                         properties:
+ *                           locations:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 volume:
+ *                                   type: string
+ *                                 unit:
+ *                                   type: string
+ *                           matchedIn:
+ *                             type: string
+ *                             enum: [word, meaning, example]
+ *                           example:
+ *                             type: string
+ *                             description: The example sentence that matched
+ *       400:
+ *         description: Missing or too long query
+ */
+app.get('/api/search', async (req, res) => {
+  try {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!query) {
+      return sendError(res, 400, ERROR_CODES.INVALID_PARAMETER, 'Search query is required');
+    }
+    if (query.length > 50) {
+      return sendError(res, 400, ERROR_CODES.INVALID_PARAMETER, 'Search query is too long');
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+    const results = await vocabularySearch.search(query, limit);
+    res.json({ query, results });
+  } catch (error) {
+    console.error('Error searching vocabulary:', error);
+    sendError(res, 500, ERROR_CODES.SERVER_ERROR, 'Failed to search vocabulary');
+  }
+});
+
+// Pre-recorded pronunciations, one <word>.mp3 or <word>.ogg per headword
+const audioLibrary = new AudioLibrary(process.env.AUDIO_DIR || path.join(__dirname, 'audio'));
+
+const AUDIO_SCHEMA = {
+  params: { word: vocabularyRules.headword }
+};
+
+/**
+ * @swagger
+ * /api/audio/{word}:
+ *   get:
+ *     summary: Recorded pronunciation of a headword
+ *     description: >
+ *       Served from the audio folder (AUDIO_DIR), where each recording is
+ *       named after its headword in lower case with spaces as underscores,
+ *       e.g. ice_cream.mp3. MP3 is preferred over OGG when both exist.
+ *       Clients fall back to speech synthesis on 404.
+ *     parameters:
+ *       - in: path
+ *         name: word
+ *         required: true
+ *         description: Headword or short phrase
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Recording
+ *         content:
+ *           audio/mpeg:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           audio/ogg:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Not a word
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RequestError'
+ *       404:
+ *         description: No recording of this word
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RequestError'
+ */
+app.get('/api/audio/:word', validateRequest(AUDIO_SCHEMA), async (req, res) => {
+  try {
+    const recording = await audioLibrary.find(req.params.word);
+    if (!recording) {
+      return sendError(res, 404, ERROR_CODES.NOT_FOUND, `No recording of "${req.params.word}"`, 'word');
+    }
+
+    res.type(recording.type);
+    res.sendFile(recording.file, { maxAge: '1d' });
+  } catch (error) {
+    console.error('Error serving recording:', error);
+    sendError(res, 500, ERROR_CODES.SERVER_ERROR, 'Failed to load the recording');
+  }
+});
+
+// Oversized or malformed bodies get the shared error shape instead of an HTML
+// page. Registered after the routes so it also catches the body parsers that
+// single routes add (e.g. the word list import).
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.too.large') {
+    return sendError(res, 413, ERROR_CODES.PAYLOAD_TOO_LARGE, `Request body is larger than ${error.limit} bytes`);
+  }
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, 400, ERROR_CODES.INVALID_PARAMETER, 'Request body is not valid JSON');
+  }
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return sendError(res, error.status, ERROR_CODES.INVALID_PARAMETER, error.message);
+  }
+  console.error('Unhandled error:', error);
+  sendError(res, 500, ERROR_CODES.SERVER_ERROR, 'Server error');
+});
 
 // Start the server if we're not in a serverless environment
+// Multiplayer rooms need a long-lived server, so they are only available here
 if (process.env.NODE_ENV !== 'production') {
-  app.listen(PORT, () => {
+  const server = app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
     console.log(`Swagger documentation available at http://localhost:${PORT}/api-docs`);
+    console.log(`Multiplayer rooms available at ws://localhost:${PORT}/ws`);
   });
+  attachGameRooms(server, { loadVocabulary: (volume, unit) => vocabularyRepository.getUnit(volume, unit) });
+  // Pick up edits to the unit files without a restart
+  vocabularyRepository.watch();
 }
 
 // Export the Express app for Vercel serverless deployment